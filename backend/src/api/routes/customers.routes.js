@@ -30,6 +30,69 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/customers/duplicates
+ * Phone numbers shared by more than one customer, from the last sync
+ */
+router.get('/duplicates', async (req, res, next) => {
+  try {
+    const result = await customersService.getDuplicatePhones();
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: 'No customer phone report available yet; run a sync first',
+          status: 404
+        }
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/customers/candidates
+ * Unmatched callers proposed as new customers (?status=pending|created|rejected)
+ */
+router.get('/candidates', async (req, res, next) => {
+  try {
+    const result = await customersService.getCandidates({ status: req.query.status });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/customers/candidates/:id/approve
+ * Create the customer and link the candidate's calls; body may override name and country
+ */
+router.post('/candidates/:id/approve', async (req, res, next) => {
+  try {
+    const { name, country } = req.body || {};
+    const candidate = await customersService.approveCandidate(req.params.id, { name, country });
+    res.json(candidate);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/customers/candidates/:id/reject
+ * Reject a candidate; the number is not proposed again
+ */
+router.post('/candidates/:id/reject', async (req, res, next) => {
+  try {
+    const candidate = await customersService.rejectCandidate(req.params.id);
+    res.json(candidate);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/customers/:id
  * Get customer by ID
@@ -3,6 +3,7 @@ const router = express.Router();
 const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
+const rateLimiter = require('../../sync/rateLimiter');
 
 /**
  * GET /api/health
@@ -22,7 +23,8 @@ router.get('/', async (req, res) => {
       state: {
         directory: stateDir,
         fileExists: stateFileExists
-      }
+      },
+      airtableRateLimit: rateLimiter.getStats()
     });
   } catch (error) {
     res.status(503).json({
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const RecordingsService = require('../../services/recordings.service');
+
+const recordingsService = new RecordingsService();
+
+/**
+ * GET /api/recordings/links
+ * Audit list of recording share links. Optional ?status=active|expired|revoked
+ */
+router.get('/links', async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      status
+    } = req.query;
+
+    const result = await recordingsService.getShareLinks({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId/link
+ * Get the share link stored for a recording
+ */
+router.get('/:recordingId/link', async (req, res, next) => {
+  try {
+    const link = await recordingsService.getShareLink(req.params.recordingId);
+
+    if (!link) {
+      return res.status(404).json({
+        error: {
+          message: 'No share link for this recording',
+          status: 404
+        }
+      });
+    }
+
+    res.json(link);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/recordings/:recordingId/revoke
+ * Revoke a recording's share link; the sync will not create a new one
+ */
+router.post('/:recordingId/revoke', async (req, res, next) => {
+  try {
+    const link = await recordingsService.revokeShareLink(req.params.recordingId);
+
+    if (!link) {
+      return res.status(404).json({
+        error: {
+          message: 'No share link for this recording',
+          status: 404
+        }
+      });
+    }
+
+    res.json(link);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
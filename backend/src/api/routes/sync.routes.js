@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const state = require('../../sync/state');
+const deadLetters = require('../../sync/deadLetters');
 
 /**
  * GET /api/sync/status
@@ -17,32 +19,262 @@ router.get('/status', async (req, res, next) => {
 
 /**
  * POST /api/sync/trigger
- * Manually trigger a sync
+ * Manually trigger a sync. Body { dryRun: true } previews without writing anything.
  */
 router.post('/trigger', async (req, res, next) => {
   try {
     const syncEngine = req.app.locals.syncEngine;
     const logger = req.app.locals.logger;
+    const dryRun = req.body?.dryRun === true;
     
     // Start sync asynchronously
-    syncEngine.run()
+    syncEngine.run({ dryRun })
       .then(result => {
-        logger.info(result, 'Manual sync completed');
+        logger.info(result, dryRun ? 'Manual dry run completed' : 'Manual sync completed');
       })
       .catch(error => {
-        logger.error(error, 'Manual sync failed');
+        logger.error(error, dryRun ? 'Manual dry run failed' : 'Manual sync failed');
       });
     
     // Return immediately
     res.json({
-      message: 'Sync triggered',
-      status: 'running'
+      message: dryRun ? 'Dry run triggered' : 'Sync triggered',
+      status: 'running',
+      dryRun
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * POST /api/sync/cancel
+ * Stop the running sync after its current page; the checkpoint is kept so the next run resumes
+ */
+router.post('/cancel', async (req, res, next) => {
+  try {
+    const syncEngine = req.app.locals.syncEngine;
+    const result = syncEngine.cancel();
+    res.status(202).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/dry-run
+ * Get the report from the latest dry run
+ */
+router.get('/dry-run', async (req, res, next) => {
+  try {
+    const report = await state.getDryRunReport();
+    
+    if (!report) {
+      return res.status(404).json({
+        error: {
+          message: 'No dry-run report available',
+          status: 404
+        }
+      });
+    }
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/backfill
+ * Create a backfill job. Body { startDate, endDate, chunk: 'day' | 'hour' }
+ */
+router.post('/backfill', async (req, res, next) => {
+  try {
+    const backfillManager = req.app.locals.backfillManager;
+    const job = await backfillManager.createJob({
+      startDate: req.body?.startDate,
+      endDate: req.body?.endDate,
+      chunk: req.body?.chunk
+    });
+    res.status(202).json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/jobs
+ * List backfill jobs
+ */
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const backfillManager = req.app.locals.backfillManager;
+    res.json({
+      jobs: backfillManager.listJobs()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/jobs/:id
+ * Get a backfill job with per-chunk progress
+ */
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const backfillManager = req.app.locals.backfillManager;
+    const job = backfillManager.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: {
+          message: 'Backfill job not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/jobs/:id/pause
+ * Pause a backfill job after its current chunk
+ */
+router.post('/jobs/:id/pause', async (req, res, next) => {
+  try {
+    const backfillManager = req.app.locals.backfillManager;
+    const job = await backfillManager.pause(req.params.id);
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/jobs/:id/resume
+ * Resume a paused or failed backfill job
+ */
+router.post('/jobs/:id/resume', async (req, res, next) => {
+  try {
+    const backfillManager = req.app.locals.backfillManager;
+    const job = await backfillManager.resume(req.params.id);
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/jobs/:id/cancel
+ * Cancel a backfill job
+ */
+router.post('/jobs/:id/cancel', async (req, res, next) => {
+  try {
+    const backfillManager = req.app.locals.backfillManager;
+    const job = await backfillManager.cancel(req.params.id);
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/dead-letters
+ * List payloads that failed to write. Optional ?kind=primary|secondary|postgres
+ */
+router.get('/dead-letters', async (req, res, next) => {
+  try {
+    const entries = await deadLetters.list({ kind: req.query.kind });
+    res.json({
+      deadLetters: entries,
+      total: entries.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/dead-letters/retry
+ * Retry dead letters now. Body { ids: [...] } limits the retry to those entries.
+ */
+router.post('/dead-letters/retry', async (req, res, next) => {
+  try {
+    const syncEngine = req.app.locals.syncEngine;
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : null;
+    const result = await syncEngine.retryDeadLetters(ids);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sync/dead-letters/:id/retry
+ * Retry a single dead letter
+ */
+router.post('/dead-letters/:id/retry', async (req, res, next) => {
+  try {
+    const syncEngine = req.app.locals.syncEngine;
+    const entry = await deadLetters.get(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: {
+          message: 'Dead letter not found',
+          status: 404
+        }
+      });
+    }
+
+    const result = await syncEngine.retryDeadLetters([entry.id]);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/dead-letters/:id
+ * Discard a dead letter
+ */
+router.delete('/dead-letters/:id', async (req, res, next) => {
+  try {
+    const removed = await deadLetters.remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          message: 'Dead letter not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/dead-letters
+ * Discard all dead letters
+ */
+router.delete('/dead-letters', async (req, res, next) => {
+  try {
+    const removed = await deadLetters.clear();
+    res.json({ success: true, removed });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/sync/reset
  * Reset sync state
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const IngestService = require('../../services/ingest.service');
+const WebhooksService = require('../../services/webhooks.service');
+
+const ingestService = new IngestService();
+const webhooksService = new WebhooksService();
+
+/**
+ * POST /api/webhooks/dialpad
+ * Receive a Dialpad call event (signed JWT body) and upsert the call right away
+ */
+router.post('/dialpad', express.text({ type: ['application/jwt', 'text/plain'] }), async (req, res, next) => {
+  try {
+    const result = await ingestService.handleDialpadEvent(req.body);
+
+    if (result.ingested) {
+      const io = req.app.locals.io;
+      if (io) {
+        io.to('sync-updates').emit('call:ingested', result);
+      }
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/events
+ * Events an outbound subscription can choose
+ */
+router.get('/events', (req, res) => {
+  res.json({ events: webhooksService.getEvents() });
+});
+
+/**
+ * GET /api/webhooks/subscriptions
+ * List outbound webhook subscriptions (secrets are not included)
+ */
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    const subscriptions = await webhooksService.getSubscriptions();
+    res.json({ data: subscriptions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/subscriptions
+ * Create a subscription: { url, events, description?, active?, secret? }.
+ * The response is the only time the signing secret is returned.
+ */
+router.post('/subscriptions', async (req, res, next) => {
+  try {
+    const subscription = await webhooksService.createSubscription(req.body);
+    res.status(201).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/subscriptions/:id
+ * Get a subscription
+ */
+router.get('/subscriptions/:id', async (req, res, next) => {
+  try {
+    const subscription = await webhooksService.getSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: {
+          message: 'Webhook subscription not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/webhooks/subscriptions/:id
+ * Change a subscription's url, events, description or active flag
+ */
+router.patch('/subscriptions/:id', async (req, res, next) => {
+  try {
+    const subscription = await webhooksService.updateSubscription(req.params.id, req.body);
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/subscriptions/:id
+ * Delete a subscription; its queued deliveries are dropped on their next attempt
+ */
+router.delete('/subscriptions/:id', async (req, res, next) => {
+  try {
+    await webhooksService.deleteSubscription(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/subscriptions/:id/rotate-secret
+ * Replace the signing secret and return the new one
+ */
+router.post('/subscriptions/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const subscription = await webhooksService.rotateSecret(req.params.id);
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/subscriptions/:id/test
+ * Send a webhook.test event now and return the delivery
+ */
+router.post('/subscriptions/:id/test', async (req, res, next) => {
+  try {
+    const delivery = await webhooksService.sendTest(req.params.id);
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first. Optional ?subscriptionId, ?event and ?status=pending|retrying|delivered|failed
+ */
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      subscriptionId,
+      event,
+      status
+    } = req.query;
+
+    const result = await webhooksService.getDeliveries({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      subscriptionId,
+      event,
+      status
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * Get a delivery with its payload
+ */
+router.get('/deliveries/:id', async (req, res, next) => {
+  try {
+    const delivery = await webhooksService.getDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: {
+          message: 'Webhook delivery not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Queue a delivery for one more attempt
+ */
+router.post('/deliveries/:id/redeliver', async (req, res, next) => {
+  try {
+    const delivery = await webhooksService.redeliver(req.params.id);
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
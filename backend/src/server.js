@@ -16,9 +16,16 @@ const analyticsRoutes = require('./api/routes/analytics.routes');
 const customersRoutes = require('./api/routes/customers.routes');
 const configRoutes = require('./api/routes/config.routes');
 const healthRoutes = require('./api/routes/health.routes');
+const webhooksRoutes = require('./api/routes/webhooks.routes');
+const recordingsRoutes = require('./api/routes/recordings.routes');
 
 // Import sync engine
 const SyncEngine = require('./sync/engine');
+const BackfillManager = require('./sync/backfill');
+const outboundWebhooks = require('./sync/outboundWebhooks');
+const store = require('./sync/store');
+const { AirtableClient } = require('./sync/airtable');
+const { seedMirror } = require('./sync/mirrorSeed');
 
 // Initialize logger
 const logger = pino({
@@ -66,6 +73,8 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/customers', customersRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/recordings', recordingsRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -92,6 +101,14 @@ io.on('connection', (socket) => {
 // Initialize sync engine
 const syncEngine = new SyncEngine(logger, io);
 
+// Initialize backfill jobs on top of the same engine
+const backfillManager = new BackfillManager(logger, syncEngine, io);
+
+// Deliver outbound webhooks and retry failed deliveries in the background
+if (process.env.NODE_ENV !== 'test') {
+  outboundWebhooks.start();
+}
+
 // Schedule automatic sync
 if (process.env.SYNC_INTERVAL && process.env.NODE_ENV !== 'test') {
   const interval = parseInt(process.env.SYNC_INTERVAL);
@@ -111,6 +128,7 @@ if (process.env.SYNC_INTERVAL && process.env.NODE_ENV !== 'test') {
 
 // Make sync engine available to routes
 app.locals.syncEngine = syncEngine;
+app.locals.backfillManager = backfillManager;
 app.locals.logger = logger;
 app.locals.io = io;
 
@@ -140,6 +158,23 @@ const PORT = process.env.PORT || 3001;
 httpServer.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV}`);
+
+  // Continue backfill jobs interrupted by a restart
+  backfillManager.start();
+
+  // Copy the call history already in Airtable into the local mirror; reads use
+  // Airtable until this finishes
+  if (process.env.AIRTABLE_PAT && process.env.AIRTABLE_BASE_ID && process.env.NODE_ENV !== 'test') {
+    try {
+      if (!store.isSeeded()) {
+        seedMirror(new AirtableClient()).catch(error => {
+          logger.error(error, 'Failed to seed the local call mirror from Airtable');
+        });
+      }
+    } catch (error) {
+      logger.error(error, 'Failed to open the local call mirror');
+    }
+  }
 });
 
 // Graceful shutdown
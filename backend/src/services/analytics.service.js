@@ -1,4 +1,6 @@
 const axios = require('axios');
+const store = require('../sync/store');
+const rateLimiter = require('../sync/rateLimiter');
 
 class AnalyticsService {
   constructor() {
@@ -10,7 +12,7 @@ class AnalyticsService {
       return null;
     }
 
-    return axios.create({
+    const client = axios.create({
       baseURL: `https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}`,
       headers: {
         'Authorization': `Bearer ${process.env.AIRTABLE_PAT}`,
@@ -18,13 +20,58 @@ class AnalyticsService {
       },
       timeout: 30000
     });
+
+    // Share the base's request budget with the sync
+    return rateLimiter.attach(client, process.env.AIRTABLE_BASE_ID);
   }
 
-  async getOverview(period = '7d') {
+  /**
+   * Load call summaries for a date range, from the local mirror once it holds the
+   * full history and from Airtable otherwise
+   */
+  async getCallSummaries(startDate, endDate, fetchErrorMessage) {
+    try {
+      if (store.canServeReads(!!this.airtableClient)) {
+        return store.getCallSummaries(startDate, endDate);
+      }
+    } catch (error) {
+      console.error('Failed to read calls from local store:', error);
+    }
+
     if (!this.airtableClient) {
       throw new Error('Airtable not configured');
     }
 
+    try {
+      const filters = [];
+      if (startDate) filters.push(`{Start Time} >= "${startDate}"`);
+      if (endDate) filters.push(`{Start Time} <= "${endDate}"`);
+      const filterFormula = filters.length > 0 ? `AND(${filters.join(', ')})` : '';
+
+      const response = await this.airtableClient.get(
+        `/${encodeURIComponent(process.env.AIRTABLE_CALLS_TABLE || 'Calls')}`,
+        {
+          params: {
+            filterByFormula: filterFormula,
+            pageSize: 100,
+            fields: ['Start Time', 'Duration (s)', 'Direction', 'Customer']
+          }
+        }
+      );
+
+      return response.data.records.map(record => ({
+        startTime: record.fields['Start Time'] || null,
+        durationSeconds: record.fields['Duration (s)'] || 0,
+        direction: record.fields.Direction ? record.fields.Direction.toLowerCase() : null,
+        customerId: record.fields.Customer ? record.fields.Customer[0] : null
+      }));
+    } catch (error) {
+      console.error('Error fetching calls from Airtable:', error);
+      throw new Error(fetchErrorMessage);
+    }
+  }
+
+  async getOverview(period = '7d') {
     // Calculate date range based on period
     const endDate = new Date();
     const startDate = new Date();
@@ -46,22 +93,14 @@ class AnalyticsService {
         startDate.setDate(startDate.getDate() - 7);
     }
 
-    try {
-      // Fetch calls for the period
-      const filterFormula = `AND({Start Time} >= "${startDate.toISOString()}", {Start Time} <= "${endDate.toISOString()}")`;
-      
-      const response = await this.airtableClient.get(
-        `/${encodeURIComponent(process.env.AIRTABLE_CALLS_TABLE || 'Calls')}`,
-        {
-          params: {
-            filterByFormula: filterFormula,
-            pageSize: 100
-          }
-        }
-      );
-
-      const calls = response.data.records;
+    // Fetch calls for the period
+    const calls = await this.getCallSummaries(
+      startDate.toISOString(),
+      endDate.toISOString(),
+      'Failed to get analytics overview'
+    );
 
+    try {
       // Calculate metrics
       const overview = {
         period,
@@ -83,29 +122,26 @@ class AnalyticsService {
       let matchedCalls = 0;
 
       calls.forEach(call => {
-        const fields = call.fields;
-        
         // Duration
-        overview.totalDuration += fields['Duration (s)'] || 0;
+        overview.totalDuration += call.durationSeconds || 0;
         
         // Direction
-        if (fields.Direction === 'Inbound') {
+        if (call.direction === 'inbound') {
           overview.inboundCalls++;
-        } else if (fields.Direction === 'Outbound') {
+        } else if (call.direction === 'outbound') {
           overview.outboundCalls++;
         }
         
         // Matched
-        if (fields.Customer) {
+        if (call.customerId) {
           matchedCalls++;
           // Track customer calls
-          const customerId = fields.Customer[0];
-          customerCalls[customerId] = (customerCalls[customerId] || 0) + 1;
+          customerCalls[call.customerId] = (customerCalls[call.customerId] || 0) + 1;
         }
         
         // Hour distribution
-        if (fields['Start Time']) {
-          const hour = new Date(fields['Start Time']).getHours();
+        if (call.startTime) {
+          const hour = new Date(call.startTime).getHours();
           hourDistribution[hour] = (hourDistribution[hour] || 0) + 1;
         }
       });
@@ -143,36 +179,16 @@ class AnalyticsService {
   }
 
   async getTrends(options = {}) {
-    if (!this.airtableClient) {
-      throw new Error('Airtable not configured');
-    }
-
     const { startDate, endDate, groupBy = 'day' } = options;
 
-    try {
-      // Build filter
-      const filters = [];
-      if (startDate) filters.push(`{Start Time} >= "${startDate}"`);
-      if (endDate) filters.push(`{Start Time} <= "${endDate}"`);
-      const filterFormula = filters.length > 0 ? `AND(${filters.join(', ')})` : '';
-
-      const response = await this.airtableClient.get(
-        `/${encodeURIComponent(process.env.AIRTABLE_CALLS_TABLE || 'Calls')}`,
-        {
-          params: {
-            filterByFormula: filterFormula,
-            pageSize: 100,
-            fields: ['Start Time', 'Duration (s)', 'Direction']
-          }
-        }
-      );
+    const calls = await this.getCallSummaries(startDate, endDate, 'Failed to get trends');
 
-      const calls = response.data.records;
+    try {
       const trendData = {};
 
       calls.forEach(call => {
-        if (call.fields['Start Time']) {
-          const date = new Date(call.fields['Start Time']);
+        if (call.startTime) {
+          const date = new Date(call.startTime);
           let key;
 
           switch (groupBy) {
@@ -205,11 +221,11 @@ class AnalyticsService {
           }
 
           trendData[key].totalCalls++;
-          trendData[key].totalDuration += call.fields['Duration (s)'] || 0;
+          trendData[key].totalDuration += call.durationSeconds || 0;
           
-          if (call.fields.Direction === 'Inbound') {
+          if (call.direction === 'inbound') {
             trendData[key].inboundCalls++;
-          } else if (call.fields.Direction === 'Outbound') {
+          } else if (call.direction === 'outbound') {
             trendData[key].outboundCalls++;
           }
         }
@@ -1,4 +1,8 @@
 const axios = require('axios');
+const store = require('../sync/store');
+const rateLimiter = require('../sync/rateLimiter');
+const { config } = require('../sync/config');
+const { getFieldMapping, getFieldTarget, getExternalNumberField, mapCallFields } = require('../sync/mapping');
 
 class CallsService {
   constructor() {
@@ -26,7 +30,7 @@ class CallsService {
       return null;
     }
 
-    return axios.create({
+    const client = axios.create({
       baseURL: `https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}`,
       headers: {
         'Authorization': `Bearer ${process.env.AIRTABLE_PAT}`,
@@ -34,6 +38,9 @@ class CallsService {
       },
       timeout: 30000
     });
+
+    // Share the base's request budget with the sync
+    return rateLimiter.attach(client, process.env.AIRTABLE_BASE_ID);
   }
 
   async getCalls(options = {}) {
@@ -47,7 +54,13 @@ class CallsService {
       endDate
     } = options;
 
-    // First try to get from Airtable
+    // Local mirror first - every sync writes to it and it is seeded with Airtable's history
+    const storeResult = this.getCallsFromStore(options);
+    if (storeResult) {
+      return storeResult;
+    }
+
+    // Fall back to Airtable
     if (this.airtableClient) {
       try {
         return await this.getCallsFromAirtable(options);
@@ -64,6 +77,18 @@ class CallsService {
     throw new Error('No data source configured');
   }
 
+  getCallsFromStore(options) {
+    try {
+      if (!store.canServeReads(!!this.airtableClient)) {
+        return null;
+      }
+      return store.queryCalls(options);
+    } catch (error) {
+      console.error('Failed to get calls from local store:', error);
+      return null;
+    }
+  }
+
   async getCallsFromDialpad(options) {
     const {
       page = 1,
@@ -85,26 +110,24 @@ class CallsService {
 
     const response = await this.dialpadClient.get('/api/v2/call', { params });
     
-    // Transform Dialpad response to our format
-    const calls = (response.data.items || []).map(call => ({
-      id: call.id || call.call_id || `${call.date_started}_${call.external_number}`,
-      'Call ID': call.id || call.call_id,
-      'Direction': call.direction === 'inbound' ? 'Inbound' : 'Outbound',
-      'External Number': call.external_number,
-      'Contact Name': call.contact?.name || 'Unknown',
-      'Target': call.target?.name || 'N/A',
-      'Start Time': new Date(parseInt(call.date_started)).toISOString(),
-      'End Time': call.date_ended ? new Date(parseInt(call.date_ended)).toISOString() : null,
-      'Duration (s)': Math.floor((call.duration || 0) / 1000),
-      'Was Recorded': call.was_recorded || false,
-      'Recording URL': call.recording_url?.[0] || call.admin_recording_urls?.[0] || null,
-      'MOS Score': call.mos_score || null
-    }));
-
     // Filter by direction if specified
-    const filteredCalls = direction 
-      ? calls.filter(c => c.Direction.toLowerCase() === direction.toLowerCase())
-      : calls;
+    const items = (response.data.items || []).filter(call =>
+      !direction || (call.direction || '').toLowerCase() === direction.toLowerCase()
+    );
+
+    // Transform Dialpad response using the configured field mapping
+    const externalNumberField = getExternalNumberField();
+    const filteredCalls = items.map(call => {
+      const callId = call.id || call.call_id || `${call.date_started}_${call.external_number}`;
+      return {
+        id: callId,
+        ...mapCallFields(call, {
+          callId,
+          recordingUrl: call.recording_url?.[0] || call.admin_recording_urls?.[0] || null
+        }),
+        [externalNumberField]: call.external_number
+      };
+    });
 
     return {
       data: filteredCalls,
@@ -127,29 +150,36 @@ class CallsService {
       endDate
     } = options;
 
+    // Column names follow the field mapping
+    const contactField = getFieldTarget('contact.name') || 'Contact Name';
+    const directionField = getFieldTarget('direction') || 'Direction';
+    const startTimeField = getFieldTarget('date_started') || 'Start Time';
+    const customerField = config.fields.callsCustomerLink;
+    const externalNumberField = getExternalNumberField();
+
     // Build filter formula
     const filters = [];
     
     if (search) {
-      filters.push(`OR(SEARCH("${search}", {External Number}), SEARCH("${search}", {Contact Name}))`);
+      filters.push(`OR(SEARCH("${search}", {${externalNumberField}}), SEARCH("${search}", {${contactField}}))`);
     }
     
     if (direction) {
-      filters.push(`Direction = "${direction}"`);
+      filters.push(`{${directionField}} = "${direction}"`);
     }
     
     if (matched === true) {
-      filters.push('NOT({Customer} = "")');
+      filters.push(`NOT({${customerField}} = "")`);
     } else if (matched === false) {
-      filters.push('{Customer} = ""');
+      filters.push(`{${customerField}} = ""`);
     }
     
     if (startDate) {
-      filters.push(`{Start Time} >= "${startDate}"`);
+      filters.push(`{${startTimeField}} >= "${startDate}"`);
     }
     
     if (endDate) {
-      filters.push(`{Start Time} <= "${endDate}"`);
+      filters.push(`{${startTimeField}} <= "${endDate}"`);
     }
 
     const filterFormula = filters.length > 0 ? `AND(${filters.join(', ')})` : '';
@@ -157,7 +187,7 @@ class CallsService {
     // Make request to Airtable
     const params = {
       pageSize: limit,
-      sort: [{ field: 'Start Time', direction: 'desc' }]
+      sort: [{ field: startTimeField, direction: 'desc' }]
     };
     
     if (filterFormula) {
@@ -188,6 +218,15 @@ class CallsService {
   }
 
   async getCallById(id) {
+    try {
+      const storedCall = store.getCall(id);
+      if (storedCall) {
+        return storedCall;
+      }
+    } catch (error) {
+      console.error('Failed to get call from local store:', error);
+    }
+
     if (!this.airtableClient) {
       throw new Error('Airtable not configured');
     }
@@ -233,23 +272,27 @@ class CallsService {
       recordedCalls: 0
     };
 
+    const durationField = getFieldTarget('duration') || 'Duration (s)';
+    const directionField = getFieldTarget('direction') || 'Direction';
+    const recordedField = getFieldTarget('was_recorded') || 'Was Recorded';
+
     calls.forEach(call => {
-      const duration = call['Duration (s)'] || 0;
+      const duration = call[durationField] || 0;
       stats.totalDuration += duration;
       
-      if (call.Direction === 'Inbound') {
+      if (call[directionField] === 'Inbound') {
         stats.inboundCalls++;
-      } else if (call.Direction === 'Outbound') {
+      } else if (call[directionField] === 'Outbound') {
         stats.outboundCalls++;
       }
       
-      if (call.Customer) {
+      if (call[config.fields.callsCustomerLink]) {
         stats.matchedCalls++;
       } else {
         stats.unmatchedCalls++;
       }
       
-      if (call['Was Recorded']) {
+      if (call[recordedField]) {
         stats.recordedCalls++;
       }
     });
@@ -264,33 +307,27 @@ class CallsService {
   async exportCalls(filters = {}) {
     const calls = await this.getCalls({ ...filters, limit: 1000 });
     
-    // Convert to CSV
+    // Convert to CSV, one column per mapped field
+    const mappedFields = getFieldMapping().map(entry => entry.target);
+    const customerField = config.fields.callsCustomerLink;
+    const externalNumberField = getExternalNumberField();
+    const numberFields = mappedFields.includes(externalNumberField) ? [] : [externalNumberField];
     const headers = [
-      'Call ID',
-      'Direction', 
-      'Contact Name',
-      'External Number',
-      'Target',
-      'Start Time',
-      'Duration (s)',
-      'Was Recorded',
-      'Recording URL',
-      'MOS Score',
+      ...mappedFields,
+      ...numberFields,
       'Customer'
     ];
+
+    const formatCell = (value) => {
+      if (value === undefined || value === null) return '';
+      if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+      return String(value).replace(/"/g, '""');
+    };
     
     const rows = calls.data.map(call => [
-      call['Call ID'] || '',
-      call.Direction || '',
-      call['Contact Name'] || '',
-      call['External Number'] || '',
-      call.Target || '',
-      call['Start Time'] || '',
-      call['Duration (s)'] || '0',
-      call['Was Recorded'] ? 'Yes' : 'No',
-      call['Recording URL'] || '',
-      call['MOS Score'] || '',
-      call.Customer ? 'Matched' : 'Unmatched'
+      ...mappedFields.map(field => formatCell(call[field])),
+      ...numberFields.map(field => formatCell(call[field])),
+      call[customerField] ? 'Matched' : 'Unmatched'
     ]);
 
     const csv = [
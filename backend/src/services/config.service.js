@@ -2,6 +2,9 @@ const fs = require('fs-extra');
 const path = require('path');
 const Joi = require('joi');
 const axios = require('axios');
+const { TRANSFORMS, CALL_ID_SOURCE, getFieldMapping } = require('../sync/mapping');
+const { DIRECTIONS, OUTCOMES, FIELD_SOURCES, getSecondaryRules } = require('../sync/secondaryRules');
+const rateLimiter = require('../sync/rateLimiter');
 
 class ConfigService {
   constructor() {
@@ -21,8 +24,35 @@ class ConfigService {
         interval: Joi.number().min(60000).default(300000),
         daysBack: Joi.number().min(1).max(365).default(14),
         backfillGraceSeconds: Joi.number().min(0).default(21600),
-        defaultRegion: Joi.string().default('SG')
-      })
+        defaultRegion: Joi.string().default('SG'),
+        fallbackRegions: Joi.array().items(Joi.string().length(2))
+      }),
+      fieldMapping: Joi.array()
+        .items(Joi.object({
+          source: Joi.string().required(),
+          target: Joi.string().required(),
+          transform: Joi.string().valid(...Object.keys(TRANSFORMS)),
+          map: Joi.object().pattern(Joi.string(), Joi.any()),
+          default: Joi.any(),
+          omitIfEmpty: Joi.boolean()
+        }))
+        .unique('target')
+        .has(Joi.object({ source: Joi.string().valid(CALL_ID_SOURCE) }).unknown())
+        .messages({ 'array.hasUnknown': `fieldMapping must map "${CALL_ID_SOURCE}" to the merge field` }),
+      secondaryRules: Joi.array()
+        .items(Joi.object({
+          name: Joi.string().required(),
+          directions: Joi.array().items(Joi.string().valid(...DIRECTIONS)).min(1),
+          outcomes: Joi.array().items(Joi.string().valid(...OUTCOMES)).min(1),
+          minDurationSeconds: Joi.number().min(0),
+          targets: Joi.array().items(Joi.string()).min(1),
+          departments: Joi.array().items(Joi.string()).min(1),
+          fields: Joi.object()
+            .pattern(Joi.string(), Joi.string().valid(...Object.keys(FIELD_SOURCES)))
+            .min(1)
+            .required()
+        }))
+        .unique('name')
     });
   }
 
@@ -43,13 +73,17 @@ class ConfigService {
         interval: parseInt(process.env.SYNC_INTERVAL || '300000'),
         daysBack: parseInt(process.env.DAYS_BACK || '14'),
         backfillGraceSeconds: parseInt(process.env.BACKFILL_GRACE_SECONDS || '21600'),
-        defaultRegion: process.env.DEFAULT_REGION || 'SG'
+        defaultRegion: process.env.DEFAULT_REGION || 'SG',
+        fallbackRegions: (process.env.FALLBACK_REGIONS || '').split(',').map(s => s.trim()).filter(Boolean)
       },
       fields: {
         customerPhone: process.env.CUSTOMER_PHONE_FIELD || 'Phone',
+        customerCountry: process.env.CUSTOMER_COUNTRY_FIELD || null,
         callsCustomerLink: process.env.CALLS_CUSTOMER_LINK_FIELD || 'Customer',
         callsUnmatchedPhone: process.env.CALLS_UNMATCHED_PHONE_FIELD
-      }
+      },
+      fieldMapping: getFieldMapping(),
+      secondaryRules: getSecondaryRules()
     };
   }
 
@@ -60,9 +94,13 @@ class ConfigService {
       throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
     }
 
-    // Save to file (in production, update environment variables)
+    // Save to file (in production, update environment variables).
+    // Sections not included in the update are kept.
     await fs.ensureDir(path.dirname(this.configPath));
-    await fs.writeJson(this.configPath, newConfig, { spaces: 2 });
+    const existing = await fs.pathExists(this.configPath)
+      ? await fs.readJson(this.configPath)
+      : {};
+    await fs.writeJson(this.configPath, { ...existing, ...newConfig }, { spaces: 2 });
 
     return {
       success: true,
@@ -143,6 +181,7 @@ class ConfigService {
       },
       timeout: 10000
     });
+    rateLimiter.attach(client, process.env.AIRTABLE_BASE_ID);
 
     try {
       // Try to fetch first record from Customers table
@@ -1,4 +1,9 @@
 const axios = require('axios');
+const store = require('../sync/store');
+const state = require('../sync/state');
+const rateLimiter = require('../sync/rateLimiter');
+const customerCandidates = require('../sync/customerCreation');
+const { AirtableClient } = require('../sync/airtable');
 
 class CustomersService {
   constructor() {
@@ -10,7 +15,7 @@ class CustomersService {
       return null;
     }
 
-    return axios.create({
+    const client = axios.create({
       baseURL: `https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}`,
       headers: {
         'Authorization': `Bearer ${process.env.AIRTABLE_PAT}`,
@@ -18,6 +23,9 @@ class CustomersService {
       },
       timeout: 30000
     });
+
+    // Share the base's request budget with the sync
+    return rateLimiter.attach(client, process.env.AIRTABLE_BASE_ID);
   }
 
   async getCustomers(options = {}) {
@@ -95,12 +103,21 @@ class CustomersService {
   }
 
   async getCustomerCalls(customerId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    // Local mirror first - every sync writes to it and it is seeded with Airtable's history
+    try {
+      if (store.canServeReads(!!this.airtableClient)) {
+        return store.queryCalls({ customerId, page, limit });
+      }
+    } catch (error) {
+      console.error('Failed to read customer calls from local store:', error);
+    }
+
     if (!this.airtableClient) {
       throw new Error('Airtable not configured');
     }
 
-    const { page = 1, limit = 20 } = options;
-
     try {
       const filterFormula = `SEARCH("${customerId}", {Customer})`;
       
@@ -132,6 +149,56 @@ class CustomersService {
     }
   }
 
+  // Shared phone numbers as found by the last sync run
+  async getDuplicatePhones() {
+    const report = await state.getCustomerPhoneReport();
+    if (!report) {
+      return null;
+    }
+
+    return {
+      generatedAt: report.generatedAt,
+      policy: report.policy,
+      total: report.duplicates.length,
+      data: report.duplicates
+    };
+  }
+
+  // Client with the sync's create/upsert helpers, for acting on review candidates
+  getSyncClient() {
+    if (!this.airtableClient) {
+      const error = new Error('Airtable not configured');
+      error.status = 503;
+      throw error;
+    }
+
+    if (!this.syncClient) {
+      this.syncClient = new AirtableClient();
+    }
+    return this.syncClient;
+  }
+
+  async getCandidates(options = {}) {
+    const candidates = await customerCandidates.list(options);
+    return {
+      data: candidates,
+      total: candidates.length
+    };
+  }
+
+  async approveCandidate(id, overrides = {}) {
+    try {
+      return await customerCandidates.approve(id, this.getSyncClient(), overrides);
+    } catch (error) {
+      console.error('Failed to approve customer candidate:', error);
+      throw error;
+    }
+  }
+
+  async rejectCandidate(id) {
+    return customerCandidates.reject(id);
+  }
+
   async syncCustomers() {
     // This would trigger a fresh sync from Airtable
     // In production, this might update a local cache
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { config } = require('../sync/config');
+const DialpadClient = require('../sync/dialpad');
+const { AirtableClient } = require('../sync/airtable');
+const { buildCustomerPhoneMap, buildCallRecord } = require('../sync/records');
+const { SINK_TYPES, createSinks } = require('../sync/sinks');
+const { queueForEnrichment } = require('../sync/enrichment');
+const store = require('../sync/store');
+const deadLetters = require('../sync/deadLetters');
+const outboundWebhooks = require('../sync/outboundWebhooks');
+const callArchive = require('../sync/archive');
+
+function webhookError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Verify an HS256 JWT as sent by Dialpad when the webhook has a secret, and return its claims
+ * @param {string} token - Raw request body
+ * @param {string} secret - Shared webhook secret
+ */
+function verifyDialpadJwt(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw webhookError('Malformed webhook token', 401);
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header;
+  let claims;
+
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw webhookError('Malformed webhook token', 401);
+  }
+
+  if (header.alg !== 'HS256') {
+    throw webhookError(`Unsupported webhook signature algorithm: ${header.alg}`, 401);
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const actual = Buffer.from(encodedSignature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw webhookError('Invalid webhook signature', 401);
+  }
+
+  if (claims.exp && claims.exp * 1000 < Date.now()) {
+    throw webhookError('Webhook token expired', 401);
+  }
+
+  return claims;
+}
+
+/**
+ * Real-time ingestion of Dialpad call events.
+ * Uses the same record building, customer matching, sinks, archive and enrichment queue
+ * as sync(); the polling sync still runs and reconciles anything a webhook missed.
+ */
+class IngestService {
+  constructor() {
+    this.airtable = null;
+    this.customerPhoneMap = null;
+    this.customerMapLoadedAt = 0;
+  }
+
+  getAirtable() {
+    if (!config.airtable.pat || !config.airtable.baseId) {
+      throw webhookError('Airtable not configured', 503);
+    }
+
+    if (!this.airtable) {
+      this.airtable = new AirtableClient();
+    }
+    return this.airtable;
+  }
+
+  async getCustomerPhoneMap() {
+    const maxAgeMs = config.webhooks.customerCacheSeconds * 1000;
+
+    if (!this.customerPhoneMap || Date.now() - this.customerMapLoadedAt > maxAgeMs) {
+      const customers = await this.getAirtable().getCustomers();
+      this.customerPhoneMap = buildCustomerPhoneMap(customers);
+      this.customerMapLoadedAt = Date.now();
+    }
+
+    return this.customerPhoneMap;
+  }
+
+  async handleDialpadEvent(body) {
+    if (!config.webhooks.dialpadSecret) {
+      throw webhookError('Dialpad webhook secret not configured', 503);
+    }
+
+    // Same requirement as the sync: ambiguous calls would otherwise be left unlinked and unflagged
+    if (config.sync.duplicatePhonePolicy === 'review' && !config.fields.callsAmbiguousMatch) {
+      throw webhookError('DUPLICATE_PHONE_POLICY=review needs CALLS_AMBIGUOUS_MATCH_FIELD', 503);
+    }
+
+    if (typeof body !== 'string' || !body.trim()) {
+      throw webhookError('Expected a signed JWT payload', 401);
+    }
+
+    const call = verifyDialpadJwt(body.trim(), config.webhooks.dialpadSecret);
+
+    if (!config.webhooks.states.includes(call.state)) {
+      return {
+        ingested: false,
+        state: call.state,
+        reason: 'Call state not configured for ingestion'
+      };
+    }
+
+    return this.ingestCall(call);
+  }
+
+  /**
+   * Write one page of entries to every sink in SYNC_SINKS, the way a sync page is written,
+   * then run the per-run writes (secondary bases) for it. Sinks are built per event so
+   * nothing staged for one call is carried into the next. Failed payloads are dead-lettered
+   * and retried by the next sync.
+   * @returns {Promise<Object>} sinkName -> { written, failed }
+   */
+  async writeToSinks(entries) {
+    const unknownSinks = config.sinks.filter(type => !SINK_TYPES[type]);
+    if (unknownSinks.length > 0) {
+      throw webhookError(`SYNC_SINKS contains unknown sinks: ${unknownSinks.join(', ')}`, 503);
+    }
+
+    const sinks = createSinks({ airtable: this.getAirtable() });
+    const dialpad = config.dialpad.apiKey ? new DialpadClient() : null;
+    const results = {};
+
+    for (const sink of sinks) {
+      const counts = { written: 0, failed: 0 };
+      sink.collect(entries);
+
+      for (const write of [() => sink.writeBatch(entries), () => sink.finalize({ dryRun: false, dialpad })]) {
+        try {
+          const { written = 0, failures = [] } = (await write()) || {};
+          counts.written += written;
+          for (const failure of failures) {
+            await deadLetters.add(sink.deadLetterKind, failure.payload, failure.error);
+            counts.failed += failure.count;
+          }
+        } catch (error) {
+          console.error(`Failed to write webhook call to sink ${sink.name}:`, error.message);
+          counts.failed += entries.length;
+        }
+      }
+
+      results[sink.name] = counts;
+    }
+
+    return results;
+  }
+
+  async ingestCall(call) {
+    const customerPhoneMap = await this.getCustomerPhoneMap();
+    const built = buildCallRecord(call, customerPhoneMap);
+    const { callId, callRecord, customerId, normalizedPhone } = built;
+    const entry = { callId, call, record: callRecord, built, customerId, normalizedPhone };
+
+    if (config.archive.enabled) {
+      try {
+        await callArchive.appendCalls([call]);
+      } catch (error) {
+        console.error('Failed to archive webhook call:', error.message);
+      }
+    }
+
+    const sinks = await this.writeToSinks([entry]);
+
+    try {
+      store.upsertCalls([entry]);
+      queueForEnrichment([entry]);
+    } catch (error) {
+      console.error('Failed to write webhook call to local store:', error);
+    }
+
+    // The next sync retries failed writes from the dead-letter store
+    const failedSinks = Object.keys(sinks).filter(name => sinks[name].failed > 0);
+    if (failedSinks.length > 0) {
+      return {
+        ingested: false,
+        callId,
+        state: call.state,
+        sinks,
+        reason: `Write failed for ${failedSinks.join(', ')}; queued for retry`,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const callEvent = outboundWebhooks.toCallEvent(entry, 'webhook');
+    await outboundWebhooks.emit('call.synced', [callEvent]);
+    if (customerId) {
+      await outboundWebhooks.emit('call.matched', [callEvent]);
+    }
+
+    return {
+      ingested: true,
+      callId,
+      state: call.state,
+      direction: call.direction,
+      matched: !!customerId,
+      customerId,
+      sinks,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = IngestService;
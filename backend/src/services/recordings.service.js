@@ -0,0 +1,37 @@
+const DialpadClient = require('../sync/dialpad');
+const recordingLinks = require('../sync/recordingLinks');
+const store = require('../sync/store');
+
+class RecordingsService {
+  getDialpad() {
+    if (!process.env.DIALPAD_API_KEY) {
+      const error = new Error('Dialpad not configured');
+      error.status = 503;
+      throw error;
+    }
+
+    if (!this.dialpad) {
+      this.dialpad = new DialpadClient();
+    }
+    return this.dialpad;
+  }
+
+  async getShareLinks(options = {}) {
+    return store.listRecordingLinks(options);
+  }
+
+  async getShareLink(recordingId) {
+    return store.getRecordingLink(recordingId);
+  }
+
+  async revokeShareLink(recordingId) {
+    try {
+      return await recordingLinks.revoke(this.getDialpad(), recordingId);
+    } catch (error) {
+      console.error('Failed to revoke recording share link:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RecordingsService;
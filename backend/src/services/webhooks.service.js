@@ -0,0 +1,90 @@
+const Joi = require('joi');
+const outboundWebhooks = require('../sync/outboundWebhooks');
+const store = require('../sync/store');
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+class WebhooksService {
+  constructor() {
+    const fields = {
+      url: Joi.string().uri({ scheme: ['http', 'https'] }),
+      events: Joi.array().items(Joi.string().valid(...outboundWebhooks.EVENTS)).min(1).unique(),
+      description: Joi.string().allow('').max(200),
+      active: Joi.boolean()
+    };
+
+    this.createSchema = Joi.object({
+      ...fields,
+      url: fields.url.required(),
+      events: fields.events.required(),
+      secret: Joi.string().min(16)
+    });
+    this.updateSchema = Joi.object(fields).min(1);
+  }
+
+  validate(schema, body) {
+    const { error, value } = schema.validate(body);
+    if (error) {
+      const validationError = new Error(error.details[0].message);
+      validationError.status = 400;
+      throw validationError;
+    }
+    return value;
+  }
+
+  getEvents() {
+    return outboundWebhooks.EVENTS;
+  }
+
+  async getSubscriptions() {
+    return outboundWebhooks.list();
+  }
+
+  async getSubscription(id) {
+    return outboundWebhooks.get(id);
+  }
+
+  async createSubscription(body) {
+    return outboundWebhooks.create(this.validate(this.createSchema, body));
+  }
+
+  async updateSubscription(id, body) {
+    return outboundWebhooks.update(id, this.validate(this.updateSchema, body));
+  }
+
+  async deleteSubscription(id) {
+    return outboundWebhooks.remove(id);
+  }
+
+  async rotateSecret(id) {
+    return outboundWebhooks.rotateSecret(id);
+  }
+
+  async sendTest(id) {
+    try {
+      return await outboundWebhooks.sendTest(id);
+    } catch (error) {
+      console.error('Failed to send test webhook:', error);
+      throw error;
+    }
+  }
+
+  async getDeliveries(options = {}) {
+    if (options.status && !DELIVERY_STATUSES.includes(options.status)) {
+      const error = new Error(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return store.listWebhookDeliveries(options);
+  }
+
+  async getDelivery(id) {
+    return store.getWebhookDelivery(id);
+  }
+
+  async redeliver(id) {
+    return outboundWebhooks.redeliver(id);
+  }
+}
+
+module.exports = WebhooksService;
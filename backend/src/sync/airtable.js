@@ -0,0 +1,633 @@
+const axios = require('axios');
+const pino = require('pino');
+const retry = require('./retry');
+const { config } = require('./config');
+const { getMergeField } = require('./mapping');
+const rateLimiter = require('./rateLimiter');
+const SecondaryPhoneIndex = require('./phoneIndex');
+const recordingLinks = require('./recordingLinks');
+const secondaryRules = require('./secondaryRules');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+// Airtable API client
+class AirtableClient {
+  constructor() {
+    this.axios = axios.create({
+      baseURL: `https://api.airtable.com/v0/${config.airtable.baseId}`,
+      headers: {
+        'Authorization': `Bearer ${config.airtable.pat}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+    
+    // Add response interceptor for debugging
+    this.axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response) {
+          logger.error({
+            status: error.response.status,
+            data: error.response.data,
+            url: error.config?.url,
+            body: error.config?.data
+          }, 'Airtable API error response');
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    // Shared per-base request budget
+    rateLimiter.attach(this.axios, config.airtable.baseId);
+  }
+
+  async testConnection() {
+    try {
+      const response = await this.axios.get(
+        `/${encodeURIComponent(config.airtable.customersTable)}`,
+        { params: { maxRecords: 1 } }
+      );
+      logger.info('Airtable connection successful');
+      return true;
+    } catch (error) {
+      logger.error('Airtable connection failed:', error.message);
+      if (error.response?.status === 401) {
+        throw new Error('Invalid Airtable PAT. Please check your credentials.');
+      } else if (error.response?.status === 404) {
+        throw new Error('Airtable base or table not found. Check your base ID and table names.');
+      }
+      throw error;
+    }
+  }
+
+  async getCustomers() {
+    const customers = [];
+    let offset = null;
+
+    do {
+      const params = {
+        pageSize: 100,
+        fields: [config.fields.customerPhone, config.fields.customerCountry, config.fields.customerModified].filter(Boolean)
+      };
+      
+      if (offset) {
+        params.offset = offset;
+      }
+
+      const response = await retry(
+        () => this.axios.get(`/${encodeURIComponent(config.airtable.customersTable)}`, { params }),
+        'Airtable getCustomers',
+        { policy: 'airtable', breaker: 'airtable' }
+      );
+
+      customers.push(...response.data.records);
+      offset = response.data.offset;
+    } while (offset);
+
+    return customers;
+  }
+
+  /**
+   * Page through the calls table, passing each page of records to the handler
+   * so a large history is never held in memory at once
+   * @param {Function} handler - Called with each page's records; may be async
+   */
+  async forEachCallPage(handler) {
+    let offset = null;
+
+    do {
+      const params = { pageSize: 100 };
+      if (offset) {
+        params.offset = offset;
+      }
+
+      const response = await retry(
+        () => this.axios.get(`/${encodeURIComponent(config.airtable.callsTable)}`, { params }),
+        'Airtable forEachCallPage',
+        { policy: 'airtable', breaker: 'airtable' }
+      );
+
+      await handler(response.data.records);
+      offset = response.data.offset;
+    } while (offset);
+  }
+
+  /**
+   * Upsert call records in chunks of 10. A chunk that still fails after retries
+   * does not stop the rest; it is returned in failures for the dead-letter store.
+   * @returns {Promise<{upserted: number, failures: Array<{records: Array, error: Error}>}>}
+   */
+  async upsertCalls(calls) {
+    const chunks = [];
+    for (let i = 0; i < calls.length; i += 10) {
+      chunks.push(calls.slice(i, i + 10));
+    }
+
+    let upserted = 0;
+    const failures = [];
+
+    for (const chunk of chunks) {
+      const records = chunk.map(call => ({
+        fields: call
+      }));
+
+      try {
+        await retry(
+          () => this.axios.patch(`/${encodeURIComponent(config.airtable.callsTable)}`, {
+            records,
+            performUpsert: {
+              fieldsToMergeOn: [getMergeField()]
+            }
+          }),
+          'Airtable upsertCalls',
+          { policy: 'airtable', breaker: 'airtable' }
+        );
+        upserted += chunk.length;
+      } catch (error) {
+        logger.error({
+          records: chunk.length,
+          error: error.message,
+          errorData: error.response?.data
+        }, 'Failed to upsert call chunk');
+        failures.push({ records: chunk, error });
+      }
+    }
+
+    return { upserted, failures };
+  }
+
+  /**
+   * Create customer records in chunks of 10
+   * @param {Array<Object>} customers - Field objects for the customers table
+   * @returns {Promise<{created: Array<Object|null>, failures: Array<{records: Array, error: Error}>}>}
+   *   created lines up with the input: the new record, or null where its chunk failed
+   */
+  async createCustomers(customers) {
+    const created = [];
+    const failures = [];
+
+    for (let i = 0; i < customers.length; i += 10) {
+      const chunk = customers.slice(i, i + 10);
+
+      try {
+        const response = await retry(
+          () => this.axios.post(`/${encodeURIComponent(config.airtable.customersTable)}`, {
+            records: chunk.map(fields => ({ fields })),
+            typecast: true // Lets a new country become a select option
+          }),
+          'Airtable createCustomers',
+          { policy: 'airtable', breaker: 'airtable' }
+        );
+        created.push(...response.data.records);
+      } catch (error) {
+        created.push(...chunk.map(() => null));
+        logger.error({
+          records: chunk.length,
+          error: error.message,
+          errorData: error.response?.data
+        }, 'Failed to create customer chunk');
+        failures.push({ records: chunk, error });
+      }
+    }
+
+    return { created, failures };
+  }
+}
+
+// Secondary Airtable client for updating a client database
+class SecondaryAirtableClient {
+  /**
+   * @param {Object} target - Entry of config.secondaryTargets
+   */
+  constructor(target = config.secondaryTargets[0]) {
+    this.target = target;
+    this.axios = axios.create({
+      baseURL: `https://api.airtable.com/v0/${this.target.baseId}`,
+      headers: {
+        'Authorization': `Bearer ${this.target.pat}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    // Shared per-base request budget
+    rateLimiter.attach(this.axios, this.target.baseId);
+
+    this.phoneIndex = new SecondaryPhoneIndex(this.axios, target);
+  }
+
+  async testConnection() {
+    try {
+      const response = await this.axios.get(
+        `/${encodeURIComponent(this.target.table)}`,
+        { params: { maxRecords: 1 } }
+      );
+      logger.info('Secondary Airtable connection successful');
+      return true;
+    } catch (error) {
+      logger.error('Secondary Airtable connection failed:', error.message);
+      if (error.response?.status === 401) {
+        throw new Error('Invalid Secondary Airtable PAT. Please check your credentials.');
+      } else if (error.response?.status === 404) {
+        throw new Error('Secondary Airtable base or table not found. Check your base ID and table name.');
+      }
+      throw error;
+    }
+  }
+
+  async findRecordByPhone(phoneNumber) {
+    try {
+      // Clean the phone number - remove + sign and any formatting
+      const cleanPhone = phoneNumber.replace(/^\+/, '').replace(/[^0-9]/g, '');
+      
+      // Try to find with exact match first
+      let filterFormula = `{${this.target.phoneField}} = "${cleanPhone}"`;
+      
+      logger.info({
+        originalPhone: phoneNumber,
+        cleanPhone: cleanPhone,
+        filterFormula,
+        phoneField: this.target.phoneField
+      }, 'Searching for phone in secondary base');
+      
+      let response = await this.axios.get(
+        `/${encodeURIComponent(this.target.table)}`,
+        {
+          params: {
+            filterByFormula: filterFormula,
+            maxRecords: 1
+          }
+        }
+      );
+
+      if (response.data.records && response.data.records.length > 0) {
+        logger.info({
+          phoneNumber,
+          recordFound: response.data.records[0].id,
+          matchType: 'exact without +'
+        }, 'Found record in secondary base');
+        return response.data.records[0];
+      }
+      
+      // If not found, also try with the original format (with +)
+      if (phoneNumber.startsWith('+')) {
+        filterFormula = `{${this.target.phoneField}} = "${phoneNumber}"`;
+        logger.debug('Trying with original format (with +)');
+        
+        response = await this.axios.get(
+          `/${encodeURIComponent(this.target.table)}`,
+          {
+            params: {
+              filterByFormula: filterFormula,
+              maxRecords: 1
+            }
+          }
+        );
+        
+        if (response.data.records && response.data.records.length > 0) {
+          logger.info({
+            phoneNumber,
+            recordFound: response.data.records[0].id,
+            matchType: 'with +'
+          }, 'Found record in secondary base');
+          return response.data.records[0];
+        }
+      }
+      
+      // Also try without country code (last 10 digits)
+      if (cleanPhone.length > 10) {
+        const last10Digits = cleanPhone.slice(-10);
+        filterFormula = `{${this.target.phoneField}} = "${last10Digits}"`;
+        logger.debug(`Trying with last 10 digits: ${last10Digits}`);
+        
+        response = await this.axios.get(
+          `/${encodeURIComponent(this.target.table)}`,
+          {
+            params: {
+              filterByFormula: filterFormula,
+              maxRecords: 1
+            }
+          }
+        );
+        
+        if (response.data.records && response.data.records.length > 0) {
+          logger.info({
+            phoneNumber,
+            recordFound: response.data.records[0].id,
+            matchedWith: last10Digits,
+            matchType: '10-digit'
+          }, 'Found record in secondary base with 10-digit match');
+          return response.data.records[0];
+        }
+      }
+      
+      logger.warn({
+        phoneNumber,
+        cleanPhone,
+        triedFormats: ['without +', 'with +', 'last 10 digits']
+      }, 'No matching record found in secondary base');
+      
+      return null;
+    } catch (error) {
+      logger.error({
+        phoneNumber,
+        error: error.message,
+        errorData: error.response?.data
+      }, 'Failed to find record in secondary base');
+      return null;
+    }
+  }
+
+  /**
+   * Find records for many phone numbers through the local phone index, or one lookup
+   * per number for targets with matching 'lookup'.
+   * Falls back to one lookup per number if the index cannot be loaded.
+   */
+  async findRecordsByPhones(phoneNumbers) {
+    if (this.target.matching !== 'lookup') {
+      try {
+        return await this.phoneIndex.findRecords(phoneNumbers);
+      } catch (error) {
+        logger.error({
+          target: this.target.name,
+          error: error.message,
+          phoneNumbers: phoneNumbers.length
+        }, 'Secondary phone index unavailable, looking up numbers one by one');
+      }
+    }
+
+    const recordMap = new Map();
+    
+    for (const phone of phoneNumbers) {
+      const record = await this.findRecordByPhone(phone);
+      if (record) {
+        recordMap.set(phone, record);
+      }
+    }
+    
+    return recordMap;
+  }
+
+  async updateCallDetailsWithTimestamp(recordId, dateConnected, durationFormatted, recordingUrl) {
+    try {
+      // Get current timestamp for when this record was processed
+      const processedTimestamp = new Date().toISOString();
+      
+      logger.info({
+        recordId,
+        dateConnected,
+        durationFormatted,
+        recordingUrl: recordingUrl ? 'present' : 'none',
+        processedTimestamp,
+        fields: {
+          lastCallField: this.target.lastCallField,
+          durationField: this.target.durationField,
+          recordingField: this.target.recordingField,
+          processedField: this.target.processedField
+        }
+      }, 'Updating call details with processed timestamp in secondary base');
+      
+      const updateFields = {
+        [this.target.lastCallField]: dateConnected,
+        [this.target.durationField]: durationFormatted
+      };
+      
+      // Add processed timestamp field if configured
+      if (this.target.processedField && this.target.processedField.trim() !== '') {
+        updateFields[this.target.processedField] = processedTimestamp;
+      }
+      
+      // Only add recording URL if it exists
+      if (recordingUrl) {
+        updateFields[this.target.recordingField] = recordingUrl;
+      }
+      
+      // Log the exact payload being sent
+      logger.debug({
+        recordId,
+        updateFields,
+        fieldsBeingSent: Object.keys(updateFields)
+      }, 'Exact update payload');
+      
+      await this.axios.patch(
+        `/${encodeURIComponent(this.target.table)}`,
+        {
+          records: [{
+            id: recordId,
+            fields: updateFields
+          }]
+        }
+      );
+      
+      logger.info({
+        recordId,
+        dateConnected,
+        durationFormatted,
+        hasRecording: !!recordingUrl,
+        processedAt: processedTimestamp
+      }, 'Successfully updated call details with processed timestamp');
+      
+      return true;
+    } catch (error) {
+      logger.error({
+        recordId,
+        error: error.message,
+        errorData: error.response?.data
+      }, 'Failed to update call details with timestamp in secondary base');
+      return false;
+    }
+  }
+
+  // Rules deciding which calls update this base and the fields they write
+  getRules() {
+    return secondaryRules.getSecondaryRules(this.target);
+  }
+
+  // Share links for the recordings the rules write, reused or created as needed
+  async resolveShareLinks(entry, phone, dialpad) {
+    const shareLinks = new Map();
+    if (!dialpad) {
+      return shareLinks;
+    }
+
+    for (const recordingId of secondaryRules.getRecordingIds(entry, this.getRules())) {
+      try {
+        shareLinks.set(recordingId, await recordingLinks.getShareLink(dialpad, recordingId, { phone }));
+        logger.debug({
+          phoneNumber: phone,
+          recordingId,
+          hasShareLink: !!shareLinks.get(recordingId)
+        }, 'Resolved recording share link');
+      } catch (error) {
+        logger.warn({
+          phoneNumber: phone,
+          recordingId,
+          error: error.message
+        }, 'Failed to get recording share link');
+      }
+    }
+
+    return shareLinks;
+  }
+
+  /**
+   * Build the updates updateCallDetailsBatch would send, without writing anything.
+   * Recording share links are not created; entries with a recording are flagged instead.
+   */
+  async previewCallDetailsBatch(updates) {
+    const phoneNumbers = Array.from(updates.keys());
+    const records = await this.findRecordsByPhones(phoneNumbers);
+    const processedTimestamp = new Date().toISOString();
+    const rules = this.getRules();
+    const preview = {
+      updates: [],
+      notFound: []
+    };
+    
+    for (const [phone, entry] of updates.entries()) {
+      const record = records.get(phone);
+      if (!record) {
+        preview.notFound.push(phone);
+        continue;
+      }
+      
+      preview.updates.push({
+        phone,
+        recordId: record.id,
+        rules: Object.keys(secondaryRules.normalizeEntry(entry)),
+        fields: secondaryRules.buildUpdateFields(entry, { processedAt: processedTimestamp }, rules),
+        recordingShareLink: secondaryRules.getRecordingIds(entry, rules).length > 0 ? 'would be created' : null
+      });
+    }
+    
+    return preview;
+  }
+
+  /**
+   * Batch update client records with the fields of the secondary rules their calls matched.
+   * Chunks that fail are returned in failures as [phone, { [ruleName]: callData }] entries.
+   * @returns {Promise<{successCount: number, notFound: number, failures: Array<{updates: Array, error: Error}>}>}
+   */
+  async updateCallDetailsBatch(updates, dialpad) {
+    const chunks = [];
+    const rules = this.getRules();
+    const updateArray = Array.from(updates.entries());
+    const batchSize = this.target.batchSize;
+    
+    // Split updates into chunks
+    for (let i = 0; i < updateArray.length; i += batchSize) {
+      chunks.push(updateArray.slice(i, i + batchSize));
+    }
+    
+    let successCount = 0;
+    let failedCount = 0;
+    let notFound = 0;
+    const failures = [];
+    
+    logger.info({
+      totalUpdates: updateArray.length,
+      chunks: chunks.length,
+      batchSize: batchSize
+    }, 'Starting batch update of secondary base records');
+    
+    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+      const chunk = chunks[chunkIndex];
+      logger.info(`Processing chunk ${chunkIndex + 1}/${chunks.length} with ${chunk.length} records`);
+      
+      try {
+        // First, find all records for this chunk
+        const phoneNumbers = chunk.map(([phone, data]) => phone);
+        const records = await this.findRecordsByPhones(phoneNumbers);
+        
+        // Prepare batch update
+        const batchUpdates = [];
+        const recordingIds = [];
+        const processedTimestamp = new Date().toISOString();
+        
+        for (const [phone, entry] of chunk) {
+          const record = records.get(phone);
+          if (record) {
+            // Reuse the recordings' share links, creating them only if needed
+            const shareLinks = await this.resolveShareLinks(entry, phone, dialpad);
+            const updateFields = secondaryRules.buildUpdateFields(entry, { shareLinks, processedAt: processedTimestamp }, rules);
+            
+            // Rules changed since the calls were tracked; nothing left to write
+            if (Object.keys(updateFields).length === 0) {
+              continue;
+            }
+            
+            batchUpdates.push({
+              id: record.id,
+              fields: updateFields
+            });
+            recordingIds.push(...shareLinks.keys());
+          } else {
+            logger.warn({
+              target: this.target.name,
+              phoneNumber: phone
+            }, 'No matching record found in secondary base');
+            failedCount++;
+            notFound++;
+          }
+        }
+        
+        // Send batch update if there are updates to send
+        if (batchUpdates.length > 0) {
+          logger.debug({
+            chunkIndex: chunkIndex + 1,
+            recordsToUpdate: batchUpdates.length,
+            sampleRecord: batchUpdates[0]
+          }, 'Sending batch update to secondary base');
+          
+          await this.axios.patch(
+            `/${encodeURIComponent(this.target.table)}`,
+            { records: batchUpdates }
+          );
+          
+          successCount += batchUpdates.length;
+
+          // Links replaced by a rotation are only retired once the records show the new ones
+          await recordingLinks.revokeReplaced(dialpad, recordingIds);
+          
+          logger.info({
+            chunkIndex: chunkIndex + 1,
+            updated: batchUpdates.length,
+            totalSuccess: successCount
+          }, 'Batch update successful');
+        }
+        
+      } catch (error) {
+        logger.error({
+          chunkIndex: chunkIndex + 1,
+          error: error.message,
+          errorData: error.response?.data
+        }, 'Failed to process batch update chunk');
+        failedCount += chunk.length;
+
+        // A record the index points at is gone; rebuild the index on the next lookup
+        if (error.response?.status === 404 || error.response?.data?.error?.type === 'ROW_DOES_NOT_EXIST') {
+          await this.phoneIndex.invalidate();
+        }
+        failures.push({ updates: chunk, error });
+      }
+    }
+    
+    logger.info({
+      target: this.target.name,
+      totalProcessed: updateArray.length,
+      successCount,
+      failedCount,
+      successRate: updateArray.length > 0 ? `${(successCount / updateArray.length * 100).toFixed(2)}%` : 'N/A'
+    }, 'Batch update completed');
+    
+    return { successCount, notFound, failures };
+  }
+}
+
+module.exports = {
+  AirtableClient,
+  SecondaryAirtableClient
+};
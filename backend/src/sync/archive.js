@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const pino = require('pino');
+const { config } = require('./config');
+const { addDays, getDateInZone, getStartOfDay, parseDate } = require('./timezone');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// YYYY-MM-DD of a { year, month, day } date
+function formatDay({ year, month, day }) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Day a call belongs to, in the sync time zone
+function getCallDay(call) {
+  const startedMs = parseInt(call.date_started) || Date.now();
+  return formatDay(getDateInZone(startedMs, config.sync.timezone));
+}
+
+function getDayFiles(day) {
+  const dir = path.join(config.archive.dir, day.slice(0, 7));
+  return {
+    dir,
+    open: path.join(dir, `${day}.ndjson`),
+    closed: path.join(dir, `${day}.ndjson.gz`)
+  };
+}
+
+/**
+ * Append-only archive of the raw call objects Dialpad returned, one NDJSON file per day
+ * (ARCHIVE_DIR/YYYY-MM/YYYY-MM-DD.ndjson) in the sync time zone. Once a day is over,
+ * its file is gzipped onto YYYY-MM-DD.ndjson.gz; calls that arrive for a closed day start
+ * a new .ndjson that is added to the .gz as another gzip member, so nothing already
+ * archived is ever rewritten. A call fetched twice (resumed runs, overlapping windows)
+ * is archived twice; readers keep its last copy.
+ */
+class CallArchive {
+  /**
+   * @param {Array<Object>} calls - Raw call objects from Dialpad
+   * @returns {Promise<number>} Calls written
+   */
+  async appendCalls(calls) {
+    const byDay = new Map();
+    for (const call of calls) {
+      const day = getCallDay(call);
+      if (!byDay.has(day)) {
+        byDay.set(day, []);
+      }
+      byDay.get(day).push(`${JSON.stringify(call)}\n`);
+    }
+
+    for (const [day, lines] of byDay) {
+      const files = getDayFiles(day);
+      await fs.ensureDir(files.dir);
+      await fs.appendFile(files.open, lines.join(''));
+    }
+
+    logger.debug({ calls: calls.length, days: Array.from(byDay.keys()) }, 'Calls archived');
+    return calls.length;
+  }
+
+  /**
+   * Gzip every open day file whose day ended more than closeGraceHours ago
+   * @returns {Promise<Array<string>>} Days closed
+   */
+  async closeDays(now = Date.now()) {
+    const closed = [];
+    if (!(await fs.pathExists(config.archive.dir))) {
+      return closed;
+    }
+
+    for (const month of (await fs.readdir(config.archive.dir)).sort()) {
+      const monthDir = path.join(config.archive.dir, month);
+      if (!(await fs.stat(monthDir)).isDirectory()) {
+        continue;
+      }
+
+      for (const file of (await fs.readdir(monthDir)).sort()) {
+        const match = file.match(DAY_FILE_PATTERN);
+        if (!match) {
+          continue;
+        }
+
+        const day = match[1];
+        const closesAt = getStartOfDay(addDays(parseDate(day), 1), config.sync.timezone) + config.archive.closeGraceHours * HOUR_MS;
+        if (now < closesAt) {
+          continue;
+        }
+
+        const files = getDayFiles(day);
+        // A crash between the append and the unlink archives these lines twice, which readers tolerate
+        await fs.appendFile(files.closed, await gzip(await fs.readFile(files.open)));
+        await fs.remove(files.open);
+        closed.push(day);
+      }
+    }
+
+    if (closed.length > 0) {
+      logger.info({ days: closed }, 'Archive days closed');
+    }
+    return closed;
+  }
+
+  /**
+   * Calls archived for a day, closed and open parts, last copy of each call only
+   * @param {string} day - YYYY-MM-DD
+   * @returns {Promise<Array<Object>>} Ordered by start time
+   */
+  async readDay(day) {
+    const files = getDayFiles(day);
+    let text = '';
+
+    if (await fs.pathExists(files.closed)) {
+      text += (await gunzip(await fs.readFile(files.closed))).toString('utf8');
+    }
+    if (await fs.pathExists(files.open)) {
+      text += await fs.readFile(files.open, 'utf8');
+    }
+
+    const calls = new Map();
+    let skipped = 0;
+    for (const line of text.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const call = JSON.parse(line);
+        const key = String(call.call_id || call.id || `${call.date_started}_${call.external_number}`);
+        calls.delete(key); // Re-insert so the map keeps the order of last copies
+        calls.set(key, call);
+      } catch (error) {
+        skipped++; // Torn last line of a crashed append
+      }
+    }
+
+    if (skipped > 0) {
+      logger.warn({ day, skipped }, 'Skipped unreadable archive lines');
+    }
+
+    return Array.from(calls.values())
+      .sort((a, b) => (parseInt(a.date_started) || 0) - (parseInt(b.date_started) || 0));
+  }
+
+  /**
+   * Stand-in for DialpadClient.getCalls() that pages through the archive, for replays.
+   * The cursor is "<day>:<offset>" into that day's calls.
+   */
+  createReplaySource() {
+    let cached = { day: null, calls: [] };
+
+    const loadDay = async (day, startedAfter, startedBefore) => {
+      if (cached.day !== day) {
+        const calls = (await this.readDay(day)).filter((call) => {
+          const startedMs = parseInt(call.date_started);
+          return startedMs >= startedAfter && startedMs < startedBefore;
+        });
+        cached = { day, calls };
+      }
+      return cached.calls;
+    };
+
+    return {
+      getCalls: async (startedAfter, startedBefore, cursor = null) => {
+        const lastDay = formatDay(getDateInZone(startedBefore - 1, config.sync.timezone));
+        let [day, offset] = cursor
+          ? [cursor.split(':')[0], parseInt(cursor.split(':')[1])]
+          : [formatDay(getDateInZone(startedAfter, config.sync.timezone)), 0];
+
+        // Skip days with nothing (left) to replay
+        let calls = await loadDay(day, startedAfter, startedBefore);
+        while (offset >= calls.length && day < lastDay) {
+          day = formatDay(addDays(parseDate(day), 1));
+          offset = 0;
+          calls = await loadDay(day, startedAfter, startedBefore);
+        }
+
+        const items = calls.slice(offset, offset + config.sync.pageSize);
+        const nextOffset = offset + items.length;
+        let nextCursor = null;
+        if (nextOffset < calls.length) {
+          nextCursor = `${day}:${nextOffset}`;
+        } else if (day < lastDay) {
+          nextCursor = `${formatDay(addDays(parseDate(day), 1))}:0`;
+        }
+
+        logger.info({ day, retrieved: items.length, hasMore: !!nextCursor }, 'Read calls from archive');
+        return { items, cursor: nextCursor };
+      }
+    };
+  }
+}
+
+module.exports = new CallArchive();
@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const state = require('./state');
+const { config } = require('./config');
+const { addDays, getStartOfDay, parseDate } = require('./timezone');
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+const JOBS_FILE = path.join(STATE_DIR, 'backfill-jobs.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_CHUNKS = 2000;
+const MAX_CHUNK_ATTEMPTS = 3;
+const BUSY_RETRY_MS = 30000;
+
+function jobError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Backfill jobs: a date range split into day or hour chunks, each run through
+ * SyncEngine with its own checkpoint key so chunks resume independently.
+ * Jobs are processed one at a time, one chunk at a time.
+ */
+class BackfillManager {
+  constructor(logger, syncEngine, io) {
+    this.logger = logger;
+    this.syncEngine = syncEngine;
+    this.io = io;
+    this.jobs = this.loadJobs();
+    this.processing = false;
+    this.saving = Promise.resolve();
+    this.activeChunk = null; // { jobId, runKey, done } while a chunk's sync is running
+  }
+
+  loadJobs() {
+    try {
+      if (fs.pathExistsSync(JOBS_FILE)) {
+        return fs.readJsonSync(JOBS_FILE);
+      }
+    } catch (error) {
+      this.logger.error(error, 'Failed to read backfill jobs');
+    }
+    return {};
+  }
+
+  // Saves run one at a time; concurrent ones would share the tmp file
+  saveJobs() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      const tmpFile = `${JOBS_FILE}.tmp`;
+      await fs.ensureDir(STATE_DIR);
+      await fs.writeFile(tmpFile, JSON.stringify(this.jobs, null, 2));
+      await fs.rename(tmpFile, JOBS_FILE);
+    });
+    return this.saving;
+  }
+
+  // Pick up jobs left running or queued by a previous process
+  start() {
+    const pending = Object.values(this.jobs).filter(job => ['queued', 'running'].includes(job.status));
+    if (pending.length > 0) {
+      this.logger.info({ jobs: pending.map(job => job.id) }, 'Resuming backfill jobs');
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Split an inclusive YYYY-MM-DD range into chunks in the sync time zone
+   */
+  buildChunks(startDate, endDate, chunkSize) {
+    const timeZone = config.sync.timezone;
+    const rangeStart = getStartOfDay(parseDate(startDate), timeZone);
+    const rangeEnd = getStartOfDay(addDays(parseDate(endDate), 1), timeZone);
+    const boundaries = [];
+
+    if (chunkSize === 'hour') {
+      for (let start = rangeStart; start < rangeEnd; start += HOUR_MS) {
+        boundaries.push([start, Math.min(start + HOUR_MS, rangeEnd)]);
+      }
+    } else {
+      for (let date = parseDate(startDate); ; date = addDays(date, 1)) {
+        const start = getStartOfDay(date, timeZone);
+        if (start >= rangeEnd) break;
+        boundaries.push([start, getStartOfDay(addDays(date, 1), timeZone)]);
+      }
+    }
+
+    return boundaries.map(([start, end], index) => ({
+      index,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      status: 'pending',
+      attempts: 0,
+      totalCalls: 0,
+      matchedCalls: 0,
+      pagesProcessed: 0,
+      error: null,
+      completedAt: null
+    }));
+  }
+
+  async createJob({ startDate, endDate, chunk = 'day' } = {}) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '')) {
+      throw jobError('startDate and endDate must be in YYYY-MM-DD format');
+    }
+
+    if (startDate > endDate) {
+      throw jobError('startDate must be on or before endDate');
+    }
+
+    if (!['day', 'hour'].includes(chunk)) {
+      throw jobError("chunk must be 'day' or 'hour'");
+    }
+
+    const chunks = this.buildChunks(startDate, endDate, chunk);
+    if (chunks.length > MAX_CHUNKS) {
+      throw jobError(`Range produces ${chunks.length} chunks; the limit is ${MAX_CHUNKS}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      startDate,
+      endDate,
+      chunkSize: chunk,
+      timezone: config.sync.timezone,
+      status: 'queued',
+      chunks,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs[job.id] = job;
+    await this.saveJobs();
+
+    this.logger.info({ jobId: job.id, startDate, endDate, chunks: chunks.length }, 'Backfill job created');
+    this.processQueue();
+
+    return this.describeJob(job);
+  }
+
+  describeJob(job, includeChunks = true) {
+    const completedChunks = job.chunks.filter(c => c.status === 'completed').length;
+    const summary = {
+      id: job.id,
+      startDate: job.startDate,
+      endDate: job.endDate,
+      chunkSize: job.chunkSize,
+      timezone: job.timezone,
+      status: job.status,
+      error: job.error,
+      progress: {
+        totalChunks: job.chunks.length,
+        completedChunks,
+        failedChunks: job.chunks.filter(c => c.status === 'failed').length,
+        percent: job.chunks.length > 0 ? Math.round((completedChunks / job.chunks.length) * 100) : 100,
+        totalCalls: job.chunks.reduce((sum, c) => sum + c.totalCalls, 0),
+        matchedCalls: job.chunks.reduce((sum, c) => sum + c.matchedCalls, 0)
+      },
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+
+    if (includeChunks) {
+      summary.chunks = job.chunks;
+    }
+
+    return summary;
+  }
+
+  listJobs() {
+    return Object.values(this.jobs)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.describeJob(job, false));
+  }
+
+  getJob(id) {
+    const job = this.jobs[id];
+    return job ? this.describeJob(job) : null;
+  }
+
+  findJob(id) {
+    const job = this.jobs[id];
+    if (!job) {
+      throw jobError('Backfill job not found', 404);
+    }
+    return job;
+  }
+
+  async updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await this.saveJobs();
+
+    if (this.io) {
+      this.io.to('sync-updates').emit('backfill:progress', this.describeJob(job, false));
+    }
+  }
+
+  async pause(id) {
+    const job = this.findJob(id);
+    if (!['queued', 'running'].includes(job.status)) {
+      throw jobError(`Cannot pause a job that is ${job.status}`, 409);
+    }
+    await this.updateJob(job, { status: 'paused' });
+    return this.describeJob(job, false);
+  }
+
+  async resume(id) {
+    const job = this.findJob(id);
+    if (!['paused', 'failed'].includes(job.status)) {
+      throw jobError(`Cannot resume a job that is ${job.status}`, 409);
+    }
+
+    // Failed chunks get a fresh set of attempts
+    for (const chunk of job.chunks) {
+      if (chunk.status === 'failed') {
+        chunk.status = 'pending';
+        chunk.attempts = 0;
+        chunk.error = null;
+      }
+    }
+
+    await this.updateJob(job, { status: 'queued', error: null });
+    this.processQueue();
+    return this.describeJob(job, false);
+  }
+
+  async cancel(id) {
+    const job = this.findJob(id);
+    if (['completed', 'cancelled'].includes(job.status)) {
+      throw jobError(`Cannot cancel a job that is ${job.status}`, 409);
+    }
+
+    await this.updateJob(job, { status: 'cancelled' });
+
+    // Stop the chunk that is running and wait for it, so it cannot checkpoint again after the clear
+    if (this.activeChunk?.jobId === job.id) {
+      const { runKey, done } = this.activeChunk;
+      try {
+        this.syncEngine.cancel(runKey);
+      } catch (error) {
+        // Its sync has not started (or already finished); waiting is enough
+      }
+      await done;
+    }
+
+    // Drop checkpoints of chunks that will never run again
+    for (const chunk of job.chunks) {
+      if (chunk.status !== 'completed') {
+        await state.clearRun(this.getRunKey(job, chunk));
+      }
+    }
+
+    return this.describeJob(job, false);
+  }
+
+  getRunKey(job, chunk) {
+    return `backfill-${job.id}-${chunk.index}`;
+  }
+
+  nextJob() {
+    return Object.values(this.jobs)
+      .filter(job => ['queued', 'running'].includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+  }
+
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      let job;
+      while ((job = this.nextJob())) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      this.logger.error(error, 'Backfill worker stopped unexpectedly');
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processJob(job) {
+    await this.updateJob(job, { status: 'running' });
+    this.logger.info({ jobId: job.id }, 'Processing backfill job');
+
+    for (const chunk of job.chunks) {
+      if (chunk.status === 'completed') {
+        continue;
+      }
+
+      // Pause and cancel take effect between chunks
+      if (job.status !== 'running') {
+        this.logger.info({ jobId: job.id, status: job.status }, 'Backfill job stopped');
+        return;
+      }
+
+      const finished = await this.processChunk(job, chunk);
+      if (!finished) {
+        return;
+      }
+    }
+
+    if (job.status === 'running') {
+      await this.updateJob(job, { status: 'completed' });
+      this.logger.info({ jobId: job.id }, 'Backfill job completed');
+    }
+  }
+
+  // Run one chunk to completion; returns false if the job should stop
+  async processChunk(job, chunk) {
+    chunk.status = 'running';
+    await this.updateJob(job, {});
+
+    while (job.status === 'running') {
+      const runKey = this.getRunKey(job, chunk);
+      const running = this.syncEngine.run({
+        window: {
+          startedAfter: new Date(chunk.start).getTime(),
+          startedBefore: new Date(chunk.end).getTime()
+        },
+        runKey
+      });
+      this.activeChunk = { jobId: job.id, runKey, done: running.catch(() => {}) };
+
+      let result;
+      try {
+        result = await running;
+      } catch (error) {
+        chunk.attempts++;
+        chunk.error = error.message;
+        this.logger.error({ jobId: job.id, chunk: chunk.index, error: error.message }, 'Backfill chunk failed');
+
+        if (chunk.attempts >= MAX_CHUNK_ATTEMPTS) {
+          chunk.status = 'failed';
+          await this.updateJob(job, {
+            status: 'failed',
+            error: `Chunk ${chunk.index} failed after ${chunk.attempts} attempts: ${error.message}`
+          });
+          return false;
+        }
+
+        await this.updateJob(job, {});
+        continue;
+      } finally {
+        this.activeChunk = null;
+      }
+
+      // Another sync holds the engine; wait for it
+      if (result.error === 'Sync already in progress') {
+        await new Promise(resolve => setTimeout(resolve, BUSY_RETRY_MS));
+        continue;
+      }
+
+      // Stopped through POST /api/sync/cancel; hold the job until it is resumed.
+      // A job cancelled through the backfill API stays cancelled.
+      if (result.cancelled) {
+        if (job.status === 'running') {
+          this.logger.warn({ jobId: job.id, chunk: chunk.index }, 'Backfill chunk cancelled, pausing job');
+          await this.updateJob(job, { status: 'paused' });
+        }
+        break;
+      }
+
+      // A resumed run starts from the checkpoint's counts, so the result already covers earlier passes
+      chunk.totalCalls = result.totalCalls || 0;
+      chunk.matchedCalls = result.matchedCalls || 0;
+      chunk.pagesProcessed = result.pagesProcessed || chunk.pagesProcessed;
+
+      // Unfinished windows resume from their checkpoint on the next pass
+      if (result.complete) {
+        chunk.status = 'completed';
+        chunk.error = null;
+        chunk.completedAt = new Date().toISOString();
+        await this.updateJob(job, {});
+        return true;
+      }
+
+      await this.updateJob(job, {});
+    }
+
+    // Paused or cancelled mid-chunk; a paused chunk resumes from its checkpoint
+    chunk.status = job.status === 'cancelled' ? 'cancelled' : 'pending';
+    await this.updateJob(job, {});
+    return false;
+  }
+}
+
+module.exports = BackfillManager;
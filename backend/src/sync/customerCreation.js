@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const pino = require('pino');
+const { parsePhoneNumber } = require('libphonenumber-js');
+const store = require('./store');
+const deadLetters = require('./deadLetters');
+const { FileLock } = require('./lock');
+const { config } = require('./config');
+const { getMergeField } = require('./mapping');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+const CANDIDATES_FILE = path.join(STATE_DIR, 'customer-candidates.json');
+
+// How long an update waits for another process to finish with the candidates file
+const LOCK_WAIT_MS = 60 * 1000;
+const LOCK_RETRY_MS = 100;
+
+const MODES = ['off', 'review', 'auto'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ISO country of an E.164 number, e.g. 'SG'
+function getPhoneCountry(e164) {
+  try {
+    return parsePhoneNumber(e164).country || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether an unmatched call may produce a new customer under the configured rules
+ * @param {Object} built - Result of buildCallRecord()
+ */
+function isEligible(built) {
+  const rules = config.customerCreation;
+
+  if (rules.mode === 'off' || !built.normalizedPhone) return false;
+  if (rules.inboundOnly && built.direction !== 'inbound') return false;
+  if (built.duration < rules.minDurationSeconds) return false;
+
+  return !rules.excludedPrefixes.some(prefix =>
+    built.normalizedPhone.startsWith(prefix) || String(built.externalNumber || '').startsWith(prefix)
+  );
+}
+
+/**
+ * Unmatched callers that qualify for a customer record. In 'auto' mode they are created
+ * during the sync; in 'review' mode they wait here until approved or rejected.
+ * Statuses: pending, created, rejected. Rejected numbers are not proposed again until the
+ * rejection is pruned after retentionDays.
+ *
+ * Every load-modify-save of the candidates file goes through update(), so an approval from
+ * the API and a sync's processCalls() never overwrite each other's changes. update() runs
+ * one at a time within the process and under a lock file across processes, since the
+ * standalone sync.js creates candidates too.
+ */
+class CustomerCandidates {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.lock = new FileLock(`${CANDIDATES_FILE}.lock`, 'Customer candidates lock');
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(CANDIDATES_FILE)) {
+        return await fs.readJson(CANDIDATES_FILE);
+      }
+    } catch (error) {
+      logger.error(error, 'Failed to read customer candidates');
+    }
+    return [];
+  }
+
+  async save(entries) {
+    const tmpFile = `${CANDIDATES_FILE}.tmp`;
+    await fs.ensureDir(STATE_DIR);
+    await fs.writeFile(tmpFile, JSON.stringify(entries, null, 2));
+    await fs.rename(tmpFile, CANDIDATES_FILE);
+  }
+
+  /**
+   * Run fn(entries) with the candidates file to itself, then save the (pruned) entries.
+   * Nothing is saved when fn throws.
+   * @returns {Promise<*>} What fn returned
+   */
+  update(fn) {
+    const run = this.queue.then(async () => {
+      await this.acquireLock();
+      try {
+        const entries = await this.load();
+        const value = await fn(entries);
+
+        // Taken over while fn ran: the file belongs to another process now
+        if (this.lock.signal.aborted) {
+          throw this.lock.signal.reason;
+        }
+        await this.save(this.prune(entries));
+        return value;
+      } finally {
+        await this.lock.release();
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Wait for another process's update() to finish
+  async acquireLock() {
+    const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+    while (!(await this.lock.acquire('candidates'))) {
+      if (Date.now() >= giveUpAt) {
+        logger.warn({ holder: await this.lock.getHolder() }, 'Customer candidates are still being updated by another process');
+        const error = new Error('Customer candidates are being updated by another process, try again later');
+        error.status = 503;
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  // Drop created and rejected candidates decided more than retentionDays ago
+  prune(entries) {
+    const { retentionDays } = config.customerCreation;
+    if (!retentionDays) {
+      return entries;
+    }
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    return entries.filter(entry => entry.status === 'pending' || !entry.decidedAt || new Date(entry.decidedAt).getTime() >= cutoff);
+  }
+
+  async list({ status } = {}) {
+    const entries = await this.load();
+    return status ? entries.filter(entry => entry.status === status) : entries;
+  }
+
+  async get(id) {
+    const entries = await this.load();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  getCustomerFields(candidate) {
+    const fields = { [config.fields.customerPhone]: candidate.phone };
+    if (candidate.name) fields[config.customerCreation.nameField] = candidate.name;
+    if (candidate.country && config.fields.customerCountry) fields[config.fields.customerCountry] = candidate.country;
+    return fields;
+  }
+
+  // Group a page's eligible calls by number, merging them into existing candidates
+  mergeCalls(entries, built) {
+    const now = new Date().toISOString();
+
+    for (const { callId, normalizedPhone, externalNumber, call } of built) {
+      let entry = entries.find(e => e.phone === normalizedPhone);
+      if (!entry) {
+        entry = {
+          id: crypto.randomUUID(),
+          phone: normalizedPhone,
+          externalNumber,
+          name: null,
+          country: getPhoneCountry(normalizedPhone),
+          callIds: [],
+          status: 'pending',
+          customerId: null,
+          createdAt: now,
+          decidedAt: null
+        };
+        entries.push(entry);
+      }
+
+      // The Dialpad contact name is only a guess; keep the first real one
+      entry.name = entry.name || call.contact?.name || null;
+      if (!entry.callIds.includes(String(callId))) {
+        entry.callIds.push(String(callId));
+      }
+      entry.lastSeenAt = now;
+    }
+  }
+
+  /**
+   * Handle a page's unmatched, eligible calls
+   * @param {Array<Object>} built - buildCallRecord() results plus the raw call
+   * @param {AirtableClient} airtable
+   * @returns {Promise<{linked: Map, created: number, queued: number}>} linked is phone -> new customer ID
+   */
+  async processCalls(built, airtable) {
+    const result = { linked: new Map(), created: 0, queued: 0 };
+    await this.update(entries => this.mergeAndCreate(entries, built, airtable, result));
+
+    if (result.created > 0 || result.queued > 0) {
+      logger.info({ created: result.created, queued: result.queued }, 'Processed customer candidates');
+    }
+    return result;
+  }
+
+  // Body of processCalls(), run inside update()
+  async mergeAndCreate(entries, built, airtable, result) {
+    const rejected = new Set(entries.filter(e => e.status === 'rejected').map(e => e.phone));
+    const calls = built.filter(b => !rejected.has(b.normalizedPhone));
+
+    if (calls.length === 0) {
+      return;
+    }
+
+    this.mergeCalls(entries, calls);
+    const phones = new Set(calls.map(b => b.normalizedPhone));
+    const pending = entries.filter(e => phones.has(e.phone) && e.status === 'pending');
+
+    if (config.customerCreation.mode === 'auto' && pending.length > 0) {
+      const { created, failures } = await airtable.createCustomers(pending.map(e => this.getCustomerFields(e)));
+
+      pending.forEach((entry, index) => {
+        if (created[index]) {
+          entry.status = 'created';
+          entry.customerId = created[index].id;
+          entry.decidedAt = new Date().toISOString();
+          result.created++;
+        }
+      });
+
+      if (failures.length > 0) {
+        logger.warn({ failed: failures.reduce((sum, f) => sum + f.records.length, 0) }, 'Some customers could not be created; their calls stay unmatched');
+      }
+    } else {
+      result.queued = pending.length;
+    }
+
+    // Numbers created earlier in this run (or by an approval) link straight away
+    for (const entry of entries) {
+      if (phones.has(entry.phone) && entry.status === 'created') {
+        result.linked.set(entry.phone, entry.customerId);
+      }
+    }
+  }
+
+  /**
+   * Create the customer for a pending candidate and link its calls to it
+   * @returns {Promise<Object>} Updated candidate
+   */
+  async approve(id, airtable, overrides = {}) {
+    const entry = await this.update(async (entries) => {
+      const entry = this.findPending(entries, id);
+
+      if (overrides.name) entry.name = overrides.name;
+      if (overrides.country) entry.country = overrides.country;
+
+      const { created, failures } = await airtable.createCustomers([this.getCustomerFields(entry)]);
+      if (!created[0]) {
+        throw failures[0].error;
+      }
+
+      entry.status = 'created';
+      entry.customerId = created[0].id;
+      entry.decidedAt = new Date().toISOString();
+      return { ...entry, callIds: [...entry.callIds] };
+    });
+
+    await this.linkCalls(entry, airtable);
+    logger.info({ id, customerId: entry.customerId, calls: entry.callIds.length }, 'Customer candidate approved');
+    return entry;
+  }
+
+  async reject(id) {
+    const entry = await this.update((entries) => {
+      const entry = this.findPending(entries, id);
+      entry.status = 'rejected';
+      entry.decidedAt = new Date().toISOString();
+      return { ...entry };
+    });
+
+    logger.info({ id, phone: entry.phone }, 'Customer candidate rejected');
+    return entry;
+  }
+
+  findPending(entries, id) {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) {
+      const error = new Error('Customer candidate not found');
+      error.status = 404;
+      throw error;
+    }
+    if (entry.status !== 'pending') {
+      const error = new Error(`Customer candidate is already ${entry.status}`);
+      error.status = 409;
+      throw error;
+    }
+    return entry;
+  }
+
+  // Re-point calls synced while the candidate was pending at the new customer
+  async linkCalls(entry, airtable) {
+    const mergeField = getMergeField();
+    const records = entry.callIds.map(callId => ({
+      [mergeField]: callId,
+      [config.fields.callsCustomerLink]: [entry.customerId],
+      [config.fields.callsUnmatchedPhone]: null
+    }));
+
+    const { failures } = await airtable.upsertCalls(records);
+    for (const failure of failures) {
+      await deadLetters.add('primary', { records: failure.records }, failure.error);
+    }
+
+    try {
+      store.linkCustomer(entry.callIds, entry.customerId);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to link calls in local store');
+    }
+  }
+}
+
+module.exports = new CustomerCandidates();
+module.exports.MODES = MODES;
+module.exports.isEligible = isEligible;
+module.exports.getPhoneCountry = getPhoneCountry;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const pino = require('pino');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+const DEAD_LETTER_FILE = path.join(STATE_DIR, 'dead-letters.json');
+
+// Entries with this many failed attempts are no longer retried automatically
+const MAX_AUTO_ATTEMPTS = parseInt(process.env.DEAD_LETTER_MAX_ATTEMPTS || '5');
+
+// Keep what is useful for diagnosis from an axios or plain error
+function describeError(error) {
+  return {
+    message: error.message,
+    status: error.response?.status || null,
+    data: error.response?.data || null
+  };
+}
+
+/**
+ * Persistent store for payloads that failed to write, keyed by the sink's deadLetterKind.
+ * kind 'primary' holds call records for the calls table;
+ * kind 'secondary' holds the target name and [phone, callData] entries for a secondary base;
+ * kind 'postgres' holds page entries (raw call plus mapped record) for the PostgreSQL sink.
+ */
+class DeadLetterStore {
+  async load() {
+    try {
+      if (await fs.pathExists(DEAD_LETTER_FILE)) {
+        return await fs.readJson(DEAD_LETTER_FILE);
+      }
+    } catch (error) {
+      logger.error(error, 'Failed to read dead letters');
+    }
+    return [];
+  }
+
+  async save(entries) {
+    const tmpFile = `${DEAD_LETTER_FILE}.tmp`;
+    await fs.ensureDir(STATE_DIR);
+    await fs.writeFile(tmpFile, JSON.stringify(entries, null, 2));
+    await fs.rename(tmpFile, DEAD_LETTER_FILE);
+  }
+
+  async list({ kind } = {}) {
+    const entries = await this.load();
+    return kind ? entries.filter(entry => entry.kind === kind) : entries;
+  }
+
+  async get(id) {
+    const entries = await this.load();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  async add(kind, payload, error) {
+    const entries = await this.load();
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      kind,
+      payload,
+      error: describeError(error),
+      attempts: 1,
+      createdAt: now,
+      lastAttemptAt: now
+    };
+
+    entries.push(entry);
+    await this.save(entries);
+
+    logger.warn({ id: entry.id, kind, error: entry.error.message }, 'Payload written to dead-letter store');
+    return entry;
+  }
+
+  async recordFailure(id, error) {
+    const entries = await this.load();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.attempts++;
+    entry.error = describeError(error);
+    entry.lastAttemptAt = new Date().toISOString();
+    await this.save(entries);
+    return entry;
+  }
+
+  async remove(id) {
+    const entries = await this.load();
+    const remaining = entries.filter(entry => entry.id !== id);
+    if (remaining.length === entries.length) {
+      return false;
+    }
+
+    await this.save(remaining);
+    return true;
+  }
+
+  async clear() {
+    const entries = await this.load();
+    await this.save([]);
+    return entries.length;
+  }
+
+  // Entries still eligible for the automatic retry at sync start
+  async getRetryable() {
+    const entries = await this.load();
+    return entries.filter(entry => entry.attempts < MAX_AUTO_ATTEMPTS);
+  }
+}
+
+module.exports = new DeadLetterStore();
@@ -0,0 +1,253 @@
+const axios = require('axios');
+const pino = require('pino');
+const retry = require('./retry');
+const { config } = require('./config');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+// Dialpad API client
+class DialpadClient {
+  constructor() {
+    this.axios = axios.create({
+      baseURL: config.dialpad.baseUrl,
+      headers: {
+        'accept': 'application/json',
+        'authorization': `Bearer ${config.dialpad.apiKey}`
+      },
+      timeout: 30000
+    });
+    
+    // Add response interceptor for debugging
+    this.axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response) {
+          logger.error({
+            status: error.response.status,
+            data: error.response.data,
+            headers: error.response.headers
+          }, 'Dialpad API error response');
+        }
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  async testConnection() {
+    try {
+      // Try a simple API call to test the connection
+      const response = await this.axios.get('/api/v2/call', {
+        params: {
+          started_after: Date.now() - (60 * 60 * 1000), // Last hour
+          started_before: Date.now(),
+          limit: 1
+        }
+      });
+      logger.info('Dialpad API connection successful');
+      return true;
+    } catch (error) {
+      logger.error('Dialpad API connection failed:', error.message);
+      if (error.response?.status === 401) {
+        throw new Error('Invalid Dialpad API key. Please check your credentials.');
+      } else if (error.response?.status === 400) {
+        const errorMessage = error.response?.data?.error?.message || error.message;
+        throw new Error(`Dialpad API error: ${errorMessage}`);
+      }
+      throw error;
+    }
+  }
+
+  async getCalls(startedAfter, startedBefore, cursor = null) {
+    // Ensure timestamps are valid
+    if (startedAfter >= startedBefore) {
+      logger.warn({
+        startedAfter: new Date(startedAfter).toISOString(),
+        startedBefore: new Date(startedBefore).toISOString(),
+        issue: 'Start time is after or equal to end time'
+      }, 'Invalid time window, skipping');
+      return { items: [], cursor: null };
+    }
+    
+    const params = {
+      started_after: Math.floor(startedAfter),
+      started_before: Math.floor(startedBefore),
+      limit: config.sync.pageSize // Already capped at 50
+    };
+    
+    if (cursor) {
+      params.cursor = cursor;
+    }
+
+    logger.info({
+      startedAfter: new Date(startedAfter).toISOString(),
+      startedBefore: new Date(startedBefore).toISOString(),
+      startedAfterEDT: new Date(startedAfter).toLocaleString('en-US', { timeZone: 'America/New_York' }),
+      startedBeforeEDT: new Date(startedBefore).toLocaleString('en-US', { timeZone: 'America/New_York' }),
+      startedAfterEpoch: startedAfter,
+      startedBeforeEpoch: startedBefore,
+      limit: params.limit,
+      cursor: cursor ? 'present' : 'none'
+    }, 'Fetching calls from Dialpad');
+
+    try {
+      const response = await retry(
+        () => this.axios.get('/api/v2/call', { params }),
+        'Dialpad getCalls',
+        { policy: 'dialpad', breaker: 'dialpad' }
+      );
+      
+      const items = response.data.items || [];
+      const nextCursor = response.data.cursor || null;
+      
+      logger.info({
+        retrieved: items.length,
+        hasMore: !!nextCursor
+      }, 'Retrieved calls from Dialpad');
+      
+      // Log first call's time if available for debugging
+      if (items.length > 0) {
+        const firstCall = items[0];
+        logger.debug({
+          firstCallStart: new Date(parseInt(firstCall.date_started)).toISOString(),
+          firstCallStartEDT: new Date(parseInt(firstCall.date_started)).toLocaleString('en-US', { timeZone: 'America/New_York' }),
+          firstCallEpoch: firstCall.date_started
+        }, 'First call in results');
+      }
+      
+      return {
+        items,
+        cursor: nextCursor
+      };
+    } catch (error) {
+      if (error.response?.status === 400) {
+        const errorMessage = error.response?.data?.error?.message || 'Bad request';
+        logger.error(`Dialpad API 400 error: ${errorMessage}`);
+        
+        // Log the actual request for debugging
+        logger.error({
+          url: error.config?.url,
+          params: error.config?.params
+        }, 'Failed request details');
+        
+        throw new Error(`Dialpad API error: ${errorMessage}`);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Transcript of a call
+   * @returns {Promise<Object|null>} { lines: [...] } or null when there is none (yet)
+   */
+  async getTranscript(callId) {
+    try {
+      const response = await retry(
+        () => this.axios.get(`/api/v2/transcripts/${encodeURIComponent(callId)}`),
+        'Dialpad getTranscript',
+        { policy: 'dialpad', breaker: 'dialpad' }
+      );
+      return response.data || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Dialpad AI recap (summary and action items) of a call
+   * @returns {Promise<Object|null>} Recap, or null when there is none (yet)
+   */
+  async getAiRecap(callId) {
+    try {
+      const response = await retry(
+        () => this.axios.get(`/api/v2/call/${encodeURIComponent(callId)}/ai_recap`),
+        'Dialpad getAiRecap',
+        { policy: 'dialpad', breaker: 'dialpad' }
+      );
+      return response.data || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a public share link for a recording
+   * @returns {Promise<{id: string, accessLink: string, createdAt: string}|null>} null if Dialpad returned no link
+   */
+  async createRecordingShareLink(recordingId, recordingType = 'admincallrecording') {
+    try {
+      logger.info({
+        recordingId,
+        recordingType
+      }, 'Creating recording share link');
+      
+      const response = await this.axios.post('/api/v2/recordingsharelink', {
+        recording_id: recordingId,
+        recording_type: recordingType,
+        privacy: 'public'
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${config.dialpad.apiKey}`
+        }
+      });
+      
+      const accessLink = response.data?.access_link || response.data?.url || null;
+      
+      logger.info({
+        recordingId,
+        hasLink: !!accessLink
+      }, 'Recording share link created');
+      
+      if (!accessLink) {
+        return null;
+      }
+
+      return {
+        id: response.data?.id || null,
+        accessLink,
+        createdAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error({
+        recordingId,
+        error: error.message,
+        errorData: error.response?.data
+      }, 'Failed to create recording share link');
+      return null;
+    }
+  }
+
+  /**
+   * Delete a share link so the recording is no longer public
+   * @param {string} linkId - Share link ID returned when it was created
+   */
+  async revokeRecordingShareLink(linkId) {
+    try {
+      await this.axios.delete(`/api/v2/recordingsharelink/${encodeURIComponent(linkId)}`);
+      logger.info({ linkId }, 'Recording share link revoked');
+      return true;
+    } catch (error) {
+      // Already gone counts as revoked
+      if (error.response?.status === 404) {
+        return true;
+      }
+      logger.error({
+        linkId,
+        error: error.message,
+        errorData: error.response?.data
+      }, 'Failed to revoke recording share link');
+      throw error;
+    }
+  }
+}
+
+module.exports = DialpadClient;
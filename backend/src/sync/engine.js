@@ -1,4 +1,10 @@
 const state = require('./state');
+const deadLetters = require('./deadLetters');
+const rateLimiter = require('./rateLimiter');
+const store = require('./store');
+const syncLock = require('./lock');
+const { config } = require('./config');
+const { getBreakerStates } = require('./retry');
 
 class SyncEngine {
   constructor(logger, io) {
@@ -7,20 +13,52 @@ class SyncEngine {
     this.isSyncing = false;
     this.lastSyncResult = null;
     this.syncHistory = [];
+    this.abortController = null;
+    this.runKey = null; // Checkpoint key of the running sync
+    this.progress = null; // Latest sync:progress payload of the running sync
   }
 
-  async run() {
+  /**
+   * Take the cross-process sync lock once isSyncing is set; the flag is cleared again
+   * if taking the lock fails, so a broken STATE_DIR does not block later runs
+   * @returns {Promise<boolean>} false when another process holds the lock
+   */
+  async acquireLock() {
+    try {
+      return await syncLock.acquire('server');
+    } catch (error) {
+      this.isSyncing = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Run a sync
+   * @param {Object} options - Passed through to sync(), e.g. { dryRun: true }
+   */
+  async run(options = {}) {
     if (this.isSyncing) {
       this.logger.warn('Sync already in progress, skipping...');
       return { error: 'Sync already in progress' };
     }
 
     this.isSyncing = true;
+
+    // The standalone cron sync may be running in another process
+    if (!(await this.acquireLock())) {
+      this.isSyncing = false;
+      this.logger.warn({ holder: await syncLock.getHolder() }, 'Sync lock held by another process, skipping...');
+      return { error: 'Sync already in progress' };
+    }
+
+    this.abortController = new AbortController();
+    this.runKey = options.runKey || null;
     const startTime = Date.now();
 
     // Emit sync started event
     if (this.io) {
       this.io.to('sync-updates').emit('sync:started', {
+        dryRun: !!options.dryRun,
         timestamp: new Date().toISOString()
       });
     }
@@ -32,13 +70,24 @@ class SyncEngine {
       const sync = require('./sync');
       
       // Run the sync
-      const result = await sync();
+      const result = await sync({
+        ...options,
+        // Cancelled through the API, or the lock was taken over by another process
+        signal: AbortSignal.any([this.abortController.signal, syncLock.signal]),
+        onProgress: (progress) => {
+          this.progress = { ...progress, timestamp: new Date().toISOString() };
+          if (this.io) {
+            this.io.to('sync-updates').emit('sync:progress', this.progress);
+          }
+        }
+      });
       
       const duration = Date.now() - startTime;
       
       // Store result
       this.lastSyncResult = {
         ...result,
+        status: result.cancelled ? 'cancelled' : 'completed',
         duration,
         timestamp: new Date().toISOString()
       };
@@ -49,9 +98,13 @@ class SyncEngine {
         this.syncHistory = this.syncHistory.slice(0, 100);
       }
 
-      // Emit sync completed event
+      // Emit sync completed (or cancelled) event
       if (this.io) {
-        this.io.to('sync-updates').emit('sync:completed', this.lastSyncResult);
+        this.io.to('sync-updates').emit(result.cancelled ? 'sync:cancelled' : 'sync:completed', this.lastSyncResult);
+      }
+      
+      if (result.resumed) {
+        this.logger.info('Sync resumed an unfinished run from its last checkpoint');
       }
       
       this.logger.info({ result, duration }, 'Sync completed');
@@ -62,6 +115,8 @@ class SyncEngine {
       
       const errorResult = {
         success: false,
+        status: 'failed',
+        dryRun: !!options.dryRun,
         error: error.message,
         duration: Date.now() - startTime,
         timestamp: new Date().toISOString()
@@ -79,22 +134,114 @@ class SyncEngine {
       
     } finally {
       this.isSyncing = false;
+      this.abortController = null;
+      this.runKey = null;
+      this.progress = null;
+      await syncLock.release();
     }
   }
 
+  /**
+   * Ask the running sync to stop after its current page
+   * @param {string} runKey - Only stop the sync if it runs under this checkpoint key
+   */
+  cancel(runKey = null) {
+    if (!this.abortController || (runKey && runKey !== this.runKey)) {
+      const error = new Error('No sync is running');
+      error.status = 409;
+      throw error;
+    }
+
+    if (!this.abortController.signal.aborted) {
+      this.abortController.abort();
+      this.logger.info('Sync cancellation requested');
+    }
+
+    return {
+      success: true,
+      message: 'Sync will stop after the current page'
+    };
+  }
+
   async getStatus() {
     const fullState = await state.getFullState();
+    const activeRun = await state.getRun();
+    const deadLetterEntries = await deadLetters.list();
+
+    let enrichment = null;
+    if (config.enrichment.enabled) {
+      try {
+        enrichment = store.getEnrichmentCounts();
+      } catch (error) {
+        this.logger.error({ error: error.message }, 'Failed to read enrichment counts');
+      }
+    }
     
     return {
       isSyncing: this.isSyncing,
+      lock: await syncLock.getHolder(),
+      cancelRequested: !!this.abortController?.signal.aborted,
+      progress: this.progress,
       lastSync: this.lastSyncResult,
       state: fullState,
+      activeRun: activeRun ? {
+        mode: activeRun.mode,
+        windowStart: new Date(activeRun.windowStart).toISOString(),
+        windowEnd: new Date(activeRun.windowEnd).toISOString(),
+        pagesDone: activeRun.pagesDone,
+        counts: activeRun.counts,
+        startedAt: activeRun.startedAt,
+        updatedAt: activeRun.updatedAt
+      } : null,
+      deadLetters: deadLetterEntries.length,
+      enrichment,
+      secondaryTargets: config.secondaryTargets.map(target => ({
+        name: target.name,
+        baseId: target.baseId,
+        table: target.table,
+        matching: target.matching,
+        lastResult: this.lastSyncResult?.sinks?.[`secondary:${target.name}`] || null
+      })),
+      airtableRateLimit: rateLimiter.getStats(),
+      circuitBreakers: getBreakerStates(),
       history: this.syncHistory.slice(0, 10) // Last 10 syncs
     };
   }
 
-  async resetState() {
+  /**
+   * Retry dead-lettered payloads outside a sync run
+   * @param {Array<string>} ids - Entries to retry; all entries when omitted
+   */
+  async retryDeadLetters(ids = null) {
     if (this.isSyncing) {
+      const error = new Error('Cannot retry dead letters while sync is in progress');
+      error.status = 409;
+      throw error;
+    }
+
+    this.isSyncing = true;
+    if (!(await this.acquireLock())) {
+      this.isSyncing = false;
+      const error = new Error('Cannot retry dead letters while another process is syncing');
+      error.status = 409;
+      throw error;
+    }
+
+    try {
+      const { retryDeadLetters } = require('./sync');
+      const targetIds = ids || (await deadLetters.list()).map(entry => entry.id);
+      const result = await retryDeadLetters({ ids: targetIds });
+      this.logger.info(result, 'Dead-letter retry completed');
+      return result;
+    } finally {
+      this.isSyncing = false;
+      await syncLock.release();
+    }
+  }
+
+  async resetState() {
+    const holder = await syncLock.getHolder();
+    if (this.isSyncing || (holder && !holder.stale)) {
       throw new Error('Cannot reset state while sync is in progress');
     }
     
@@ -0,0 +1,143 @@
+const pino = require('pino');
+const store = require('./store');
+const deadLetters = require('./deadLetters');
+const { config } = require('./config');
+const { getMergeField } = require('./mapping');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+// Airtable long text fields hold at most 100,000 characters
+const MAX_TEXT_LENGTH = 100000;
+
+function truncate(text) {
+  if (!text) return null;
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 1)}…` : text;
+}
+
+// "Speaker: words" per transcript line, skipping moments and other non-speech entries
+function formatTranscript(transcript) {
+  const lines = (transcript?.lines || [])
+    .filter(line => !line.type || line.type === 'transcript')
+    .map(line => (line.name ? `${line.name}: ${line.content}` : line.content))
+    .filter(Boolean);
+
+  return lines.length > 0 ? truncate(lines.join('\n')) : null;
+}
+
+function formatRecap(recap) {
+  const summary = recap?.summary?.content || recap?.summary || null;
+  return typeof summary === 'string' ? truncate(summary) : null;
+}
+
+function formatActionItems(recap) {
+  const items = (recap?.action_items || [])
+    .map(item => (typeof item === 'string' ? item : item.content))
+    .filter(Boolean);
+
+  return items.length > 0 ? truncate(items.map(item => `- ${item}`).join('\n')) : null;
+}
+
+/**
+ * Queue connected calls for enrichment after they have been written to the store
+ * @param {Array<Object>} entries - Store entries of the page ({ callId, call })
+ */
+function queueForEnrichment(entries) {
+  if (!config.enrichment.enabled) return;
+
+  const callIds = entries
+    .filter(({ call }) => call.date_connected && call.duration > 0)
+    .map(({ callId }) => callId);
+
+  if (callIds.length > 0) {
+    store.markEnrichmentPending(callIds);
+  }
+}
+
+/**
+ * Fetch transcripts and AI recaps for queued calls and write them to the store, and to
+ * Airtable when it is one of the sync's sinks. A call stays queued until both its transcript
+ * and its recap are there; once maxAttempts is reached it is written with whatever it has.
+ * @returns {Promise<Object>} { checked, enriched, notReady, gaveUp, failed }
+ */
+async function enrichCalls(dialpad, airtable) {
+  const result = { checked: 0, enriched: 0, notReady: 0, gaveUp: 0, failed: 0 };
+  const pending = store.getPendingEnrichment(config.enrichment.batchLimit);
+
+  if (pending.length === 0) {
+    return result;
+  }
+
+  logger.info({ count: pending.length }, 'Enriching calls with transcripts and AI recaps');
+
+  const mergeField = getMergeField();
+  const updates = [];
+
+  for (const { callId, attempts } of pending) {
+    result.checked++;
+    const lastAttempt = attempts + 1 >= config.enrichment.maxAttempts;
+
+    try {
+      const transcript = formatTranscript(await dialpad.getTranscript(callId));
+      await new Promise(resolve => setTimeout(resolve, config.enrichment.requestDelayMs));
+      const recap = await dialpad.getAiRecap(callId);
+      await new Promise(resolve => setTimeout(resolve, config.enrichment.requestDelayMs));
+
+      const enrichment = {
+        transcript,
+        recap: formatRecap(recap),
+        actionItems: formatActionItems(recap)
+      };
+
+      const complete = enrichment.transcript && enrichment.recap;
+      if (complete || (lastAttempt && (enrichment.transcript || enrichment.recap))) {
+        store.saveEnrichment(callId, enrichment);
+        updates.push({
+          [mergeField]: callId,
+          [config.enrichment.transcriptField]: enrichment.transcript,
+          [config.enrichment.recapField]: enrichment.recap,
+          [config.enrichment.actionItemsField]: enrichment.actionItems
+        });
+        result.enriched++;
+        continue;
+      }
+
+      result.notReady++;
+    } catch (error) {
+      // Dialpad is failing fast; leave the rest queued without spending their attempts
+      if (error.circuitOpen) {
+        logger.warn('Dialpad circuit open, stopping enrichment for this run');
+        break;
+      }
+      logger.warn({ callId, error: error.message }, 'Failed to fetch call enrichment');
+      result.failed++;
+    }
+
+    // Not ready, only partly ready or failed: try again later unless attempts are used up
+    const nextAttemptAt = lastAttempt
+      ? null
+      : new Date(Date.now() + config.enrichment.retryMinutes * 60 * 1000).toISOString();
+    store.recordEnrichmentAttempt(callId, nextAttemptAt);
+    if (lastAttempt) result.gaveUp++;
+  }
+
+  // The calls table is only written when the sync writes calls to Airtable at all
+  if (updates.length > 0 && config.sinks.includes('airtable')) {
+    const { failures } = await airtable.upsertCalls(updates);
+    for (const failure of failures) {
+      await deadLetters.add('primary', { records: failure.records }, failure.error);
+    }
+  }
+
+  logger.info(result, 'Call enrichment completed');
+  return result;
+}
+
+module.exports = {
+  formatTranscript,
+  formatRecap,
+  formatActionItems,
+  queueForEnrichment,
+  enrichCalls
+};
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+
+const HEARTBEAT_SECONDS = parseInt(process.env.SYNC_LOCK_HEARTBEAT_SECONDS || '15');
+// A holder that has not refreshed its heartbeat for this long is presumed dead
+const STALE_SECONDS = parseInt(process.env.SYNC_LOCK_STALE_SECONDS || '120');
+// Removing a lock takes milliseconds; a guard older than this was left by a crashed process
+const GUARD_STALE_MS = 10 * 1000;
+const GUARD_WAIT_MS = 20;
+const GUARD_ATTEMPTS = 50;
+// Error code of the abort reason when the lock is taken over mid-run
+const LOCK_LOST = 'LOCK_LOST';
+
+// Signal 0 only checks that the process exists; EPERM means it exists under another user
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Lock file under STATE_DIR shared by the API server and the standalone scripts run
+ * by PM2 (sync.js, replay.js). Created exclusively, kept alive with a heartbeat, and
+ * taken over when the holder's PID is gone (same host) or its heartbeat has gone quiet.
+ * The module exports the sync lock (sync.lock); other state files that several
+ * processes rewrite create their own FileLock.
+ *
+ * The file's content never changes after it is created; the heartbeat is its mtime.
+ * Every removal (release or stale takeover) holds a second, short-lived guard file and
+ * checks the token first. Creation is exclusive and removers take turns, so the lock
+ * checked is the lock removed, never one another process has just taken.
+ *
+ * If the heartbeat finds the lock taken over anyway (this process stalled past
+ * STALE_SECONDS), signal is aborted with a LOCK_LOST error and the work must stop.
+ */
+class FileLock {
+  /**
+   * @param {string} file - Lock file path
+   * @param {string} name - For log and error messages, e.g. 'Sync lock'
+   */
+  constructor(file, name) {
+    this.file = file;
+    this.guardFile = `${file}.guard`;
+    this.name = name;
+    this.token = null;
+    this.heartbeatTimer = null;
+    this.lost = new AbortController();
+
+    // Do not leave the lock behind on a normal exit
+    process.once('exit', () => this.releaseSync());
+  }
+
+  async read() {
+    try {
+      const [holder, stats] = await Promise.all([fs.readJson(this.file), fs.stat(this.file)]);
+      return { ...holder, heartbeatAt: stats.mtime.toISOString() };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error: error.message }, `Unreadable ${this.name.toLowerCase()} file`);
+      }
+      return null;
+    }
+  }
+
+  // Aborted when the lock held by this process is taken over by another
+  get signal() {
+    return this.lost.signal;
+  }
+
+  isStale(holder) {
+    if (holder.hostname === os.hostname() && !isProcessAlive(holder.pid)) {
+      return true;
+    }
+    return Date.now() - new Date(holder.heartbeatAt).getTime() > STALE_SECONDS * 1000;
+  }
+
+  /**
+   * Take the lock
+   * @param {string} owner - Who takes it, e.g. 'server' or 'cli'
+   * @returns {Promise<boolean>} false when another live process holds it
+   */
+  async acquire(owner) {
+    if (this.token) {
+      return false;
+    }
+
+    await fs.ensureDir(path.dirname(this.file));
+    const token = crypto.randomUUID();
+    const holder = {
+      token,
+      owner,
+      pid: process.pid,
+      hostname: os.hostname(),
+      acquiredAt: new Date().toISOString()
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.writeFile(this.file, JSON.stringify(holder, null, 2), { flag: 'wx' });
+        this.token = token;
+        this.lost = new AbortController();
+        this.startHeartbeat();
+        logger.debug({ owner }, `${this.name} acquired`);
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const existing = await this.read();
+      if (existing && !this.isStale(existing)) {
+        return false;
+      }
+
+      // Only the stale holder's lock is removed; if another process took over first, try again
+      if (existing) {
+        logger.warn({ holder: existing }, `Removing stale ${this.name.toLowerCase()}`);
+        await this.removeIfOwnedBy(existing.token);
+      }
+    }
+
+    return false;
+  }
+
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => logger.error({ error: error.message }, `${this.name} heartbeat failed`));
+    }, HEARTBEAT_SECONDS * 1000);
+    this.heartbeatTimer.unref();
+  }
+
+  // Refresh the mtime, only while the file still carries this process's token
+  async heartbeat() {
+    if (!this.token) {
+      return;
+    }
+
+    const holder = await this.read();
+    if (!holder || holder.token !== this.token) {
+      logger.error({ holder }, `${this.name} was taken over by another process, stopping its holder`);
+      clearInterval(this.heartbeatTimer);
+      this.token = null;
+
+      const error = new Error(`${this.name} was taken over by another process`);
+      error.code = LOCK_LOST;
+      this.lost.abort(error);
+      return;
+    }
+
+    const now = new Date();
+    await fs.utimes(this.file, now, now);
+  }
+
+  // Take the guard that removals hold; false if it stayed busy
+  async takeGuard() {
+    // Unique content, so an abandoned guard can be told apart from one created since
+    const nonce = crypto.randomUUID();
+
+    for (let attempt = 0; attempt < GUARD_ATTEMPTS; attempt++) {
+      try {
+        await fs.writeFile(this.guardFile, nonce, { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (!(await this.removeAbandonedGuard())) {
+        await new Promise(resolve => setTimeout(resolve, GUARD_WAIT_MS));
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Remove a guard left behind by a crashed process.
+   * Only the process that exclusively creates the takeover file named after that guard's
+   * nonce may remove it, and it checks the guard again while holding that file. No other
+   * process can remove that guard meanwhile, so no new guard can replace it, and the
+   * guard checked is the guard removed.
+   * @returns {Promise<boolean>} Whether a guard was removed
+   */
+  async removeAbandonedGuard() {
+    const readGuard = async () => {
+      try {
+        const nonce = await fs.readFile(this.guardFile, 'utf8');
+        const stats = await fs.stat(this.guardFile);
+        return Date.now() - stats.mtimeMs > GUARD_STALE_MS ? nonce : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const nonce = await readGuard();
+    if (nonce === null) {
+      return false;
+    }
+
+    const takeoverFile = `${this.guardFile}.takeover-${nonce}`;
+    try {
+      await fs.writeFile(takeoverFile, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      return false;
+    }
+
+    try {
+      if ((await readGuard()) !== nonce) {
+        return false;
+      }
+      logger.warn(`Removing abandoned ${this.name.toLowerCase()} guard`);
+      await fs.remove(this.guardFile);
+      return true;
+    } finally {
+      await fs.remove(takeoverFile);
+    }
+  }
+
+  /**
+   * Remove the lock file if it carries the given token
+   * @returns {Promise<boolean>} Whether it was removed
+   */
+  async removeIfOwnedBy(token) {
+    if (!(await this.takeGuard())) {
+      logger.warn(`${this.name} guard is busy; lock left in place`);
+      return false;
+    }
+
+    try {
+      const holder = await this.read();
+      if (holder?.token !== token) {
+        return false;
+      }
+      await fs.remove(this.file);
+      return true;
+    } finally {
+      await fs.remove(this.guardFile);
+    }
+  }
+
+  async release() {
+    if (!this.token) {
+      return;
+    }
+
+    clearInterval(this.heartbeatTimer);
+    await this.removeIfOwnedBy(this.token);
+    this.token = null;
+    logger.debug(`${this.name} released`);
+  }
+
+  // Same as release(), for the exit handler where only synchronous calls run.
+  // If the guard is busy the lock stays behind and is taken over once this PID is gone.
+  releaseSync() {
+    if (!this.token) {
+      return;
+    }
+
+    try {
+      fs.writeFileSync(this.guardFile, crypto.randomUUID(), { flag: 'wx' });
+      try {
+        if (fs.readJsonSync(this.file, { throws: false })?.token === this.token) {
+          fs.removeSync(this.file);
+        }
+      } finally {
+        fs.removeSync(this.guardFile);
+      }
+    } catch (error) {
+      // Guard busy or nothing to clean up
+    }
+    this.token = null;
+  }
+
+  /**
+   * Current holder for status reporting, without its token
+   * @returns {Promise<Object|null>}
+   */
+  async getHolder() {
+    const holder = await this.read();
+    if (!holder) {
+      return null;
+    }
+
+    const { token, ...info } = holder;
+    return {
+      ...info,
+      thisProcess: token === this.token,
+      stale: this.isStale(holder)
+    };
+  }
+}
+
+module.exports = new FileLock(path.join(STATE_DIR, 'sync.lock'), 'Sync lock');
+module.exports.FileLock = FileLock;
+module.exports.LOCK_LOST = LOCK_LOST;
@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const pino = require('pino');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+const CONFIG_FILE = path.join(STATE_DIR, 'config.json');
+
+// Source of the call ID entry; its target is the upsert merge field
+const CALL_ID_SOURCE = '$callId';
+
+/**
+ * Default mapping from the Dialpad call payload to Airtable columns.
+ * Sources are dot paths into the call JSON ('contact.name', 'recording_url.0');
+ * '$callId' and '$recordingUrl' are values resolved by buildCallRecord().
+ */
+const DEFAULT_FIELD_MAPPING = [
+  { source: CALL_ID_SOURCE, target: 'Call ID' },
+  { source: 'direction', target: 'Direction', transform: 'labelMap', map: { inbound: 'Inbound' }, default: 'Outbound' },
+  { source: 'date_started', target: 'Start Time', transform: 'isoDate' },
+  { source: 'date_connected', target: 'Date Connected', transform: 'isoDate' },
+  { source: 'date_ended', target: 'End Time', transform: 'isoDate' },
+  { source: 'duration', target: 'Duration (s)', transform: 'seconds', default: 0 },
+  { source: 'contact.name', target: 'Contact Name', default: 'Unknown' },
+  { source: 'target.name', target: 'Target', default: 'N/A' },
+  { source: 'was_recorded', target: 'Was Recorded', transform: 'boolean', default: false },
+  { source: 'mos_score', target: 'MOS Score' },
+  { source: '$recordingUrl', target: 'Recording URL', omitIfEmpty: true }
+];
+
+const TRANSFORMS = {
+  // Epoch milliseconds (number or numeric string) to ISO 8601
+  isoDate: (value) => new Date(parseInt(value)).toISOString(),
+  // Milliseconds to whole seconds
+  seconds: (value) => Math.floor(Number(value) / 1000),
+  // Milliseconds to MM:SS
+  mmss: (value) => {
+    const totalSeconds = Math.floor(Number(value) / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  },
+  labelMap: (value, entry) => {
+    const key = String(value);
+    if (entry.map && Object.prototype.hasOwnProperty.call(entry.map, key)) {
+      return entry.map[key];
+    }
+    return entry.default !== undefined ? entry.default : value;
+  },
+  boolean: (value) => !!value,
+  string: (value) => String(value),
+  number: (value) => Number(value)
+};
+
+let cachedMapping = null;
+let cachedMtimeMs = null;
+
+// Read a dot path such as 'contact.name' or 'recording_url.0'
+function getPath(source, pathStr) {
+  return pathStr.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Current field mapping: `fieldMapping` from the persisted config, or the default.
+ * Re-read whenever config.json changes so updates apply without a restart.
+ */
+function getFieldMapping() {
+  try {
+    if (!fs.pathExistsSync(CONFIG_FILE)) {
+      return DEFAULT_FIELD_MAPPING;
+    }
+
+    const { mtimeMs } = fs.statSync(CONFIG_FILE);
+    if (cachedMtimeMs !== mtimeMs) {
+      const saved = fs.readJsonSync(CONFIG_FILE);
+      cachedMapping = Array.isArray(saved.fieldMapping) && saved.fieldMapping.length > 0
+        ? saved.fieldMapping
+        : null;
+      cachedMtimeMs = mtimeMs;
+    }
+  } catch (error) {
+    logger.error(error, 'Failed to read field mapping, using default');
+    return DEFAULT_FIELD_MAPPING;
+  }
+
+  return cachedMapping || DEFAULT_FIELD_MAPPING;
+}
+
+// Airtable field the given source is mapped to, if any
+function getFieldTarget(source, mapping = getFieldMapping()) {
+  const entry = mapping.find(e => e.source === source);
+  return entry ? entry.target : null;
+}
+
+// Field used to match existing call records on upsert
+function getMergeField(mapping = getFieldMapping()) {
+  return getFieldTarget(CALL_ID_SOURCE, mapping) || 'Call ID';
+}
+
+/**
+ * Field the caller's number is shown under in API records: its mapped column, or
+ * 'External Number' when the mapping does not include it
+ */
+function getExternalNumberField(mapping = getFieldMapping()) {
+  return getFieldTarget('external_number', mapping) || 'External Number';
+}
+
+/**
+ * Apply the field mapping to a call
+ * @param {Object} call - Call object as returned by the Dialpad API
+ * @param {Object} computed - Values for '$' sources, e.g. { callId, recordingUrl }
+ */
+function mapCallFields(call, computed = {}, mapping = getFieldMapping()) {
+  const fields = {};
+
+  for (const entry of mapping) {
+    const raw = entry.source.startsWith('$')
+      ? computed[entry.source.slice(1)]
+      : getPath(call, entry.source);
+
+    let value;
+    if (isEmpty(raw)) {
+      value = entry.default !== undefined ? entry.default : null;
+    } else {
+      const transform = TRANSFORMS[entry.transform];
+      try {
+        value = transform ? transform(raw, entry) : raw;
+      } catch (error) {
+        logger.debug({ field: entry.target, error: error.message }, 'Field transform failed');
+        value = entry.default !== undefined ? entry.default : null;
+      }
+    }
+
+    if (entry.omitIfEmpty && isEmpty(value)) {
+      continue;
+    }
+
+    fields[entry.target] = value;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  CALL_ID_SOURCE,
+  DEFAULT_FIELD_MAPPING,
+  TRANSFORMS,
+  getFieldMapping,
+  getFieldTarget,
+  getMergeField,
+  getExternalNumberField,
+  mapCallFields
+};
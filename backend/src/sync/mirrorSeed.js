@@ -0,0 +1,120 @@
+const pino = require('pino');
+const store = require('./store');
+const { config } = require('./config');
+const { getFieldMapping, getMergeField, getExternalNumberField } = require('./mapping');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+let seeding = null;
+
+function findEntry(mapping, source) {
+  return mapping.find(entry => entry.source === source) || null;
+}
+
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Undo the direction label, e.g. 'Inbound' back to 'inbound'
+function toDirection(value, entry) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (entry?.transform === 'labelMap' && entry.map) {
+    const source = Object.keys(entry.map).find(key => entry.map[key] === value);
+    if (source) {
+      return source;
+    }
+  }
+  return String(value).toLowerCase();
+}
+
+// Whole seconds from the duration as the mapping wrote it
+function toDurationSeconds(value, entry) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  if (entry?.transform === 'mmss') {
+    const [minutes, seconds] = String(value).split(':').map(Number);
+    return (minutes * 60 + seconds) || 0;
+  }
+  if (entry?.transform === 'seconds') {
+    return Math.floor(Number(value)) || 0;
+  }
+  return Math.floor(Number(value) / 1000) || 0;
+}
+
+/**
+ * Convert an Airtable call record into a local store row
+ * @param {Object} record - Airtable record ({ id, fields })
+ * @param {Array<Object>} mapping - Field mapping the record was written with
+ * @returns {Object|null} Row for store.seedCalls, or null without a call ID
+ */
+function toMirrorRow(record, mapping = getFieldMapping()) {
+  const fields = record.fields || {};
+  const valueOf = source => {
+    const entry = findEntry(mapping, source);
+    return entry ? fields[entry.target] : undefined;
+  };
+
+  const callId = fields[getMergeField(mapping)];
+  if (callId === undefined || callId === null || callId === '') {
+    return null;
+  }
+
+  return {
+    callId: String(callId),
+    direction: toDirection(valueOf('direction'), findEntry(mapping, 'direction')),
+    externalNumber: fields[getExternalNumberField(mapping)] || fields[config.fields.callsUnmatchedPhone] || null,
+    normalizedPhone: null,
+    contactName: valueOf('contact.name') || null,
+    target: valueOf('target.name') || null,
+    startTime: toIsoDate(valueOf('date_started')),
+    durationSeconds: toDurationSeconds(valueOf('duration'), findEntry(mapping, 'duration')),
+    wasConnected: valueOf('date_connected') ? 1 : 0,
+    wasRecorded: valueOf('was_recorded') ? 1 : 0,
+    customerId: fields[config.fields.callsCustomerLink]?.[0] || null,
+    fields: JSON.stringify(fields)
+  };
+}
+
+async function copyCalls(airtable) {
+  const mapping = getFieldMapping();
+  const result = { read: 0, inserted: 0 };
+
+  await airtable.forEachCallPage((records) => {
+    const rows = records.map(record => toMirrorRow(record, mapping)).filter(Boolean);
+    result.read += records.length;
+    result.inserted += store.seedCalls(rows);
+  });
+
+  store.markSeeded();
+  logger.info(result, 'Local call mirror seeded from Airtable');
+  return result;
+}
+
+/**
+ * Copy the calls already in Airtable into the local mirror. Rows a sync has
+ * written are kept as they are. Concurrent callers share one copy.
+ * @param {AirtableClient} airtable
+ * @returns {Promise<{read: number, inserted: number}>}
+ */
+function seedMirror(airtable) {
+  if (!seeding) {
+    seeding = copyCalls(airtable).finally(() => {
+      seeding = null;
+    });
+  }
+  return seeding;
+}
+
+module.exports = {
+  toMirrorRow,
+  seedMirror
+};
@@ -0,0 +1,357 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const pino = require('pino');
+const store = require('./store');
+const { config } = require('./config');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+const SUBSCRIPTIONS_FILE = path.join(STATE_DIR, 'webhook-subscriptions.json');
+
+const EVENTS = ['call.synced', 'call.matched', 'sync.completed', 'sync.cancelled', 'sync.failed'];
+// Sent only by POST /api/webhooks/subscriptions/:id/test
+const TEST_EVENT = 'webhook.test';
+
+// Deliveries taken per pass, and how long a taken delivery is reserved for this process
+const CLAIM_LIMIT = 50;
+const CLAIM_LEASE_SECONDS = 120;
+
+function createSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature receivers check: HMAC-SHA256 over "<timestamp>.<body>" with the subscription secret
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Wait before the next attempt: base * 2^(attempts - 1), capped
+function getBackoffSeconds(attempts) {
+  const { retryBaseSeconds, retryMaxSeconds } = config.outboundWebhooks;
+  return Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxSeconds);
+}
+
+/**
+ * Event data for a synced call
+ * @param {Object} entry - { callId, call, record, customerId, normalizedPhone }
+ * @param {string} source - 'sync' or 'webhook' (real-time Dialpad event)
+ */
+function toCallEvent({ callId, call, record, customerId, normalizedPhone }, source) {
+  return {
+    callId: String(callId),
+    source,
+    direction: call.direction || null,
+    externalNumber: call.external_number || null,
+    normalizedPhone: normalizedPhone || null,
+    contactName: call.contact?.name || null,
+    target: call.target?.name || null,
+    startTime: call.date_started ? new Date(parseInt(call.date_started)).toISOString() : null,
+    durationSeconds: Math.floor((call.duration || 0) / 1000),
+    wasConnected: !!call.date_connected,
+    customerId: customerId || null,
+    fields: record
+  };
+}
+
+// Subscription as shown through the API; the secret is only returned when created or rotated
+function toPublicSubscription({ secret, ...subscription }) {
+  return { ...subscription, secretHint: `...${secret.slice(-4)}` };
+}
+
+/**
+ * Outbound webhooks for other internal tools. Subscriptions live in
+ * STATE_DIR/webhook-subscriptions.json; every delivery is logged in the local store
+ * and retried with exponential backoff until it succeeds or runs out of attempts.
+ */
+class OutboundWebhooks {
+  constructor() {
+    this.processing = null;
+    this.timer = null;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(SUBSCRIPTIONS_FILE)) {
+        return await fs.readJson(SUBSCRIPTIONS_FILE);
+      }
+    } catch (error) {
+      logger.error(error, 'Failed to read webhook subscriptions');
+    }
+    return [];
+  }
+
+  async save(subscriptions) {
+    const tmpFile = `${SUBSCRIPTIONS_FILE}.tmp`;
+    await fs.ensureDir(STATE_DIR);
+    await fs.writeFile(tmpFile, JSON.stringify(subscriptions, null, 2));
+    await fs.rename(tmpFile, SUBSCRIPTIONS_FILE);
+  }
+
+  async list() {
+    return (await this.load()).map(toPublicSubscription);
+  }
+
+  async get(id) {
+    const subscription = (await this.load()).find(s => s.id === id);
+    return subscription ? toPublicSubscription(subscription) : null;
+  }
+
+  findOrFail(subscriptions, id) {
+    const subscription = subscriptions.find(s => s.id === id);
+    if (!subscription) {
+      const error = new Error('Webhook subscription not found');
+      error.status = 404;
+      throw error;
+    }
+    return subscription;
+  }
+
+  /**
+   * @param {Object} fields - { url, events, description, active, secret }; a secret is generated when omitted
+   * @returns {Promise<Object>} The subscription including its secret
+   */
+  async create(fields) {
+    const subscriptions = await this.load();
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: fields.url,
+      events: fields.events,
+      description: fields.description || '',
+      active: fields.active !== false,
+      secret: fields.secret || createSecret(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    subscriptions.push(subscription);
+    await this.save(subscriptions);
+    logger.info({ id: subscription.id, url: subscription.url, events: subscription.events }, 'Webhook subscription created');
+    return subscription;
+  }
+
+  async update(id, changes) {
+    const subscriptions = await this.load();
+    const subscription = this.findOrFail(subscriptions, id);
+
+    for (const key of ['url', 'events', 'description', 'active']) {
+      if (changes[key] !== undefined) {
+        subscription[key] = changes[key];
+      }
+    }
+    subscription.updatedAt = new Date().toISOString();
+
+    await this.save(subscriptions);
+    return toPublicSubscription(subscription);
+  }
+
+  async rotateSecret(id) {
+    const subscriptions = await this.load();
+    const subscription = this.findOrFail(subscriptions, id);
+
+    subscription.secret = createSecret();
+    subscription.updatedAt = new Date().toISOString();
+
+    await this.save(subscriptions);
+    logger.info({ id }, 'Webhook subscription secret rotated');
+    return subscription;
+  }
+
+  async remove(id) {
+    const subscriptions = await this.load();
+    this.findOrFail(subscriptions, id);
+    await this.save(subscriptions.filter(s => s.id !== id));
+    logger.info({ id }, 'Webhook subscription deleted');
+  }
+
+  /**
+   * Queue an event for every active subscription to it and start delivering.
+   * Never throws: a webhook problem must not fail the sync that raised it.
+   * @param {string} event - One of EVENTS
+   * @param {Array<Object>} dataList - One event is sent per item
+   */
+  async emit(event, dataList) {
+    if (dataList.length === 0) {
+      return;
+    }
+
+    try {
+      const subscriptions = (await this.load()).filter(s => s.active && s.events.includes(event));
+      if (subscriptions.length === 0) {
+        return;
+      }
+
+      this.queue(subscriptions, event, dataList);
+      this.processDue().catch(error => logger.error({ error: error.message }, 'Webhook delivery pass failed'));
+    } catch (error) {
+      logger.error({ event, error: error.message }, 'Failed to queue webhook event');
+    }
+  }
+
+  // nextAttemptAt defaults to now; a later time keeps the background pass away from it
+  queue(subscriptions, event, dataList, nextAttemptAt = null) {
+    const createdAt = new Date().toISOString();
+    const deliveries = [];
+
+    for (const data of dataList) {
+      const eventId = crypto.randomUUID();
+      const payload = JSON.stringify({ id: eventId, event, createdAt, data });
+      for (const subscription of subscriptions) {
+        deliveries.push({
+          id: crypto.randomUUID(),
+          subscriptionId: subscription.id,
+          event,
+          eventId,
+          payload,
+          createdAt,
+          nextAttemptAt: nextAttemptAt || createdAt
+        });
+      }
+    }
+
+    store.addWebhookDeliveries(deliveries);
+    logger.debug({ event, deliveries: deliveries.length }, 'Webhook deliveries queued');
+    return deliveries;
+  }
+
+  /**
+   * Send a test event to one subscription right away, active or not
+   * @returns {Promise<Object>} The delivery after its first attempt
+   */
+  async sendTest(id) {
+    const subscriptions = await this.load();
+    const subscription = this.findOrFail(subscriptions, id);
+
+    const leaseUntil = new Date(Date.now() + CLAIM_LEASE_SECONDS * 1000).toISOString();
+    const [delivery] = this.queue([subscription], TEST_EVENT, [{ message: 'Test event from Dialpad Call Logs' }], leaseUntil);
+    await this.attempt({ ...delivery, attempts: 0 }, subscription);
+    return store.getWebhookDelivery(delivery.id);
+  }
+
+  async redeliver(deliveryId) {
+    if (!store.requeueWebhookDelivery(deliveryId)) {
+      const error = new Error('Webhook delivery not found');
+      error.status = 404;
+      throw error;
+    }
+
+    await this.processDue();
+    return store.getWebhookDelivery(deliveryId);
+  }
+
+  /**
+   * Attempt every due delivery. Concurrent calls share one pass.
+   */
+  processDue() {
+    if (!this.processing) {
+      this.processing = this.runPass().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async runPass() {
+    let claimed;
+    do {
+      claimed = store.claimDueWebhookDeliveries(CLAIM_LIMIT, CLAIM_LEASE_SECONDS);
+      if (claimed.length === 0) {
+        break;
+      }
+
+      const subscriptions = await this.load();
+      for (const delivery of claimed) {
+        const subscription = subscriptions.find(s => s.id === delivery.subscriptionId);
+        if (!subscription) {
+          store.recordWebhookAttempt(delivery.id, { status: 'failed', error: 'Subscription deleted' });
+          continue;
+        }
+        await this.attempt(delivery, subscription);
+      }
+    } while (claimed.length === CLAIM_LIMIT);
+  }
+
+  async attempt(delivery, subscription) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempts = delivery.attempts + 1;
+
+    try {
+      const response = await axios.post(subscription.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'dp-call-logs-webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(subscription.secret, timestamp, delivery.payload)}`
+        },
+        timeout: config.outboundWebhooks.timeoutMs,
+        maxRedirects: 0,
+        transformRequest: [(data) => data] // Send the exact bytes that were signed
+      });
+
+      store.recordWebhookAttempt(delivery.id, {
+        status: 'delivered',
+        responseStatus: response.status,
+        durationMs: Date.now() - startedAt
+      });
+    } catch (error) {
+      const giveUp = attempts >= config.outboundWebhooks.maxAttempts;
+      const nextAttemptAt = giveUp ? null : new Date(Date.now() + getBackoffSeconds(attempts) * 1000).toISOString();
+
+      store.recordWebhookAttempt(delivery.id, {
+        status: giveUp ? 'failed' : 'retrying',
+        responseStatus: error.response?.status,
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+        nextAttemptAt
+      });
+
+      logger.warn({
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+        event: delivery.event,
+        attempts,
+        status: error.response?.status || null,
+        error: error.message,
+        nextAttemptAt
+      }, giveUp ? 'Webhook delivery failed, giving up' : 'Webhook delivery failed, will retry');
+    }
+  }
+
+  /**
+   * Poll for retries and prune the delivery log in the background (API server only)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      this.processDue().catch(error => logger.error({ error: error.message }, 'Webhook delivery pass failed'));
+      try {
+        const cutoff = new Date(Date.now() - config.outboundWebhooks.logRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+        store.pruneWebhookDeliveries(cutoff);
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to prune webhook delivery log');
+      }
+    };
+
+    this.timer = setInterval(tick, config.outboundWebhooks.pollSeconds * 1000);
+    this.timer.unref();
+    tick();
+  }
+}
+
+module.exports = new OutboundWebhooks();
+module.exports.EVENTS = EVENTS;
+module.exports.sign = sign;
+module.exports.toCallEvent = toCallEvent;
@@ -0,0 +1,320 @@
+const fs = require('fs-extra');
+const path = require('path');
+const pino = require('pino');
+const retry = require('./retry');
+const { normalizePhone } = require('./records');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+
+// One index file per secondary target; the 'default' target keeps the original name.
+// Names are validated at startup; anything outside [A-Za-z0-9_-] is replaced so a name never leaves STATE_DIR.
+function getIndexFile(targetName) {
+  const safeName = String(targetName).replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(STATE_DIR, safeName === 'default' ? 'secondary-phone-index.json' : `secondary-phone-index-${safeName}.json`);
+}
+
+const REFRESH_SECONDS = parseInt(process.env.SECONDARY_INDEX_REFRESH_SECONDS || '300');
+const FULL_REBUILD_HOURS = parseInt(process.env.SECONDARY_INDEX_REBUILD_HOURS || '24');
+// Records edited just before the last refresh can show up late in LAST_MODIFIED_TIME
+const MODIFIED_SKEW_MS = 60 * 1000;
+// Phone numbers per OR-batched fallback query, keeps filterByFormula short
+const LOOKUP_BATCH_SIZE = 10;
+
+/**
+ * Normalized forms a phone number is matched by, strongest first
+ */
+function getPhoneVariants(phone) {
+  if (!phone) return [];
+
+  const digits = String(phone).replace(/[^0-9]/g, '');
+  const variants = [];
+  const e164 = normalizePhone(String(phone));
+
+  if (e164) variants.push(['e164', e164]);
+  if (digits) variants.push(['digits', digits]);
+  if (digits.length >= 10) variants.push(['last10', digits.slice(-10)]);
+
+  return variants;
+}
+
+function escapeFormulaValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Local phone -> record index of the secondary base, persisted in STATE_DIR.
+ * Built with a full table scan, kept current with LAST_MODIFIED_TIME refreshes,
+ * and rebuilt in full periodically so deleted records drop out.
+ * Numbers a fallback query did not find are remembered in misses until the next
+ * refresh, which would pick up any record added for them since.
+ */
+class SecondaryPhoneIndex {
+  constructor(client, target) {
+    this.client = client; // axios instance for the secondary base
+    this.target = target; // Entry of config.secondaryTargets
+    this.indexFile = getIndexFile(target.name);
+    this.data = null;
+    this.variants = null;
+  }
+
+  getSignature() {
+    return {
+      baseId: this.target.baseId,
+      table: this.target.table,
+      phoneField: this.target.phoneField
+    };
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.indexFile)) {
+        const data = await fs.readJson(this.indexFile);
+        const signature = this.getSignature();
+        const matches = Object.keys(signature).every(key => data[key] === signature[key]);
+
+        if (matches) {
+          return data;
+        }
+        logger.info('Secondary base settings changed, discarding phone index');
+      }
+    } catch (error) {
+      logger.error(error, 'Failed to read secondary phone index');
+    }
+    return null;
+  }
+
+  async save() {
+    const tmpFile = `${this.indexFile}.tmp`;
+    await fs.ensureDir(STATE_DIR);
+    await fs.writeFile(tmpFile, JSON.stringify(this.data));
+    await fs.rename(tmpFile, this.indexFile);
+  }
+
+  // Drop the index so the next lookup rebuilds it from a full scan
+  async invalidate() {
+    this.data = null;
+    this.variants = null;
+    await fs.remove(this.indexFile);
+    logger.info('Secondary phone index invalidated');
+  }
+
+  rebuildVariants() {
+    this.variants = { e164: new Map(), digits: new Map(), last10: new Map() };
+
+    for (const [recordId, phone] of Object.entries(this.data.records)) {
+      for (const [kind, value] of getPhoneVariants(phone)) {
+        if (!this.variants[kind].has(value)) {
+          this.variants[kind].set(value, recordId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fetch records from the secondary table, optionally filtered
+   * @returns {Promise<Object>} recordId -> phone field value
+   */
+  async fetchRecords(filterByFormula = null) {
+    const records = {};
+    let offset = null;
+
+    do {
+      const params = {
+        pageSize: 100,
+        fields: [this.target.phoneField]
+      };
+      if (filterByFormula) params.filterByFormula = filterByFormula;
+      if (offset) params.offset = offset;
+
+      const response = await retry(
+        () => this.client.get(`/${encodeURIComponent(this.target.table)}`, { params }),
+        'Secondary Airtable index scan',
+        { policy: 'airtable', breaker: `secondaryAirtable:${this.target.name}` }
+      );
+
+      for (const record of response.data.records) {
+        records[record.id] = record.fields[this.target.phoneField] || null;
+      }
+      offset = response.data.offset;
+    } while (offset);
+
+    return records;
+  }
+
+  async fullRebuild() {
+    const startedAt = Date.now();
+    const records = await this.fetchRecords();
+
+    this.data = {
+      ...this.getSignature(),
+      builtAt: new Date(startedAt).toISOString(),
+      refreshedAt: new Date(startedAt).toISOString(),
+      records,
+      misses: []
+    };
+    this.rebuildVariants();
+    await this.save();
+
+    logger.info({ records: Object.keys(records).length, durationMs: Date.now() - startedAt }, 'Secondary phone index built');
+  }
+
+  async incrementalRefresh() {
+    const startedAt = Date.now();
+    const since = new Date(new Date(this.data.refreshedAt).getTime() - MODIFIED_SKEW_MS).toISOString();
+    const formula = `IS_AFTER(LAST_MODIFIED_TIME({${this.target.phoneField}}), "${since}")`;
+    const changed = await this.fetchRecords(formula);
+
+    for (const [recordId, phone] of Object.entries(changed)) {
+      if (phone) {
+        this.data.records[recordId] = phone;
+      } else {
+        delete this.data.records[recordId];
+      }
+    }
+
+    this.data.refreshedAt = new Date(startedAt).toISOString();
+    this.data.misses = [];
+    this.rebuildVariants();
+    await this.save();
+
+    logger.info({ changed: Object.keys(changed).length }, 'Secondary phone index refreshed');
+  }
+
+  /**
+   * Load the index and bring it up to date: full rebuild when missing or old, incremental otherwise
+   */
+  async ensureFresh() {
+    if (!this.data) {
+      this.data = await this.load();
+    }
+
+    const now = Date.now();
+    if (!this.data || now - new Date(this.data.builtAt).getTime() > FULL_REBUILD_HOURS * 3600 * 1000) {
+      await this.fullRebuild();
+      return;
+    }
+
+    if (!this.variants) {
+      this.rebuildVariants();
+    }
+
+    if (now - new Date(this.data.refreshedAt).getTime() > REFRESH_SECONDS * 1000) {
+      await this.incrementalRefresh();
+    }
+  }
+
+  lookup(phone) {
+    for (const [kind, value] of getPhoneVariants(phone)) {
+      const recordId = this.variants[kind].get(value);
+      if (recordId) {
+        return { id: recordId, fields: { [this.target.phoneField]: this.data.records[recordId] } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * OR-batched exact-match queries for numbers the index does not know yet,
+   * e.g. records created since the last refresh. Hits are added to the index,
+   * numbers still unknown to misses.
+   */
+  async lookupMissing(phoneNumbers) {
+    const field = this.target.phoneField;
+    let added = 0;
+
+    if (phoneNumbers.length === 0) {
+      return added;
+    }
+
+    for (let i = 0; i < phoneNumbers.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = phoneNumbers.slice(i, i + LOOKUP_BATCH_SIZE);
+      const values = new Set();
+
+      for (const phone of batch) {
+        const digits = phone.replace(/[^0-9]/g, '');
+        values.add(digits);
+        values.add(phone);
+        if (digits.length > 10) values.add(digits.slice(-10));
+      }
+
+      const clauses = Array.from(values)
+        .filter(Boolean)
+        .map(value => `{${field}} = "${escapeFormulaValue(value)}"`);
+
+      const found = await this.fetchRecords(`OR(${clauses.join(', ')})`);
+      for (const [recordId, phone] of Object.entries(found)) {
+        if (phone) {
+          this.data.records[recordId] = phone;
+          added++;
+        }
+      }
+    }
+
+    if (added > 0) {
+      this.rebuildVariants();
+    }
+    this.data.misses = [...new Set([...(this.data.misses || []), ...phoneNumbers.filter(phone => !this.lookup(phone))])];
+    await this.save();
+
+    return added;
+  }
+
+  /**
+   * Resolve phone numbers to secondary records
+   * @returns {Promise<Map>} phone -> { id, fields }
+   */
+  async findRecords(phoneNumbers) {
+    await this.ensureFresh();
+
+    const recordMap = new Map();
+    const missing = [];
+    const knownMisses = new Set(this.data.misses || []);
+    let cachedMisses = 0;
+
+    for (const phone of phoneNumbers) {
+      const record = this.lookup(phone);
+      if (record) {
+        recordMap.set(phone, record);
+      } else if (knownMisses.has(phone)) {
+        cachedMisses++;
+      } else {
+        missing.push(phone);
+      }
+    }
+
+    if (missing.length > 0) {
+      await this.lookupMissing(missing);
+      for (const phone of missing) {
+        const record = this.lookup(phone);
+        if (record) {
+          recordMap.set(phone, record);
+        }
+      }
+    }
+
+    logger.info({
+      requested: phoneNumbers.length,
+      found: recordMap.size,
+      fromFallback: recordMap.size - (phoneNumbers.length - missing.length - cachedMisses),
+      cachedMisses
+    }, 'Resolved phone numbers against secondary index');
+
+    return recordMap;
+  }
+
+  getStats() {
+    return this.data ? {
+      records: Object.keys(this.data.records).length,
+      misses: (this.data.misses || []).length,
+      builtAt: this.data.builtAt,
+      refreshedAt: this.data.refreshedAt
+    } : null;
+  }
+}
+
+module.exports = SecondaryPhoneIndex;
+module.exports.getPhoneVariants = getPhoneVariants;
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const { Pool } = require('pg');
+const pino = require('pino');
+const { config } = require('./config');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+// Schema migrations, applied in order. The index + 1 is recorded in schema_migrations,
+// so only ever append to this list.
+const MIGRATIONS = [
+  `
+    CREATE TABLE IF NOT EXISTS calls (
+      call_id TEXT PRIMARY KEY,
+      direction TEXT,
+      external_number TEXT,
+      normalized_phone TEXT,
+      contact_name TEXT,
+      target TEXT,
+      start_time TIMESTAMPTZ,
+      connected_time TIMESTAMPTZ,
+      end_time TIMESTAMPTZ,
+      duration_s INTEGER NOT NULL DEFAULT 0,
+      was_connected BOOLEAN NOT NULL DEFAULT FALSE,
+      was_recorded BOOLEAN NOT NULL DEFAULT FALSE,
+      customer_id TEXT,
+      fields JSONB NOT NULL,
+      raw JSONB NOT NULL,
+      first_synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      synced_at TIMESTAMPTZ NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_calls_start_time ON calls (start_time);
+    CREATE INDEX IF NOT EXISTS idx_calls_customer_id ON calls (customer_id);
+    CREATE INDEX IF NOT EXISTS idx_calls_normalized_phone ON calls (normalized_phone);
+  `
+];
+
+const COLUMNS = [
+  'call_id', 'direction', 'external_number', 'normalized_phone', 'contact_name', 'target',
+  'start_time', 'connected_time', 'end_time', 'duration_s', 'was_connected', 'was_recorded',
+  'customer_id', 'fields', 'raw', 'synced_at'
+];
+
+/**
+ * TLS options for the pool. Certificates are always verified, against POSTGRES_SSL_CA when
+ * given; POSTGRES_SSL_SKIP_VERIFY is the explicit opt-out for servers that cannot be verified.
+ */
+function getSslOptions() {
+  const { ssl, sslCa, sslSkipVerify } = config.postgres;
+  if (!ssl) {
+    return undefined;
+  }
+  if (sslSkipVerify) {
+    logger.warn('POSTGRES_SSL_SKIP_VERIFY is set: the PostgreSQL server certificate is not verified');
+    return { rejectUnauthorized: false };
+  }
+  return sslCa
+    ? { rejectUnauthorized: true, ca: fs.readFileSync(sslCa, 'utf8') }
+    : { rejectUnauthorized: true };
+}
+
+function toTimestamp(epochMs) {
+  return epochMs ? new Date(parseInt(epochMs)).toISOString() : null;
+}
+
+/**
+ * Long-term call history in PostgreSQL, for years of calls beyond Airtable's record limits.
+ * Creates and migrates its own `calls` table; each row keeps the mapped Airtable fields
+ * and the raw Dialpad payload as JSONB.
+ */
+class PostgresCallStore {
+  constructor() {
+    this.pool = null;
+    this.ready = null;
+  }
+
+  getPool() {
+    if (!this.pool) {
+      this.pool = new Pool({
+        connectionString: config.postgres.url,
+        ssl: getSslOptions(),
+        max: config.postgres.poolSize
+      });
+      this.pool.on('error', (error) => logger.error({ error: error.message }, 'Idle PostgreSQL client error'));
+    }
+    return this.pool;
+  }
+
+  // Connect and migrate once; a failure is retried on the next call
+  async open() {
+    if (!this.ready) {
+      this.ready = this.migrate().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+    return this.getPool();
+  }
+
+  async migrate() {
+    const client = await this.getPool().connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+
+      // Serialise concurrent migrators (server and standalone sync)
+      await client.query('BEGIN');
+      await client.query('LOCK TABLE schema_migrations IN EXCLUSIVE MODE');
+      const { rows } = await client.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+      const currentVersion = Number(rows[0].version);
+
+      for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        await client.query(MIGRATIONS[version]);
+        await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [version + 1]);
+        logger.info({ version: version + 1 }, 'Applied PostgreSQL migration');
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async testConnection() {
+    const pool = await this.open();
+    await pool.query('SELECT 1');
+    logger.info('PostgreSQL connection successful');
+    return true;
+  }
+
+  /**
+   * Upsert calls on call_id, one INSERT per chunk of config.postgres.batchSize
+   * @param {Array<Object>} entries - { callId, call, record, customerId, normalizedPhone }
+   * @returns {Promise<{written: number, failures: Array<{entries: Array, error: Error}>}>}
+   */
+  async upsertCalls(entries) {
+    const pool = await this.open();
+    const syncedAt = new Date().toISOString();
+    const result = { written: 0, failures: [] };
+
+    // One INSERT cannot update the same row twice; keep the last entry per call
+    entries = Array.from(new Map(entries.map(entry => [String(entry.callId), entry])).values());
+
+    for (let i = 0; i < entries.length; i += config.postgres.batchSize) {
+      const chunk = entries.slice(i, i + config.postgres.batchSize);
+      const values = [];
+      const placeholders = chunk.map(({ callId, call, record, customerId, normalizedPhone }) => {
+        const row = [
+          String(callId),
+          call.direction || null,
+          call.external_number || null,
+          normalizedPhone || null,
+          call.contact?.name || null,
+          call.target?.name || null,
+          toTimestamp(call.date_started),
+          toTimestamp(call.date_connected),
+          toTimestamp(call.date_ended),
+          Math.floor((call.duration || 0) / 1000),
+          !!call.date_connected,
+          !!call.was_recorded,
+          customerId || null,
+          JSON.stringify(record),
+          JSON.stringify(call),
+          syncedAt
+        ];
+        const offset = values.length;
+        values.push(...row);
+        return `(${row.map((_, index) => `$${offset + index + 1}`).join(', ')})`;
+      });
+
+      const updates = COLUMNS
+        .filter(column => column !== 'call_id')
+        .map(column => `${column} = EXCLUDED.${column}`)
+        .join(', ');
+
+      try {
+        await pool.query(
+          `INSERT INTO calls (${COLUMNS.join(', ')}) VALUES ${placeholders.join(', ')}
+           ON CONFLICT (call_id) DO UPDATE SET ${updates}`,
+          values
+        );
+        result.written += chunk.length;
+      } catch (error) {
+        logger.error({ error: error.message, calls: chunk.length }, 'Failed to write calls to PostgreSQL');
+        result.failures.push({ entries: chunk, error });
+      }
+    }
+
+    logger.debug({ count: result.written }, 'Calls written to PostgreSQL');
+    return result;
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      this.ready = null;
+    }
+  }
+}
+
+module.exports = new PostgresCallStore();
+module.exports.getSslOptions = getSslOptions;
@@ -0,0 +1,206 @@
+const pino = require('pino');
+const store = require('./store');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+// Airtable allows 5 requests per second per base and locks a base out for 30 seconds after a 429
+const REQUESTS_PER_SECOND = parseFloat(process.env.AIRTABLE_RATE_LIMIT_RPS || '5');
+const THROTTLE_PENALTY_MS = parseInt(process.env.AIRTABLE_THROTTLE_PENALTY_MS || '30000');
+const MAX_THROTTLE_RETRIES = 3;
+// After a store error, how long to limit this process alone before trying the store again
+const STORE_RETRY_MS = parseInt(process.env.AIRTABLE_RATE_STORE_RETRY_MS || '60000');
+const SLOT_INTERVAL_MS = 1000 / REQUESTS_PER_SECOND;
+
+/**
+ * Per-base request scheduler for Airtable.
+ * Every Airtable axios instance in the process is attached here, and the request
+ * slots themselves are reserved in the local store, so the API server and the PM2
+ * cron sync share one budget per base instead of each getting the full rate.
+ * If the store fails the budget falls back to this process alone, and the store is
+ * tried again after STORE_RETRY_MS.
+ *
+ * This is the only layer that re-sends 429s: the Airtable retry policy leaves them
+ * to the limiter, which knows when the base's lockout ends.
+ */
+class AirtableRateLimiter {
+  constructor() {
+    this.buckets = new Map();
+    this.storeRetryAt = 0;
+  }
+
+  isShared() {
+    return Date.now() >= this.storeRetryAt;
+  }
+
+  getBucket(baseId) {
+    if (!this.buckets.has(baseId)) {
+      this.buckets.set(baseId, {
+        queue: [],
+        timer: null,
+        slotAt: null,
+        nextSlotAt: 0,
+        penaltyUntil: 0,
+        stats: {
+          requests: 0,
+          queued: 0,
+          maxQueueDepth: 0,
+          throttled: 0
+        }
+      });
+    }
+    return this.buckets.get(baseId);
+  }
+
+  // Run fn(key) against the shared store, or return null to use this process's own schedule
+  withBase(baseId, fn) {
+    if (!this.isShared()) {
+      return null;
+    }
+
+    try {
+      const value = fn(`airtable:${baseId}`);
+      if (this.storeRetryAt) {
+        this.storeRetryAt = 0;
+        logger.info('Rate limit store available again, sharing the budget');
+      }
+      return value;
+    } catch (error) {
+      this.storeRetryAt = Date.now() + STORE_RETRY_MS;
+      logger.warn({ error: error.message, retryInMs: STORE_RETRY_MS }, 'Rate limit store unavailable, limiting this process only');
+      return null;
+    }
+  }
+
+  reserveSlot(baseId) {
+    const bucket = this.getBucket(baseId);
+    const shared = this.withBase(baseId, key => store.reserveRateSlot(key, SLOT_INTERVAL_MS));
+    if (shared !== null) {
+      return shared;
+    }
+
+    const slotAt = Math.max(Date.now(), bucket.nextSlotAt, bucket.penaltyUntil);
+    bucket.nextSlotAt = slotAt + SLOT_INTERVAL_MS;
+    return slotAt;
+  }
+
+  getPenaltyUntil(baseId) {
+    const bucket = this.getBucket(baseId);
+    const shared = this.withBase(baseId, key => store.getRatePenalty(key));
+    if (shared !== null) {
+      bucket.penaltyUntil = Math.max(bucket.penaltyUntil, shared);
+    }
+    return bucket.penaltyUntil;
+  }
+
+  // Hand out slots to waiting requests in arrival order
+  drain(baseId) {
+    const bucket = this.getBucket(baseId);
+    bucket.timer = null;
+
+    while (bucket.queue.length > 0) {
+      // A slot reserved before a lockout started is given up for one after it
+      if (bucket.slotAt === null || bucket.slotAt < this.getPenaltyUntil(baseId)) {
+        bucket.slotAt = this.reserveSlot(baseId);
+      }
+
+      const waitMs = bucket.slotAt - Date.now();
+      if (waitMs > 0) {
+        bucket.timer = setTimeout(() => this.drain(baseId), waitMs);
+        return;
+      }
+
+      bucket.slotAt = null;
+      bucket.stats.requests++;
+      bucket.queue.shift()();
+    }
+  }
+
+  /**
+   * Wait for a request slot on the given base
+   * @param {string} baseId - Airtable base ID
+   */
+  schedule(baseId) {
+    const bucket = this.getBucket(baseId);
+
+    return new Promise(resolve => {
+      bucket.queue.push(resolve);
+      if (bucket.queue.length > 1) {
+        bucket.stats.queued++;
+      }
+      bucket.stats.maxQueueDepth = Math.max(bucket.stats.maxQueueDepth, bucket.queue.length);
+
+      if (!bucket.timer) {
+        this.drain(baseId);
+      }
+    });
+  }
+
+  // Hold every request to the base until Airtable's lockout is over
+  penalize(baseId, ms = THROTTLE_PENALTY_MS) {
+    const bucket = this.getBucket(baseId);
+    bucket.penaltyUntil = Math.max(bucket.penaltyUntil, Date.now() + ms);
+    this.withBase(baseId, key => store.setRatePenalty(key, bucket.penaltyUntil));
+    bucket.stats.throttled++;
+
+    logger.warn({ baseId, penaltyMs: ms }, 'Airtable rate limit hit, pausing requests to base');
+  }
+
+  /**
+   * Route an axios instance's requests through the scheduler.
+   * 429 responses apply the penalty and are re-sent once it has passed.
+   * @param {Object} client - axios instance
+   * @param {string} baseId - Airtable base ID the instance talks to
+   */
+  attach(client, baseId) {
+    client.interceptors.request.use(async (requestConfig) => {
+      await this.schedule(baseId);
+      return requestConfig;
+    });
+
+    client.interceptors.response.use(null, async (error) => {
+      const requestConfig = error.config;
+      if (error.response?.status !== 429 || !requestConfig) {
+        throw error;
+      }
+
+      this.penalize(baseId);
+
+      requestConfig.throttleRetries = (requestConfig.throttleRetries || 0) + 1;
+      if (requestConfig.throttleRetries > MAX_THROTTLE_RETRIES) {
+        throw error;
+      }
+
+      return client.request(requestConfig);
+    });
+
+    return client;
+  }
+
+  /**
+   * Queue depth and throttle counts per base
+   */
+  getStats() {
+    const stats = {};
+    const now = Date.now();
+
+    for (const [baseId, bucket] of this.buckets.entries()) {
+      this.getPenaltyUntil(baseId);
+      stats[baseId] = {
+        queueDepth: bucket.queue.length,
+        inPenalty: bucket.penaltyUntil > now,
+        penaltyEndsAt: bucket.penaltyUntil > now ? new Date(bucket.penaltyUntil).toISOString() : null,
+        ...bucket.stats
+      };
+    }
+
+    return {
+      requestsPerSecond: REQUESTS_PER_SECOND,
+      shared: this.isShared(),
+      bases: stats
+    };
+  }
+}
+
+module.exports = new AirtableRateLimiter();
@@ -0,0 +1,138 @@
+const pino = require('pino');
+const store = require('./store');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const DEFAULT_RECORDING_TYPE = 'admincallrecording';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dialpad links do not expire on their own; with a TTL set they are rotated so old links stop working
+const LINK_TTL_DAYS = parseInt(process.env.RECORDING_LINK_TTL_DAYS || '0');
+const REFRESH_BEFORE_DAYS = parseInt(process.env.RECORDING_LINK_REFRESH_DAYS || '3');
+
+/**
+ * Recording share links kept in the local store, so each recording is made public
+ * once and the same link is reused until it nears expiry or is revoked.
+ *
+ * A rotated link keeps the link it replaced until revokeReplaced() is called, which
+ * callers do only after the new link has been written wherever the old one was shown.
+ */
+class RecordingLinks {
+  getExpiry(createdAt) {
+    return LINK_TTL_DAYS > 0
+      ? new Date(new Date(createdAt).getTime() + LINK_TTL_DAYS * DAY_MS).toISOString()
+      : null;
+  }
+
+  needsRefresh(link) {
+    if (!link.expiresAt) return false;
+    return new Date(link.expiresAt).getTime() - Date.now() <= REFRESH_BEFORE_DAYS * DAY_MS;
+  }
+
+  /**
+   * Share link for a recording: reused when still valid, rotated near expiry,
+   * never recreated once revoked
+   * @param {DialpadClient} dialpad
+   * @param {string} recordingId
+   * @param {Object} context - { phone } recorded for auditing
+   * @returns {Promise<string|null>} Public access link
+   */
+  async getShareLink(dialpad, recordingId, context = {}) {
+    let existing;
+    try {
+      existing = store.getRecordingLink(recordingId);
+    } catch (error) {
+      // Without the store we can still create a link, we just cannot reuse it
+      logger.error({ recordingId, error: error.message }, 'Recording link store unavailable');
+      const created = await dialpad.createRecordingShareLink(recordingId, DEFAULT_RECORDING_TYPE);
+      return created ? created.accessLink : null;
+    }
+
+    if (existing && existing.revokedAt) {
+      logger.debug({ recordingId }, 'Recording share link was revoked, not recreating');
+      return null;
+    }
+
+    if (existing && !this.needsRefresh(existing)) {
+      store.touchRecordingLink(recordingId);
+      return existing.accessLink;
+    }
+
+    const created = await dialpad.createRecordingShareLink(recordingId, existing?.recordingType || DEFAULT_RECORDING_TYPE);
+    if (!created) {
+      // Keep handing out the old link until a new one can be made
+      return existing ? existing.accessLink : null;
+    }
+
+    store.saveRecordingLink({
+      recordingId,
+      recordingType: existing?.recordingType || DEFAULT_RECORDING_TYPE,
+      linkId: created.id,
+      accessLink: created.accessLink,
+      phone: context.phone,
+      createdAt: created.createdAt,
+      expiresAt: this.getExpiry(created.createdAt),
+      refreshCount: existing ? existing.refreshCount + 1 : 0,
+      replacedLinkId: existing?.linkId || null
+    });
+
+    logger.info({ recordingId, refreshed: !!existing }, existing ? 'Recording share link refreshed' : 'Recording share link stored');
+    return created.accessLink;
+  }
+
+  /**
+   * Revoke the links that rotations replaced, once the new links have been written.
+   * A link that cannot be revoked now is kept and tried again with the next write.
+   * @param {DialpadClient} dialpad
+   * @param {Array<string>} recordingIds
+   */
+  async revokeReplaced(dialpad, recordingIds) {
+    for (const recordingId of recordingIds) {
+      let link = null;
+      try {
+        link = store.getRecordingLink(recordingId);
+        if (link?.replacedLinkId) {
+          await dialpad.revokeRecordingShareLink(link.replacedLinkId);
+          store.clearReplacedRecordingLink(recordingId);
+        }
+      } catch (error) {
+        logger.warn({ recordingId, linkId: link?.replacedLinkId, error: error.message }, 'Could not revoke replaced recording share link');
+      }
+    }
+  }
+
+  /**
+   * Revoke a recording's share link at Dialpad, and the link a rotation replaced if that
+   * one is still pending, then mark it revoked locally. Nothing is marked revoked unless
+   * Dialpad confirmed it.
+   * @returns {Promise<Object|null>} Updated link, or null if the recording has none
+   */
+  async revoke(dialpad, recordingId) {
+    const existing = store.getRecordingLink(recordingId);
+    if (!existing) {
+      return null;
+    }
+
+    if (existing.replacedLinkId) {
+      await dialpad.revokeRecordingShareLink(existing.replacedLinkId);
+      store.clearReplacedRecordingLink(recordingId);
+    }
+
+    if (!existing.revokedAt) {
+      if (!existing.linkId) {
+        const error = new Error('Dialpad returned no ID for this share link, so it cannot be revoked here; revoke it in Dialpad');
+        error.status = 409;
+        throw error;
+      }
+      await dialpad.revokeRecordingShareLink(existing.linkId);
+    }
+
+    store.markRecordingLinkRevoked(recordingId);
+    logger.info({ recordingId }, 'Recording share link revoked');
+    return store.getRecordingLink(recordingId);
+  }
+}
+
+module.exports = new RecordingLinks();
@@ -0,0 +1,290 @@
+const { parsePhoneNumber, isSupportedCountry } = require('libphonenumber-js');
+const pino = require('pino');
+const { config } = require('./config');
+const { mapCallFields } = require('./mapping');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+function tryParse(number, region) {
+  try {
+    return parsePhoneNumber(number, region) || null;
+  } catch (error) {
+    logger.debug({ number, region, error: error.message }, 'Failed to parse phone number');
+    return null;
+  }
+}
+
+// ISO country code from a customer's country field, or null when missing or unsupported
+function toRegion(country) {
+  const region = typeof country === 'string' ? country.trim().toUpperCase() : null;
+  return region && isSupportedCountry(region) ? region : null;
+}
+
+/**
+ * Parse a phone number, trying the customer's own country first, then DEFAULT_REGION,
+ * then FALLBACK_REGIONS.
+ * status is 'valid', 'ambiguous' (valid in more than one fallback region; the first wins),
+ * 'invalid' (parseable but not a valid number; kept as parsed with the default region)
+ * or 'unparseable' (e164 is null).
+ * @param {string} number
+ * @param {Object} options - { country } ISO code from the customer record
+ * @returns {{ e164: string|null, status: string, region: string|null, candidates: Array<string> }}
+ */
+function analyzePhone(number, { country = null } = {}) {
+  if (!number) {
+    return { e164: null, status: 'unparseable', region: null, candidates: [] };
+  }
+
+  const customerRegion = toRegion(country);
+  const fallbackRegions = [config.sync.defaultRegion, ...config.sync.fallbackRegions]
+    .filter(region => region !== customerRegion);
+
+  // The customer's own country is authoritative when it yields a valid number
+  if (customerRegion) {
+    const parsed = tryParse(number, customerRegion);
+    if (parsed && parsed.isValid()) {
+      return { e164: parsed.format('E.164'), status: 'valid', region: customerRegion, candidates: [] };
+    }
+  }
+
+  const matches = new Map(); // e164 -> region it parsed under
+  for (const region of fallbackRegions) {
+    const parsed = tryParse(number, region);
+    if (parsed && parsed.isValid() && !matches.has(parsed.format('E.164'))) {
+      matches.set(parsed.format('E.164'), parsed.country || region);
+    }
+  }
+
+  if (matches.size > 0) {
+    const [[e164, region]] = matches.entries();
+    return {
+      e164,
+      status: matches.size > 1 ? 'ambiguous' : 'valid',
+      region,
+      candidates: matches.size > 1 ? Array.from(matches.keys()) : []
+    };
+  }
+
+  const parsed = tryParse(number, customerRegion || config.sync.defaultRegion);
+  return {
+    e164: parsed ? parsed.format('E.164') : null,
+    status: parsed ? 'invalid' : 'unparseable',
+    region: null,
+    candidates: []
+  };
+}
+
+// Phone number normalization
+function normalizePhone(number, options = {}) {
+  return analyzePhone(number, options).e164;
+}
+
+// Format duration from milliseconds to seconds
+function formatDuration(ms) {
+  return Math.floor((ms || 0) / 1000);
+}
+
+// Format duration in seconds to MM:SS format
+function formatDurationToMMSS(seconds) {
+  if (!seconds || seconds === 0) return "00:00";
+  
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = seconds % 60;
+  
+  // Pad with zeros to ensure two digits
+  const formattedMinutes = String(minutes).padStart(2, '0');
+  const formattedSeconds = String(remainingSeconds).padStart(2, '0');
+  
+  return `${formattedMinutes}:${formattedSeconds}`;
+}
+
+// Problem numbers listed per category in the quality summary
+const QUALITY_SAMPLE_SIZE = 20;
+
+const DUPLICATE_POLICIES = ['all', 'recent', 'review'];
+
+// Newest first, so 'recent' takes the head of the list
+function getCustomerModifiedTime(customer) {
+  const modified = config.fields.customerModified ? customer.fields[config.fields.customerModified] : null;
+  const time = new Date(modified || customer.createdTime || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Normalize every customer phone and summarize the ones that could not be matched reliably.
+ * Map values are arrays of customer IDs, most recently modified first; numbers shared
+ * by several customers are listed in duplicates.
+ * @param {Array<Object>} customers - Airtable customer records
+ * @returns {{ customerPhoneMap: Map, quality: Object, duplicates: Array<Object> }}
+ */
+function analyzeCustomerPhones(customers) {
+  const customerPhoneMap = new Map();
+  const quality = {
+    customers: customers.length,
+    withPhone: 0,
+    valid: 0,
+    ambiguous: 0,
+    invalid: 0,
+    unparseable: 0,
+    unknownCountry: 0,
+    duplicatePhones: 0,
+    byRegion: {},
+    samples: { ambiguous: [], invalid: [], unparseable: [] }
+  };
+
+  for (const customer of customers) {
+    const phone = customer.fields[config.fields.customerPhone];
+    if (!phone) continue;
+
+    quality.withPhone++;
+    const country = config.fields.customerCountry ? customer.fields[config.fields.customerCountry] : null;
+    if (country && !toRegion(country)) {
+      quality.unknownCountry++;
+    }
+
+    const result = analyzePhone(phone, { country });
+    quality[result.status]++;
+
+    if (result.region) {
+      quality.byRegion[result.region] = (quality.byRegion[result.region] || 0) + 1;
+    }
+
+    const samples = quality.samples[result.status];
+    if (samples && samples.length < QUALITY_SAMPLE_SIZE) {
+      samples.push({ customerId: customer.id, phone, country: country || null, candidates: result.candidates });
+    }
+
+    if (result.e164) {
+      const matches = customerPhoneMap.get(result.e164) || [];
+      matches.push(customer);
+      customerPhoneMap.set(result.e164, matches);
+    }
+  }
+
+  const duplicates = [];
+  for (const [phone, matches] of customerPhoneMap.entries()) {
+    matches.sort((a, b) => getCustomerModifiedTime(b) - getCustomerModifiedTime(a));
+    const customerIds = matches.map(customer => customer.id);
+    customerPhoneMap.set(phone, customerIds);
+
+    if (customerIds.length > 1) {
+      duplicates.push({ phone, customerIds });
+    }
+  }
+  quality.duplicatePhones = duplicates.length;
+
+  return { customerPhoneMap, quality, duplicates };
+}
+
+/**
+ * Apply DUPLICATE_PHONE_POLICY to the customers sharing a number
+ * @param {Array<string>} matches - Customer IDs, most recently modified first
+ * @returns {{ customerIds: Array<string>, ambiguous: boolean }}
+ */
+function resolveCustomerMatch(matches) {
+  if (matches.length <= 1) {
+    return { customerIds: matches, ambiguous: false };
+  }
+
+  switch (config.sync.duplicatePhonePolicy) {
+    case 'all':
+      return { customerIds: matches, ambiguous: false };
+    case 'recent':
+      return { customerIds: matches.slice(0, 1), ambiguous: false };
+    default:
+      return { customerIds: [], ambiguous: true };
+  }
+}
+
+/**
+ * Build the normalized phone -> customer record ID map used for matching
+ * @param {Array<Object>} customers - Airtable customer records
+ */
+function buildCustomerPhoneMap(customers) {
+  return analyzeCustomerPhones(customers).customerPhoneMap;
+}
+
+/**
+ * Turn a Dialpad call object into the Airtable call record, matched against customers
+ * @param {Object} call - Call object as returned by the Dialpad API
+ * @param {Map} customerPhoneMap - Map from buildCustomerPhoneMap()
+ */
+function buildCallRecord(call, customerPhoneMap) {
+  // Parse call data
+  const callId = call.call_id || call.id || `${call.date_started}_${call.external_number}`;
+  const connectedTime = call.date_connected ? parseInt(call.date_connected) : null;
+  const duration = formatDuration(call.duration);
+  const externalNumber = call.external_number;
+  const direction = call.direction;
+  const wasConnected = !!connectedTime; // True if call was answered
+  
+  // Get recording details
+  let recordingUrl = null;
+  let recordingId = null;
+  
+  // Check for recording_details first (preferred source)
+  if (call.recording_details && Array.isArray(call.recording_details) && call.recording_details.length > 0) {
+    const recordingDetail = call.recording_details[0];
+    recordingId = recordingDetail.id;
+    logger.debug({
+      callId,
+      recordingId,
+      source: 'recording_details'
+    }, 'Found recording ID from recording_details');
+  } 
+  // Fallback to legacy recording URL fields for display in primary base
+  else if (call.recording_url && call.recording_url.length > 0) {
+    recordingUrl = call.recording_url[0];
+  } else if (call.admin_recording_urls && call.admin_recording_urls.length > 0) {
+    recordingUrl = call.admin_recording_urls[0];
+  }
+  
+  // Normalize phone number
+  const normalizedPhone = normalizePhone(externalNumber);
+
+  // Build call record for Airtable from the configured field mapping
+  const callRecord = mapCallFields(call, { callId, recordingUrl });
+
+  // Match to customer
+  const matches = normalizedPhone ? customerPhoneMap.get(normalizedPhone) || [] : [];
+  const { customerIds, ambiguous } = resolveCustomerMatch(matches);
+  const customerId = customerIds[0] || null;
+  if (customerId) {
+    callRecord[config.fields.callsCustomerLink] = customerIds;
+  } else {
+    callRecord[config.fields.callsUnmatchedPhone] = externalNumber || 'Unknown';
+  }
+
+  // Shared numbers under the 'review' policy are left unlinked, and flagged if the field is configured
+  if (ambiguous && config.fields.callsAmbiguousMatch) {
+    callRecord[config.fields.callsAmbiguousMatch] = matches.join(', ');
+  }
+
+  return {
+    callId,
+    callRecord,
+    customerId,
+    customerIds,
+    ambiguous,
+    normalizedPhone,
+    externalNumber,
+    direction,
+    wasConnected,
+    connectedTime,
+    duration,
+    recordingId
+  };
+}
+
+module.exports = {
+  analyzePhone,
+  normalizePhone,
+  formatDuration,
+  formatDurationToMMSS,
+  analyzeCustomerPhones,
+  buildCustomerPhoneMap,
+  buildCallRecord,
+  DUPLICATE_POLICIES
+};
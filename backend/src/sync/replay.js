@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+const pino = require('pino');
+const sync = require('./sync');
+const callArchive = require('./archive');
+const syncLock = require('./lock');
+const outboundWebhooks = require('./outboundWebhooks');
+const { config } = require('./config');
+const { addDays, getStartOfDay, parseDate } = require('./timezone');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+/**
+ * Re-run mapping and sink writes for archived days without calling Dialpad, e.g. after a
+ * field mapping change. Whole days from..to (inclusive) in the sync time zone are replayed
+ * under their own checkpoint, so an interrupted replay resumes where it stopped.
+ * @param {Object} options - { from, to, dryRun, signal } with dates as YYYY-MM-DD; signal is
+ *   passed to sync()
+ */
+async function replay({ from, to = from, dryRun = false, signal = null }) {
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+    throw new Error('Replay needs --from YYYY-MM-DD and optionally --to YYYY-MM-DD');
+  }
+  if (from > to) {
+    throw new Error('--from must not be after --to');
+  }
+
+  const window = {
+    mode: 'Replay',
+    startedAfter: getStartOfDay(parseDate(from), config.sync.timezone),
+    startedBefore: getStartOfDay(addDays(parseDate(to), 1), config.sync.timezone)
+  };
+  // Run keys become file names (run-<key>.state), so only dashes between the dates
+  const runKey = `replay-${from}-${to}`;
+  const source = callArchive.createReplaySource();
+
+  // A sync run stops after a page limit; keep going while pages are still being processed
+  let result;
+  let pagesProcessed = 0;
+  do {
+    result = await sync({ dryRun, window, runKey, source, signal });
+    if (result.pagesProcessed <= pagesProcessed) {
+      break;
+    }
+    pagesProcessed = result.pagesProcessed;
+  } while (!result.complete && !dryRun);
+
+  return result;
+}
+
+// Run if called directly: node src/sync/replay.js --from 2024-01-01 [--to 2024-01-31] [--dry-run]
+if (require.main === module) {
+  (async () => {
+    if (!(await syncLock.acquire('replay'))) {
+      logger.warn({ holder: await syncLock.getHolder() }, 'Another process is syncing, try the replay again later');
+      process.exitCode = 1;
+      return;
+    }
+
+    try {
+      const result = await replay({
+        from: getArg('--from'),
+        to: getArg('--to') || getArg('--from'),
+        dryRun: process.argv.includes('--dry-run'),
+        signal: syncLock.signal
+      });
+      logger.info(result, 'Replay completed');
+    } finally {
+      await syncLock.release();
+      await outboundWebhooks.processDue().catch(error => logger.error({ error: error.message }, 'Webhook delivery pass failed'));
+    }
+  })()
+    .then(() => {
+      process.exit(process.exitCode || 0);
+    })
+    .catch((error) => {
+      logger.fatal(error, 'Fatal error during replay');
+      process.exit(1);
+    });
+}
+
+module.exports = replay;
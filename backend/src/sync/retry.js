@@ -4,57 +4,314 @@ const logger = pino({
   level: process.env.LOG_LEVEL || 'info'
 });
 
+// Network failures worth another attempt
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5');
+const BREAKER_COOLDOWN_MS = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || '60000');
+
 /**
- * Simple retry function with exponential backoff and jitter
- * @param {Function} fn - Function to retry
- * @param {string} operation - Operation name for logging
- * @param {Object} options - Retry options
+ * Whether an error can succeed on a later attempt.
+ * Timeouts, 408, 429 and 5xx are transient; other 4xx (401, 404, 422, ...) are not.
  */
-async function retry(fn, operation = 'Operation', options = {}) {
-  const defaults = {
+function isRetryableError(error) {
+  return isTransient(error, status => status === 408 || status === 429 || status >= 500);
+}
+
+/**
+ * Airtable answers 5xx when unavailable. 501 (an API it does not support) and every 4xx,
+ * including 422 for rejected field values, are final. 429s are re-sent by the rate limiter
+ * once the base's lockout is over, so retrying them here would only stack more attempts.
+ */
+function isRetryableAirtableError(error) {
+  return isTransient(error, status => status >= 500 && status !== 501);
+}
+
+/**
+ * Dialpad may answer 408 on slow requests. A 404 means the transcript or recap is not there (yet);
+ * the client returns null for it and enrichment asks again on a later run.
+ */
+function isRetryableDialpadError(error) {
+  return isTransient(error, status => status === 408 || status === 429 || (status >= 500 && status !== 501));
+}
+
+// Shared checks around a service's HTTP status rule: explicit error.retryable, network codes, non-HTTP errors
+function isTransient(error, isRetryableStatus) {
+  if (error.retryable !== undefined) {
+    return error.retryable;
+  }
+
+  const status = error.response?.status;
+  if (status) {
+    return isRetryableStatus(status);
+  }
+
+  if (error.code && RETRYABLE_CODES.has(error.code)) {
+    return true;
+  }
+
+  // Errors without an HTTP status or known network code keep the old retry-everything behaviour
+  return !error.isAxiosError;
+}
+
+/**
+ * Retry policies per service. isRetryable decides per error; the rest shapes the backoff.
+ * A Retry-After from the server is honoured up to maxTimeout.
+ */
+const POLICIES = {
+  default: {
     retries: 5,
     minTimeout: 1000,
     maxTimeout: 30000,
-    factor: 2
-  };
+    factor: 2,
+    isRetryable: isRetryableError
+  },
+  airtable: {
+    retries: 5,
+    minTimeout: 1000,
+    maxTimeout: 30000,
+    factor: 2,
+    isRetryable: isRetryableAirtableError
+  },
+  dialpad: {
+    retries: 4,
+    minTimeout: 2000,
+    maxTimeout: 30000,
+    factor: 2,
+    isRetryable: isRetryableDialpadError
+  }
+};
+
+// Server-requested delay from a Retry-After header (seconds or HTTP date), in ms
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Circuit breaker per remote service. After BREAKER_FAILURE_THRESHOLD consecutive
+ * transient failures it opens and fails fast; after the cooldown one trial call is let through
+ * while every other caller keeps failing fast until that trial has settled.
+ */
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trips = 0;
+    this.trialInFlight = false;
+  }
+
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= BREAKER_COOLDOWN_MS) {
+      this.state = 'half-open';
+      logger.info({ breaker: this.name }, 'Circuit half-open, allowing a trial request');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info({ breaker: this.name }, 'Circuit closed');
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // A call that ended without saying anything about the service's health (non-retryable error)
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= BREAKER_FAILURE_THRESHOLD) {
+      if (this.state !== 'open') {
+        this.trips++;
+        logger.error({ breaker: this.name, failures: this.failures, cooldownMs: BREAKER_COOLDOWN_MS }, 'Circuit opened');
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      trips: this.trips
+    };
+  }
+}
+
+const breakers = new Map();
+
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+function getBreakerStates() {
+  const states = {};
+  for (const [name, breaker] of breakers.entries()) {
+    states[name] = breaker.getState();
+  }
+  return states;
+}
+
+// Process-wide counters per operation: { attempts, retries, failures }
+const stats = {};
+
+function recordStat(operation, key) {
+  if (!stats[operation]) {
+    stats[operation] = { attempts: 0, retries: 0, failures: 0 };
+  }
+  stats[operation][key]++;
+}
+
+function getRetryStats() {
+  return JSON.parse(JSON.stringify(stats));
+}
 
-  const config = { ...defaults, ...options };
+/**
+ * Counters accumulated since a snapshot from getRetryStats(), with totals
+ */
+function getRetryStatsSince(baseline) {
+  const operations = {};
+  const totals = { attempts: 0, retries: 0, failures: 0 };
+
+  for (const [operation, current] of Object.entries(stats)) {
+    const before = baseline[operation] || { attempts: 0, retries: 0, failures: 0 };
+    const delta = {
+      attempts: current.attempts - before.attempts,
+      retries: current.retries - before.retries,
+      failures: current.failures - before.failures
+    };
+
+    if (delta.attempts > 0 || delta.failures > 0) {
+      operations[operation] = delta;
+      totals.attempts += delta.attempts;
+      totals.retries += delta.retries;
+      totals.failures += delta.failures;
+    }
+  }
+
+  return { ...totals, operations };
+}
+
+/**
+ * Retry with exponential backoff and jitter, honouring Retry-After and skipping errors that cannot succeed
+ * @param {Function} fn - Function to retry
+ * @param {string} operation - Operation name for logging and stats
+ * @param {Object} options - { policy: 'airtable' | 'dialpad', breaker: name } plus any policy field override, e.g. isRetryable
+ */
+async function retry(fn, operation = 'Operation', options = {}) {
+  const { policy = 'default', breaker: breakerName, ...overrides } = options;
+  const config = { ...POLICIES.default, ...POLICIES[policy], ...overrides };
+  const breaker = breakerName ? getBreaker(breakerName) : null;
   let lastError;
-  
+
   for (let attempt = 1; attempt <= config.retries; attempt++) {
+    if (breaker && !breaker.allowRequest()) {
+      const error = new Error(`${breaker.name} circuit is open; not calling ${operation}`);
+      error.status = 503;
+      error.retryable = false;
+      error.circuitOpen = true;
+      recordStat(operation, 'failures');
+      throw error;
+    }
+
+    recordStat(operation, 'attempts');
+
     try {
-      return await fn();
+      const result = await fn();
+      if (breaker) breaker.recordSuccess();
+      return result;
     } catch (error) {
       lastError = error;
-      
-      // Don't retry on the last attempt
-      if (attempt === config.retries) {
-        logger.error({ operation, error: error.message }, `${operation} failed after all retries`);
+      const retryable = config.isRetryable(error);
+
+      // Only transient failures say anything about the remote service's health
+      if (breaker) {
+        if (retryable) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordNeutral();
+        }
+      }
+
+      // Don't retry on the last attempt or when the error will not go away
+      if (!retryable || attempt === config.retries) {
+        recordStat(operation, 'failures');
+        logger.error({
+          operation,
+          attempts: attempt,
+          status: error.response?.status,
+          error: error.message
+        }, retryable ? `${operation} failed after all retries` : `${operation} failed with a non-retryable error`);
         throw error;
       }
-      
-      // Calculate delay with exponential backoff and jitter
+
+      // Calculate delay with exponential backoff and jitter, unless the server asked for one
       const baseDelay = Math.min(
         config.minTimeout * Math.pow(config.factor, attempt - 1),
         config.maxTimeout
       );
       const jitter = Math.random() * baseDelay * 0.1; // 10% jitter
-      const delay = Math.floor(baseDelay + jitter);
-      
+      const retryAfter = getRetryAfterMs(error);
+      const delay = retryAfter !== null ? Math.min(retryAfter, config.maxTimeout) : Math.floor(baseDelay + jitter);
+
+      recordStat(operation, 'retries');
       logger.warn({
         operation,
         attemptNumber: attempt,
         retriesLeft: config.retries - attempt,
         error: error.message,
-        nextDelayMs: delay
+        nextDelayMs: delay,
+        retryAfter: retryAfter !== null
       }, `${operation} failed, retrying...`);
-      
+
       // Wait before next retry
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
-  
+
   throw lastError;
 }
 
-module.exports = retry;
\ No newline at end of file
+module.exports = retry;
+module.exports.POLICIES = POLICIES;
+module.exports.isRetryableError = isRetryableError;
+module.exports.isRetryableAirtableError = isRetryableAirtableError;
+module.exports.isRetryableDialpadError = isRetryableDialpadError;
+module.exports.getRetryAfterMs = getRetryAfterMs;
+module.exports.getBreaker = getBreaker;
+module.exports.getBreakerStates = getBreakerStates;
+module.exports.getRetryStats = getRetryStats;
+module.exports.getRetryStatsSince = getRetryStatsSince;
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const path = require('path');
+const pino = require('pino');
+const { config } = require('./config');
+const { formatDurationToMMSS } = require('./records');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+const CONFIG_FILE = path.join(STATE_DIR, 'config.json');
+
+const DIRECTIONS = ['inbound', 'outbound'];
+const OUTCOMES = ['connected', 'missed', 'voicemail'];
+// Dialpad target types that stand for a department rather than a person
+const DEPARTMENT_TYPES = ['department', 'callcenter', 'office'];
+
+// Name of the built-in rule; checkpoints and dead letters from before rules existed belong to it
+const DEFAULT_RULE_NAME = 'lastConnectedOutbound';
+
+/**
+ * Values a rule can write, computed from the call it kept for a client.
+ * extras: { shareLink, processedAt }
+ */
+const FIELD_SOURCES = {
+  dateStarted: (callData) => callData.dateStarted || null,
+  dateConnected: (callData) => callData.dateConnected || null,
+  dateEnded: (callData) => callData.dateEnded || null,
+  durationSeconds: (callData) => callData.duration || 0,
+  durationMMSS: (callData) => formatDurationToMMSS(callData.duration),
+  recordingLink: (callData, extras) => extras.shareLink || undefined,
+  direction: (callData) => callData.direction || null,
+  outcome: (callData) => callData.outcome || null,
+  target: (callData) => callData.target || null,
+  contactName: (callData) => callData.contactName || null,
+  processedAt: (callData, extras) => extras.processedAt
+};
+
+/**
+ * The behaviour from before rules were configurable: connected outbound calls
+ * write the last call date, duration, recording and processed time.
+ * @param {Object} target - Entry of config.secondaryTargets whose field names to use
+ */
+function getDefaultRules(target = config.secondaryTargets[0] || config.secondaryAirtable) {
+  const fields = {
+    [target.lastCallField]: 'dateConnected',
+    [target.durationField]: 'durationMMSS',
+    [target.recordingField]: 'recordingLink'
+  };
+
+  if (target.processedField && target.processedField.trim() !== '') {
+    fields[target.processedField] = 'processedAt';
+  }
+
+  return [{
+    name: DEFAULT_RULE_NAME,
+    directions: ['outbound'],
+    outcomes: ['connected'],
+    fields
+  }];
+}
+
+let cachedRules = null;
+let cachedMtimeMs = null;
+
+/**
+ * Current rules for a target: its own `rules`, else `secondaryRules` from the
+ * persisted config, else the default. config.json is re-read whenever it changes
+ * so updates apply without a restart.
+ * @param {Object} [target] - Entry of config.secondaryTargets; the first when omitted
+ */
+function getSecondaryRules(target = config.secondaryTargets[0]) {
+  if (target && Array.isArray(target.rules) && target.rules.length > 0) {
+    return target.rules;
+  }
+
+  try {
+    if (!fs.pathExistsSync(CONFIG_FILE)) {
+      return getDefaultRules(target);
+    }
+
+    const { mtimeMs } = fs.statSync(CONFIG_FILE);
+    if (cachedMtimeMs !== mtimeMs) {
+      const saved = fs.readJsonSync(CONFIG_FILE);
+      cachedRules = Array.isArray(saved.secondaryRules) && saved.secondaryRules.length > 0
+        ? saved.secondaryRules
+        : null;
+      cachedMtimeMs = mtimeMs;
+    }
+  } catch (error) {
+    logger.error(error, 'Failed to read secondary rules, using default');
+    return getDefaultRules(target);
+  }
+
+  return cachedRules || getDefaultRules(target);
+}
+
+function getCallOutcome(call) {
+  if (call.date_connected) return 'connected';
+  if (call.voicemail_link || call.voicemail_recording_id) return 'voicemail';
+  return 'missed';
+}
+
+function matchesAny(values, candidates) {
+  const wanted = values.map(value => String(value).toLowerCase());
+  return candidates.some(candidate => candidate != null && wanted.includes(String(candidate).toLowerCase()));
+}
+
+/**
+ * Whether a call qualifies for a rule. Omitted criteria match everything.
+ * @param {Object} rule
+ * @param {Object} call - Call object as returned by the Dialpad API
+ * @param {Object} built - Result of buildCallRecord()
+ */
+function ruleMatches(rule, call, built) {
+  if (rule.directions && !rule.directions.includes(built.direction)) return false;
+  if (rule.outcomes && !rule.outcomes.includes(getCallOutcome(call))) return false;
+  if (rule.minDurationSeconds && built.duration < rule.minDurationSeconds) return false;
+
+  const target = call.target || {};
+  if (rule.targets && !matchesAny(rule.targets, [target.name, target.id, target.email])) {
+    return false;
+  }
+
+  if (rule.departments) {
+    const departments = [call.entry_point_target?.name];
+    if (DEPARTMENT_TYPES.includes(target.type)) departments.push(target.name);
+    if (!matchesAny(rule.departments, departments)) return false;
+  }
+
+  return true;
+}
+
+// What the secondary stage keeps of a call, small enough for checkpoints and dead letters
+function toCallData(call, built) {
+  return {
+    dateStarted: call.date_started ? new Date(parseInt(call.date_started)).toISOString() : null,
+    dateConnected: built.connectedTime ? new Date(built.connectedTime).toISOString() : null,
+    dateEnded: call.date_ended ? new Date(parseInt(call.date_ended)).toISOString() : null,
+    duration: built.duration,
+    recordingId: built.recordingId,
+    direction: built.direction,
+    outcome: getCallOutcome(call),
+    target: call.target?.name || null,
+    contactName: call.contact?.name || null
+  };
+}
+
+function getCallTime(callData) {
+  return new Date(callData.dateConnected || callData.dateStarted || 0).getTime();
+}
+
+/**
+ * Record a call against every rule it matches, keeping the latest call per client and rule
+ * @param {Map} pending - phone -> { [ruleName]: callData }
+ * @returns {Array<string>} Names of the rules the call matched
+ */
+function trackCall(pending, call, built, rules = getSecondaryRules()) {
+  if (!built.externalNumber) {
+    return [];
+  }
+
+  const matched = rules.filter(rule => ruleMatches(rule, call, built));
+  if (matched.length === 0) {
+    return [];
+  }
+
+  const callData = toCallData(call, built);
+  const entry = pending.get(built.externalNumber) || {};
+
+  for (const rule of matched) {
+    const existing = entry[rule.name];
+    if (!existing || getCallTime(callData) > getCallTime(existing)) {
+      entry[rule.name] = callData;
+    }
+  }
+
+  pending.set(built.externalNumber, entry);
+  return matched.map(rule => rule.name);
+}
+
+// Entries written before rules existed hold a single callData for the default rule
+function normalizeEntry(entry) {
+  return entry && entry.dateConnected !== undefined && entry.duration !== undefined
+    ? { [DEFAULT_RULE_NAME]: entry }
+    : entry;
+}
+
+// Recording IDs whose share link some rule writes
+function getRecordingIds(entry, rules = getSecondaryRules()) {
+  const ids = [];
+  for (const rule of rules) {
+    const callData = normalizeEntry(entry)[rule.name];
+    if (callData?.recordingId && Object.values(rule.fields).includes('recordingLink')) {
+      ids.push(callData.recordingId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Fields to write to a client record, merged across the rules its calls matched.
+ * Rules later in the list win when two write the same field.
+ * @param {Object} entry - { [ruleName]: callData }
+ * @param {Object} extras - { shareLinks: Map recordingId -> link, processedAt }
+ */
+function buildUpdateFields(entry, { shareLinks = new Map(), processedAt }, rules = getSecondaryRules()) {
+  const fields = {};
+  const byRule = normalizeEntry(entry);
+
+  for (const rule of rules) {
+    const callData = byRule[rule.name];
+    if (!callData) continue;
+
+    const extras = { shareLink: shareLinks.get(callData.recordingId) || null, processedAt };
+    for (const [field, source] of Object.entries(rule.fields)) {
+      const value = FIELD_SOURCES[source] ? FIELD_SOURCES[source](callData, extras) : undefined;
+      // A missing recording link leaves the field as it is
+      if (value !== undefined) {
+        fields[field] = value;
+      }
+    }
+  }
+
+  return fields;
+}
+
+module.exports = {
+  DIRECTIONS,
+  OUTCOMES,
+  FIELD_SOURCES,
+  DEFAULT_RULE_NAME,
+  getDefaultRules,
+  getSecondaryRules,
+  getCallOutcome,
+  ruleMatches,
+  trackCall,
+  normalizeEntry,
+  getRecordingIds,
+  buildUpdateFields
+};
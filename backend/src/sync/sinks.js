@@ -0,0 +1,309 @@
+const pino = require('pino');
+const { config } = require('./config');
+const { SecondaryAirtableClient } = require('./airtable');
+const postgres = require('./postgres');
+const { trackCall, normalizeEntry } = require('./secondaryRules');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+/**
+ * Destination for synced calls. sync() hands every committed page to each enabled sink
+ * and never talks to a destination directly.
+ *
+ * Page entries are { callId, call, record, built, customerId, normalizedPhone }.
+ * Writes resolve to { written, failures: [{ payload, count, error }] }; failed payloads
+ * go to the dead-letter store under the sink's deadLetterKind and come back through retry().
+ */
+class Sink {
+  constructor(name, type) {
+    this.name = name;
+    this.type = type;
+    this.deadLetterKind = type;
+    // Keeps only the latest call per record, so runs over older explicit windows skip it
+    this.latestOnly = false;
+  }
+
+  // Safe-to-log summary of where the sink writes
+  describe() {
+    return { name: this.name, type: this.type };
+  }
+
+  async testConnection() {
+    return true;
+  }
+
+  /**
+   * Stage a page for a write at the end of the window. Runs in dry runs too.
+   */
+  collect(entries) {}
+
+  /**
+   * Write one committed page
+   * @returns {Promise<{written: number, failures: Array}>}
+   */
+  async writeBatch(entries) {
+    return { written: 0, failures: [] };
+  }
+
+  /**
+   * Runs once every page of the window is done, for sinks that write per run.
+   * @param {Object} context - { dryRun, dialpad }
+   * @returns {Promise<Object|null>} Same shape as writeBatch() plus sink-specific counts,
+   *   or { preview } in a dry run
+   */
+  async finalize(context) {
+    return null;
+  }
+
+  // State staged by collect(), kept in the run checkpoint
+  getPending() {
+    return null;
+  }
+
+  /**
+   * @param {*} saved - What getPending() returned before the checkpoint
+   * @param {Object} run - The whole checkpoint, for formats from before sinks existed
+   */
+  restorePending(saved, run) {}
+
+  handlesDeadLetter(entry) {
+    return entry.kind === this.deadLetterKind;
+  }
+
+  /**
+   * Replay a dead-lettered payload
+   * @returns {Promise<{failures: Array}>}
+   */
+  async retry(payload, context) {
+    throw new Error(`Sink ${this.name} cannot retry payloads`);
+  }
+}
+
+// Calls table of the primary Airtable base, upserted page by page
+class AirtablePrimarySink extends Sink {
+  constructor(airtable) {
+    super('airtable', 'airtable');
+    this.airtable = airtable;
+    this.deadLetterKind = 'primary';
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      baseId: config.airtable.baseId,
+      table: config.airtable.callsTable
+    };
+  }
+
+  async testConnection() {
+    return this.airtable.testConnection();
+  }
+
+  async writeBatch(entries) {
+    logger.info(`Upserting ${entries.length} calls to Airtable...`);
+    const { upserted, failures } = await this.airtable.upsertCalls(entries.map(entry => entry.record));
+    logger.info(`Successfully upserted ${upserted} calls`);
+
+    return {
+      written: upserted,
+      failures: failures.map(failure => ({
+        payload: { records: failure.records },
+        count: failure.records.length,
+        error: failure.error
+      }))
+    };
+  }
+
+  async retry(payload) {
+    return this.airtable.upsertCalls(payload.records);
+  }
+}
+
+/**
+ * One secondary client base. Keeps the latest qualifying call per client and rule
+ * while the window is fetched, and updates the base once the window is complete.
+ */
+class SecondaryAirtableSink extends Sink {
+  /**
+   * @param {Object} target - Entry of config.secondaryTargets
+   * @param {boolean} legacyOwner - Takes checkpoints and dead letters from before multiple targets
+   */
+  constructor(target, legacyOwner = false) {
+    super(`secondary:${target.name}`, 'secondary');
+    this.client = new SecondaryAirtableClient(target);
+    this.target = target;
+    this.legacyOwner = legacyOwner;
+    this.latestOnly = true;
+    this.rules = this.client.getRules();
+    this.pending = new Map(); // phoneNumber -> { [ruleName]: callData }
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      baseId: this.target.baseId,
+      table: this.target.table,
+      matching: this.target.matching,
+      rules: this.rules.map(rule => rule.name)
+    };
+  }
+
+  async testConnection() {
+    return this.client.testConnection();
+  }
+
+  collect(entries) {
+    for (const { call, built } of entries) {
+      const matchedRules = trackCall(this.pending, call, built, this.rules);
+      if (matchedRules.length > 0) {
+        logger.debug({
+          target: this.target.name,
+          direction: built.direction,
+          externalNumber: built.externalNumber,
+          duration: built.duration,
+          hasRecordingId: !!built.recordingId,
+          rules: matchedRules
+        }, 'Call tracked for secondary base update');
+      }
+    }
+  }
+
+  async finalize({ dryRun, dialpad }) {
+    const { name } = this.target;
+
+    if (this.pending.size === 0) {
+      logger.info({ target: name }, 'No calls matched the secondary rules');
+      return { toUpdate: 0, notFound: 0, written: 0, failures: [] };
+    }
+
+    if (dryRun) {
+      const preview = await this.client.previewCallDetailsBatch(this.pending);
+      return { toUpdate: this.pending.size, notFound: preview.notFound.length, preview };
+    }
+
+    logger.info({
+      target: name,
+      count: this.pending.size,
+      phoneNumbers: Array.from(this.pending.keys()).slice(0, 10), // Log first 10 for brevity
+      rules: this.rules.map(rule => rule.name),
+      batchSize: this.target.batchSize
+    }, 'Updating secondary base with batch processing');
+
+    const { successCount, notFound, failures } = await this.client.updateCallDetailsBatch(this.pending, dialpad);
+
+    logger.info({
+      target: name,
+      totalToUpdate: this.pending.size,
+      successfullyUpdated: successCount,
+      notFound,
+      failedUpdates: this.pending.size - successCount - notFound,
+      successRate: `${(successCount / this.pending.size * 100).toFixed(2)}%`
+    }, 'Secondary base batch update completed');
+
+    return {
+      toUpdate: this.pending.size,
+      notFound,
+      written: successCount,
+      failures: failures.map(failure => ({
+        payload: { target: name, updates: failure.updates },
+        count: failure.updates.length,
+        error: failure.error
+      }))
+    };
+  }
+
+  getPending() {
+    return Array.from(this.pending.entries());
+  }
+
+  restorePending(saved, run) {
+    // Checkpoints from before sinks hold pendingSecondaryUpdates: a list for the single
+    // base, or lists keyed by target name
+    let entries = saved;
+    if (!entries && run.pendingSecondaryUpdates) {
+      entries = Array.isArray(run.pendingSecondaryUpdates)
+        ? (this.legacyOwner ? run.pendingSecondaryUpdates : null)
+        : run.pendingSecondaryUpdates[this.target.name];
+    }
+
+    this.pending = new Map((entries || []).map(([phone, entry]) => [phone, normalizeEntry(entry)]));
+  }
+
+  // Entries from before multiple targets have no target and belong to the first one
+  handlesDeadLetter(entry) {
+    if (entry.kind !== this.deadLetterKind) return false;
+    return entry.payload.target ? entry.payload.target === this.target.name : this.legacyOwner;
+  }
+
+  async retry(payload, { dialpad }) {
+    return this.client.updateCallDetailsBatch(new Map(payload.updates), dialpad);
+  }
+}
+
+// Calls table in PostgreSQL with the raw Dialpad payload, upserted page by page
+class PostgresSink extends Sink {
+  constructor() {
+    super('postgres', 'postgres');
+  }
+
+  describe() {
+    let host = null;
+    try {
+      host = new URL(config.postgres.url).host;
+    } catch (error) {
+      // Unparseable URL; testConnection() reports it
+    }
+    return { ...super.describe(), host, table: 'calls' };
+  }
+
+  async testConnection() {
+    return postgres.testConnection();
+  }
+
+  async writeBatch(entries) {
+    const { written, failures } = await postgres.upsertCalls(entries);
+    return {
+      written,
+      failures: failures.map(failure => ({
+        // What a row is built from; the rest of the page entry is not needed to replay it
+        payload: {
+          entries: failure.entries.map(({ callId, call, record, customerId, normalizedPhone }) => ({
+            callId, call, record, customerId, normalizedPhone
+          }))
+        },
+        count: failure.entries.length,
+        error: failure.error
+      }))
+    };
+  }
+
+  async retry(payload) {
+    return postgres.upsertCalls(payload.entries);
+  }
+}
+
+// Sink types that can be listed in SYNC_SINKS; each builds zero or more sinks
+const SINK_TYPES = {
+  airtable: ({ airtable }) => [new AirtablePrimarySink(airtable)],
+  secondary: () => config.secondaryTargets.map((target, index) => new SecondaryAirtableSink(target, index === 0)),
+  postgres: () => [new PostgresSink()]
+};
+
+/**
+ * Sinks enabled by config.sinks, in order
+ * @param {Object} clients - { airtable } shared with the rest of the sync
+ */
+function createSinks(clients) {
+  return config.sinks.flatMap(type => SINK_TYPES[type](clients));
+}
+
+module.exports = {
+  Sink,
+  AirtablePrimarySink,
+  SecondaryAirtableSink,
+  PostgresSink,
+  SINK_TYPES,
+  createSinks
+};
@@ -9,6 +9,15 @@ const logger = pino({
 const STATE_DIR = process.env.STATE_DIR || './state';
 const STATE_FILE = path.join(STATE_DIR, 'sync.state');
 
+const DRY_RUN_REPORT_FILE = path.join(STATE_DIR, 'dry-run-report.json');
+const CUSTOMER_PHONE_REPORT_FILE = path.join(STATE_DIR, 'customer-phones.json');
+
+// In-progress run records, one file per run key ('main' for the regular sync).
+// Characters that are not safe in file names on every platform become '_'.
+function getRunFile(key) {
+  return path.join(STATE_DIR, `run-${String(key).replace(/[^A-Za-z0-9._-]/g, '_')}.state`);
+}
+
 class StateManager {
   constructor() {
     this.ensureStateDir();
@@ -71,12 +80,118 @@ class StateManager {
     }
   }
 
+  /**
+   * Get the in-progress run record for a run key, if a previous run did not finish
+   * @param {string} key - Run key
+   */
+  async getRun(key = 'main') {
+    try {
+      const runFile = getRunFile(key);
+      if (await fs.pathExists(runFile)) {
+        const content = await fs.readFile(runFile, 'utf8');
+        return JSON.parse(content);
+      }
+      return null;
+    } catch (error) {
+      logger.error({ key, error: error.message }, 'Failed to read run record');
+      return null;
+    }
+  }
+
+  /**
+   * Persist the run record checkpoint (window bounds, cursor, pages done, counts)
+   * @param {string} key - Run key
+   * @param {Object} run - Run record
+   */
+  async saveRun(key = 'main', run) {
+    try {
+      const record = {
+        ...run,
+        key,
+        updatedAt: new Date().toISOString()
+      };
+
+      // Write atomically
+      const runFile = getRunFile(key);
+      const tmpFile = `${runFile}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(record, null, 2));
+      await fs.rename(tmpFile, runFile);
+
+      logger.debug({ key, pagesDone: record.pagesDone }, 'Run checkpoint saved');
+      return record;
+    } catch (error) {
+      logger.error(error, 'Failed to save run checkpoint');
+      throw error;
+    }
+  }
+
+  async clearRun(key = 'main') {
+    try {
+      await fs.remove(getRunFile(key));
+      return true;
+    } catch (error) {
+      logger.error(error, 'Failed to clear run record');
+      throw error;
+    }
+  }
+
+  async saveDryRunReport(report) {
+    try {
+      const tmpFile = `${DRY_RUN_REPORT_FILE}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(report, null, 2));
+      await fs.rename(tmpFile, DRY_RUN_REPORT_FILE);
+      return DRY_RUN_REPORT_FILE;
+    } catch (error) {
+      logger.error(error, 'Failed to save dry-run report');
+      throw error;
+    }
+  }
+
+  async getDryRunReport() {
+    try {
+      if (await fs.pathExists(DRY_RUN_REPORT_FILE)) {
+        const content = await fs.readFile(DRY_RUN_REPORT_FILE, 'utf8');
+        return JSON.parse(content);
+      }
+      return null;
+    } catch (error) {
+      logger.error(error, 'Failed to read dry-run report');
+      return null;
+    }
+  }
+
+  // Phone quality and duplicate numbers found when the last sync loaded customers
+  async saveCustomerPhoneReport(report) {
+    try {
+      const tmpFile = `${CUSTOMER_PHONE_REPORT_FILE}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(report, null, 2));
+      await fs.rename(tmpFile, CUSTOMER_PHONE_REPORT_FILE);
+    } catch (error) {
+      logger.error(error, 'Failed to save customer phone report');
+      throw error;
+    }
+  }
+
+  async getCustomerPhoneReport() {
+    try {
+      if (await fs.pathExists(CUSTOMER_PHONE_REPORT_FILE)) {
+        const content = await fs.readFile(CUSTOMER_PHONE_REPORT_FILE, 'utf8');
+        return JSON.parse(content);
+      }
+      return null;
+    } catch (error) {
+      logger.error(error, 'Failed to read customer phone report');
+      return null;
+    }
+  }
+
   async reset() {
     try {
       if (await fs.pathExists(STATE_FILE)) {
         await fs.remove(STATE_FILE);
         logger.info('State reset successfully');
       }
+      await this.clearRun('main');
       return true;
     } catch (error) {
       logger.error(error, 'Failed to reset state');
@@ -0,0 +1,863 @@
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+const pino = require('pino');
+const { config } = require('./config');
+const { getExternalNumberField } = require('./mapping');
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info'
+});
+
+const STATE_DIR = process.env.STATE_DIR || './state';
+const DB_FILE = path.join(STATE_DIR, 'calls.db');
+
+// Schema migrations, applied in order. The index + 1 is stored in PRAGMA user_version,
+// so only ever append to this list.
+const MIGRATIONS = [
+  `
+    CREATE TABLE IF NOT EXISTS calls (
+      call_id TEXT PRIMARY KEY,
+      direction TEXT,
+      external_number TEXT,
+      normalized_phone TEXT,
+      contact_name TEXT,
+      target TEXT,
+      start_time TEXT,
+      duration_s INTEGER NOT NULL DEFAULT 0,
+      was_connected INTEGER NOT NULL DEFAULT 0,
+      was_recorded INTEGER NOT NULL DEFAULT 0,
+      customer_id TEXT,
+      fields TEXT NOT NULL,
+      synced_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_calls_start_time ON calls (start_time);
+    CREATE INDEX IF NOT EXISTS idx_calls_customer_id ON calls (customer_id);
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS recording_links (
+      recording_id TEXT PRIMARY KEY,
+      recording_type TEXT NOT NULL,
+      link_id TEXT,
+      access_link TEXT NOT NULL,
+      phone TEXT,
+      created_at TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT,
+      use_count INTEGER NOT NULL DEFAULT 0,
+      refresh_count INTEGER NOT NULL DEFAULT 0,
+      revoked_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_recording_links_created_at ON recording_links (created_at);
+  `,
+  `
+    ALTER TABLE calls ADD COLUMN transcript TEXT;
+    ALTER TABLE calls ADD COLUMN ai_recap TEXT;
+    ALTER TABLE calls ADD COLUMN action_items TEXT;
+    ALTER TABLE calls ADD COLUMN enrichment_status TEXT;
+    ALTER TABLE calls ADD COLUMN enrichment_attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE calls ADD COLUMN next_enrichment_at TEXT;
+    ALTER TABLE calls ADD COLUMN enriched_at TEXT;
+    CREATE INDEX IF NOT EXISTS idx_calls_enrichment ON calls (enrichment_status, next_enrichment_at);
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      subscription_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      last_attempt_at TEXT,
+      response_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at TEXT NOT NULL,
+      delivered_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries (created_at);
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      next_slot_at INTEGER NOT NULL DEFAULT 0,
+      penalty_until INTEGER NOT NULL DEFAULT 0
+    );
+  `,
+  `
+    ALTER TABLE recording_links ADD COLUMN replaced_link_id TEXT;
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS store_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `
+];
+
+const SEEDED_KEY = 'airtable_seeded_at';
+
+/**
+ * Local SQLite mirror of synced calls.
+ * sync() writes every call it processes here and mirrorSeed copies in the
+ * history already in Airtable; the API services read from it once that copy
+ * has finished and fall back to Airtable until then or when it is unavailable.
+ */
+class CallStore {
+  constructor() {
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    try {
+      fs.ensureDirSync(STATE_DIR);
+      this.db = new Database(DB_FILE);
+      this.db.pragma('journal_mode = WAL');
+      this.migrate();
+      return this.db;
+    } catch (error) {
+      this.db = null;
+      logger.error(error, 'Failed to open local call store');
+      throw error;
+    }
+  }
+
+  migrate() {
+    const currentVersion = this.db.pragma('user_version', { simple: true });
+
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[version]);
+        this.db.pragma(`user_version = ${version + 1}`);
+      })();
+      logger.info({ version: version + 1 }, 'Applied call store migration');
+    }
+  }
+
+  /**
+   * Upsert calls into the local mirror
+   * @param {Array<Object>} entries - { callId, call, record, customerId, normalizedPhone }
+   * @returns {number} Number of rows written
+   */
+  upsertCalls(entries) {
+    const db = this.open();
+    const syncedAt = new Date().toISOString();
+
+    const statement = db.prepare(`
+      INSERT INTO calls (
+        call_id, direction, external_number, normalized_phone, contact_name, target,
+        start_time, duration_s, was_connected, was_recorded, customer_id, fields, synced_at
+      ) VALUES (
+        @callId, @direction, @externalNumber, @normalizedPhone, @contactName, @target,
+        @startTime, @durationSeconds, @wasConnected, @wasRecorded, @customerId, @fields, @syncedAt
+      )
+      ON CONFLICT (call_id) DO UPDATE SET
+        direction = excluded.direction,
+        external_number = excluded.external_number,
+        normalized_phone = excluded.normalized_phone,
+        contact_name = excluded.contact_name,
+        target = excluded.target,
+        start_time = excluded.start_time,
+        duration_s = excluded.duration_s,
+        was_connected = excluded.was_connected,
+        was_recorded = excluded.was_recorded,
+        customer_id = excluded.customer_id,
+        fields = excluded.fields,
+        synced_at = excluded.synced_at
+    `);
+
+    const writeAll = db.transaction((rows) => {
+      for (const row of rows) {
+        statement.run(row);
+      }
+    });
+
+    const rows = entries.map(({ callId, call, record, customerId, normalizedPhone }) => ({
+      callId: String(callId),
+      direction: call.direction || null,
+      externalNumber: call.external_number || null,
+      normalizedPhone: normalizedPhone || null,
+      contactName: call.contact?.name || null,
+      target: call.target?.name || null,
+      startTime: call.date_started ? new Date(parseInt(call.date_started)).toISOString() : null,
+      durationSeconds: Math.floor((call.duration || 0) / 1000),
+      wasConnected: call.date_connected ? 1 : 0,
+      wasRecorded: call.was_recorded ? 1 : 0,
+      customerId: customerId || null,
+      fields: JSON.stringify(record),
+      syncedAt
+    }));
+
+    writeAll(rows);
+    logger.debug({ count: rows.length }, 'Calls written to local store');
+    return rows.length;
+  }
+
+  /**
+   * Insert calls copied from Airtable, keeping any row a sync already wrote
+   * @param {Array<Object>} rows - Store rows, see mirrorSeed.toMirrorRow
+   * @returns {number} Number of rows inserted
+   */
+  seedCalls(rows) {
+    const db = this.open();
+    const syncedAt = new Date().toISOString();
+
+    const statement = db.prepare(`
+      INSERT INTO calls (
+        call_id, direction, external_number, normalized_phone, contact_name, target,
+        start_time, duration_s, was_connected, was_recorded, customer_id, fields, synced_at
+      ) VALUES (
+        @callId, @direction, @externalNumber, @normalizedPhone, @contactName, @target,
+        @startTime, @durationSeconds, @wasConnected, @wasRecorded, @customerId, @fields, @syncedAt
+      )
+      ON CONFLICT (call_id) DO NOTHING
+    `);
+
+    const insertAll = db.transaction((entries) => {
+      let inserted = 0;
+      for (const row of entries) {
+        inserted += statement.run({ ...row, syncedAt }).changes;
+      }
+      return inserted;
+    });
+
+    return insertAll(rows);
+  }
+
+  getMeta(key) {
+    const db = this.open();
+    return db.prepare('SELECT value FROM store_meta WHERE key = ?').get(key)?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    const db = this.open();
+    db.prepare(`
+      INSERT INTO store_meta (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `).run(key, String(value));
+  }
+
+  isSeeded() {
+    return this.getMeta(SEEDED_KEY) !== null;
+  }
+
+  markSeeded() {
+    this.setMeta(SEEDED_KEY, new Date().toISOString());
+  }
+
+  /**
+   * Whether the mirror holds the full call history. With Airtable configured
+   * that needs the seed from Airtable to have finished, otherwise calls synced
+   * before the mirror existed would be missing from the results.
+   * @param {boolean} hasAirtable - Whether Airtable is available as a fallback
+   */
+  canServeReads(hasAirtable = true) {
+    if (this.countCalls() === 0) {
+      return false;
+    }
+    return !hasAirtable || this.isSeeded();
+  }
+
+  /**
+   * Point mirrored calls at a customer created after they were synced
+   */
+  linkCustomer(callIds, customerId) {
+    const db = this.open();
+    const linkPath = `$."${config.fields.callsCustomerLink}"`;
+    const unmatchedPath = `$."${config.fields.callsUnmatchedPhone}"`;
+    const statement = db.prepare(`
+      UPDATE calls
+      SET customer_id = @customerId,
+          fields = json_remove(json_set(fields, @linkPath, json_array(@customerId)), @unmatchedPath)
+      WHERE call_id = @callId
+    `);
+
+    db.transaction((ids) => {
+      for (const callId of ids) {
+        statement.run({ callId: String(callId), customerId, linkPath, unmatchedPath });
+      }
+    })(callIds);
+  }
+
+  /**
+   * Queue calls for transcript/recap enrichment; calls already queued or enriched are left alone
+   */
+  markEnrichmentPending(callIds) {
+    const db = this.open();
+    const now = new Date().toISOString();
+    const statement = db.prepare(`
+      UPDATE calls
+      SET enrichment_status = 'pending', next_enrichment_at = ?
+      WHERE call_id = ? AND enrichment_status IS NULL
+    `);
+
+    db.transaction((ids) => {
+      for (const callId of ids) {
+        statement.run(now, String(callId));
+      }
+    })(callIds);
+  }
+
+  // Calls due for an enrichment attempt, oldest first
+  getPendingEnrichment(limit = 100) {
+    const db = this.open();
+    return db.prepare(`
+      SELECT call_id, enrichment_attempts FROM calls
+      WHERE enrichment_status = 'pending' AND next_enrichment_at <= ?
+      ORDER BY start_time ASC
+      LIMIT ?
+    `).all(new Date().toISOString(), limit).map(row => ({
+      callId: row.call_id,
+      attempts: row.enrichment_attempts
+    }));
+  }
+
+  saveEnrichment(callId, { transcript, recap, actionItems }) {
+    const db = this.open();
+    db.prepare(`
+      UPDATE calls
+      SET transcript = @transcript,
+          ai_recap = @recap,
+          action_items = @actionItems,
+          enrichment_status = 'done',
+          enrichment_attempts = enrichment_attempts + 1,
+          next_enrichment_at = NULL,
+          enriched_at = @now
+      WHERE call_id = @callId
+    `).run({
+      callId: String(callId),
+      transcript: transcript || null,
+      recap: recap || null,
+      actionItems: actionItems || null,
+      now: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Count a failed or not-ready attempt; reschedule it, or give up once attempts run out
+   */
+  recordEnrichmentAttempt(callId, nextAttemptAt) {
+    const db = this.open();
+    db.prepare(`
+      UPDATE calls
+      SET enrichment_attempts = enrichment_attempts + 1,
+          enrichment_status = CASE WHEN @nextAttemptAt IS NULL THEN 'unavailable' ELSE 'pending' END,
+          next_enrichment_at = @nextAttemptAt
+      WHERE call_id = @callId
+    `).run({ callId: String(callId), nextAttemptAt });
+  }
+
+  getEnrichmentCounts() {
+    const db = this.open();
+    const counts = { pending: 0, done: 0, unavailable: 0 };
+    for (const row of db.prepare(`
+      SELECT enrichment_status AS status, COUNT(*) AS count FROM calls
+      WHERE enrichment_status IS NOT NULL
+      GROUP BY enrichment_status
+    `).all()) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  countCalls() {
+    const db = this.open();
+    return db.prepare('SELECT COUNT(*) AS count FROM calls').get().count;
+  }
+
+  /**
+   * Which of the given call IDs are already in the mirror
+   * @returns {Set<string>}
+   */
+  getExistingCallIds(callIds) {
+    const db = this.open();
+    const statement = db.prepare('SELECT call_id FROM calls WHERE call_id = ?');
+    const existing = new Set();
+
+    for (const callId of callIds) {
+      if (statement.get(String(callId))) {
+        existing.add(String(callId));
+      }
+    }
+
+    return existing;
+  }
+
+  /**
+   * Which of the given calls were last written with the ambiguous-match flag
+   * @returns {Set<string>}
+   */
+  getAmbiguousCallIds(callIds) {
+    if (!config.fields.callsAmbiguousMatch) {
+      return new Set();
+    }
+
+    const db = this.open();
+    const flagPath = `$."${config.fields.callsAmbiguousMatch}"`;
+    const statement = db.prepare('SELECT call_id FROM calls WHERE call_id = ? AND json_extract(fields, ?) IS NOT NULL');
+    const flagged = new Set();
+
+    for (const callId of callIds) {
+      if (statement.get(String(callId), flagPath)) {
+        flagged.add(String(callId));
+      }
+    }
+
+    return flagged;
+  }
+
+  /**
+   * Paginated call query with the same filters the calls API exposes
+   */
+  queryCalls(options = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      direction,
+      matched,
+      startDate,
+      endDate,
+      customerId
+    } = options;
+
+    const db = this.open();
+    const conditions = [];
+    const params = {};
+
+    if (search) {
+      conditions.push('(external_number LIKE @search OR contact_name LIKE @search)');
+      params.search = `%${search}%`;
+    }
+
+    if (direction) {
+      conditions.push('direction = @direction');
+      params.direction = direction.toLowerCase();
+    }
+
+    if (matched === true) {
+      conditions.push('customer_id IS NOT NULL');
+    } else if (matched === false) {
+      conditions.push('customer_id IS NULL');
+    }
+
+    if (customerId) {
+      conditions.push('customer_id = @customerId');
+      params.customerId = customerId;
+    }
+
+    if (startDate) {
+      conditions.push('start_time >= @startDate');
+      params.startDate = new Date(startDate).toISOString();
+    }
+
+    if (endDate) {
+      conditions.push('start_time <= @endDate');
+      params.endDate = new Date(endDate).toISOString();
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM calls ${where}`).get(params).count;
+    const rows = db.prepare(`
+      SELECT * FROM calls ${where}
+      ORDER BY start_time DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      data: rows.map(row => this.toApiRecord(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  getCall(callId) {
+    const db = this.open();
+    const row = db.prepare('SELECT * FROM calls WHERE call_id = ?').get(String(callId));
+    return row ? this.toApiRecord(row) : null;
+  }
+
+  /**
+   * Summary rows for analytics, independent of the Airtable column names
+   */
+  getCallSummaries(startDate, endDate) {
+    const db = this.open();
+    const conditions = [];
+    const params = {};
+
+    if (startDate) {
+      conditions.push('start_time >= @startDate');
+      params.startDate = new Date(startDate).toISOString();
+    }
+
+    if (endDate) {
+      conditions.push('start_time <= @endDate');
+      params.endDate = new Date(endDate).toISOString();
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`
+      SELECT start_time, duration_s, direction, customer_id
+      FROM calls ${where}
+      ORDER BY start_time ASC
+    `).all(params).map(row => ({
+      startTime: row.start_time,
+      durationSeconds: row.duration_s,
+      direction: row.direction,
+      customerId: row.customer_id
+    }));
+  }
+
+  getRecordingLink(recordingId) {
+    const db = this.open();
+    const row = db.prepare('SELECT * FROM recording_links WHERE recording_id = ?').get(String(recordingId));
+    return row ? this.toRecordingLink(row) : null;
+  }
+
+  /**
+   * Insert or replace the share link for a recording
+   * @param {Object} link - { recordingId, recordingType, linkId, accessLink, phone, createdAt, expiresAt, refreshCount, replacedLinkId }
+   */
+  saveRecordingLink(link) {
+    const db = this.open();
+    db.prepare(`
+      INSERT INTO recording_links (
+        recording_id, recording_type, link_id, access_link, phone,
+        created_at, expires_at, last_used_at, use_count, refresh_count, revoked_at, replaced_link_id
+      ) VALUES (
+        @recordingId, @recordingType, @linkId, @accessLink, @phone,
+        @createdAt, @expiresAt, @createdAt, 1, @refreshCount, NULL, @replacedLinkId
+      )
+      ON CONFLICT (recording_id) DO UPDATE SET
+        recording_type = excluded.recording_type,
+        link_id = excluded.link_id,
+        access_link = excluded.access_link,
+        phone = COALESCE(excluded.phone, recording_links.phone),
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at,
+        last_used_at = excluded.last_used_at,
+        use_count = recording_links.use_count + 1,
+        refresh_count = excluded.refresh_count,
+        revoked_at = NULL,
+        replaced_link_id = excluded.replaced_link_id
+    `).run({
+      recordingId: String(link.recordingId),
+      recordingType: link.recordingType,
+      linkId: link.linkId ? String(link.linkId) : null,
+      accessLink: link.accessLink,
+      phone: link.phone || null,
+      createdAt: link.createdAt,
+      expiresAt: link.expiresAt || null,
+      refreshCount: link.refreshCount || 0,
+      replacedLinkId: link.replacedLinkId ? String(link.replacedLinkId) : null
+    });
+  }
+
+  // The link a rotation replaced has been revoked at Dialpad
+  clearReplacedRecordingLink(recordingId) {
+    const db = this.open();
+    db.prepare('UPDATE recording_links SET replaced_link_id = NULL WHERE recording_id = ?').run(String(recordingId));
+  }
+
+  touchRecordingLink(recordingId) {
+    const db = this.open();
+    db.prepare(`
+      UPDATE recording_links
+      SET last_used_at = ?, use_count = use_count + 1
+      WHERE recording_id = ?
+    `).run(new Date().toISOString(), String(recordingId));
+  }
+
+  markRecordingLinkRevoked(recordingId) {
+    const db = this.open();
+    db.prepare('UPDATE recording_links SET revoked_at = ? WHERE recording_id = ?')
+      .run(new Date().toISOString(), String(recordingId));
+  }
+
+  /**
+   * Share links for auditing, newest first
+   */
+  listRecordingLinks(options = {}) {
+    const { page = 1, limit = 50, status } = options;
+    const db = this.open();
+    const conditions = [];
+    const params = { now: new Date().toISOString() };
+
+    if (status === 'active') {
+      conditions.push('revoked_at IS NULL AND (expires_at IS NULL OR expires_at > @now)');
+    } else if (status === 'revoked') {
+      conditions.push('revoked_at IS NOT NULL');
+    } else if (status === 'expired') {
+      conditions.push('revoked_at IS NULL AND expires_at <= @now');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM recording_links ${where}`).get(params).count;
+    const rows = db.prepare(`
+      SELECT * FROM recording_links ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      data: rows.map(row => this.toRecordingLink(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  toRecordingLink(row) {
+    return {
+      recordingId: row.recording_id,
+      recordingType: row.recording_type,
+      linkId: row.link_id,
+      accessLink: row.access_link,
+      phone: row.phone,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      useCount: row.use_count,
+      refreshCount: row.refresh_count,
+      revokedAt: row.revoked_at,
+      replacedLinkId: row.replaced_link_id
+    };
+  }
+
+  /**
+   * Queue outbound webhook deliveries
+   * @param {Array<Object>} deliveries - { id, subscriptionId, event, eventId, payload, createdAt, nextAttemptAt }
+   */
+  addWebhookDeliveries(deliveries) {
+    const db = this.open();
+    const statement = db.prepare(`
+      INSERT INTO webhook_deliveries (id, subscription_id, event, event_id, payload, status, next_attempt_at, created_at)
+      VALUES (@id, @subscriptionId, @event, @eventId, @payload, 'pending', @nextAttemptAt, @createdAt)
+    `);
+
+    db.transaction((rows) => {
+      for (const row of rows) {
+        statement.run(row);
+      }
+    })(deliveries);
+  }
+
+  /**
+   * Take deliveries that are due, oldest first. Their next attempt moves out by the lease
+   * so another process (server or standalone sync) does not send them at the same time;
+   * if this one dies mid-delivery they become due again when the lease runs out.
+   */
+  claimDueWebhookDeliveries(limit, leaseSeconds) {
+    const db = this.open();
+    const now = new Date();
+    const leaseUntil = new Date(now.getTime() + leaseSeconds * 1000).toISOString();
+
+    return db.transaction(() => {
+      const rows = db.prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE status IN ('pending', 'retrying') AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC
+        LIMIT ?
+      `).all(now.toISOString(), limit);
+
+      const lease = db.prepare('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?');
+      for (const row of rows) {
+        lease.run(leaseUntil, row.id);
+      }
+      return rows.map(row => this.toWebhookDelivery(row, { withPayload: true }));
+    })();
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {Object} attempt - { status, responseStatus, error, durationMs, nextAttemptAt }
+   */
+  recordWebhookAttempt(id, attempt) {
+    const db = this.open();
+    const now = new Date().toISOString();
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = @status,
+          attempts = attempts + 1,
+          last_attempt_at = @now,
+          next_attempt_at = @nextAttemptAt,
+          response_status = @responseStatus,
+          error = @error,
+          duration_ms = @durationMs,
+          delivered_at = CASE WHEN @status = 'delivered' THEN @now ELSE delivered_at END
+      WHERE id = @id
+    `).run({
+      id,
+      now,
+      status: attempt.status,
+      nextAttemptAt: attempt.nextAttemptAt || null,
+      responseStatus: attempt.responseStatus || null,
+      error: attempt.error || null,
+      durationMs: attempt.durationMs ?? null
+    });
+  }
+
+  // Queue a delivery again for one more attempt, e.g. after the receiver was fixed
+  requeueWebhookDelivery(id) {
+    const db = this.open();
+    return db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', next_attempt_at = ?
+      WHERE id = ?
+    `).run(new Date().toISOString(), id).changes > 0;
+  }
+
+  getWebhookDelivery(id) {
+    const db = this.open();
+    const row = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    return row ? this.toWebhookDelivery(row, { withPayload: true }) : null;
+  }
+
+  /**
+   * Delivery log, newest first
+   */
+  listWebhookDeliveries(options = {}) {
+    const { page = 1, limit = 50, subscriptionId, status, event } = options;
+    const db = this.open();
+    const conditions = [];
+    const params = {};
+
+    if (subscriptionId) {
+      conditions.push('subscription_id = @subscriptionId');
+      params.subscriptionId = subscriptionId;
+    }
+    if (status) {
+      conditions.push('status = @status');
+      params.status = status;
+    }
+    if (event) {
+      conditions.push('event = @event');
+      params.event = event;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM webhook_deliveries ${where}`).get(params).count;
+    const rows = db.prepare(`
+      SELECT * FROM webhook_deliveries ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      data: rows.map(row => this.toWebhookDelivery(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  // Drop finished deliveries created before the cutoff
+  pruneWebhookDeliveries(before) {
+    const db = this.open();
+    return db.prepare(`
+      DELETE FROM webhook_deliveries
+      WHERE created_at < ? AND status IN ('delivered', 'failed')
+    `).run(before).changes;
+  }
+
+  toWebhookDelivery(row, { withPayload = false } = {}) {
+    const delivery = {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      event: row.event,
+      eventId: row.event_id,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastAttemptAt: row.last_attempt_at,
+      responseStatus: row.response_status,
+      error: row.error,
+      durationMs: row.duration_ms,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+
+    if (withPayload) {
+      delivery.payload = row.payload;
+    }
+    return delivery;
+  }
+
+  /**
+   * Reserve the next request slot for a rate-limited key. Slots are intervalMs apart and
+   * never inside a penalty; every process using this store draws from the same schedule.
+   * @returns {number} Epoch ms from which the slot may be used
+   */
+  reserveRateSlot(key, intervalMs) {
+    const db = this.open();
+
+    // IMMEDIATE so two processes cannot read the same next slot
+    return db.transaction(() => {
+      const row = db.prepare('SELECT next_slot_at, penalty_until FROM rate_limits WHERE key = ?').get(key);
+      const slotAt = Math.max(Date.now(), row?.next_slot_at || 0, row?.penalty_until || 0);
+      db.prepare(`
+        INSERT INTO rate_limits (key, next_slot_at) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET next_slot_at = excluded.next_slot_at
+      `).run(key, slotAt + intervalMs);
+      return slotAt;
+    }).immediate();
+  }
+
+  // Hold a rate-limited key's requests until the given epoch ms
+  setRatePenalty(key, until) {
+    const db = this.open();
+    db.prepare(`
+      INSERT INTO rate_limits (key, penalty_until) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET penalty_until = MAX(penalty_until, excluded.penalty_until)
+    `).run(key, until);
+  }
+
+  getRatePenalty(key) {
+    const db = this.open();
+    return db.prepare('SELECT penalty_until FROM rate_limits WHERE key = ?').get(key)?.penalty_until || 0;
+  }
+
+  toApiRecord(row) {
+    const record = {
+      id: row.call_id,
+      ...JSON.parse(row.fields)
+    };
+    const externalNumberField = getExternalNumberField();
+    record[externalNumberField] = record[externalNumberField] ?? row.external_number;
+
+    // Enrichment is written after the call record, so it is not part of fields
+    if (row.enrichment_status === 'done') {
+      record[config.enrichment.transcriptField] = row.transcript;
+      record[config.enrichment.recapField] = row.ai_recap;
+      record[config.enrichment.actionItemsField] = row.action_items;
+    }
+
+    return record;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = new CallStore();
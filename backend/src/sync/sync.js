@@ -1,72 +1,39 @@
 require('dotenv').config(); // Load .env file
 
-const axios = require('axios');
-const { parsePhoneNumber } = require('libphonenumber-js');
+const fs = require('fs');
 const pino = require('pino');
-const retry = require('./retry');
 const state = require('./state');
+const store = require('./store');
+const deadLetters = require('./deadLetters');
+const { getRetryStats, getRetryStatsSince } = require('./retry');
+const DialpadClient = require('./dialpad');
+const { AirtableClient } = require('./airtable');
+const { config, hasTimeRangeConfig, parseTime } = require('./config');
+const { isSupportedCountry } = require('libphonenumber-js');
+const { SINK_TYPES, createSinks } = require('./sinks');
+const { formatDurationToMMSS, analyzeCustomerPhones, buildCallRecord, DUPLICATE_POLICIES } = require('./records');
+const { queueForEnrichment, enrichCalls } = require('./enrichment');
+const customerCandidates = require('./customerCreation');
+const syncLock = require('./lock');
+const outboundWebhooks = require('./outboundWebhooks');
+const callArchive = require('./archive');
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  getDateInZone,
+  addDays,
+  getStartOfDay,
+  getStartOfDayForInstant,
+  parseDate,
+  formatInZone
+} = require('./timezone');
 
 const logger = pino({
   level: process.env.LOG_LEVEL || 'info'
 });
 
-// Configuration
-const config = {
-  dialpad: {
-    apiKey: process.env.DIALPAD_API_KEY,
-    baseUrl: process.env.DIALPAD_BASE_URL || 'https://dialpad.com'
-  },
-  airtable: {
-    pat: process.env.AIRTABLE_PAT,
-    baseId: process.env.AIRTABLE_BASE_ID,
-    customersTable: process.env.AIRTABLE_CUSTOMERS_TABLE || 'Customers',
-    callsTable: process.env.AIRTABLE_CALLS_TABLE || 'Calls'
-  },
-  secondaryAirtable: {
-    enabled: !!(process.env.SECONDARY_AIRTABLE_BASE_ID && process.env.SECONDARY_AIRTABLE_TABLE),
-    pat: process.env.SECONDARY_AIRTABLE_PAT || process.env.AIRTABLE_PAT, // Can use same PAT if not provided
-    baseId: process.env.SECONDARY_AIRTABLE_BASE_ID,
-    table: process.env.SECONDARY_AIRTABLE_TABLE,
-    phoneField: process.env.SECONDARY_PHONE_FIELD || 'Phone Format',
-    lastCallField: process.env.SECONDARY_LAST_CALL_FIELD || 'Dialpad Last Connected Call Date',
-    durationField: process.env.SECONDARY_DURATION_FIELD || 'Dialpad Call Length',
-    recordingField: process.env.SECONDARY_RECORDING_FIELD || 'DP Connected Last Call Audio',
-    processedField: process.env.SECONDARY_PROCESSED_FIELD || 'Dialpad_Last_Processed',
-    batchSize: parseInt(process.env.SECONDARY_BATCH_SIZE || '10'), // New: configurable batch size
-    rateLimitMs: parseInt(process.env.SECONDARY_RATE_LIMIT_MS || '250') // New: configurable rate limit
-  },
-  fields: {
-    customerPhone: process.env.CUSTOMER_PHONE_FIELD || 'Phone',
-    callsCustomerLink: process.env.CALLS_CUSTOMER_LINK_FIELD || 'Customer',
-    callsUnmatchedPhone: process.env.CALLS_UNMATCHED_PHONE_FIELD || 'Unmatched Phone'
-  },
-  sync: {
-    daysBack: parseInt(process.env.DAYS_BACK || '0'), // Default to 0 for real-time
-    backfillGraceSeconds: parseInt(process.env.BACKFILL_GRACE_SECONDS || '300'), // 5 minutes
-    defaultRegion: process.env.DEFAULT_REGION || 'SG',
-    pageSize: Math.min(parseInt(process.env.PAGE_SIZE || '50'), 50), // Enforce max 50
-    displayTimezone: process.env.DISPLAY_TIMEZONE || 'America/New_York',
-    realtimeOnly: process.env.REALTIME_ONLY === 'true', // New flag for real-time only mode
-    specificDate: process.env.SPECIFIC_DATE && process.env.SPECIFIC_DATE.trim() ? process.env.SPECIFIC_DATE.trim() : null // Format: YYYY-MM-DD
-  },
-  timeRange: {
-    start: process.env.TIME_RANGE_START, // Format: HH:MM (e.g., "04:00" for 4 AM)
-    end: process.env.TIME_RANGE_END,     // Format: HH:MM (e.g., "06:00" for 6 AM)
-    timezone: process.env.TIME_RANGE_TIMEZONE || 'America/New_York'
-  }
-};
-
-// Check if time range is configured
-function hasTimeRangeConfig() {
-  return config.timeRange.start && config.timeRange.end;
-}
-
-// Parse time string (HH:MM) to hour and minute
-function parseTime(timeStr) {
-  if (!timeStr) return null;
-  const [hour, minute] = timeStr.split(':').map(n => parseInt(n));
-  return { hour, minute };
-}
+// Run key for the regular sync's checkpoint record
+const RUN_KEY = 'main';
 
 // Validate configuration
 function validateConfig() {
@@ -97,6 +64,15 @@ function validateConfig() {
     logger.info(`Using specific date: ${config.sync.specificDate}`);
   }
   
+  // Validate time zones - window math uses them for DST-aware day boundaries
+  if (!isValidTimeZone(config.sync.timezone)) {
+    throw new Error(`SYNC_TIMEZONE is not a valid IANA time zone: ${config.sync.timezone}`);
+  }
+  
+  if (!isValidTimeZone(config.timeRange.timezone)) {
+    throw new Error(`TIME_RANGE_TIMEZONE is not a valid IANA time zone: ${config.timeRange.timezone}`);
+  }
+  
   // Validate time range if configured
   if (hasTimeRangeConfig()) {
     const start = parseTime(config.timeRange.start);
@@ -117,868 +93,505 @@ function validateConfig() {
     logger.info(`Time range configured: ${config.timeRange.start} - ${config.timeRange.end} ${config.timeRange.timezone}`);
   }
   
-  // Log secondary Airtable config if enabled
-  if (config.secondaryAirtable.enabled) {
-    if (!config.secondaryAirtable.pat) {
-      throw new Error('Secondary Airtable base is configured but SECONDARY_AIRTABLE_PAT is missing');
+  const unsupportedRegions = [config.sync.defaultRegion, ...config.sync.fallbackRegions]
+    .filter(region => !isSupportedCountry(region));
+  if (unsupportedRegions.length > 0) {
+    throw new Error(`DEFAULT_REGION/FALLBACK_REGIONS contain unsupported region codes: ${unsupportedRegions.join(', ')}`);
+  }
+  
+  if (!DUPLICATE_POLICIES.includes(config.sync.duplicatePhonePolicy)) {
+    throw new Error(`DUPLICATE_PHONE_POLICY must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+  }
+
+  // 'review' leaves shared numbers unlinked; this field is the only place they are flagged
+  if (config.sync.duplicatePhonePolicy === 'review' && !config.fields.callsAmbiguousMatch) {
+    throw new Error('DUPLICATE_PHONE_POLICY=review needs CALLS_AMBIGUOUS_MATCH_FIELD, the calls field that lists the candidate customers');
+  }
+  
+  if (!customerCandidates.MODES.includes(config.customerCreation.mode)) {
+    throw new Error(`CUSTOMER_AUTO_CREATE must be one of: ${customerCandidates.MODES.join(', ')}`);
+  }
+  
+  const unknownSinks = config.sinks.filter(type => !SINK_TYPES[type]);
+  if (unknownSinks.length > 0) {
+    throw new Error(`SYNC_SINKS contains unknown sinks: ${unknownSinks.join(', ')} (available: ${Object.keys(SINK_TYPES).join(', ')})`);
+  }
+  
+  if (config.sinks.includes('postgres') && !config.postgres.url) {
+    throw new Error('The postgres sink is enabled but POSTGRES_URL is missing');
+  }
+  
+  if (config.sinks.includes('postgres') && config.postgres.ssl && config.postgres.sslCa && !fs.existsSync(config.postgres.sslCa)) {
+    throw new Error(`POSTGRES_SSL_CA file not found: ${config.postgres.sslCa}`);
+  }
+  
+  // Check and log the secondary Airtable targets
+  if (config.secondaryTargetsError) {
+    throw new Error(config.secondaryTargetsError);
+  }
+  const targetNames = new Set();
+  for (const target of config.secondaryTargets) {
+    if (!target.name || !target.baseId || !target.table) {
+      throw new Error('Every secondary target needs a name, baseId and table');
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(target.name)) {
+      throw new Error(`Secondary target names may only contain letters, digits, _ and -: ${target.name}`);
+    }
+    if (targetNames.has(target.name)) {
+      throw new Error(`Secondary target names must be unique: ${target.name}`);
+    }
+    targetNames.add(target.name);
+    if (!target.pat) {
+      throw new Error(`Secondary target ${target.name} is configured but has no PAT`);
+    }
+    if (!['index', 'lookup'].includes(target.matching)) {
+      throw new Error(`Secondary target ${target.name} matching must be one of: index, lookup`);
     }
-    logger.info('Secondary Airtable base configured for client database updates');
     logger.debug({
-      baseId: config.secondaryAirtable.baseId,
-      table: config.secondaryAirtable.table,
-      phoneField: config.secondaryAirtable.phoneField,
-      lastCallField: config.secondaryAirtable.lastCallField,
-      durationField: config.secondaryAirtable.durationField,
-      recordingField: config.secondaryAirtable.recordingField,
-      processedField: config.secondaryAirtable.processedField,
-      batchSize: config.secondaryAirtable.batchSize,
-      rateLimitMs: config.secondaryAirtable.rateLimitMs,
-      usingSharedPAT: config.secondaryAirtable.pat === config.airtable.pat
-    }, 'Secondary Airtable config');
+      name: target.name,
+      baseId: target.baseId,
+      table: target.table,
+      phoneField: target.phoneField,
+      lastCallField: target.lastCallField,
+      durationField: target.durationField,
+      recordingField: target.recordingField,
+      processedField: target.processedField,
+      batchSize: target.batchSize,
+      matching: target.matching,
+      customRules: !!target.rules,
+      usingSharedPAT: target.pat === config.airtable.pat
+    }, 'Secondary Airtable target config');
+  }
+  if (config.secondaryTargets.length > 0) {
+    logger.info({ targets: [...targetNames] }, 'Secondary Airtable bases configured for client database updates');
   }
   
   logger.info('Configuration validated successfully');
   logger.debug({
     dialpadConfigured: !!config.dialpad.apiKey,
     airtableConfigured: !!config.airtable.pat,
-    secondaryAirtableEnabled: config.secondaryAirtable.enabled,
+    secondaryTargets: config.secondaryTargets.length,
     daysBack: config.sync.daysBack,
     pageSize: config.sync.pageSize,
     displayTimezone: config.sync.displayTimezone,
     realtimeOnly: config.sync.realtimeOnly,
     specificDate: config.sync.specificDate,
+    timezone: config.sync.timezone,
     hasTimeRange: hasTimeRangeConfig(),
     timeRange: config.timeRange
   }, 'Config details');
 }
 
-// Get start of current day in milliseconds
-function getStartOfToday() {
-  const now = new Date();
-  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  return startOfDay.getTime();
-}
-
-// Get UTC timestamp for a specific date/time in EDT/EST  
-function getEDTTimestamp(year, month, day, hour, minute) {
-  // Create a date string that can be parsed with timezone
-  // Format: "YYYY-MM-DD HH:MM"
-  const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-  
-  // We need to interpret this as EDT time and convert to UTC
-  // EDT is UTC-4 hours (during daylight saving)
-  // EST is UTC-5 hours (during standard time)
-  
-  // For dates in March-November, use EDT (UTC-4)
-  // For dates in November-March, use EST (UTC-5)
-  let offsetHours = 4; // Default to EDT for September
-  if (month < 3 || month > 11) {
-    offsetHours = 5; // EST for winter months
-  }
-  
-  // Parse the date string as if it were UTC, then adjust
-  const [datePart, timePart] = dateStr.split(' ');
-  const [y, m, d] = datePart.split('-').map(Number);
-  const [h, min] = timePart.split(':').map(Number);
+// Determine the sync window from config. All calendar math happens in the configured IANA zones.
+function determineSyncWindow(now, lastSyncedMs) {
+  const backfillGraceMs = config.sync.backfillGraceSeconds * 1000;
   
-  // Create UTC date for the EDT/EST time
-  // Since EDT is UTC-4, if it's 4 AM EDT, it's 8 AM UTC
-  const utcDate = Date.UTC(y, m - 1, d, h + offsetHours, min, 0, 0);
+  let startedAfter;
+  let startedBefore = now;
   
-  return utcDate;
-}
-
-// Dialpad API client
-class DialpadClient {
-  constructor() {
-    this.axios = axios.create({
-      baseURL: config.dialpad.baseUrl,
-      headers: {
-        'accept': 'application/json',
-        'authorization': `Bearer ${config.dialpad.apiKey}`
-      },
-      timeout: 30000
-    });
+  // If time range is configured, use it
+  if (hasTimeRangeConfig()) {
+    const start = parseTime(config.timeRange.start);
+    const end = parseTime(config.timeRange.end);
+    const timeZone = config.timeRange.timezone;
     
-    // Add response interceptor for debugging
-    this.axios.interceptors.response.use(
-      response => response,
-      error => {
-        if (error.response) {
-          logger.error({
-            status: error.response.status,
-            data: error.response.data,
-            headers: error.response.headers
-          }, 'Dialpad API error response');
-        }
-        return Promise.reject(error);
-      }
-    );
-  }
-
-  async testConnection() {
-    try {
-      // Try a simple API call to test the connection
-      const response = await this.axios.get('/api/v2/call', {
-        params: {
-          started_after: Date.now() - (60 * 60 * 1000), // Last hour
-          started_before: Date.now(),
-          limit: 1
-        }
-      });
-      logger.info('Dialpad API connection successful');
-      return true;
-    } catch (error) {
-      logger.error('Dialpad API connection failed:', error.message);
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Dialpad API key. Please check your credentials.');
-      } else if (error.response?.status === 400) {
-        const errorMessage = error.response?.data?.error?.message || error.message;
-        throw new Error(`Dialpad API error: ${errorMessage}`);
-      }
-      throw error;
-    }
-  }
-
-  async getCalls(startedAfter, startedBefore, cursor = null) {
-    // Ensure timestamps are valid
-    if (startedAfter >= startedBefore) {
-      logger.warn({
-        startedAfter: new Date(startedAfter).toISOString(),
-        startedBefore: new Date(startedBefore).toISOString(),
-        issue: 'Start time is after or equal to end time'
-      }, 'Invalid time window, skipping');
-      return { items: [], cursor: null };
+    // Determine the base date
+    let date;
+    
+    if (config.sync.specificDate) {
+      // Use specific date
+      date = parseDate(config.sync.specificDate);
+      logger.info(`Using specific date: ${config.sync.specificDate}`);
+    } else {
+      // "Today" as seen in the time range zone
+      date = getDateInZone(now, timeZone);
+      logger.info(`Today in ${timeZone}: ${date.year}-${date.month}-${date.day}`);
     }
     
-    const params = {
-      started_after: Math.floor(startedAfter),
-      started_before: Math.floor(startedBefore),
-      limit: config.sync.pageSize // Already capped at 50
-    };
+    // Get UTC timestamps for the time range
+    startedAfter = zonedTimeToUtc(date.year, date.month, date.day, start.hour, start.minute, timeZone);
+    startedBefore = zonedTimeToUtc(date.year, date.month, date.day, end.hour, end.minute, timeZone);
     
-    if (cursor) {
-      params.cursor = cursor;
-    }
-
+    // Don't go into future
+    startedBefore = Math.min(startedBefore, now);
+    
+    // Detailed debug logging
     logger.info({
-      startedAfter: new Date(startedAfter).toISOString(),
-      startedBefore: new Date(startedBefore).toISOString(),
-      startedAfterEDT: new Date(startedAfter).toLocaleString('en-US', { timeZone: 'America/New_York' }),
-      startedBeforeEDT: new Date(startedBefore).toLocaleString('en-US', { timeZone: 'America/New_York' }),
-      startedAfterEpoch: startedAfter,
-      startedBeforeEpoch: startedBefore,
-      limit: params.limit,
-      cursor: cursor ? 'present' : 'none'
-    }, 'Fetching calls from Dialpad');
-
-    try {
-      const response = await this.axios.get('/api/v2/call', { params });
-      
-      const items = response.data.items || [];
-      const nextCursor = response.data.cursor || null;
-      
-      logger.info({
-        retrieved: items.length,
-        hasMore: !!nextCursor
-      }, 'Retrieved calls from Dialpad');
-      
-      // Log first call's time if available for debugging
-      if (items.length > 0) {
-        const firstCall = items[0];
-        logger.debug({
-          firstCallStart: new Date(parseInt(firstCall.date_started)).toISOString(),
-          firstCallStartEDT: new Date(parseInt(firstCall.date_started)).toLocaleString('en-US', { timeZone: 'America/New_York' }),
-          firstCallEpoch: firstCall.date_started
-        }, 'First call in results');
-      }
-      
-      return {
-        items,
-        cursor: nextCursor
-      };
-    } catch (error) {
-      if (error.response?.status === 400) {
-        const errorMessage = error.response?.data?.error?.message || 'Bad request';
-        logger.error(`Dialpad API 400 error: ${errorMessage}`);
-        
-        // Log the actual request for debugging
-        logger.error({
-          url: error.config?.url,
-          params: error.config?.params
-        }, 'Failed request details');
-        
-        throw new Error(`Dialpad API error: ${errorMessage}`);
+      configuredTimeRange: `${config.timeRange.start} - ${config.timeRange.end}`,
+      dateUsed: `${date.year}-${date.month}-${date.day}`,
+      timezone: timeZone,
+      timestamps: {
+        startEpoch: startedAfter,
+        endEpoch: startedBefore,
+        startUTC: new Date(startedAfter).toISOString(),
+        endUTC: new Date(startedBefore).toISOString(),
+        startLocal: formatInZone(startedAfter, timeZone),
+        endLocal: formatInZone(startedBefore, timeZone)
+      },
+      currentTime: {
+        nowEpoch: now,
+        nowUTC: new Date(now).toISOString(),
+        nowLocal: formatInZone(now, timeZone)
       }
-      throw error;
-    }
+    }, 'Time range calculation complete');
+    
+    return { mode: 'Time Range', startedAfter, startedBefore };
   }
   
-  async createRecordingShareLink(recordingId, recordingType = 'admincallrecording') {
-    try {
-      logger.info({
-        recordingId,
-        recordingType
-      }, 'Creating recording share link');
-      
-      const response = await this.axios.post('/api/v2/recordingsharelink', {
-        recording_id: recordingId,
-        recording_type: recordingType,
-        privacy: 'public'
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Authorization': `Bearer ${config.dialpad.apiKey}`
-        }
-      });
-      
-      const accessLink = response.data?.access_link || response.data?.url || null;
-      
-      logger.info({
-        recordingId,
-        hasLink: !!accessLink
-      }, 'Recording share link created');
-      
-      return accessLink;
-    } catch (error) {
-      logger.error({
-        recordingId,
-        error: error.message,
-        errorData: error.response?.data
-      }, 'Failed to create recording share link');
-      return null;
-    }
+  if (config.sync.specificDate) {
+    // Specific date without time range - get whole day, midnight to midnight in the sync zone
+    const date = parseDate(config.sync.specificDate);
+    startedAfter = getStartOfDay(date, config.sync.timezone);
+    startedBefore = Math.min(
+      getStartOfDay(addDays(date, 1), config.sync.timezone),
+      now
+    );
+    
+    logger.info({
+      specificDate: config.sync.specificDate,
+      timezone: config.sync.timezone,
+      windowStart: new Date(startedAfter).toISOString(),
+      windowEnd: new Date(startedBefore).toISOString()
+    }, 'Using specific date (whole day)');
+    
+    return { mode: 'Specific Date', startedAfter, startedBefore };
   }
-}
-
-// Airtable API client
-class AirtableClient {
-  constructor() {
-    this.axios = axios.create({
-      baseURL: `https://api.airtable.com/v0/${config.airtable.baseId}`,
-      headers: {
-        'Authorization': `Bearer ${config.airtable.pat}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
+  
+  if (config.sync.daysBack > 0) {
+    // Historical mode
+    const daysBackMs = config.sync.daysBack * 24 * 60 * 60 * 1000;
+    startedAfter = now - daysBackMs;
     
-    // Add response interceptor for debugging
-    this.axios.interceptors.response.use(
-      response => response,
-      error => {
-        if (error.response) {
-          logger.error({
-            status: error.response.status,
-            data: error.response.data,
-            url: error.config?.url,
-            body: error.config?.data
-          }, 'Airtable API error response');
-        }
-        return Promise.reject(error);
-      }
-    );
+    logger.info(`Historical mode: Syncing from ${config.sync.daysBack} days back`);
+    
+    return { mode: 'Historical', startedAfter, startedBefore };
   }
-
-  async testConnection() {
-    try {
-      const response = await this.axios.get(
-        `/${encodeURIComponent(config.airtable.customersTable)}`,
-        { params: { maxRecords: 1 } }
-      );
-      logger.info('Airtable connection successful');
-      return true;
-    } catch (error) {
-      logger.error('Airtable connection failed:', error.message);
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Airtable PAT. Please check your credentials.');
-      } else if (error.response?.status === 404) {
-        throw new Error('Airtable base or table not found. Check your base ID and table names.');
-      }
-      throw error;
-    }
+  
+  // Default: real-time mode (from last sync or start of today)
+  if (lastSyncedMs > 0) {
+    startedAfter = lastSyncedMs - backfillGraceMs;
+    logger.info('Real-time mode: Syncing from last sync time');
+  } else {
+    startedAfter = getStartOfDayForInstant(now, config.sync.timezone);
+    logger.info(`Real-time mode: First sync - starting from today (${config.sync.timezone})`);
   }
+  
+  return { mode: 'Real-time', startedAfter, startedBefore };
+}
 
-  async getCustomers() {
-    const customers = [];
-    let offset = null;
-
-    do {
-      const params = {
-        pageSize: 100,
-        fields: [config.fields.customerPhone]
-      };
-      
-      if (offset) {
-        params.offset = offset;
-      }
-
-      const response = await retry(
-        () => this.axios.get(`/${encodeURIComponent(config.airtable.customersTable)}`, { params }),
-        'Airtable getCustomers'
-      );
-
-      customers.push(...response.data.records);
-      offset = response.data.offset;
-    } while (offset);
+// Empty dry-run report for a sync window
+function createDryRunReport(mode, startedAfter, startedBefore) {
+  return {
+    generatedAt: new Date().toISOString(),
+    mode,
+    window: {
+      start: new Date(startedAfter).toISOString(),
+      end: new Date(startedBefore).toISOString()
+    },
+    summary: {},
+    primary: {
+      creates: [],
+      updates: []
+    },
+    matchedNumbers: {},
+    unmatchedNumbers: {},
+    newCustomers: {},
+    sinks: {} // sinkName -> preview of the writes a per-run sink would make
+  };
+}
 
-    return customers;
+// Add one page of built call records to the dry-run report
+function addPageToDryRunReport(report, entries) {
+  let existingCallIds = new Set();
+  try {
+    existingCallIds = store.getExistingCallIds(entries.map(entry => entry.callId));
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Local store unavailable, dry run will report every call as a create');
   }
-
-  async upsertCalls(calls) {
-    const chunks = [];
-    for (let i = 0; i < calls.length; i += 10) {
-      chunks.push(calls.slice(i, i + 10));
+  
+  for (const { callId, record, customerId, call } of entries) {
+    if (existingCallIds.has(String(callId))) {
+      report.primary.updates.push(record);
+    } else {
+      report.primary.creates.push(record);
     }
-
-    for (const chunk of chunks) {
-      const records = chunk.map(call => ({
-        fields: call
-      }));
-
-      await retry(
-        () => this.axios.patch(`/${encodeURIComponent(config.airtable.callsTable)}`, {
-          records,
-          performUpsert: {
-            fieldsToMergeOn: ['Call ID']
-          }
-        }),
-        'Airtable upsertCalls'
-      );
-
-      // Rate limiting - Airtable allows 5 requests per second
-      await new Promise(resolve => setTimeout(resolve, 250));
+    
+    const phone = call.external_number || 'Unknown';
+    if (customerId) {
+      const matched = report.matchedNumbers[phone] || { phone, customerId, calls: 0 };
+      matched.calls++;
+      report.matchedNumbers[phone] = matched;
+    } else {
+      const unmatched = report.unmatchedNumbers[phone] || { phone, calls: 0 };
+      unmatched.calls++;
+      report.unmatchedNumbers[phone] = unmatched;
     }
   }
 }
 
-// Secondary Airtable client for updating client database
-class SecondaryAirtableClient {
-  constructor() {
-    this.axios = axios.create({
-      baseURL: `https://api.airtable.com/v0/${config.secondaryAirtable.baseId}`,
-      headers: {
-        'Authorization': `Bearer ${config.secondaryAirtable.pat}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
+// Numbers a live run would create customers for (or queue for review)
+function addCandidatesToDryRunReport(report, candidates) {
+  for (const { normalizedPhone, call } of candidates) {
+    const candidate = report.newCustomers[normalizedPhone] || {
+      phone: normalizedPhone,
+      name: call.contact?.name || null,
+      country: customerCandidates.getPhoneCountry(normalizedPhone),
+      calls: 0
+    };
+    candidate.calls++;
+    report.newCustomers[normalizedPhone] = candidate;
   }
+}
 
-  async testConnection() {
-    try {
-      const response = await this.axios.get(
-        `/${encodeURIComponent(config.secondaryAirtable.table)}`,
-        { params: { maxRecords: 1 } }
-      );
-      logger.info('Secondary Airtable connection successful');
-      return true;
-    } catch (error) {
-      logger.error('Secondary Airtable connection failed:', error.message);
-      if (error.response?.status === 401) {
-        throw new Error('Invalid Secondary Airtable PAT. Please check your credentials.');
-      } else if (error.response?.status === 404) {
-        throw new Error('Secondary Airtable base or table not found. Check your base ID and table name.');
-      }
-      throw error;
+// API clients used by a sync run, and the sinks synced calls are written to
+function createClients() {
+  const airtable = new AirtableClient();
+  return {
+    dialpad: new DialpadClient(),
+    airtable, // Customers and candidates always come from the primary base
+    sinks: createSinks({ airtable })
+  };
+}
+
+// Sink state for the run checkpoint
+function getPendingSinks(sinks) {
+  const pending = {};
+  for (const sink of sinks) {
+    const saved = sink.getPending();
+    if (saved !== null) {
+      pending[sink.name] = saved;
     }
   }
+  return pending;
+}
 
-  async findRecordByPhone(phoneNumber) {
-    try {
-      // Clean the phone number - remove + sign and any formatting
-      const cleanPhone = phoneNumber.replace(/^\+/, '').replace(/[^0-9]/g, '');
-      
-      // Try to find with exact match first
-      let filterFormula = `{${config.secondaryAirtable.phoneField}} = "${cleanPhone}"`;
-      
-      logger.info({
-        originalPhone: phoneNumber,
-        cleanPhone: cleanPhone,
-        filterFormula,
-        phoneField: config.secondaryAirtable.phoneField
-      }, 'Searching for phone in secondary base');
-      
-      let response = await this.axios.get(
-        `/${encodeURIComponent(config.secondaryAirtable.table)}`,
-        {
-          params: {
-            filterByFormula: filterFormula,
-            maxRecords: 1
-          }
-        }
-      );
-
-      if (response.data.records && response.data.records.length > 0) {
-        logger.info({
-          phoneNumber,
-          recordFound: response.data.records[0].id,
-          matchType: 'exact without +'
-        }, 'Found record in secondary base');
-        return response.data.records[0];
-      }
-      
-      // If not found, also try with the original format (with +)
-      if (phoneNumber.startsWith('+')) {
-        filterFormula = `{${config.secondaryAirtable.phoneField}} = "${phoneNumber}"`;
-        logger.debug('Trying with original format (with +)');
-        
-        response = await this.axios.get(
-          `/${encodeURIComponent(config.secondaryAirtable.table)}`,
-          {
-            params: {
-              filterByFormula: filterFormula,
-              maxRecords: 1
-            }
-          }
-        );
-        
-        if (response.data.records && response.data.records.length > 0) {
-          logger.info({
-            phoneNumber,
-            recordFound: response.data.records[0].id,
-            matchType: 'with +'
-          }, 'Found record in secondary base');
-          return response.data.records[0];
-        }
-      }
-      
-      // Also try without country code (last 10 digits)
-      if (cleanPhone.length > 10) {
-        const last10Digits = cleanPhone.slice(-10);
-        filterFormula = `{${config.secondaryAirtable.phoneField}} = "${last10Digits}"`;
-        logger.debug(`Trying with last 10 digits: ${last10Digits}`);
-        
-        response = await this.axios.get(
-          `/${encodeURIComponent(config.secondaryAirtable.table)}`,
-          {
-            params: {
-              filterByFormula: filterFormula,
-              maxRecords: 1
-            }
-          }
-        );
-        
-        if (response.data.records && response.data.records.length > 0) {
-          logger.info({
-            phoneNumber,
-            recordFound: response.data.records[0].id,
-            matchedWith: last10Digits,
-            matchType: '10-digit'
-          }, 'Found record in secondary base with 10-digit match');
-          return response.data.records[0];
-        }
-      }
-      
-      logger.warn({
-        phoneNumber,
-        cleanPhone,
-        triedFormats: ['without +', 'with +', 'last 10 digits']
-      }, 'No matching record found in secondary base');
-      
-      return null;
-    } catch (error) {
-      logger.error({
-        phoneNumber,
-        error: error.message,
-        errorData: error.response?.data
-      }, 'Failed to find record in secondary base');
-      return null;
-    }
+/**
+ * Replay dead-lettered payloads. Resolved entries are removed; failed ones keep
+ * their place with the attempt count bumped.
+ * @param {Object} options
+ * @param {Array<string>} options.ids - Entries to retry; defaults to all below the auto-retry limit
+ * @param {Object} options.clients - { dialpad, airtable, sinks }; created when omitted
+ */
+async function retryDeadLetters({ ids = null, clients = null } = {}) {
+  const entries = ids
+    ? (await deadLetters.list()).filter(entry => ids.includes(entry.id))
+    : await deadLetters.getRetryable();
+  const result = { retried: entries.length, resolved: 0, failed: 0 };
+
+  if (entries.length === 0) {
+    return result;
   }
 
-  // NEW: Batch method to find multiple records by phone numbers
-  async findRecordsByPhones(phoneNumbers) {
-    const recordMap = new Map();
-    
-    // Process in smaller chunks to avoid complex filter formulas
-    for (const phone of phoneNumbers) {
-      const record = await this.findRecordByPhone(phone);
-      if (record) {
-        recordMap.set(phone, record);
-      }
-    }
-    
-    return recordMap;
+  if (!clients) {
+    validateConfig();
   }
+  const { dialpad, sinks } = clients || createClients();
 
-  async updateCallDetailsWithTimestamp(recordId, dateConnected, durationFormatted, recordingUrl) {
+  logger.info({ count: entries.length }, 'Retrying dead-lettered payloads');
+
+  for (const entry of entries) {
     try {
-      // Get current timestamp for when this record was processed
-      const processedTimestamp = new Date().toISOString();
-      
-      logger.info({
-        recordId,
-        dateConnected,
-        durationFormatted,
-        recordingUrl: recordingUrl ? 'present' : 'none',
-        processedTimestamp,
-        fields: {
-          lastCallField: config.secondaryAirtable.lastCallField,
-          durationField: config.secondaryAirtable.durationField,
-          recordingField: config.secondaryAirtable.recordingField,
-          processedField: config.secondaryAirtable.processedField
-        }
-      }, 'Updating call details with processed timestamp in secondary base');
-      
-      const updateFields = {
-        [config.secondaryAirtable.lastCallField]: dateConnected,
-        [config.secondaryAirtable.durationField]: durationFormatted
-      };
-      
-      // Add processed timestamp field if configured
-      if (config.secondaryAirtable.processedField && config.secondaryAirtable.processedField.trim() !== '') {
-        updateFields[config.secondaryAirtable.processedField] = processedTimestamp;
+      let failures;
+      const sink = sinks.find(candidate => candidate.handlesDeadLetter(entry));
+      if (sink) {
+        ({ failures } = await sink.retry(entry.payload, { dialpad }));
+      } else {
+        failures = [{ error: new Error(`No enabled sink for ${entry.kind} payloads${entry.payload.target ? ` (${entry.payload.target})` : ''}`) }];
       }
-      
-      // Only add recording URL if it exists
-      if (recordingUrl) {
-        updateFields[config.secondaryAirtable.recordingField] = recordingUrl;
+
+      if (failures.length === 0) {
+        await deadLetters.remove(entry.id);
+        result.resolved++;
+      } else {
+        await deadLetters.recordFailure(entry.id, failures[0].error);
+        result.failed++;
       }
-      
-      // Log the exact payload being sent
-      logger.debug({
-        recordId,
-        updateFields,
-        fieldsBeingSent: Object.keys(updateFields)
-      }, 'Exact update payload');
-      
-      await this.axios.patch(
-        `/${encodeURIComponent(config.secondaryAirtable.table)}`,
-        {
-          records: [{
-            id: recordId,
-            fields: updateFields
-          }]
-        }
-      );
-      
-      logger.info({
-        recordId,
-        dateConnected,
-        durationFormatted,
-        hasRecording: !!recordingUrl,
-        processedAt: processedTimestamp
-      }, 'Successfully updated call details with processed timestamp');
-      
-      return true;
     } catch (error) {
-      logger.error({
-        recordId,
-        error: error.message,
-        errorData: error.response?.data
-      }, 'Failed to update call details with timestamp in secondary base');
-      return false;
+      await deadLetters.recordFailure(entry.id, error);
+      result.failed++;
     }
   }
 
-  // NEW: Batch update method for processing multiple call updates efficiently
-  async updateCallDetailsBatch(updates, dialpad) {
-    const chunks = [];
-    const updateArray = Array.from(updates.entries());
-    const batchSize = config.secondaryAirtable.batchSize;
-    
-    // Split updates into chunks
-    for (let i = 0; i < updateArray.length; i += batchSize) {
-      chunks.push(updateArray.slice(i, i + batchSize));
-    }
-    
-    let successCount = 0;
-    let failedCount = 0;
-    
-    logger.info({
-      totalUpdates: updateArray.length,
-      chunks: chunks.length,
-      batchSize: batchSize
-    }, 'Starting batch update of secondary base records');
-    
-    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-      const chunk = chunks[chunkIndex];
-      logger.info(`Processing chunk ${chunkIndex + 1}/${chunks.length} with ${chunk.length} records`);
-      
-      try {
-        // First, find all records for this chunk
-        const phoneNumbers = chunk.map(([phone, data]) => phone);
-        const records = await this.findRecordsByPhones(phoneNumbers);
-        
-        // Prepare batch update
-        const batchUpdates = [];
-        const processedTimestamp = new Date().toISOString();
-        
-        for (const [phone, callData] of chunk) {
-          const record = records.get(phone);
-          if (record) {
-            // Create share link if needed
-            let shareLink = null;
-            if (callData.recordingId && dialpad) {
-              try {
-                shareLink = await dialpad.createRecordingShareLink(callData.recordingId);
-                logger.debug({
-                  phoneNumber: phone,
-                  recordingId: callData.recordingId,
-                  hasShareLink: !!shareLink
-                }, 'Created recording share link');
-              } catch (error) {
-                logger.warn({
-                  phoneNumber: phone,
-                  recordingId: callData.recordingId,
-                  error: error.message
-                }, 'Failed to create recording share link');
-              }
-            }
-            
-            const updateFields = {
-              [config.secondaryAirtable.lastCallField]: callData.dateConnected,
-              [config.secondaryAirtable.durationField]: formatDurationToMMSS(callData.duration)
-            };
-            
-            // Add processed timestamp field if configured
-            if (config.secondaryAirtable.processedField && config.secondaryAirtable.processedField.trim() !== '') {
-              updateFields[config.secondaryAirtable.processedField] = processedTimestamp;
-            }
-            
-            // Only add recording URL if it exists
-            if (shareLink) {
-              updateFields[config.secondaryAirtable.recordingField] = shareLink;
-            }
-            
-            batchUpdates.push({
-              id: record.id,
-              fields: updateFields
-            });
-          } else {
-            logger.warn({
-              phoneNumber: phone
-            }, 'No matching record found in secondary base');
-            failedCount++;
-          }
-        }
-        
-        // Send batch update if there are updates to send
-        if (batchUpdates.length > 0) {
-          logger.debug({
-            chunkIndex: chunkIndex + 1,
-            recordsToUpdate: batchUpdates.length,
-            sampleRecord: batchUpdates[0]
-          }, 'Sending batch update to secondary base');
-          
-          await this.axios.patch(
-            `/${encodeURIComponent(config.secondaryAirtable.table)}`,
-            { records: batchUpdates }
-          );
-          
-          successCount += batchUpdates.length;
-          
-          logger.info({
-            chunkIndex: chunkIndex + 1,
-            updated: batchUpdates.length,
-            totalSuccess: successCount
-          }, 'Batch update successful');
-        }
-        
-      } catch (error) {
-        logger.error({
-          chunkIndex: chunkIndex + 1,
-          error: error.message,
-          errorData: error.response?.data
-        }, 'Failed to process batch update chunk');
-        failedCount += chunk.length;
-      }
-      
-      // Rate limiting between chunks - respect Airtable's 5 rps limit
-      if (chunkIndex < chunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, config.secondaryAirtable.rateLimitMs));
-      }
-    }
-    
-    logger.info({
-      totalProcessed: updateArray.length,
-      successCount,
-      failedCount,
-      successRate: updateArray.length > 0 ? `${(successCount / updateArray.length * 100).toFixed(2)}%` : 'N/A'
-    }, 'Batch update completed');
-    
-    return successCount;
-  }
+  logger.info(result, 'Dead-letter retry finished');
+  return result;
 }
 
-// Phone number normalization
-function normalizePhone(number, defaultRegion = config.sync.defaultRegion) {
+/**
+ * Run one sink write, add it to the sink's counts and dead-letter what failed.
+ * A write that throws counts every call as failed but does not stop the sync.
+ * @param {number} total - Calls in a page batch; per-run sinks report toUpdate themselves
+ * @returns {Promise<number>} Calls dead-lettered
+ */
+async function recordSinkWrite(sink, counts, write, total = 0) {
+  let result;
   try {
-    if (!number) return null;
-    const parsed = parsePhoneNumber(number, defaultRegion);
-    return parsed ? parsed.format('E.164') : null;
+    result = await write();
   } catch (error) {
-    logger.debug({ number, error: error.message }, 'Failed to parse phone number');
-    return null;
+    logger.error({ sink: sink.name, error: error.message }, 'Sink write failed');
+    counts.failed += total || sink.getPending()?.length || 0;
+    return 0;
+  }
+  if (!result) {
+    return 0;
   }
-}
 
-// Format duration from milliseconds to seconds
-function formatDuration(ms) {
-  return Math.floor((ms || 0) / 1000);
-}
+  const { written, failures, ...extra } = result;
+  Object.assign(counts, extra);
+  counts.written += written;
 
-// Format duration in seconds to MM:SS format
-function formatDurationToMMSS(seconds) {
-  if (!seconds || seconds === 0) return "00:00";
-  
-  const minutes = Math.floor(seconds / 60);
-  const remainingSeconds = seconds % 60;
-  
-  // Pad with zeros to ensure two digits
-  const formattedMinutes = String(minutes).padStart(2, '0');
-  const formattedSeconds = String(remainingSeconds).padStart(2, '0');
-  
-  return `${formattedMinutes}:${formattedSeconds}`;
+  // Keep failed chunks for the next run instead of dropping them
+  let deadLettered = 0;
+  for (const failure of failures) {
+    await deadLetters.add(sink.deadLetterKind, failure.payload, failure.error);
+    deadLettered += failure.count;
+  }
+  counts.failed += total ? deadLettered : (counts.toUpdate || 0) - written - (counts.notFound || 0);
+  counts.deadLettered += deadLettered;
+  return deadLettered;
 }
 
-// Main sync function
-async function sync() {
-  logger.info('Starting sync...');
+/**
+ * Main sync function
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Fetch and match, build every payload, but write nothing
+ * @param {Object} options.window - Explicit { startedAfter, startedBefore } in epoch ms (backfill);
+ *   the watermark is left alone for explicit windows
+ * @param {string} options.runKey - Checkpoint key, so explicit windows resume independently
+ * @param {AbortSignal} options.signal - Stops the run after the current page; the checkpoint is kept.
+ *   Aborted with a syncLock.LOCK_LOST error instead, the run fails without writing its checkpoint
+ * @param {Object} options.source - Supplies calls instead of Dialpad (archive replays); nothing
+ *   else calls Dialpad then
+ * @param {Function} options.onProgress - Called with { stage, page, callsProcessed, matchedCalls,
+ *   secondaryUpdatesQueued, windowStart, windowEnd, percent, ... } after every page and when the
+ *   per-run sink writes start; percent is estimated from the time span of the calls fetched so far
+ */
+async function sync(options = {}) {
+  const {
+    dryRun = false,
+    window: explicitWindow = null,
+    runKey = RUN_KEY,
+    signal = null,
+    source = null,
+    onProgress = null
+  } = options;
+  logger.info(dryRun ? 'Starting sync (dry run)...' : 'Starting sync...');
+  const retryBaseline = getRetryStats();
   
   try {
     validateConfig();
 
-    const dialpad = new DialpadClient();
-    const airtable = new AirtableClient();
-    const secondaryAirtable = config.secondaryAirtable.enabled ? new SecondaryAirtableClient() : null;
+    const clients = createClients();
+    const { dialpad, airtable } = clients;
+    const callSource = source || dialpad;
+    const fromDialpad = !source;
+
+    // Backfills and replays cover past calls; the secondary bases' "last call" fields
+    // must only move forward, so only the regular sync window updates them
+    const sinks = explicitWindow ? clients.sinks.filter(sink => !sink.latestOnly) : clients.sinks;
+    if (sinks.length < clients.sinks.length) {
+      logger.info({
+        skipped: clients.sinks.filter(sink => sink.latestOnly).map(sink => sink.name)
+      }, 'Explicit window: sinks that keep only the latest call are skipped');
+    }
 
     // Test connections first
     logger.info('Testing API connections...');
-    await dialpad.testConnection();
+    if (fromDialpad) {
+      await dialpad.testConnection();
+    }
     await airtable.testConnection();
     
-    if (secondaryAirtable) {
-      await secondaryAirtable.testConnection();
+    for (const sink of sinks) {
+      if (sink.airtable !== airtable) { // The primary base was just tested
+        await sink.testConnection();
+      }
     }
     
-    logger.info('API connections verified');
+    logger.info({ sinks: sinks.map(sink => sink.describe()) }, 'API connections verified');
+
+    // Give payloads that failed in earlier runs another go
+    const deadLetterRetry = dryRun || !fromDialpad
+      ? { retried: 0, resolved: 0, failed: 0 }
+      : await retryDeadLetters({ clients });
 
     // Get customers from Airtable
     logger.info('Loading customers from Airtable...');
     const customers = await airtable.getCustomers();
-    const customerPhoneMap = new Map();
-    
-    for (const customer of customers) {
-      const phone = customer.fields[config.fields.customerPhone];
-      if (phone) {
-        const normalized = normalizePhone(phone);
-        if (normalized) {
-          customerPhoneMap.set(normalized, customer.id);
-        }
-      }
-    }
+    const { customerPhoneMap, quality: customerPhones, duplicates } = analyzeCustomerPhones(customers);
     logger.info(`Loaded ${customerPhoneMap.size} customers with phone numbers`);
 
+    if (duplicates.length > 0) {
+      logger.warn({
+        duplicatePhones: duplicates.length,
+        policy: config.sync.duplicatePhonePolicy,
+        sample: duplicates.slice(0, 10)
+      }, 'Phone numbers shared by multiple customers');
+    }
+    if (!dryRun) {
+      await state.saveCustomerPhoneReport({
+        generatedAt: new Date().toISOString(),
+        policy: config.sync.duplicatePhonePolicy,
+        quality: customerPhones,
+        duplicates
+      });
+    }
+
+    const { samples, ...phoneCounts } = customerPhones;
+    if (customerPhones.ambiguous + customerPhones.invalid + customerPhones.unparseable > 0) {
+      logger.warn({ ...phoneCounts, samples }, 'Some customer phone numbers could not be normalized reliably');
+    } else {
+      logger.info(phoneCounts, 'Customer phone data quality');
+    }
+
     // Determine sync window
     const now = Date.now();
     const lastSyncedMs = (await state.getLastSynced()) * 1000; // Convert to ms
-    const backfillGraceMs = config.sync.backfillGraceSeconds * 1000;
+    const window = explicitWindow ? {
+      mode: explicitWindow.mode || 'Backfill',
+      startedAfter: explicitWindow.startedAfter,
+      startedBefore: Math.min(explicitWindow.startedBefore, now)
+    } : determineSyncWindow(now, lastSyncedMs);
     
-    let startedAfter;
-    let startedBefore = now;
+    // The process that took the sync lock over owns the checkpoint and watermark now
+    const assertLockHeld = () => {
+      if (signal?.aborted && signal.reason?.code === syncLock.LOCK_LOST) {
+        throw signal.reason;
+      }
+    };
+
+    // Checkpoints are kept in memory only during a dry run
+    const checkpoint = async (record) => {
+      assertLockHeld();
+      return dryRun ? { ...record } : state.saveRun(runKey, record);
+    };
     
-    // If time range is configured, use it
-    if (hasTimeRangeConfig()) {
-      const start = parseTime(config.timeRange.start);
-      const end = parseTime(config.timeRange.end);
-      
-      // Determine the base date
-      let year, month, day;
-      
-      if (config.sync.specificDate) {
-        // Use specific date
-        [year, month, day] = config.sync.specificDate.split('-').map(n => parseInt(n));
-        logger.info(`Using specific date: ${config.sync.specificDate}`);
-      } else {
-        // Get current date in EDT timezone
-        // This is the correct way to get "today" in EDT
-        const nowInEDT = new Date().toLocaleString('en-US', { 
-          timeZone: 'America/New_York',
-          year: 'numeric',
-          month: 'numeric',
-          day: 'numeric'
-        });
-        
-        // Parse the date parts (format is M/D/YYYY)
-        const [monthStr, dayStr, yearStr] = nowInEDT.split('/');
-        year = parseInt(yearStr);
-        month = parseInt(monthStr);
-        day = parseInt(dayStr);
-        
-        logger.info(`Today in EDT timezone: ${year}-${month}-${day}`);
+    // Resume an unfinished run for the same mode from its last committed page
+    let run = await state.getRun(runKey);
+    if (run && run.mode !== window.mode) {
+      logger.warn({
+        previousMode: run.mode,
+        currentMode: window.mode
+      }, 'Discarding unfinished run from a different sync mode');
+      if (!dryRun) {
+        await state.clearRun(runKey);
       }
-      
-      // Get UTC timestamps for the time range
-      // For 4 AM EDT, we need 8 AM UTC (EDT is UTC-4)
-      startedAfter = getEDTTimestamp(year, month, day, start.hour, start.minute);
-      startedBefore = getEDTTimestamp(year, month, day, end.hour, end.minute);
-      
-      // Don't go into future
-      startedBefore = Math.min(startedBefore, now);
-      
-      // Detailed debug logging
-      logger.info({
-        configuredTimeRange: `${config.timeRange.start} - ${config.timeRange.end}`,
-        dateUsed: `${year}-${month}-${day}`,
-        timezone: 'America/New_York (EDT/UTC-4)',
-        calculation: {
-          startTimeEDT: `${start.hour}:${String(start.minute).padStart(2, '0')} EDT`,
-          startTimeUTC: `${start.hour + 4}:${String(start.minute).padStart(2, '0')} UTC`,
-          endTimeEDT: `${end.hour}:${String(end.minute).padStart(2, '0')} EDT`,
-          endTimeUTC: `${end.hour + 4}:${String(end.minute).padStart(2, '0')} UTC`
-        },
-        timestamps: {
-          startEpoch: startedAfter,
-          endEpoch: startedBefore,
-          startUTC: new Date(startedAfter).toISOString(),
-          endUTC: new Date(startedBefore).toISOString(),
-          startEDT: new Date(startedAfter).toLocaleString('en-US', { timeZone: 'America/New_York' }),
-          endEDT: new Date(startedBefore).toLocaleString('en-US', { timeZone: 'America/New_York' })
-        },
-        currentTime: {
-          nowEpoch: now,
-          nowUTC: new Date(now).toISOString(),
-          nowEDT: new Date(now).toLocaleString('en-US', { timeZone: 'America/New_York' })
-        }
-      }, 'Time range calculation complete');
-      
-    } else if (config.sync.specificDate) {
-      // Specific date without time range - get whole day
-      const [year, month, day] = config.sync.specificDate.split('-').map(n => parseInt(n));
-      startedAfter = getEDTTimestamp(year, month, day, 0, 0);
-      startedBefore = Math.min(
-        getEDTTimestamp(year, month, day, 23, 59),
-        now
-      );
-      
+      run = null;
+    }
+    
+    const resumed = !!run;
+    if (resumed) {
       logger.info({
-        specificDate: config.sync.specificDate,
-        windowStart: new Date(startedAfter).toISOString(),
-        windowEnd: new Date(startedBefore).toISOString()
-      }, 'Using specific date (whole day)');
-      
-    } else if (config.sync.daysBack > 0) {
-      // Historical mode
-      const daysBackMs = config.sync.daysBack * 24 * 60 * 60 * 1000;
-      startedAfter = now - daysBackMs;
-      startedBefore = now;
-      
-      logger.info(`Historical mode: Syncing from ${config.sync.daysBack} days back`);
-      
-    } else {
-      // Default: real-time mode (from last sync or start of today)
-      if (lastSyncedMs > 0) {
-        startedAfter = lastSyncedMs - backfillGraceMs;
-        logger.info('Real-time mode: Syncing from last sync time');
-      } else {
-        startedAfter = getStartOfToday();
-        logger.info('Real-time mode: First sync - starting from today');
-      }
+        windowStart: new Date(run.windowStart).toISOString(),
+        windowEnd: new Date(run.windowEnd).toISOString(),
+        pagesDone: run.pagesDone,
+        startedAt: run.startedAt
+      }, 'Resuming unfinished sync run');
     }
     
+    const mode = window.mode;
+    const startedAfter = resumed ? run.windowStart : window.startedAfter;
+    const startedBefore = resumed ? run.windowEnd : window.startedBefore;
+    
     // Final validation of time window
     if (startedAfter >= startedBefore) {
       logger.info({
@@ -992,46 +605,122 @@ async function sync() {
         matchedCalls: 0,
         unmatchedCalls: 0,
         pagesProcessed: 0,
+        complete: true,
+        retries: getRetryStatsSince(retryBaseline),
         note: 'No valid time window'
       };
     }
     
     logger.info({
-      mode: hasTimeRangeConfig() ? 'Time Range' : 
-            (config.sync.specificDate ? 'Specific Date' : 
-            (config.sync.daysBack > 0 ? 'Historical' : 'Real-time')),
+      mode,
       windowStart: new Date(startedAfter).toISOString(),
       windowEnd: new Date(startedBefore).toISOString(),
       windowMinutes: Math.round((startedBefore - startedAfter) / (1000 * 60))
     }, 'Sync window determined');
 
-    // Fetch and process calls with pagination
-    let cursor = null;
-    let totalCalls = 0;
-    let matchedCalls = 0;
-    let connectedCalls = 0;
-    let missedCalls = 0;
-    let secondaryUpdates = 0;
-    let pageCount = 0;
-    const maxPages = 200; // Safety limit
-
-    // Track latest connected OUTBOUND call per phone number for secondary base updates
-    // Now also storing duration and recording details
-    const latestOutboundCalls = new Map(); // phoneNumber -> {dateConnected, duration, recordingId, recordingDetails}
-
-    do {
+    const report = dryRun ? createDryRunReport(mode, startedAfter, startedBefore) : null;
+
+    if (!resumed) {
+      run = await checkpoint({
+        mode,
+        windowStart: startedAfter,
+        windowEnd: startedBefore,
+        watermarkEpochS: Math.floor(now / 1000), // Becomes lastSynced once the whole window is done
+        cursor: null,
+        pagesDone: 0,
+        pagesComplete: false,
+        counts: {
+          totalCalls: 0,
+          matchedCalls: 0,
+          connectedCalls: 0,
+          missedCalls: 0
+        },
+        pendingSinks: {},
+        startedAt: new Date(now).toISOString()
+      });
+    }
+
+    // Fetch and process calls with pagination, continuing from the checkpoint
+    let cursor = run.cursor;
+    let { totalCalls, matchedCalls, connectedCalls, missedCalls } = run.counts;
+    let ambiguousCalls = 0;
+    let deadLettered = 0;
+    let customersCreated = 0;
+    let customersQueued = 0;
+    let archivedCalls = 0;
+    let pageCount = run.pagesDone;
+    let pagesComplete = run.pagesComplete;
+    const maxPages = 200; // Safety limit per run; an unfinished window is resumed next run
+    let pagesThisRun = 0;
+    let cancelled = false;
+    // Per-sink counts; sinks that write per run pick up what they staged before the checkpoint
+    const sinkResults = {};
+    for (const sink of sinks) {
+      sink.restorePending(run.pendingSinks?.[sink.name], run);
+      sinkResults[sink.name] = { written: 0, failed: 0, deadLettered: 0 };
+    }
+
+    // Earliest and latest start times fetched so far, for the progress estimate
+    let startedSpan = run.startedSpan || null;
+    const reportProgress = (stage) => {
+      if (!onProgress) return;
+
+      let percent = null;
+      if (pagesComplete) {
+        percent = 100;
+      } else if (startedSpan) {
+        percent = Math.min(99, Math.round((startedSpan.latest - startedSpan.earliest) / (startedBefore - startedAfter) * 100));
+      }
+
+      try {
+        onProgress({
+          stage,
+          mode,
+          runKey,
+          dryRun,
+          windowStart: new Date(startedAfter).toISOString(),
+          windowEnd: new Date(startedBefore).toISOString(),
+          page: pageCount,
+          callsProcessed: totalCalls,
+          matchedCalls,
+          unmatchedCalls: totalCalls - matchedCalls,
+          secondaryUpdatesQueued: sinks
+            .filter(sink => sink.type === 'secondary')
+            .reduce((sum, sink) => sum + (sink.getPending()?.length || 0), 0),
+          percent,
+          resumed
+        });
+      } catch (error) {
+        logger.warn({ error: error.message }, 'Sync progress callback failed');
+      }
+    };
+
+    reportProgress('fetching');
+
+    while (!pagesComplete) {
+      assertLockHeld();
+
+      // Cancelled through the API: stop before the next page, the checkpoint already covers the last one
+      if (signal?.aborted) {
+        logger.warn({ pagesDone: pageCount }, 'Sync cancelled; the next run resumes from the checkpoint');
+        cancelled = true;
+        break;
+      }
+
       pageCount++;
+      pagesThisRun++;
       logger.info(`Fetching calls page ${pageCount}...`);
       
       let calls, nextCursor;
       try {
-        const result = await dialpad.getCalls(startedAfter, startedBefore, cursor);
+        const result = await callSource.getCalls(startedAfter, startedBefore, cursor);
         calls = result.items;
         nextCursor = result.cursor;
       } catch (error) {
         logger.error(`Failed to fetch page ${pageCount}: ${error.message}`);
-        if (pageCount > 1) {
-          logger.info('Continuing with already fetched data...');
+        if (pagesThisRun > 1) {
+          logger.info('Stopping here; the run will resume from the last committed page');
+          pageCount--;
           break;
         }
         throw error;
@@ -1043,43 +732,45 @@ async function sync() {
         } else {
           logger.info('No more calls to process');
         }
+        pagesComplete = true;
         break;
       }
 
+      // Keep exactly what Dialpad returned before anything is mapped
+      if (config.archive.enabled && fromDialpad && !dryRun) {
+        try {
+          archivedCalls += await callArchive.appendCalls(calls);
+        } catch (error) {
+          logger.error({ error: error.message }, 'Failed to archive raw calls');
+        }
+      }
+
       logger.info(`Processing ${calls.length} calls from page ${pageCount}`);
-      const callsToUpsert = [];
+      const storeEntries = [];
+      const candidates = [];
 
       for (const call of calls) {
-        // Parse call data
-        const callId = call.call_id || call.id || `${call.date_started}_${call.external_number}`;
-        const startTime = parseInt(call.date_started);
-        const connectedTime = call.date_connected ? parseInt(call.date_connected) : null;
-        const endTime = call.date_ended ? parseInt(call.date_ended) : null;
-        const duration = formatDuration(call.duration);
-        const externalNumber = call.external_number;
-        const direction = call.direction;
-        const wasConnected = !!connectedTime; // True if call was answered
-        
-        // Get recording details
-        let recordingUrl = null;
-        let recordingId = null;
-        
-        // Check for recording_details first (preferred source)
-        if (call.recording_details && Array.isArray(call.recording_details) && call.recording_details.length > 0) {
-          const recordingDetail = call.recording_details[0];
-          recordingId = recordingDetail.id;
-          logger.debug({
-            callId,
-            recordingId,
-            source: 'recording_details'
-          }, 'Found recording ID from recording_details');
-        } 
-        // Fallback to legacy recording URL fields for display in primary base
-        else if (call.recording_url && call.recording_url.length > 0) {
-          recordingUrl = call.recording_url[0];
-        } else if (call.admin_recording_urls && call.admin_recording_urls.length > 0) {
-          recordingUrl = call.admin_recording_urls[0];
+        const startedMs = parseInt(call.date_started);
+        if (startedMs) {
+          startedSpan = {
+            earliest: Math.min(startedSpan?.earliest ?? startedMs, startedMs),
+            latest: Math.max(startedSpan?.latest ?? startedMs, startedMs)
+          };
         }
+
+        const built = buildCallRecord(call, customerPhoneMap);
+        const {
+          callId,
+          callRecord,
+          customerId,
+          ambiguous,
+          normalizedPhone,
+          externalNumber,
+          direction,
+          wasConnected,
+          duration,
+          recordingId
+        } = built;
         
         // Count connected vs missed calls
         if (wasConnected) {
@@ -1088,65 +779,19 @@ async function sync() {
           missedCalls++;
         }
         
-        // Track latest connected OUTBOUND call for secondary base update
-        // Now also tracking recording ID for share link generation
-        if (direction === 'outbound' && wasConnected && externalNumber) {
-          const dateConnectedISO = new Date(connectedTime).toISOString();
-          const existing = latestOutboundCalls.get(externalNumber);
-          
-          // Keep only the latest connected call per phone number
-          if (!existing || connectedTime > new Date(existing.dateConnected).getTime()) {
-            latestOutboundCalls.set(externalNumber, {
-              dateConnected: dateConnectedISO,
-              duration: duration, // Duration in seconds
-              recordingId: recordingId, // Recording ID for share link
-              recordingDetails: call.recording_details // Keep full details for reference
-            });
-            logger.info({
-              direction,
-              wasConnected,
-              externalNumber,
-              dateConnected: dateConnectedISO,
-              duration: duration,
-              durationFormatted: formatDurationToMMSS(duration),
-              hasRecordingId: !!recordingId,
-              action: 'Tracking for secondary base update (OUTBOUND)'
-            }, 'Connected outbound call tracked with details');
-          }
+        if (customerId) {
+          matchedCalls++;
+        } else if (ambiguous) {
+          ambiguousCalls++;
         }
         
-        // Normalize phone number
-        const normalizedPhone = normalizePhone(externalNumber);
-
-        // Build call record for Airtable - ONLY USE FIELDS THAT EXIST
-        const callRecord = {
-          'Call ID': callId,
-          'Direction': direction === 'inbound' ? 'Inbound' : 'Outbound',
-          'Start Time': new Date(startTime).toISOString(),
-          'Date Connected': connectedTime ? new Date(connectedTime).toISOString() : null,
-          'End Time': endTime ? new Date(endTime).toISOString() : null,
-          'Duration (s)': duration,
-          'Contact Name': call.contact?.name || 'Unknown',
-          'Target': call.target?.name || 'N/A',
-          'Was Recorded': call.was_recorded || false,
-          'MOS Score': call.mos_score || null
-        };
-
-        // Add recording URL if available (for primary base)
-        if (recordingUrl) {
-          callRecord['Recording URL'] = recordingUrl;
-        }
+        const storeEntry = { callId, call, record: callRecord, built, customerId, normalizedPhone };
+        storeEntries.push(storeEntry);
+        totalCalls++;
 
-        // Match to customer
-        if (normalizedPhone && customerPhoneMap.has(normalizedPhone)) {
-          callRecord[config.fields.callsCustomerLink] = [customerPhoneMap.get(normalizedPhone)];
-          matchedCalls++;
-        } else {
-          callRecord[config.fields.callsUnmatchedPhone] = externalNumber || 'Unknown';
+        if (!customerId && !ambiguous && customerCandidates.isEligible(built)) {
+          candidates.push({ ...built, call, storeEntry });
         }
-
-        callsToUpsert.push(callRecord);
-        totalCalls++;
         
         if (totalCalls === 1) {
           logger.debug({ 
@@ -1162,68 +807,177 @@ async function sync() {
         }
       }
 
-      // Upsert calls to Airtable
-      if (callsToUpsert.length > 0) {
-        logger.info(`Upserting ${callsToUpsert.length} calls to Airtable...`);
+      // Unmatched callers that qualify get a customer (auto) or a review entry
+      if (candidates.length > 0 && dryRun) {
+        addCandidatesToDryRunReport(report, candidates);
+      } else if (candidates.length > 0) {
         try {
-          await airtable.upsertCalls(callsToUpsert);
-          logger.info(`Successfully upserted ${callsToUpsert.length} calls`);
+          const { linked, created, queued } = await customerCandidates.processCalls(candidates, airtable);
+          customersCreated += created;
+          customersQueued += queued;
+
+          for (const candidate of candidates) {
+            const newCustomerId = linked.get(candidate.normalizedPhone);
+            if (newCustomerId) {
+              candidate.callRecord[config.fields.callsCustomerLink] = [newCustomerId];
+              delete candidate.callRecord[config.fields.callsUnmatchedPhone];
+              candidate.storeEntry.customerId = newCustomerId;
+              customerPhoneMap.set(candidate.normalizedPhone, [newCustomerId]); // Later pages match directly
+              matchedCalls++;
+            }
+          }
         } catch (error) {
-          logger.error('Failed to upsert calls to Airtable:', error.message);
+          logger.error({ error: error.message }, 'Failed to process customer candidates; calls stay unmatched');
         }
       }
 
-      // Update state after each page
-      await state.setLastSynced(Math.floor(now / 1000));
+      // Clear the ambiguous flag on calls whose number now resolves
+      if (!dryRun && config.fields.callsAmbiguousMatch) {
+        try {
+          const flagged = store.getAmbiguousCallIds(storeEntries.map(entry => entry.callId));
+          for (const entry of storeEntries) {
+            if (flagged.has(String(entry.callId)) && !(config.fields.callsAmbiguousMatch in entry.record)) {
+              entry.record[config.fields.callsAmbiguousMatch] = null;
+            }
+          }
+        } catch (error) {
+          logger.warn({ error: error.message }, 'Could not check local store for ambiguous calls');
+        }
+      }
+
+      for (const sink of sinks) {
+        sink.collect(storeEntries);
+      }
+
+      if (dryRun) {
+        addPageToDryRunReport(report, storeEntries);
+      } else if (storeEntries.length > 0) {
+        for (const sink of sinks) {
+          deadLettered += await recordSinkWrite(sink, sinkResults[sink.name], () => sink.writeBatch(storeEntries), storeEntries.length);
+        }
+
+        const callEvents = storeEntries.map(entry => outboundWebhooks.toCallEvent(entry, fromDialpad ? 'sync' : 'replay'));
+        await outboundWebhooks.emit('call.synced', callEvents);
+        await outboundWebhooks.emit('call.matched', callEvents.filter(event => event.customerId));
+
+        // Mirror into the local store used by the read endpoints
+        try {
+          store.upsertCalls(storeEntries);
+          queueForEnrichment(storeEntries);
+        } catch (error) {
+          logger.error({ error: error.message }, 'Failed to write calls to local store');
+        }
+      }
       
       // Update cursor for next iteration
       cursor = nextCursor;
+      pagesComplete = !cursor;
+
+      // Commit this page so a crash resumes after it
+      run = await checkpoint({
+        ...run,
+        cursor,
+        pagesDone: pageCount,
+        pagesComplete,
+        counts: { totalCalls, matchedCalls, connectedCalls, missedCalls },
+        pendingSinks: getPendingSinks(sinks),
+        pendingSecondaryUpdates: undefined, // Pre-sink format, superseded by pendingSinks
+        startedSpan
+      });
+
+      reportProgress('fetching');
       
       // Add delay to avoid rate limiting
-      if (cursor) {
+      if (cursor && fromDialpad && !signal?.aborted) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
       
       // Safety check
-      if (pageCount >= maxPages) {
-        logger.warn(`Reached maximum page limit (${maxPages}), stopping sync`);
+      if (!pagesComplete && pagesThisRun >= maxPages) {
+        logger.warn(`Reached maximum page limit (${maxPages}), stopping sync; the next run will resume`);
         break;
       }
-      
-    } while (cursor);
+    }
 
-    // FIXED: Update secondary Airtable base using batch processing
-    if (secondaryAirtable && latestOutboundCalls.size > 0) {
-      logger.info({
-        count: latestOutboundCalls.size,
-        phoneNumbers: Array.from(latestOutboundCalls.keys()).slice(0, 10), // Log first 10 for brevity
-        direction: 'OUTBOUND',
-        batchSize: config.secondaryAirtable.batchSize
-      }, 'Updating secondary base with batch processing for outbound calls');
-      
+    if (pagesComplete) {
+      // Persist completion before the secondary stage so a crash there does not refetch pages
+      run = await checkpoint({ ...run, pagesDone: pageCount, pagesComplete: true });
+    }
+
+    // Sinks that write once per window, such as the secondary bases
+    if (!pagesComplete) {
+      logger.warn({
+        pagesDone: pageCount,
+        pendingSinks: sinks.filter(sink => sink.getPending()?.length > 0).map(sink => sink.name)
+      }, 'Sync window not finished; watermark not advanced and per-run sink writes deferred');
+    } else {
+      reportProgress('finalizing');
+      for (const sink of sinks) {
+        if (dryRun) {
+          const { preview, written, failures, ...counts } = (await sink.finalize({ dryRun, dialpad: fromDialpad ? dialpad : null })) || {};
+          Object.assign(sinkResults[sink.name], counts);
+          if (preview) {
+            report.sinks[sink.name] = preview;
+          }
+        } else {
+          deadLettered += await recordSinkWrite(sink, sinkResults[sink.name], () => sink.finalize({ dryRun, dialpad: fromDialpad ? dialpad : null }));
+        }
+      }
+    }
+    const secondaryUpdates = sinks
+      .filter(sink => sink.type === 'secondary')
+      .reduce((sum, sink) => sum + sinkResults[sink.name].written, 0);
+
+    // Transcripts and AI recaps, including calls queued by earlier runs
+    let enrichment = null;
+    if (config.enrichment.enabled && fromDialpad && !dryRun && !cancelled) {
       try {
-        // Use the new batch update method
-        secondaryUpdates = await secondaryAirtable.updateCallDetailsBatch(latestOutboundCalls, dialpad);
-        
-        logger.info({
-          totalToUpdate: latestOutboundCalls.size,
-          successfullyUpdated: secondaryUpdates,
-          failedUpdates: latestOutboundCalls.size - secondaryUpdates,
-          successRate: latestOutboundCalls.size > 0 ? 
-            `${(secondaryUpdates / latestOutboundCalls.size * 100).toFixed(2)}%` : 'N/A'
-        }, 'Secondary base batch update completed');
-        
+        enrichment = await enrichCalls(dialpad, airtable);
       } catch (error) {
-        logger.error({
-          error: error.message,
-          totalRecords: latestOutboundCalls.size
-        }, 'Failed to complete secondary base batch updates');
+        logger.error({ error: error.message }, 'Call enrichment failed');
       }
-      
-    } else if (!secondaryAirtable) {
-      logger.info('Secondary Airtable not configured');
-    } else if (latestOutboundCalls.size === 0) {
-      logger.info('No connected outbound calls to update in secondary base');
+    }
+
+    // Gzip archive days that are over
+    if (config.archive.enabled && fromDialpad && !dryRun) {
+      try {
+        await callArchive.closeDays();
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to close archive days');
+      }
+    }
+
+    // The window is done: advance the watermark and drop the run record
+    if (pagesComplete && !dryRun) {
+      assertLockHeld();
+      if (!explicitWindow) {
+        await state.setLastSynced(run.watermarkEpochS);
+      }
+      await state.clearRun(runKey);
+    }
+
+    let dryRunReport = null;
+    if (dryRun) {
+      report.matchedNumbers = Object.values(report.matchedNumbers);
+      report.unmatchedNumbers = Object.values(report.unmatchedNumbers);
+      report.newCustomers = Object.values(report.newCustomers);
+      report.summary = {
+        totalCalls,
+        creates: report.primary.creates.length,
+        updates: report.primary.updates.length,
+        matchedCalls,
+        unmatchedCalls: totalCalls - matchedCalls,
+        ambiguousCalls,
+        matchedNumbers: report.matchedNumbers.length,
+        unmatchedNumbers: report.unmatchedNumbers.length,
+        newCustomers: report.newCustomers.length,
+        secondaryUpdates: Object.values(report.sinks).reduce((sum, preview) => sum + (preview.updates?.length || 0), 0),
+        secondaryNotFound: Object.values(report.sinks).reduce((sum, preview) => sum + (preview.notFound?.length || 0), 0),
+        complete: pagesComplete
+      };
+      await state.saveDryRunReport(report);
+      dryRunReport = report.summary;
+      logger.info(report.summary, 'Dry run report saved');
     }
 
     // Final summary
@@ -1236,8 +990,37 @@ async function sync() {
       matchRate: totalCalls > 0 ? `${(matchedCalls / totalCalls * 100).toFixed(2)}%` : 'N/A',
       connectionRate: totalCalls > 0 ? `${(connectedCalls / totalCalls * 100).toFixed(2)}%` : 'N/A',
       secondaryBaseUpdates: secondaryUpdates,
-      pagesProcessed: pageCount
-    }, 'Sync completed');
+      sinks: sinkResults,
+      customersCreated,
+      customersQueued,
+      ambiguousCalls,
+      deadLettered,
+      archivedCalls,
+      retries: getRetryStatsSince(retryBaseline).retries,
+      pagesProcessed: pageCount,
+      complete: pagesComplete,
+      cancelled,
+      resumed
+    }, cancelled ? 'Sync cancelled' : 'Sync completed');
+
+    if (!dryRun) {
+      // A cancelled run stopped partway, so subscribers get it as its own event
+      await outboundWebhooks.emit(cancelled ? 'sync.cancelled' : 'sync.completed', [{
+        mode,
+        runKey,
+        windowStart: new Date(startedAfter).toISOString(),
+        windowEnd: new Date(startedBefore).toISOString(),
+        totalCalls,
+        matchedCalls,
+        unmatchedCalls: totalCalls - matchedCalls,
+        ambiguousCalls,
+        secondaryBaseUpdates: secondaryUpdates,
+        sinks: sinkResults,
+        deadLettered,
+        complete: pagesComplete,
+        resumed
+      }]);
+    }
 
     return {
       success: true,
@@ -1246,21 +1029,61 @@ async function sync() {
       missedCalls,
       matchedCalls,
       unmatchedCalls: totalCalls - matchedCalls,
+      ambiguousCalls,
       secondaryBaseUpdates: secondaryUpdates,
-      pagesProcessed: pageCount
+      sinks: sinkResults,
+      customerPhones,
+      customers: {
+        created: customersCreated,
+        queued: customersQueued
+      },
+      deadLetters: {
+        added: deadLettered,
+        ...deadLetterRetry
+      },
+      retries: getRetryStatsSince(retryBaseline),
+      enrichment,
+      archivedCalls,
+      pagesProcessed: pageCount,
+      mode,
+      runKey,
+      windowStart: new Date(startedAfter).toISOString(),
+      windowEnd: new Date(startedBefore).toISOString(),
+      complete: pagesComplete,
+      cancelled,
+      resumed,
+      dryRun,
+      dryRunReport
     };
 
   } catch (error) {
     logger.error(error, 'Sync failed');
+    if (!dryRun) {
+      await outboundWebhooks.emit('sync.failed', [{ runKey, error: error.message }]);
+    }
     throw error;
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  sync()
-    .then((result) => {
+  (async () => {
+    // Share the lock with the API server so the two never sync at the same time
+    if (!(await syncLock.acquire('cli'))) {
+      logger.warn({ holder: await syncLock.getHolder() }, 'Another process is syncing, skipping this run');
+      return;
+    }
+
+    try {
+      const result = await sync({ dryRun: process.argv.includes('--dry-run'), signal: syncLock.signal });
       logger.info(result, 'Sync completed');
+    } finally {
+      await syncLock.release();
+      // There is no background retry loop in this process; send what is due before exiting
+      await outboundWebhooks.processDue().catch(error => logger.error({ error: error.message }, 'Webhook delivery pass failed'));
+    }
+  })()
+    .then(() => {
       process.exit(0);
     })
     .catch((error) => {
@@ -1269,4 +1092,7 @@ if (require.main === module) {
     });
 }
 
-module.exports = sync;
\ No newline at end of file
+module.exports = sync;
+module.exports.retryDeadLetters = retryDeadLetters;
+module.exports.determineSyncWindow = determineSyncWindow;
+module.exports.validateConfig = validateConfig;
@@ -0,0 +1,137 @@
+// IANA time zone helpers for sync window math, built on Intl so any zone the runtime knows works
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Check that a string is an IANA zone the runtime understands
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date/time parts of an instant in the given zone
+function getZonedParts(epochMs, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(epochMs))) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Offset of the zone from UTC at the given instant, in milliseconds (e.g. -4h for EDT)
+function getTimeZoneOffset(epochMs, timeZone) {
+  const wholeSecondMs = Math.floor(epochMs / 1000) * 1000;
+  const parts = getZonedParts(wholeSecondMs, timeZone);
+  const wallClockAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUTC - wholeSecondMs;
+}
+
+/**
+ * Convert a wall-clock time in a zone to a UTC epoch in milliseconds.
+ * Times repeated by a DST fall-back resolve to the earlier instant; times skipped
+ * by a spring-forward resolve to the same wall time shifted past the gap.
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  // Offsets either side of any transition on this day
+  const offsetBefore = getTimeZoneOffset(wallClockAsUTC - dayMs, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallClockAsUTC + dayMs, timeZone);
+
+  const matchesWallClock = (epochMs) => {
+    const parts = getZonedParts(epochMs, timeZone);
+    return parts.year === year && parts.month === month && parts.day === day &&
+      parts.hour === hour && parts.minute === minute;
+  };
+
+  const candidates = [wallClockAsUTC - offsetBefore, wallClockAsUTC - offsetAfter]
+    .filter(matchesWallClock);
+
+  if (candidates.length > 0) {
+    return Math.min(...candidates);
+  }
+
+  // Wall time falls in a spring-forward gap
+  return wallClockAsUTC - offsetBefore;
+}
+
+// Calendar date (year, month, day) of an instant in the given zone
+function getDateInZone(epochMs, timeZone) {
+  const { year, month, day } = getZonedParts(epochMs, timeZone);
+  return { year, month, day };
+}
+
+// Calendar date n days after the given one
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  };
+}
+
+// UTC epoch of local midnight at the start of the given calendar date
+function getStartOfDay({ year, month, day }, timeZone) {
+  return zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+}
+
+// UTC epoch of local midnight at the start of the day containing epochMs
+function getStartOfDayForInstant(epochMs, timeZone) {
+  return getStartOfDay(getDateInZone(epochMs, timeZone), timeZone);
+}
+
+// Parse a YYYY-MM-DD string into calendar date parts
+function parseDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(n => parseInt(n));
+  return { year, month, day };
+}
+
+// Human-readable local time for logs
+function formatInZone(epochMs, timeZone) {
+  return new Date(epochMs).toLocaleString('en-US', { timeZone, timeZoneName: 'short' });
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getDateInZone,
+  addDays,
+  getStartOfDay,
+  getStartOfDayForInstant,
+  parseDate,
+  formatInZone
+};
@@ -0,0 +1,204 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable';
+process.env.SYNC_TIMEZONE = 'America/New_York';
+process.env.DEFAULT_REGION = 'SG';
+process.env.PAGE_SIZE = '2';
+process.env.ARCHIVE_CLOSE_GRACE_HOURS = '6';
+
+const { config } = require('../src/sync/config');
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient } = require('../src/sync/airtable');
+const callArchive = require('../src/sync/archive');
+const state = require('../src/sync/state');
+const store = require('../src/sync/store');
+const sync = require('../src/sync/sync');
+const replay = require('../src/sync/replay');
+
+const ARCHIVE_DIR = config.archive.dir;
+
+// 2024-03-10 in New York runs from 05:00Z to 04:00Z the next day (DST starts that morning)
+function call(id, iso, overrides = {}) {
+  return {
+    call_id: `c${id}`,
+    direction: 'inbound',
+    external_number: '+6591234001',
+    date_started: String(new Date(iso).getTime()),
+    duration: 30000,
+    ...overrides
+  };
+}
+
+describe('call archive', () => {
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  describe('appendCalls', () => {
+    test('writes each call to its day in the sync time zone', async () => {
+      await callArchive.appendCalls([
+        call(1, '2024-03-10T04:30:00Z'), // Still March 9 in New York
+        call(2, '2024-03-10T12:00:00Z'),
+        call(3, '2024-04-01T03:00:00Z') // March 31 in New York
+      ]);
+
+      expect(await fs.readdir(path.join(ARCHIVE_DIR, '2024-03'))).toEqual([
+        '2024-03-09.ndjson',
+        '2024-03-10.ndjson',
+        '2024-03-31.ndjson'
+      ]);
+      const lines = (await fs.readFile(path.join(ARCHIVE_DIR, '2024-03', '2024-03-10.ndjson'), 'utf8')).trim().split('\n');
+      expect(lines.map(line => JSON.parse(line).call_id)).toEqual(['c2']);
+    });
+
+    test('appends without rewriting what is already archived', async () => {
+      await callArchive.appendCalls([call(1, '2024-03-10T12:00:00Z')]);
+      await callArchive.appendCalls([call(2, '2024-03-10T13:00:00Z')]);
+
+      const text = await fs.readFile(path.join(ARCHIVE_DIR, '2024-03', '2024-03-10.ndjson'), 'utf8');
+      expect(text.trim().split('\n')).toHaveLength(2);
+    });
+  });
+
+  describe('closeDays', () => {
+    const END_OF_DAY = new Date('2024-03-11T04:00:00Z').getTime();
+
+    test('gzips a day once the grace period after it has passed', async () => {
+      await callArchive.appendCalls([call(1, '2024-03-10T12:00:00Z')]);
+
+      expect(await callArchive.closeDays(END_OF_DAY + 5 * 3600000)).toEqual([]);
+      expect(await callArchive.closeDays(END_OF_DAY + 6 * 3600000)).toEqual(['2024-03-10']);
+
+      const dir = path.join(ARCHIVE_DIR, '2024-03');
+      expect(await fs.readdir(dir)).toEqual(['2024-03-10.ndjson.gz']);
+      expect(zlib.gunzipSync(await fs.readFile(path.join(dir, '2024-03-10.ndjson.gz'))).toString()).toContain('"call_id":"c1"');
+    });
+
+    test('adds late calls for a closed day as another gzip member', async () => {
+      await callArchive.appendCalls([call(1, '2024-03-10T12:00:00Z')]);
+      await callArchive.closeDays(END_OF_DAY + 6 * 3600000);
+      await callArchive.appendCalls([call(2, '2024-03-10T13:00:00Z')]);
+      await callArchive.closeDays(END_OF_DAY + 7 * 3600000);
+
+      const calls = await callArchive.readDay('2024-03-10');
+      expect(calls.map(c => c.call_id)).toEqual(['c1', 'c2']);
+    });
+  });
+
+  describe('readDay', () => {
+    test('keeps the last copy of a call and orders by start time', async () => {
+      await callArchive.appendCalls([call(2, '2024-03-10T13:00:00Z'), call(1, '2024-03-10T12:00:00Z', { duration: 1000 })]);
+      await callArchive.closeDays(new Date('2024-03-12T00:00:00Z').getTime());
+      await callArchive.appendCalls([call(1, '2024-03-10T12:00:00Z', { duration: 2000 })]);
+
+      const calls = await callArchive.readDay('2024-03-10');
+
+      expect(calls.map(c => [c.call_id, c.duration])).toEqual([['c1', 2000], ['c2', 30000]]);
+    });
+
+    test('skips a torn last line', async () => {
+      await callArchive.appendCalls([call(1, '2024-03-10T12:00:00Z')]);
+      await fs.appendFile(path.join(ARCHIVE_DIR, '2024-03', '2024-03-10.ndjson'), '{"call_id":"c2","dat');
+
+      expect((await callArchive.readDay('2024-03-10')).map(c => c.call_id)).toEqual(['c1']);
+    });
+  });
+
+  describe('replay source', () => {
+    const WINDOW = {
+      startedAfter: new Date('2024-03-10T05:00:00Z').getTime(),
+      startedBefore: new Date('2024-03-13T04:00:00Z').getTime()
+    };
+
+    test('pages through the window day by day, skipping empty days', async () => {
+      await callArchive.appendCalls([
+        call(0, '2024-03-10T04:00:00Z'), // Before the window
+        call(1, '2024-03-10T12:00:00Z'),
+        call(2, '2024-03-10T13:00:00Z'),
+        call(3, '2024-03-10T14:00:00Z'),
+        call(4, '2024-03-12T12:00:00Z')
+      ]);
+      const source = callArchive.createReplaySource();
+
+      const pages = [];
+      let cursor = null;
+      do {
+        const page = await source.getCalls(WINDOW.startedAfter, WINDOW.startedBefore, cursor);
+        pages.push({ ids: page.items.map(c => c.call_id), cursor: page.cursor });
+        cursor = page.cursor;
+      } while (cursor);
+
+      expect(pages).toEqual([
+        { ids: ['c1', 'c2'], cursor: '2024-03-10:2' },
+        { ids: ['c3'], cursor: '2024-03-11:0' },
+        { ids: ['c4'], cursor: null }
+      ]);
+    });
+
+    test('continues from a saved cursor in a new source', async () => {
+      await callArchive.appendCalls([call(1, '2024-03-10T12:00:00Z'), call(2, '2024-03-10T13:00:00Z'), call(3, '2024-03-10T14:00:00Z')]);
+
+      const page = await callArchive.createReplaySource().getCalls(WINDOW.startedAfter, WINDOW.startedBefore, '2024-03-10:2');
+
+      expect(page.items.map(c => c.call_id)).toEqual(['c3']);
+    });
+  });
+
+  describe('replay', () => {
+    beforeEach(async () => {
+      jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+      jest.spyOn(DialpadClient.prototype, 'getCalls');
+      jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+      jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+      jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+      await callArchive.appendCalls([1, 2, 3, 4, 5].map(id => call(id, `2024-03-10T1${id}:00:00Z`)));
+    });
+
+    test('resumes an interrupted replay from its checkpoint', async () => {
+      // Stop the first attempt after its first page, as a crash or cancel would
+      const controller = new AbortController();
+      await sync({
+        window: {
+          mode: 'Replay',
+          startedAfter: new Date('2024-03-10T05:00:00Z').getTime(),
+          startedBefore: new Date('2024-03-11T04:00:00Z').getTime()
+        },
+        runKey: 'replay-2024-03-10-2024-03-10',
+        source: callArchive.createReplaySource(),
+        onProgress: ({ page }) => page === 1 && controller.abort(),
+        signal: controller.signal
+      });
+      expect(await fs.pathExists(path.join(STATE_DIR, 'run-replay-2024-03-10-2024-03-10.state'))).toBe(true);
+
+      const result = await replay({ from: '2024-03-10', to: '2024-03-10' });
+
+      expect(result).toMatchObject({ complete: true, resumed: true, totalCalls: 5 });
+      const written = AirtableClient.prototype.upsertCalls.mock.calls.flatMap(([records]) => records.map(record => record['Call ID']));
+      expect(written).toEqual(['c1', 'c2', 'c3', 'c4', 'c5']);
+      expect(DialpadClient.prototype.getCalls).not.toHaveBeenCalled();
+      expect(await state.getRun('replay-2024-03-10-2024-03-10')).toBeNull();
+    });
+
+    test('keeps the run file name free of characters some file systems reject', async () => {
+      await state.saveRun('replay:2024-03-10:2024-03-10', { cursor: null });
+
+      expect(await fs.readdir(STATE_DIR)).toContain('run-replay_2024-03-10_2024-03-10.state');
+      expect(await state.getRun('replay:2024-03-10:2024-03-10')).toMatchObject({ cursor: null });
+    });
+  });
+});
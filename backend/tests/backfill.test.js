@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.SYNC_TIMEZONE = 'America/New_York';
+process.env.LOG_LEVEL = 'silent';
+
+const pino = require('pino');
+const BackfillManager = require('../src/sync/backfill');
+const state = require('../src/sync/state');
+
+const HOUR_MS = 60 * 60 * 1000;
+const logger = pino({ level: 'silent' });
+
+function hours(chunk) {
+  return (new Date(chunk.end) - new Date(chunk.start)) / HOUR_MS;
+}
+
+function waitFor(condition) {
+  return new Promise((resolve) => {
+    const check = () => (condition() ? resolve() : setTimeout(check, 5));
+    check();
+  });
+}
+
+function waitForIdle(manager) {
+  return waitFor(() => !manager.processing);
+}
+
+describe('BackfillManager', () => {
+  afterEach(async () => {
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  describe('buildChunks', () => {
+    const manager = new BackfillManager(logger, null, null);
+
+    test('splits a range into whole days in the sync time zone', () => {
+      const chunks = manager.buildChunks('2024-01-30', '2024-02-01', 'day');
+
+      expect(chunks.map(c => c.start)).toEqual([
+        '2024-01-30T05:00:00.000Z',
+        '2024-01-31T05:00:00.000Z',
+        '2024-02-01T05:00:00.000Z'
+      ]);
+      expect(chunks[2].end).toBe('2024-02-02T05:00:00.000Z');
+      expect(chunks.every(c => c.status === 'pending' && c.totalCalls === 0)).toBe(true);
+    });
+
+    test('gives DST days their real length', () => {
+      const [springForward, fallBack] = [
+        manager.buildChunks('2024-03-10', '2024-03-10', 'day')[0],
+        manager.buildChunks('2024-11-03', '2024-11-03', 'day')[0]
+      ];
+
+      expect(hours(springForward)).toBe(23);
+      expect(hours(fallBack)).toBe(25);
+    });
+
+    test('hour chunks cover the range without gaps', () => {
+      const chunks = manager.buildChunks('2024-03-10', '2024-03-10', 'hour');
+
+      expect(chunks).toHaveLength(23);
+      for (let i = 1; i < chunks.length; i++) {
+        expect(chunks[i].start).toBe(chunks[i - 1].end);
+      }
+    });
+  });
+
+  describe('createJob validation', () => {
+    const manager = new BackfillManager(logger, { run: jest.fn() }, null);
+
+    test.each([
+      [{ startDate: '2024-1-1', endDate: '2024-01-02' }, 'YYYY-MM-DD'],
+      [{ startDate: '2024-01-03', endDate: '2024-01-02' }, 'on or before'],
+      [{ startDate: '2024-01-01', endDate: '2024-01-02', chunk: 'week' }, "'day' or 'hour'"],
+      [{ startDate: '2020-01-01', endDate: '2024-01-01', chunk: 'hour' }, 'limit']
+    ])('rejects %j', async (body, message) => {
+      await expect(manager.createJob(body)).rejects.toMatchObject({ status: 400, message: expect.stringContaining(message) });
+    });
+  });
+
+  test('a chunk resumed over several passes keeps the counts of the last pass', async () => {
+    // sync() seeds its counts from the checkpoint, so each pass reports the running total
+    const results = [
+      { totalCalls: 50, matchedCalls: 10, pagesProcessed: 1, complete: false },
+      { totalCalls: 120, matchedCalls: 25, pagesProcessed: 3, complete: true }
+    ];
+    const engine = { run: jest.fn(async () => results.shift()) };
+    const manager = new BackfillManager(logger, engine, null);
+
+    const { id } = await manager.createJob({ startDate: '2024-01-01', endDate: '2024-01-01' });
+    await waitForIdle(manager);
+
+    const job = manager.getJob(id);
+    expect(engine.run).toHaveBeenCalledTimes(2);
+    expect(job.status).toBe('completed');
+    expect(job.chunks[0]).toMatchObject({ status: 'completed', totalCalls: 120, matchedCalls: 25, pagesProcessed: 3 });
+    expect(job.progress).toMatchObject({ totalCalls: 120, matchedCalls: 25, percent: 100 });
+  });
+
+  test('cancel stops the running chunk before clearing its checkpoint', async () => {
+    let stop;
+    const engine = {
+      run: jest.fn(({ runKey }) => new Promise((resolve) => {
+        stop = async () => {
+          // The running sync commits its current page before it notices the cancellation
+          await state.saveRun(runKey, { pagesDone: 1 });
+          resolve({ cancelled: true, complete: false, totalCalls: 50, matchedCalls: 0 });
+        };
+      })),
+      cancel: jest.fn(() => setTimeout(() => stop(), 20))
+    };
+    const manager = new BackfillManager(logger, engine, null);
+
+    const { id } = await manager.createJob({ startDate: '2024-01-01', endDate: '2024-01-02' });
+    await waitFor(() => engine.run.mock.calls.length > 0);
+    const runKey = manager.getRunKey(manager.jobs[id], manager.jobs[id].chunks[0]);
+
+    await manager.cancel(id);
+
+    expect(engine.cancel).toHaveBeenCalledWith(runKey);
+    expect(await state.getRun(runKey)).toBeNull();
+
+    await waitForIdle(manager);
+    const job = manager.getJob(id);
+    expect(job.status).toBe('cancelled');
+    expect(job.chunks.map(c => c.status)).toEqual(['cancelled', 'pending']);
+    expect(engine.run).toHaveBeenCalledTimes(1);
+  });
+});
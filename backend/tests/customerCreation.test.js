@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'candidates-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.CUSTOMER_AUTO_CREATE = 'review';
+
+const { config } = require('../src/sync/config');
+const customerCandidates = require('../src/sync/customerCreation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function built(callId, normalizedPhone) {
+  return { callId, normalizedPhone, externalNumber: normalizedPhone, call: { contact: { name: null } } };
+}
+
+function fakeAirtable({ createDelayMs = 0 } = {}) {
+  let nextId = 1;
+  return {
+    createCustomers: jest.fn(async (records) => {
+      await new Promise(resolve => setTimeout(resolve, createDelayMs));
+      return { created: records.map(() => ({ id: `recNew${nextId++}` })), failures: [] };
+    }),
+    upsertCalls: jest.fn(async () => ({ failures: [] }))
+  };
+}
+
+describe('customer candidates', () => {
+  afterEach(async () => {
+    config.fields.customerCountry = null;
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('an approval and a sync writing candidates at the same time keep both changes', async () => {
+    await customerCandidates.processCalls([built('1', '+6561234567')], fakeAirtable());
+    const [candidate] = await customerCandidates.list();
+
+    const airtable = fakeAirtable({ createDelayMs: 50 });
+    await Promise.all([
+      customerCandidates.approve(candidate.id, airtable),
+      customerCandidates.processCalls([built('2', '+6561234567'), built('3', '+6569876543')], airtable)
+    ]);
+
+    const entries = await customerCandidates.list();
+    expect(entries.find(e => e.id === candidate.id)).toMatchObject({ status: 'created', customerId: 'recNew1' });
+    expect(entries.find(e => e.phone === '+6569876543')).toMatchObject({ status: 'pending', callIds: ['3'] });
+  });
+
+  test('updates from another process wait for the lock instead of overwriting each other', async () => {
+    await customerCandidates.processCalls([built('1', '+6561234567')], fakeAirtable());
+    const [candidate] = await customerCandidates.list();
+
+    // Its own module registry, and so its own lock and queue: a stand-in for the cron sync
+    let otherProcess;
+    jest.isolateModules(() => {
+      otherProcess = require('../src/sync/customerCreation');
+    });
+
+    await Promise.all([
+      customerCandidates.approve(candidate.id, fakeAirtable({ createDelayMs: 100 })),
+      otherProcess.processCalls([built('2', '+6561234567'), built('3', '+6569876543')], fakeAirtable())
+    ]);
+
+    const entries = await customerCandidates.list();
+    expect(entries.find(e => e.id === candidate.id)).toMatchObject({ status: 'created', callIds: ['1', '2'] });
+    expect(entries.find(e => e.phone === '+6569876543')).toMatchObject({ status: 'pending', callIds: ['3'] });
+    expect(await fs.pathExists(path.join(STATE_DIR, 'customer-candidates.json.lock'))).toBe(false);
+  });
+
+  test('a failed approval leaves the candidate pending', async () => {
+    await customerCandidates.processCalls([built('1', '+6561234567')], fakeAirtable());
+    const [candidate] = await customerCandidates.list();
+    const airtable = fakeAirtable();
+    airtable.createCustomers.mockResolvedValueOnce({ created: [], failures: [{ error: new Error('INVALID_VALUE') }] });
+
+    await expect(customerCandidates.approve(candidate.id, airtable, { name: 'Acme' })).rejects.toThrow('INVALID_VALUE');
+
+    expect(await customerCandidates.get(candidate.id)).toMatchObject({ status: 'pending', name: null });
+  });
+
+  test('approving twice is a conflict', async () => {
+    await customerCandidates.processCalls([built('1', '+6561234567')], fakeAirtable());
+    const [candidate] = await customerCandidates.list();
+    await customerCandidates.reject(candidate.id);
+
+    await expect(customerCandidates.approve(candidate.id, fakeAirtable())).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('writes the country only when the country field is configured', () => {
+    const candidate = { phone: '+6561234567', name: 'Acme', country: 'SG' };
+
+    expect(customerCandidates.getCustomerFields(candidate)).toEqual({ [config.fields.customerPhone]: '+6561234567', [config.customerCreation.nameField]: 'Acme' });
+
+    config.fields.customerCountry = 'Country';
+    expect(customerCandidates.getCustomerFields(candidate)).toMatchObject({ Country: 'SG' });
+  });
+
+  test('drops candidates resolved more than retentionDays ago', () => {
+    const decidedAt = offsetDays => new Date(Date.now() - offsetDays * DAY_MS).toISOString();
+    const entries = [
+      { id: 'pending', status: 'pending', decidedAt: null },
+      { id: 'recent', status: 'rejected', decidedAt: decidedAt(1) },
+      { id: 'old-created', status: 'created', decidedAt: decidedAt(config.customerCreation.retentionDays + 1) },
+      { id: 'old-rejected', status: 'rejected', decidedAt: decidedAt(config.customerCreation.retentionDays + 1) }
+    ];
+
+    expect(customerCandidates.prune(entries).map(e => e.id)).toEqual(['pending', 'recent']);
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letters-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable';
+process.env.DEFAULT_REGION = 'SG';
+process.env.DEAD_LETTER_MAX_ATTEMPTS = '3';
+
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient } = require('../src/sync/airtable');
+const deadLetters = require('../src/sync/deadLetters');
+const store = require('../src/sync/store');
+const sync = require('../src/sync/sync');
+
+const { retryDeadLetters } = sync;
+
+const RECORDS = [{ 'Call ID': 'c1', Direction: 'Inbound' }];
+
+function httpError(status, data) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data };
+  return error;
+}
+
+describe('dead letters', () => {
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  describe('store', () => {
+    test('keeps the payload with the error and a first attempt', async () => {
+      const entry = await deadLetters.add('primary', { records: RECORDS }, httpError(422, { error: 'INVALID_VALUE' }));
+
+      expect(entry).toMatchObject({
+        id: expect.any(String),
+        kind: 'primary',
+        payload: { records: RECORDS },
+        error: { message: 'Request failed with status code 422', status: 422, data: { error: 'INVALID_VALUE' } },
+        attempts: 1
+      });
+      expect(await deadLetters.get(entry.id)).toEqual(entry);
+    });
+
+    test('lists by kind', async () => {
+      await deadLetters.add('primary', { records: RECORDS }, new Error('a'));
+      await deadLetters.add('secondary', { target: 'default', updates: [] }, new Error('b'));
+
+      expect((await deadLetters.list()).map(entry => entry.kind)).toEqual(['primary', 'secondary']);
+      expect((await deadLetters.list({ kind: 'secondary' })).map(entry => entry.error.message)).toEqual(['b']);
+    });
+
+    test('stops offering an entry for automatic retry once its attempts run out', async () => {
+      const entry = await deadLetters.add('primary', { records: RECORDS }, new Error('first'));
+      await deadLetters.recordFailure(entry.id, new Error('second'));
+      expect(await deadLetters.getRetryable()).toHaveLength(1);
+
+      const failed = await deadLetters.recordFailure(entry.id, new Error('third'));
+
+      expect(failed).toMatchObject({ attempts: 3, error: { message: 'third' } });
+      expect(await deadLetters.getRetryable()).toEqual([]);
+      expect(await deadLetters.list()).toHaveLength(1);
+    });
+
+    test('discards one entry or all of them', async () => {
+      const first = await deadLetters.add('primary', { records: RECORDS }, new Error('a'));
+      await deadLetters.add('primary', { records: RECORDS }, new Error('b'));
+
+      expect(await deadLetters.remove(first.id)).toBe(true);
+      expect(await deadLetters.remove(first.id)).toBe(false);
+      expect(await deadLetters.clear()).toBe(1);
+      expect(await deadLetters.list()).toEqual([]);
+    });
+  });
+
+  describe('retry', () => {
+    beforeEach(() => {
+      jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+      jest.spyOn(DialpadClient.prototype, 'getCalls').mockResolvedValue({ items: [], cursor: null });
+      jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+      jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+      jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+    });
+
+    test('the next sync writes dead-lettered records and removes them', async () => {
+      await deadLetters.add('primary', { records: RECORDS }, new Error('Airtable unavailable'));
+
+      const result = await sync();
+
+      expect(AirtableClient.prototype.upsertCalls).toHaveBeenCalledWith(RECORDS);
+      expect(result.deadLetters).toMatchObject({ retried: 1, resolved: 1, failed: 0 });
+      expect(await deadLetters.list()).toEqual([]);
+    });
+
+    test('a failed retry counts another attempt and keeps the entry', async () => {
+      const entry = await deadLetters.add('primary', { records: RECORDS }, new Error('Airtable unavailable'));
+      AirtableClient.prototype.upsertCalls.mockResolvedValue({ upserted: 0, failures: [{ records: RECORDS, error: new Error('still down') }] });
+
+      const result = await sync();
+
+      expect(result.deadLetters).toMatchObject({ retried: 1, resolved: 0, failed: 1 });
+      expect(await deadLetters.get(entry.id)).toMatchObject({ attempts: 2, error: { message: 'still down' } });
+    });
+
+    test('keeps entries no enabled sink can write', async () => {
+      const entry = await deadLetters.add('postgres', { entries: [] }, new Error('database is down'));
+
+      const result = await retryDeadLetters();
+
+      expect(result).toMatchObject({ retried: 1, resolved: 0, failed: 1 });
+      expect(await deadLetters.get(entry.id)).toMatchObject({ attempts: 2, error: { message: 'No enabled sink for postgres payloads' } });
+    });
+
+    test('a retry by ID includes entries whose automatic attempts ran out', async () => {
+      const entry = await deadLetters.add('primary', { records: RECORDS }, new Error('first'));
+      await deadLetters.recordFailure(entry.id, new Error('second'));
+      await deadLetters.recordFailure(entry.id, new Error('third'));
+
+      expect(await retryDeadLetters()).toMatchObject({ retried: 0 });
+      expect(await retryDeadLetters({ ids: [entry.id] })).toMatchObject({ retried: 1, resolved: 1 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable,secondary';
+process.env.DEFAULT_REGION = 'SG';
+process.env.SECONDARY_AIRTABLE_BASE_ID = 'appClients';
+process.env.SECONDARY_AIRTABLE_TABLE = 'Clients';
+
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient, SecondaryAirtableClient } = require('../src/sync/airtable');
+const state = require('../src/sync/state');
+const store = require('../src/sync/store');
+const sync = require('../src/sync/sync');
+
+const NOW = Date.now();
+
+// c1: outbound, connected, from a customer's number; c2: inbound from an unknown number
+const CALLS = [
+  {
+    call_id: 'c1',
+    direction: 'outbound',
+    external_number: '+6591234001',
+    date_started: String(NOW - 120000),
+    date_connected: String(NOW - 115000),
+    date_ended: String(NOW - 85000),
+    duration: 30000
+  },
+  {
+    call_id: 'c2',
+    direction: 'inbound',
+    external_number: '+6598765432',
+    date_started: String(NOW - 60000),
+    duration: 0
+  }
+];
+
+describe('dry run', () => {
+  beforeEach(() => {
+    jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(DialpadClient.prototype, 'getCalls').mockResolvedValue({ items: CALLS, cursor: null });
+    jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([
+      { id: 'recCustomer', createdTime: '2024-01-01T00:00:00.000Z', fields: { Phone: '9123 4001' } }
+    ]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls');
+    jest.spyOn(SecondaryAirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(SecondaryAirtableClient.prototype, 'findRecordsByPhones').mockImplementation(async phones => (
+      new Map(phones.map(phone => [phone, { id: 'recClient' }]))
+    ));
+    jest.spyOn(SecondaryAirtableClient.prototype, 'updateCallDetailsBatch');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('writes nothing and leaves the watermark where it was', async () => {
+    await sync({ dryRun: true });
+
+    expect(AirtableClient.prototype.upsertCalls).not.toHaveBeenCalled();
+    expect(SecondaryAirtableClient.prototype.updateCallDetailsBatch).not.toHaveBeenCalled();
+    expect(await state.getLastSynced()).toBe(0);
+    expect(await state.getRun('main')).toBeNull();
+    expect(store.countCalls()).toBe(0);
+  });
+
+  test('reports creates, updates, matched numbers and secondary changes', async () => {
+    // c2 was synced before, so a live run would update it
+    store.upsertCalls([{ callId: 'c2', call: CALLS[1], record: { 'Call ID': 'c2' } }]);
+
+    const result = await sync({ dryRun: true });
+
+    expect(result).toMatchObject({ dryRun: true, totalCalls: 2, matchedCalls: 1 });
+    expect(result.dryRunReport).toMatchObject({
+      totalCalls: 2,
+      creates: 1,
+      updates: 1,
+      matchedNumbers: 1,
+      unmatchedNumbers: 1,
+      secondaryUpdates: 1,
+      secondaryNotFound: 0,
+      complete: true
+    });
+
+    const report = await state.getDryRunReport();
+    expect(report.primary.creates.map(record => record['Call ID'])).toEqual(['c1']);
+    expect(report.primary.updates.map(record => record['Call ID'])).toEqual(['c2']);
+    expect(report.matchedNumbers).toEqual([{ phone: '+6591234001', customerId: 'recCustomer', calls: 1 }]);
+    expect(report.unmatchedNumbers).toEqual([{ phone: '+6598765432', calls: 1 }]);
+    expect(report.sinks['secondary:default'].updates).toEqual([expect.objectContaining({
+      phone: '+6591234001',
+      recordId: 'recClient',
+      fields: expect.objectContaining({ 'Dialpad Call Length': '00:30' })
+    })]);
+  });
+});
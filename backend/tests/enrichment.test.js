@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichment-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.ENRICHMENT_ENABLED = 'true';
+process.env.ENRICHMENT_REQUEST_DELAY_MS = '0';
+process.env.ENRICHMENT_RETRY_MINUTES = '0';
+process.env.ENRICHMENT_MAX_ATTEMPTS = '3';
+
+const store = require('../src/sync/store');
+const { config } = require('../src/sync/config');
+const { queueForEnrichment, enrichCalls } = require('../src/sync/enrichment');
+
+const TRANSCRIPT = { lines: [{ type: 'transcript', name: 'Agent', content: 'Hello' }] };
+const RECAP = { summary: { content: 'Customer asked about pricing' }, action_items: [{ content: 'Send quote' }] };
+
+function connectedCall(callId) {
+  return { call_id: callId, direction: 'inbound', date_started: String(Date.now()), date_connected: String(Date.now()), duration: 60000 };
+}
+
+function queueCall(callId) {
+  const entry = { callId, call: connectedCall(callId), record: {} };
+  store.upsertCalls([entry]);
+  queueForEnrichment([entry]);
+}
+
+function fakeDialpad({ transcript = null, recap = null } = {}) {
+  return {
+    getTranscript: jest.fn().mockResolvedValue(transcript),
+    getAiRecap: jest.fn().mockResolvedValue(recap)
+  };
+}
+
+function fakeAirtable() {
+  return { upsertCalls: jest.fn().mockResolvedValue({ failures: [] }) };
+}
+
+function enrichmentStatus(callId) {
+  return store.open().prepare('SELECT enrichment_status, transcript, ai_recap FROM calls WHERE call_id = ?').get(callId);
+}
+
+describe('call enrichment', () => {
+  const sinks = config.sinks;
+
+  afterEach(() => {
+    config.sinks = sinks;
+    store.close();
+    fs.emptyDirSync(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('writes a call once both its transcript and recap are ready', async () => {
+    queueCall('1');
+    const airtable = fakeAirtable();
+
+    const result = await enrichCalls(fakeDialpad({ transcript: TRANSCRIPT, recap: RECAP }), airtable);
+
+    expect(result).toMatchObject({ checked: 1, enriched: 1 });
+    expect(enrichmentStatus('1')).toMatchObject({ enrichment_status: 'done', transcript: 'Agent: Hello', ai_recap: 'Customer asked about pricing' });
+    expect(airtable.upsertCalls.mock.calls[0][0][0]).toMatchObject({
+      [config.enrichment.transcriptField]: 'Agent: Hello',
+      [config.enrichment.actionItemsField]: '- Send quote'
+    });
+  });
+
+  test('keeps a call with only a transcript queued until the recap arrives', async () => {
+    queueCall('1');
+    const airtable = fakeAirtable();
+
+    expect(await enrichCalls(fakeDialpad({ transcript: TRANSCRIPT }), airtable)).toMatchObject({ enriched: 0, notReady: 1 });
+    expect(enrichmentStatus('1').enrichment_status).toBe('pending');
+    expect(airtable.upsertCalls).not.toHaveBeenCalled();
+
+    expect(await enrichCalls(fakeDialpad({ transcript: TRANSCRIPT, recap: RECAP }), airtable)).toMatchObject({ enriched: 1 });
+    expect(enrichmentStatus('1').enrichment_status).toBe('done');
+  });
+
+  test('writes what it has once attempts run out', async () => {
+    queueCall('1');
+    const dialpad = fakeDialpad({ transcript: TRANSCRIPT });
+
+    for (let attempt = 1; attempt < config.enrichment.maxAttempts; attempt++) {
+      await enrichCalls(dialpad, fakeAirtable());
+    }
+    const airtable = fakeAirtable();
+    expect(await enrichCalls(dialpad, airtable)).toMatchObject({ enriched: 1, gaveUp: 0 });
+
+    expect(enrichmentStatus('1')).toMatchObject({ enrichment_status: 'done', transcript: 'Agent: Hello', ai_recap: null });
+    expect(airtable.upsertCalls).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up on a call with nothing once attempts run out', async () => {
+    queueCall('1');
+
+    for (let attempt = 1; attempt <= config.enrichment.maxAttempts; attempt++) {
+      await enrichCalls(fakeDialpad(), fakeAirtable());
+    }
+
+    expect(enrichmentStatus('1').enrichment_status).toBe('unavailable');
+  });
+
+  test('only stores enrichment when Airtable is not a sink', async () => {
+    config.sinks = ['postgres'];
+    queueCall('1');
+    const airtable = fakeAirtable();
+
+    await enrichCalls(fakeDialpad({ transcript: TRANSCRIPT, recap: RECAP }), airtable);
+
+    expect(enrichmentStatus('1').enrichment_status).toBe('done');
+    expect(airtable.upsertCalls).not.toHaveBeenCalled();
+  });
+});
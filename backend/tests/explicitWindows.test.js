@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'explicit-windows-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable,secondary';
+process.env.SYNC_TIMEZONE = 'America/New_York';
+process.env.DEFAULT_REGION = 'SG';
+process.env.SECONDARY_AIRTABLE_BASE_ID = 'appClients';
+process.env.SECONDARY_AIRTABLE_TABLE = 'Clients';
+
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient, SecondaryAirtableClient } = require('../src/sync/airtable');
+const callArchive = require('../src/sync/archive');
+const store = require('../src/sync/store');
+const sync = require('../src/sync/sync');
+const replay = require('../src/sync/replay');
+
+// Connected outbound call, which the default secondary rule keeps
+function call(id, startedMs) {
+  return {
+    call_id: `c${id}`,
+    direction: 'outbound',
+    external_number: '+6591234001',
+    date_started: String(startedMs),
+    date_connected: String(startedMs + 5000),
+    date_ended: String(startedMs + 35000),
+    duration: 30000
+  };
+}
+
+const PAST_DAY_MS = new Date('2024-03-10T15:00:00Z').getTime();
+
+describe('explicit windows and the secondary bases', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(DialpadClient.prototype, 'getCalls').mockImplementation(async () => ({ items: calls, cursor: null }));
+    jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+    jest.spyOn(SecondaryAirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(SecondaryAirtableClient.prototype, 'updateCallDetailsBatch').mockImplementation(async updates => ({
+      successCount: updates.size,
+      notFound: 0,
+      failures: []
+    }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('the regular sync updates the secondary base', async () => {
+    calls = [call(1, Date.now() - 60000)];
+
+    const result = await sync();
+
+    expect(SecondaryAirtableClient.prototype.updateCallDetailsBatch).toHaveBeenCalledTimes(1);
+    expect(result.secondaryBaseUpdates).toBe(1);
+  });
+
+  test('a backfill window writes the calls but leaves the secondary base alone', async () => {
+    calls = [call(1, PAST_DAY_MS)];
+
+    const result = await sync({
+      window: { startedAfter: PAST_DAY_MS - 3600000, startedBefore: PAST_DAY_MS + 3600000 },
+      runKey: 'backfill-test-0'
+    });
+
+    expect(result).toMatchObject({ complete: true, totalCalls: 1, secondaryBaseUpdates: 0 });
+    expect(result.sinks).not.toHaveProperty('secondary:default');
+    expect(AirtableClient.prototype.upsertCalls).toHaveBeenCalledTimes(1);
+    expect(SecondaryAirtableClient.prototype.updateCallDetailsBatch).not.toHaveBeenCalled();
+  });
+
+  test('a replay writes the calls but leaves the secondary base alone', async () => {
+    await callArchive.appendCalls([call(1, PAST_DAY_MS), call(2, PAST_DAY_MS + 60000)]);
+
+    const result = await replay({ from: '2024-03-10', to: '2024-03-10' });
+
+    expect(result).toMatchObject({ complete: true, totalCalls: 2, secondaryBaseUpdates: 0 });
+    expect(DialpadClient.prototype.getCalls).not.toHaveBeenCalled();
+    expect(SecondaryAirtableClient.prototype.updateCallDetailsBatch).not.toHaveBeenCalled();
+  });
+});
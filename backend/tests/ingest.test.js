@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.DIALPAD_WEBHOOK_SECRET = 'webhook-secret';
+process.env.DIALPAD_WEBHOOK_STATES = 'hangup';
+
+const { config } = require('../src/sync/config');
+const { AirtableClient } = require('../src/sync/airtable');
+const postgres = require('../src/sync/postgres');
+const deadLetters = require('../src/sync/deadLetters');
+const store = require('../src/sync/store');
+const IngestService = require('../src/services/ingest.service');
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Sign claims the way Dialpad does for a webhook with a secret
+function signJwt(claims, { secret = 'webhook-secret', alg = 'HS256' } = {}) {
+  const signingInput = `${base64url({ alg, typ: 'JWT' })}.${base64url(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+const CALL = {
+  call_id: 12345,
+  state: 'hangup',
+  direction: 'inbound',
+  external_number: '+6591234001',
+  date_started: String(Date.now() - 60000),
+  duration: 30000
+};
+
+describe('Dialpad webhook ingestion', () => {
+  let ingest;
+
+  beforeEach(() => {
+    ingest = new IngestService();
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('ingests a correctly signed call event', async () => {
+    const result = await ingest.handleDialpadEvent(signJwt(CALL));
+
+    expect(result).toMatchObject({ ingested: true, callId: 12345 });
+    expect(AirtableClient.prototype.upsertCalls).toHaveBeenCalledTimes(1);
+  });
+
+  test('accepts surrounding whitespace in the body', async () => {
+    await expect(ingest.handleDialpadEvent(`\n${signJwt(CALL)}\n`)).resolves.toMatchObject({ ingested: true });
+  });
+
+  test('skips states that are not configured for ingestion', async () => {
+    const result = await ingest.handleDialpadEvent(signJwt({ ...CALL, state: 'ringing' }));
+
+    expect(result).toMatchObject({ ingested: false, state: 'ringing' });
+    expect(AirtableClient.prototype.upsertCalls).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['a wrong secret', () => signJwt(CALL, { secret: 'other-secret' }), 'Invalid webhook signature'],
+    ['a tampered payload', () => {
+      const [header, , signature] = signJwt(CALL).split('.');
+      return `${header}.${base64url({ ...CALL, external_number: '+6599999999' })}.${signature}`;
+    }, 'Invalid webhook signature'],
+    ['a truncated signature', () => signJwt(CALL).slice(0, -4), 'Invalid webhook signature'],
+    ['another algorithm', () => signJwt(CALL, { alg: 'none' }), 'Unsupported webhook signature algorithm: none'],
+    ['an expired token', () => signJwt({ ...CALL, exp: Math.floor(Date.now() / 1000) - 60 }), 'Webhook token expired'],
+    ['two segments', () => signJwt(CALL).split('.').slice(0, 2).join('.'), 'Malformed webhook token'],
+    ['an undecodable header', () => `!!.${signJwt(CALL).split('.').slice(1).join('.')}`, 'Malformed webhook token'],
+    ['an unsigned JSON body', () => JSON.stringify(CALL), 'Malformed webhook token'],
+    ['an empty body', () => '', 'Expected a signed JWT payload']
+  ])('rejects %s with a 401', async (description, makeBody, message) => {
+    await expect(ingest.handleDialpadEvent(makeBody())).rejects.toMatchObject({ status: 401, message });
+    expect(AirtableClient.prototype.upsertCalls).not.toHaveBeenCalled();
+  });
+
+  test('refuses every event while no secret is configured', async () => {
+    const secret = config.webhooks.dialpadSecret;
+    config.webhooks.dialpadSecret = null;
+
+    try {
+      await expect(ingest.handleDialpadEvent(signJwt(CALL))).rejects.toMatchObject({ status: 503 });
+    } finally {
+      config.webhooks.dialpadSecret = secret;
+    }
+  });
+
+  test('refuses every event under the review duplicate policy without an ambiguous-match field', async () => {
+    const policy = config.sync.duplicatePhonePolicy;
+    config.sync.duplicatePhonePolicy = 'review';
+
+    try {
+      await expect(ingest.handleDialpadEvent(signJwt(CALL))).rejects.toMatchObject({ status: 503 });
+      expect(AirtableClient.prototype.upsertCalls).not.toHaveBeenCalled();
+    } finally {
+      config.sync.duplicatePhonePolicy = policy;
+    }
+  });
+
+  describe('sinks', () => {
+    const defaults = { sinks: config.sinks, postgresUrl: config.postgres.url, enrichment: config.enrichment.enabled };
+
+    afterEach(() => {
+      config.sinks = defaults.sinks;
+      config.postgres.url = defaults.postgresUrl;
+      config.enrichment.enabled = defaults.enrichment;
+    });
+
+    test('writes through the configured sinks only', async () => {
+      config.sinks = ['postgres'];
+      config.postgres.url = 'postgres://localhost/test';
+      jest.spyOn(postgres, 'upsertCalls').mockResolvedValue({ written: 1, failures: [] });
+
+      const result = await ingest.handleDialpadEvent(signJwt(CALL));
+
+      expect(result).toMatchObject({ ingested: true, sinks: { postgres: { written: 1, failed: 0 } } });
+      expect(postgres.upsertCalls.mock.calls[0][0][0]).toMatchObject({ callId: 12345, call: { call_id: 12345 } });
+      expect(AirtableClient.prototype.upsertCalls).not.toHaveBeenCalled();
+    });
+
+    test('dead-letters a failed write and reports the call as not ingested', async () => {
+      const error = new Error('Airtable unavailable');
+      AirtableClient.prototype.upsertCalls.mockImplementation(async records => ({ upserted: 0, failures: [{ records, error }] }));
+
+      const result = await ingest.handleDialpadEvent(signJwt(CALL));
+
+      expect(result).toMatchObject({ ingested: false, sinks: { airtable: { written: 0, failed: 1 } } });
+      const [entry] = await deadLetters.list();
+      expect(entry).toMatchObject({ kind: 'primary', payload: { records: [expect.any(Object)] } });
+    });
+
+    test('queues connected calls for enrichment like a sync', async () => {
+      config.enrichment.enabled = true;
+
+      await ingest.handleDialpadEvent(signJwt({ ...CALL, date_connected: String(Date.now() - 55000) }));
+
+      expect(store.getPendingEnrichment(10).map(pending => String(pending.callId))).toEqual(['12345']);
+    });
+  });
+});
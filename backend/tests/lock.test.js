@@ -0,0 +1,182 @@
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+
+const syncLock = require('../src/sync/lock');
+
+const LOCK_FILE = path.join(STATE_DIR, 'sync.lock');
+
+// A lock left behind by a process on this host that no longer exists
+async function writeStaleLock(token = 'stale-token') {
+  await fs.writeJson(LOCK_FILE, {
+    token,
+    owner: 'cli',
+    pid: 2 ** 22 + 1, // Above pid_max on Linux, so never a live process
+    hostname: os.hostname(),
+    acquiredAt: new Date().toISOString()
+  });
+}
+
+// Try to take the lock from a separate process; resolves to true when it got it
+function acquireInChild() {
+  const script = `
+    const lock = require(${JSON.stringify(path.join(__dirname, '../src/sync/lock'))});
+    lock.acquire('child').then(async (acquired) => {
+      process.stdout.write(String(acquired));
+      await new Promise(resolve => setTimeout(resolve, 300)); // Hold it while the others try
+      await lock.release();
+    });
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { env: { ...process.env } }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout.trim() === 'true');
+    });
+  });
+}
+
+describe('SyncLock', () => {
+  afterEach(async () => {
+    await syncLock.release();
+    await fs.remove(LOCK_FILE);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('acquires a free lock and reports this process as the holder', async () => {
+    expect(await syncLock.acquire('server')).toBe(true);
+
+    const holder = await syncLock.getHolder();
+    expect(holder).toMatchObject({ owner: 'server', pid: process.pid, thisProcess: true, stale: false });
+    expect(holder.token).toBeUndefined();
+  });
+
+  test('does not take a lock held by a live process', async () => {
+    await fs.writeJson(LOCK_FILE, {
+      token: 'other',
+      owner: 'cli',
+      pid: process.ppid,
+      hostname: os.hostname(),
+      acquiredAt: new Date().toISOString()
+    });
+
+    expect(await syncLock.acquire('server')).toBe(false);
+    expect((await fs.readJson(LOCK_FILE)).token).toBe('other');
+  });
+
+  test('takes over a lock whose process is gone', async () => {
+    await writeStaleLock();
+
+    expect(await syncLock.acquire('server')).toBe(true);
+    expect((await syncLock.getHolder()).thisProcess).toBe(true);
+  });
+
+  test('takes over a lock whose heartbeat has gone quiet', async () => {
+    await fs.writeJson(LOCK_FILE, {
+      token: 'remote',
+      owner: 'cli',
+      pid: 1,
+      hostname: 'another-host',
+      acquiredAt: new Date().toISOString()
+    });
+    const longAgo = new Date(Date.now() - 10 * 60 * 1000);
+    await fs.utimes(LOCK_FILE, longAgo, longAgo);
+
+    expect(await syncLock.acquire('server')).toBe(true);
+  });
+
+  test('only one of several processes takes over the same stale lock', async () => {
+    await writeStaleLock();
+
+    const results = await Promise.all(Array.from({ length: 4 }, () => acquireInChild()));
+    expect(results.filter(Boolean)).toHaveLength(1);
+  }, 20000);
+
+  test('clears a removal guard abandoned by a crashed process', async () => {
+    await writeStaleLock();
+    const guard = `${LOCK_FILE}.guard`;
+    await fs.writeFile(guard, '1');
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(guard, longAgo, longAgo);
+
+    expect(await syncLock.acquire('server')).toBe(true);
+    expect(await fs.pathExists(guard)).toBe(false);
+  });
+
+  test('leaves a guard alone while another process holds its takeover file', async () => {
+    const guard = `${LOCK_FILE}.guard`;
+    await fs.writeFile(guard, 'abandoned');
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(guard, longAgo, longAgo);
+    await fs.writeFile(`${guard}.takeover-abandoned`, '1');
+
+    try {
+      expect(await syncLock.removeAbandonedGuard()).toBe(false);
+      expect(await fs.readFile(guard, 'utf8')).toBe('abandoned');
+    } finally {
+      await fs.remove(guard);
+      await fs.remove(`${guard}.takeover-abandoned`);
+    }
+  });
+
+  test('never removes a guard that is in use', async () => {
+    const guard = `${LOCK_FILE}.guard`;
+    await fs.writeFile(guard, 'in-use');
+
+    try {
+      expect(await syncLock.removeAbandonedGuard()).toBe(false);
+      expect(await fs.pathExists(guard)).toBe(true);
+    } finally {
+      await fs.remove(guard);
+    }
+  });
+
+  test('release leaves a lock another process has taken over', async () => {
+    expect(await syncLock.acquire('server')).toBe(true);
+    await fs.writeJson(LOCK_FILE, { token: 'newer', owner: 'cli', pid: process.ppid, hostname: os.hostname() });
+
+    await syncLock.release();
+    expect((await fs.readJson(LOCK_FILE)).token).toBe('newer');
+  });
+
+  test('heartbeat refreshes only its own lock and never rewrites another', async () => {
+    expect(await syncLock.acquire('server')).toBe(true);
+    const old = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(LOCK_FILE, old, old);
+
+    await syncLock.heartbeat();
+    expect((await fs.stat(LOCK_FILE)).mtimeMs).toBeGreaterThan(old.getTime() + 30 * 1000);
+
+    const other = { token: 'newer', owner: 'cli', pid: process.ppid, hostname: os.hostname() };
+    await fs.writeJson(LOCK_FILE, other);
+    await fs.utimes(LOCK_FILE, old, old);
+
+    await syncLock.heartbeat();
+    expect(await fs.readJson(LOCK_FILE)).toEqual(other);
+    expect((await fs.stat(LOCK_FILE)).mtimeMs).toBeLessThan(old.getTime() + 1000);
+  });
+
+  test('a heartbeat that finds the lock taken over aborts the signal', async () => {
+    expect(await syncLock.acquire('server')).toBe(true);
+    const { signal } = syncLock;
+    await fs.writeJson(LOCK_FILE, { token: 'newer', owner: 'cli', pid: process.ppid, hostname: os.hostname() });
+
+    await syncLock.heartbeat();
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason).toMatchObject({ code: syncLock.LOCK_LOST });
+    expect((await syncLock.getHolder()).thisProcess).toBe(false);
+
+    // The next acquire starts with a fresh signal
+    await fs.remove(LOCK_FILE);
+    expect(await syncLock.acquire('server')).toBe(true);
+    expect(syncLock.signal.aborted).toBe(false);
+  });
+});
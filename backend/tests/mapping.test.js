@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+
+const {
+  DEFAULT_FIELD_MAPPING,
+  getFieldMapping,
+  getMergeField,
+  mapCallFields
+} = require('../src/sync/mapping');
+const ConfigService = require('../src/services/config.service');
+
+const CONFIG_FILE = path.join(STATE_DIR, 'config.json');
+
+const CALL = {
+  call_id: 12345,
+  direction: 'inbound',
+  date_started: '1710064800000', // 2024-03-10T10:00:00Z
+  date_connected: '1710064805000',
+  duration: 125500,
+  contact: { name: 'Jane Tan' },
+  recording_url: ['https://dialpad.com/r/1'],
+  was_recorded: 1
+};
+
+// Write config.json with a distinct mtime, which is what the mapping cache keys on
+async function saveMapping(fieldMapping, mtime) {
+  await fs.writeJson(CONFIG_FILE, { fieldMapping });
+  await fs.utimes(CONFIG_FILE, mtime, mtime);
+}
+
+describe('field mapping', () => {
+  afterEach(async () => {
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  describe('mapCallFields', () => {
+    test('the default mapping writes the original columns', () => {
+      expect(mapCallFields(CALL, { callId: '12345', recordingUrl: 'https://dialpad.com/r/1' }, DEFAULT_FIELD_MAPPING)).toEqual({
+        'Call ID': '12345',
+        Direction: 'Inbound',
+        'Start Time': '2024-03-10T10:00:00.000Z',
+        'Date Connected': '2024-03-10T10:00:05.000Z',
+        'End Time': null,
+        'Duration (s)': 125,
+        'Contact Name': 'Jane Tan',
+        Target: 'N/A',
+        'Was Recorded': true,
+        'MOS Score': null,
+        'Recording URL': 'https://dialpad.com/r/1'
+      });
+    });
+
+    test('applies transforms, label maps and defaults', () => {
+      const mapping = [
+        { source: 'duration', target: 'Length', transform: 'mmss' },
+        { source: 'direction', target: 'Way', transform: 'labelMap', map: { inbound: 'In' }, default: 'Out' },
+        { source: 'call_id', target: 'Dialpad ID', transform: 'string' },
+        { source: 'target.name', target: 'Agent', default: 'Nobody' }
+      ];
+
+      expect(mapCallFields(CALL, {}, mapping)).toEqual({ Length: '02:05', Way: 'In', 'Dialpad ID': '12345', Agent: 'Nobody' });
+      expect(mapCallFields({ ...CALL, direction: 'outbound' }, {}, mapping).Way).toBe('Out');
+    });
+
+    test('reads array paths and leaves out empty optional fields', () => {
+      const mapping = [{ source: 'recording_url.0', target: 'Recording', omitIfEmpty: true }];
+
+      expect(mapCallFields(CALL, {}, mapping)).toEqual({ Recording: 'https://dialpad.com/r/1' });
+      expect(mapCallFields({ ...CALL, recording_url: [] }, {}, mapping)).toEqual({});
+    });
+
+    test('a value the transform cannot handle gets the default', () => {
+      const mapping = [{ source: 'date_started', target: 'Started', transform: 'isoDate', default: null }];
+
+      expect(mapCallFields({ ...CALL, date_started: 'not a date' }, {}, mapping)).toEqual({ Started: null });
+    });
+  });
+
+  describe('getFieldMapping', () => {
+    test('uses the default until a mapping is saved', () => {
+      expect(getFieldMapping()).toBe(DEFAULT_FIELD_MAPPING);
+      expect(getMergeField()).toBe('Call ID');
+    });
+
+    test('picks up a saved mapping and later changes without a restart', async () => {
+      await saveMapping([{ source: '$callId', target: 'Dialpad ID' }], new Date('2024-03-10T00:00:00Z'));
+      expect(getMergeField()).toBe('Dialpad ID');
+
+      await saveMapping([{ source: '$callId', target: 'Call Ref' }], new Date('2024-03-11T00:00:00Z'));
+      expect(getMergeField()).toBe('Call Ref');
+    });
+
+    test('falls back to the default for an empty or unreadable mapping', async () => {
+      await saveMapping([], new Date('2024-03-12T00:00:00Z'));
+      expect(getFieldMapping()).toBe(DEFAULT_FIELD_MAPPING);
+
+      await fs.writeFile(CONFIG_FILE, '{ not json');
+      await fs.utimes(CONFIG_FILE, new Date('2024-03-13T00:00:00Z'), new Date('2024-03-13T00:00:00Z'));
+      expect(getFieldMapping()).toBe(DEFAULT_FIELD_MAPPING);
+    });
+  });
+
+  describe('config validation', () => {
+    const configService = new ConfigService();
+
+    test('accepts a mapping with the call ID and known transforms', async () => {
+      const result = await configService.validateConfig({
+        fieldMapping: [
+          { source: '$callId', target: 'Dialpad ID' },
+          { source: 'duration', target: 'Length', transform: 'mmss' }
+        ]
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test.each([
+      ['without the call ID', [{ source: 'duration', target: 'Length' }], 'fieldMapping must map "$callId" to the merge field'],
+      ['with an unknown transform', [{ source: '$callId', target: 'ID' }, { source: 'duration', target: 'Length', transform: 'hours' }], 'transform'],
+      ['writing one column twice', [{ source: '$callId', target: 'ID' }, { source: 'call_id', target: 'ID' }], 'duplicate value']
+    ])('rejects a mapping %s', async (description, fieldMapping, message) => {
+      const result = await configService.validateConfig({ fieldMapping });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.join('\n')).toContain(message);
+    });
+  });
+});
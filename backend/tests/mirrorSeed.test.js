@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-seed-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+
+const { DEFAULT_FIELD_MAPPING } = require('../src/sync/mapping');
+const store = require('../src/sync/store');
+const { toMirrorRow, seedMirror } = require('../src/sync/mirrorSeed');
+
+const CUSTOM_MAPPING = [
+  { source: '$callId', target: 'Dialpad ID' },
+  { source: 'direction', target: 'Way', transform: 'labelMap', map: { inbound: 'In', outbound: 'Out' } },
+  { source: 'date_started', target: 'Started', transform: 'isoDate' },
+  { source: 'duration', target: 'Length', transform: 'mmss' },
+  { source: 'external_number', target: 'Caller' }
+];
+
+function airtableRecord(callId, fields = {}) {
+  return {
+    id: `rec${callId}`,
+    fields: {
+      'Call ID': String(callId),
+      Direction: 'Inbound',
+      'Start Time': '2024-03-10T00:00:00.000Z',
+      'Date Connected': '2024-03-10T00:00:05.000Z',
+      'Duration (s)': 30,
+      'Contact Name': 'Jane Tan',
+      Target: 'Support',
+      'Was Recorded': true,
+      Customer: ['recCustomer'],
+      ...fields
+    }
+  };
+}
+
+function syncedEntry(callId) {
+  return {
+    callId,
+    call: { call_id: callId, direction: 'outbound', external_number: '+6591234001', date_started: '1710028800000', duration: 60000 },
+    record: { 'Call ID': String(callId), Direction: 'Outbound' },
+    customerId: null,
+    normalizedPhone: '+6591234001'
+  };
+}
+
+describe('local mirror seeding', () => {
+  afterEach(async () => {
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  describe('toMirrorRow', () => {
+    test('reads a record written with the default mapping', () => {
+      const row = toMirrorRow(airtableRecord(1, { 'Unmatched Phone': '+6591234001' }), DEFAULT_FIELD_MAPPING);
+
+      expect(row).toMatchObject({
+        callId: '1',
+        direction: 'inbound',
+        externalNumber: '+6591234001',
+        contactName: 'Jane Tan',
+        target: 'Support',
+        startTime: '2024-03-10T00:00:00.000Z',
+        durationSeconds: 30,
+        wasConnected: 1,
+        wasRecorded: 1,
+        customerId: 'recCustomer'
+      });
+      expect(JSON.parse(row.fields)).toMatchObject({ 'Call ID': '1', Customer: ['recCustomer'] });
+    });
+
+    test('follows a custom mapping', () => {
+      const row = toMirrorRow({
+        id: 'rec2',
+        fields: { 'Dialpad ID': '2', Way: 'Out', Started: '2024-03-10T00:00:00.000Z', Length: '02:05', Caller: '+6591234002' }
+      }, CUSTOM_MAPPING);
+
+      expect(row).toMatchObject({
+        callId: '2',
+        direction: 'outbound',
+        externalNumber: '+6591234002',
+        durationSeconds: 125,
+        wasConnected: 0,
+        customerId: null
+      });
+    });
+
+    test('skips records without a call ID', () => {
+      expect(toMirrorRow({ id: 'rec3', fields: { Direction: 'Inbound' } }, DEFAULT_FIELD_MAPPING)).toBeNull();
+    });
+  });
+
+  describe('seedMirror', () => {
+    function airtableWith(pages) {
+      return {
+        forEachCallPage: jest.fn(async (handler) => {
+          for (const page of pages) {
+            await handler(page);
+          }
+        })
+      };
+    }
+
+    test('copies every page and marks the mirror seeded', async () => {
+      const airtable = airtableWith([[airtableRecord(1), airtableRecord(2)], [airtableRecord(3)]]);
+
+      const result = await seedMirror(airtable);
+
+      expect(result).toEqual({ read: 3, inserted: 3 });
+      expect(store.countCalls()).toBe(3);
+      expect(store.isSeeded()).toBe(true);
+    });
+
+    test('keeps calls a sync already wrote', async () => {
+      store.upsertCalls([syncedEntry(1)]);
+
+      const result = await seedMirror(airtableWith([[airtableRecord(1), airtableRecord(2)]]));
+
+      expect(result.inserted).toBe(1);
+      expect(store.getCall('1')).toMatchObject({ Direction: 'Outbound' });
+    });
+
+    test('shares one copy between concurrent callers', async () => {
+      const airtable = airtableWith([[airtableRecord(1)]]);
+
+      await Promise.all([seedMirror(airtable), seedMirror(airtable)]);
+
+      expect(airtable.forEachCallPage).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves the mirror unseeded when Airtable fails', async () => {
+      const airtable = { forEachCallPage: jest.fn().mockRejectedValue(new Error('Airtable unavailable')) };
+
+      await expect(seedMirror(airtable)).rejects.toThrow('Airtable unavailable');
+      expect(store.isSeeded()).toBe(false);
+    });
+  });
+
+  describe('canServeReads', () => {
+    test('waits for the seed while Airtable holds the history', () => {
+      store.upsertCalls([syncedEntry(1)]);
+
+      expect(store.canServeReads(true)).toBe(false);
+      store.markSeeded();
+      expect(store.canServeReads(true)).toBe(true);
+    });
+
+    test('serves synced calls when there is no Airtable to fall back to', () => {
+      expect(store.canServeReads(false)).toBe(false);
+      store.upsertCalls([syncedEntry(1)]);
+      expect(store.canServeReads(false)).toBe(true);
+    });
+  });
+
+  describe('toApiRecord', () => {
+    test('returns the caller number under its mapped field', async () => {
+      await fs.writeJson(path.join(STATE_DIR, 'config.json'), { fieldMapping: CUSTOM_MAPPING });
+      store.upsertCalls([syncedEntry(1)]);
+
+      const record = store.getCall('1');
+
+      expect(record.Caller).toBe('+6591234001');
+      expect(record).not.toHaveProperty('External Number');
+    });
+
+    test('falls back to External Number when the number is not mapped', () => {
+      store.upsertCalls([syncedEntry(1)]);
+
+      expect(store.getCall('1')['External Number']).toBe('+6591234001');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-webhooks-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS = '0'; // Retries are due right away
+
+const store = require('../src/sync/store');
+const webhooks = require('../src/sync/outboundWebhooks');
+const { sign } = webhooks;
+
+// Receiver answering with the next status in `statuses` (200 once they run out)
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.statuses.shift() || 200;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+      resolve(receiver);
+    });
+  });
+}
+
+// What a receiver does with the headers and the raw body
+function verify(secret, headers, body) {
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex')}`;
+  const received = headers['x-webhook-signature'] || '';
+  return received.length === expected.length && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+describe('outbound webhooks', () => {
+  let receiver;
+  let subscription;
+
+  beforeEach(async () => {
+    receiver = await startReceiver();
+    subscription = await webhooks.create({ url: receiver.url, events: ['call.synced'] });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('sign is an HMAC-SHA256 of the timestamp and body', () => {
+    expect(sign('whsec_test', 1700000000, '{"a":1}')).toBe(
+      crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex')
+    );
+  });
+
+  test('delivers signed events a receiver can verify', async () => {
+    await webhooks.emit('call.synced', [{ callId: '1' }]);
+    await webhooks.processDue();
+
+    expect(receiver.requests).toHaveLength(1);
+    const [{ headers, body }] = receiver.requests;
+    expect(headers).toMatchObject({ 'content-type': 'application/json', 'x-webhook-event': 'call.synced' });
+    expect(verify(subscription.secret, headers, body)).toBe(true);
+    expect(verify('whsec_other', headers, body)).toBe(false);
+    expect(verify(subscription.secret, headers, body.replace('"1"', '"2"'))).toBe(false);
+    expect(JSON.parse(body)).toMatchObject({ event: 'call.synced', data: { callId: '1' } });
+
+    expect(store.getWebhookDelivery(headers['x-webhook-id'])).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200 });
+  });
+
+  test('skips inactive subscriptions and other events', async () => {
+    await webhooks.create({ url: receiver.url, events: ['call.synced'], active: false });
+
+    await webhooks.emit('sync.completed', [{}]);
+    await webhooks.emit('call.synced', [{ callId: '1' }]);
+    await webhooks.processDue();
+
+    expect(receiver.requests).toHaveLength(1);
+  });
+
+  test('retries a failed delivery and keeps the same id and body', async () => {
+    receiver.statuses = [500];
+
+    await webhooks.emit('call.synced', [{ callId: '1' }]);
+    await webhooks.processDue();
+    const id = receiver.requests[0].headers['x-webhook-id'];
+    expect(store.getWebhookDelivery(id)).toMatchObject({ status: 'retrying', attempts: 1, responseStatus: 500 });
+
+    await webhooks.processDue();
+
+    expect(receiver.requests).toHaveLength(2);
+    expect(receiver.requests[1].headers['x-webhook-id']).toBe(id);
+    expect(receiver.requests[1].body).toBe(receiver.requests[0].body);
+    expect(verify(subscription.secret, receiver.requests[1].headers, receiver.requests[1].body)).toBe(true);
+    expect(store.getWebhookDelivery(id)).toMatchObject({ status: 'delivered', attempts: 2 });
+  });
+
+  test('gives up after the last attempt and can be redelivered', async () => {
+    receiver.statuses = [500, 502, 503];
+
+    await webhooks.emit('call.synced', [{ callId: '1' }]);
+    for (let i = 0; i < 4; i++) {
+      await webhooks.processDue();
+    }
+
+    const id = receiver.requests[0].headers['x-webhook-id'];
+    expect(receiver.requests).toHaveLength(3);
+    expect(store.getWebhookDelivery(id)).toMatchObject({ status: 'failed', attempts: 3, responseStatus: 503, nextAttemptAt: null });
+
+    await expect(webhooks.redeliver(id)).resolves.toMatchObject({ status: 'delivered', attempts: 4 });
+  });
+
+  test('sends a test event to one subscription right away', async () => {
+    const delivery = await webhooks.sendTest(subscription.id);
+
+    expect(delivery).toMatchObject({ event: 'webhook.test', status: 'delivered', attempts: 1 });
+    expect(verify(subscription.secret, receiver.requests[0].headers, receiver.requests[0].body)).toBe(true);
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'phone-index-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DEFAULT_REGION = 'US';
+
+const SecondaryPhoneIndex = require('../src/sync/phoneIndex');
+
+const TARGET = { name: 'apac', baseId: 'appAPAC', table: 'Clients', phoneField: 'Phone' };
+
+// axios stand-in serving the records whose phone matches the formula's values
+function fakeClient(records) {
+  return {
+    get: jest.fn(async (url, { params }) => {
+      const formula = params.filterByFormula || '';
+      const wanted = Array.from(formula.matchAll(/= "([^"]*)"/g), match => match[1]);
+      const matching = formula.startsWith('OR(')
+        ? records.filter(record => wanted.includes(record.fields.Phone))
+        : records;
+      return { data: { records: matching } };
+    })
+  };
+}
+
+function lookupQueries(client) {
+  return client.get.mock.calls.filter(([, { params }]) => params.filterByFormula?.startsWith('OR(')).length;
+}
+
+describe('SecondaryPhoneIndex', () => {
+  afterEach(async () => {
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('keeps the index file inside STATE_DIR whatever the target name', () => {
+    const index = new SecondaryPhoneIndex(fakeClient([]), { ...TARGET, name: '../../etc/passwd' });
+
+    expect(path.dirname(index.indexFile)).toBe(STATE_DIR);
+    expect(path.basename(index.indexFile)).toBe('secondary-phone-index-______etc_passwd.json');
+  });
+
+  test('finds records from the index and falls back to a query for new numbers', async () => {
+    const records = [{ id: 'rec1', fields: { Phone: '+14155550100' } }];
+    const client = fakeClient(records);
+    const index = new SecondaryPhoneIndex(client, TARGET);
+
+    await index.findRecords(['+14155550100']);
+    records.push({ id: 'rec2', fields: { Phone: '+14155550199' } });
+    const found = await index.findRecords(['+14155550100', '+14155550199']);
+
+    expect(found.get('+14155550100').id).toBe('rec1');
+    expect(found.get('+14155550199').id).toBe('rec2');
+    expect(lookupQueries(client)).toBe(1);
+  });
+
+  test('does not query again for a number that was not found until the next refresh', async () => {
+    const client = fakeClient([{ id: 'rec1', fields: { Phone: '+14155550100' } }]);
+    const index = new SecondaryPhoneIndex(client, TARGET);
+
+    await index.findRecords(['+14155550123']);
+    await index.findRecords(['+14155550123']);
+    expect(lookupQueries(client)).toBe(1);
+
+    // A fresh process reads the misses from the index file
+    const reloaded = new SecondaryPhoneIndex(client, TARGET);
+    await reloaded.findRecords(['+14155550123']);
+    expect(lookupQueries(client)).toBe(1);
+
+    await reloaded.incrementalRefresh();
+    await reloaded.findRecords(['+14155550123']);
+    expect(lookupQueries(client)).toBe(2);
+  });
+});
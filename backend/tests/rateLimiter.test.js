@@ -0,0 +1,143 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.AIRTABLE_RATE_LIMIT_RPS = '10';
+process.env.AIRTABLE_THROTTLE_PENALTY_MS = '300';
+process.env.AIRTABLE_RATE_STORE_RETRY_MS = '200';
+
+const SLOT_MS = 100;
+
+// A limiter with its own module registry, and so its own store connection: a stand-in for another process
+function loadLimiter() {
+  let limiter;
+  let store;
+  jest.isolateModules(() => {
+    limiter = require('../src/sync/rateLimiter');
+    store = require('../src/sync/store');
+  });
+  return { limiter, store };
+}
+
+// axios instance answering from a list of statuses, recording when each request went out
+function fakeClient(statuses) {
+  const sentAt = [];
+  const client = axios.create({
+    adapter: async (requestConfig) => {
+      sentAt.push(Date.now());
+      const status = statuses.shift() || 200;
+      const response = { status, statusText: String(status), headers: {}, config: requestConfig, data: {} };
+      if (status >= 400) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.config = requestConfig;
+        error.response = response;
+        error.isAxiosError = true;
+        throw error;
+      }
+      return response;
+    }
+  });
+  return { client, sentAt };
+}
+
+describe('AirtableRateLimiter', () => {
+  const processes = [];
+
+  function spawnProcess() {
+    const loaded = loadLimiter();
+    processes.push(loaded);
+    return loaded.limiter;
+  }
+
+  afterEach(() => {
+    while (processes.length > 0) {
+      processes.pop().store.close();
+    }
+    fs.emptyDirSync(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('processes sharing a state dir share one budget per base', async () => {
+    const server = spawnProcess();
+    const cron = spawnProcess();
+    const grantedAt = [];
+
+    await Promise.all([server, cron, server, cron, server, cron].map(limiter =>
+      limiter.schedule('appShared').then(() => grantedAt.push(Date.now()))
+    ));
+
+    grantedAt.sort((a, b) => a - b);
+    for (let i = 1; i < grantedAt.length; i++) {
+      expect(grantedAt[i] - grantedAt[i - 1]).toBeGreaterThanOrEqual(SLOT_MS - 15);
+    }
+  });
+
+  test('bases do not share a budget', async () => {
+    const limiter = spawnProcess();
+    const startedAt = Date.now();
+
+    await Promise.all(['appA', 'appB', 'appC'].map(baseId => limiter.schedule(baseId)));
+
+    expect(Date.now() - startedAt).toBeLessThan(SLOT_MS);
+  });
+
+  test('a 429 in one process pauses the base for every process, and is re-sent once', async () => {
+    const server = spawnProcess();
+    const cron = spawnProcess();
+    const throttled = fakeClient([429]);
+    const other = fakeClient([]);
+    server.attach(throttled.client, 'appThrottled');
+    cron.attach(other.client, 'appThrottled');
+
+    await throttled.client.get('/records');
+    const penaltyEndsAt = throttled.sentAt[0] + 300;
+    await other.client.get('/records');
+
+    expect(throttled.sentAt).toHaveLength(2);
+    expect(throttled.sentAt[1]).toBeGreaterThanOrEqual(penaltyEndsAt - 15);
+    expect(other.sentAt[0]).toBeGreaterThanOrEqual(penaltyEndsAt - 15);
+    expect(cron.getStats().bases.appThrottled.inPenalty).toBe(false);
+    expect(server.getStats().bases.appThrottled.throttled).toBe(1);
+  });
+
+  test('falls back to this process after a store error and shares the budget again once the store recovers', async () => {
+    const { limiter, store } = loadLimiter();
+    processes.push({ limiter, store });
+    const reserve = jest.spyOn(store, 'reserveRateSlot').mockImplementationOnce(() => {
+      throw new Error('database is locked');
+    });
+
+    try {
+      await limiter.schedule('appFlaky');
+      expect(limiter.getStats().shared).toBe(false);
+
+      // Still within the cooldown: the store is left alone
+      await limiter.schedule('appFlaky');
+      expect(reserve).toHaveBeenCalledTimes(1);
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+      await limiter.schedule('appFlaky');
+
+      expect(reserve).toHaveBeenCalledTimes(2);
+      expect(limiter.getStats().shared).toBe(true);
+    } finally {
+      reserve.mockRestore();
+    }
+  });
+
+  test('gives up after a few 429s in a row', async () => {
+    const limiter = spawnProcess();
+    const { client, sentAt } = fakeClient([429, 429, 429, 429, 429]);
+    limiter.attach(client, 'appLocked');
+
+    await expect(client.get('/records')).rejects.toMatchObject({ response: { status: 429 } });
+    expect(sentAt).toHaveLength(4);
+  }, 10000);
+});
@@ -0,0 +1,133 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-links-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// recordingLinks reads its TTL when required, so each setting gets its own module registry
+function loadRecordingLinks(ttlDays) {
+  let modules;
+  process.env.RECORDING_LINK_TTL_DAYS = ttlDays;
+  jest.isolateModules(() => {
+    modules = {
+      recordingLinks: require('../src/sync/recordingLinks'),
+      store: require('../src/sync/store')
+    };
+  });
+  return modules;
+}
+
+function fakeDialpad() {
+  let nextId = 1;
+  return {
+    createRecordingShareLink: jest.fn(async () => {
+      const id = `link${nextId++}`;
+      return { id, accessLink: `https://dialpad.example/${id}`, createdAt: new Date().toISOString() };
+    }),
+    revokeRecordingShareLink: jest.fn().mockResolvedValue(true)
+  };
+}
+
+describe('recording share links', () => {
+  let store;
+
+  afterEach(() => {
+    store.close();
+    fs.emptyDirSync(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('are never rotated by default', async () => {
+    const loaded = loadRecordingLinks('');
+    store = loaded.store;
+    const dialpad = fakeDialpad();
+
+    const first = await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+    store.open().prepare('UPDATE recording_links SET created_at = ?').run(new Date(Date.now() - 365 * DAY_MS).toISOString());
+
+    expect(await loaded.recordingLinks.getShareLink(dialpad, 'rec1')).toBe(first);
+    expect(dialpad.createRecordingShareLink).toHaveBeenCalledTimes(1);
+    expect(store.getRecordingLink('rec1').expiresAt).toBeNull();
+  });
+
+  test('a rotated link keeps the old one until the new one has been written', async () => {
+    const loaded = loadRecordingLinks('30');
+    store = loaded.store;
+    const dialpad = fakeDialpad();
+
+    await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+    store.open().prepare('UPDATE recording_links SET expires_at = ?').run(new Date(Date.now() + DAY_MS).toISOString());
+
+    const rotated = await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+    expect(rotated).toBe('https://dialpad.example/link2');
+    expect(dialpad.revokeRecordingShareLink).not.toHaveBeenCalled();
+    expect(store.getRecordingLink('rec1').replacedLinkId).toBe('link1');
+
+    await loaded.recordingLinks.revokeReplaced(dialpad, ['rec1']);
+    expect(dialpad.revokeRecordingShareLink).toHaveBeenCalledWith('link1');
+    expect(store.getRecordingLink('rec1').replacedLinkId).toBeNull();
+  });
+
+  test('a replaced link that cannot be revoked is tried again next time', async () => {
+    const loaded = loadRecordingLinks('30');
+    store = loaded.store;
+    const dialpad = fakeDialpad();
+
+    await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+    store.open().prepare('UPDATE recording_links SET expires_at = ?').run(new Date(Date.now() + DAY_MS).toISOString());
+    await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+
+    dialpad.revokeRecordingShareLink.mockRejectedValueOnce(new Error('Dialpad unavailable'));
+    await loaded.recordingLinks.revokeReplaced(dialpad, ['rec1']);
+    expect(store.getRecordingLink('rec1').replacedLinkId).toBe('link1');
+
+    await loaded.recordingLinks.revokeReplaced(dialpad, ['rec1']);
+    expect(store.getRecordingLink('rec1').replacedLinkId).toBeNull();
+  });
+
+  test('revoking a link also revokes the one it replaced', async () => {
+    const loaded = loadRecordingLinks('30');
+    store = loaded.store;
+    const dialpad = fakeDialpad();
+
+    await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+    store.open().prepare('UPDATE recording_links SET expires_at = ?').run(new Date(Date.now() + DAY_MS).toISOString());
+    await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+
+    const revoked = await loaded.recordingLinks.revoke(dialpad, 'rec1');
+
+    expect(dialpad.revokeRecordingShareLink.mock.calls).toEqual([['link1'], ['link2']]);
+    expect(revoked).toMatchObject({ replacedLinkId: null, revokedAt: expect.any(String) });
+    expect(await loaded.recordingLinks.getShareLink(dialpad, 'rec1')).toBeNull();
+  });
+
+  test('a link without a Dialpad ID is not reported as revoked', async () => {
+    const loaded = loadRecordingLinks('');
+    store = loaded.store;
+    const dialpad = fakeDialpad();
+    dialpad.createRecordingShareLink.mockResolvedValueOnce({ id: null, accessLink: 'https://dialpad.example/x', createdAt: new Date().toISOString() });
+
+    await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+
+    await expect(loaded.recordingLinks.revoke(dialpad, 'rec1')).rejects.toMatchObject({ status: 409 });
+    expect(store.getRecordingLink('rec1').revokedAt).toBeNull();
+  });
+
+  test('a failed revoke leaves the link active', async () => {
+    const loaded = loadRecordingLinks('');
+    store = loaded.store;
+    const dialpad = fakeDialpad();
+    await loaded.recordingLinks.getShareLink(dialpad, 'rec1');
+    dialpad.revokeRecordingShareLink.mockRejectedValueOnce(new Error('Dialpad unavailable'));
+
+    await expect(loaded.recordingLinks.revoke(dialpad, 'rec1')).rejects.toThrow('Dialpad unavailable');
+    expect(store.getRecordingLink('rec1').revokedAt).toBeNull();
+  });
+});
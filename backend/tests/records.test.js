@@ -0,0 +1,161 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.DEFAULT_REGION = 'US';
+
+const { config } = require('../src/sync/config');
+const { analyzePhone, analyzeCustomerPhones, buildCallRecord, buildCustomerPhoneMap } = require('../src/sync/records');
+
+const SHARED_PHONE = '+1 415 555 0100';
+
+function customer(id, phone, fields = {}) {
+  return { id, createdTime: '2024-01-01T00:00:00.000Z', fields: { [config.fields.customerPhone]: phone, ...fields } };
+}
+
+function call(externalNumber) {
+  return { call_id: '1', date_started: '1704067200000', external_number: externalNumber, direction: 'inbound' };
+}
+
+describe('duplicate customer phones', () => {
+  const customerPhoneMap = buildCustomerPhoneMap([
+    customer('recA', SHARED_PHONE),
+    customer('recB', '(415) 555-0100'),
+    customer('recC', '+1 415 555 0199')
+  ]);
+  const defaults = {
+    policy: config.sync.duplicatePhonePolicy,
+    ambiguousField: config.fields.callsAmbiguousMatch
+  };
+
+  afterEach(() => {
+    config.sync.duplicatePhonePolicy = defaults.policy;
+    config.fields.callsAmbiguousMatch = defaults.ambiguousField;
+  });
+
+  test('links every customer sharing the number by default', () => {
+    expect(config.sync.duplicatePhonePolicy).toBe('all');
+
+    const built = buildCallRecord(call(SHARED_PHONE), customerPhoneMap);
+
+    expect(built.customerIds.sort()).toEqual(['recA', 'recB']);
+    expect(built.ambiguous).toBe(false);
+  });
+
+  test('leaves shared numbers unlinked under review without writing an unconfigured field', () => {
+    config.sync.duplicatePhonePolicy = 'review';
+
+    const built = buildCallRecord(call(SHARED_PHONE), customerPhoneMap);
+
+    expect(built.ambiguous).toBe(true);
+    expect(built.customerIds).toEqual([]);
+    expect(Object.keys(built.callRecord)).not.toContain('null');
+    expect(built.callRecord[config.fields.callsCustomerLink]).toBeUndefined();
+  });
+
+  test('flags shared numbers under review when the ambiguous-match field is configured', () => {
+    config.sync.duplicatePhonePolicy = 'review';
+    config.fields.callsAmbiguousMatch = 'Ambiguous Match';
+
+    const built = buildCallRecord(call(SHARED_PHONE), customerPhoneMap);
+
+    expect(built.callRecord['Ambiguous Match'].split(', ').sort()).toEqual(['recA', 'recB']);
+  });
+
+  test('links a single match whatever the policy', () => {
+    config.sync.duplicatePhonePolicy = 'review';
+
+    const built = buildCallRecord(call('+14155550199'), customerPhoneMap);
+
+    expect(built.customerIds).toEqual(['recC']);
+    expect(built.ambiguous).toBe(false);
+  });
+});
+
+describe('region-aware phone normalization', () => {
+  const defaults = {
+    fallbackRegions: config.sync.fallbackRegions,
+    countryField: config.fields.customerCountry
+  };
+
+  afterEach(() => {
+    config.sync.fallbackRegions = defaults.fallbackRegions;
+    config.fields.customerCountry = defaults.countryField;
+  });
+
+  test('parses a national number in the customer\'s own country', () => {
+    expect(analyzePhone('0412 345 678', { country: 'au' })).toEqual({
+      e164: '+61412345678',
+      status: 'valid',
+      region: 'AU',
+      candidates: []
+    });
+  });
+
+  test('falls back to DEFAULT_REGION when the customer\'s country does not fit the number', () => {
+    expect(analyzePhone('(415) 555-0100', { country: 'AU' })).toMatchObject({ e164: '+14155550100', status: 'valid', region: 'US' });
+  });
+
+  test('tries FALLBACK_REGIONS after DEFAULT_REGION', () => {
+    expect(analyzePhone('0412 345 678').status).not.toBe('valid');
+
+    config.sync.fallbackRegions = ['AU'];
+
+    expect(analyzePhone('0412 345 678')).toMatchObject({ e164: '+61412345678', status: 'valid', region: 'AU' });
+  });
+
+  test('reports a number valid in several fallback regions as ambiguous and keeps the first', () => {
+    config.sync.fallbackRegions = ['AU', 'FR'];
+
+    expect(analyzePhone('0412 345 678')).toEqual({
+      e164: '+61412345678',
+      status: 'ambiguous',
+      region: 'AU',
+      candidates: ['+61412345678', '+33412345678']
+    });
+  });
+
+  test('regions that agree on the number are not ambiguous', () => {
+    config.sync.fallbackRegions = ['CA'];
+
+    expect(analyzePhone('(415) 555-0100')).toMatchObject({ status: 'valid', candidates: [] });
+  });
+
+  test('tells invalid numbers from unparseable ones', () => {
+    expect(analyzePhone('+1 415 555')).toMatchObject({ status: 'invalid', e164: '+1415555' });
+    expect(analyzePhone('call reception')).toMatchObject({ status: 'unparseable', e164: null });
+  });
+
+  test('summarizes the customer phones that could not be parsed reliably', () => {
+    config.fields.customerCountry = 'Country';
+    config.sync.fallbackRegions = ['AU', 'FR'];
+
+    const { quality } = analyzeCustomerPhones([
+      customer('recUS', '(415) 555-0100'),
+      customer('recAU', '0412 345 678', { Country: 'AU' }),
+      customer('recAmbiguous', '0412 345 679'),
+      customer('recInvalid', '+1 415 555', { Country: 'Atlantis' }),
+      customer('recText', 'call reception'),
+      { id: 'recNoPhone', fields: {} }
+    ]);
+
+    expect(quality).toMatchObject({
+      customers: 6,
+      withPhone: 5,
+      valid: 2,
+      ambiguous: 1,
+      invalid: 1,
+      unparseable: 1,
+      unknownCountry: 1,
+      byRegion: { US: 1, AU: 2 }
+    });
+    expect(quality.samples.invalid).toEqual([{ customerId: 'recInvalid', phone: '+1 415 555', country: 'Atlantis', candidates: [] }]);
+    expect(quality.samples.ambiguous[0]).toMatchObject({ customerId: 'recAmbiguous', candidates: ['+61412345679', '+33412345679'] });
+  });
+
+  test('matches calls to customers stored in national format abroad', () => {
+    config.fields.customerCountry = 'Country';
+
+    const customerPhoneMap = buildCustomerPhoneMap([customer('recAU', '0412 345 678', { Country: 'AU' })]);
+    const built = buildCallRecord(call('+61412345678'), customerPhoneMap);
+
+    expect(built.customerIds).toEqual(['recAU']);
+  });
+});
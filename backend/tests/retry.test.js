@@ -0,0 +1,151 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.CIRCUIT_BREAKER_THRESHOLD = '2';
+process.env.CIRCUIT_BREAKER_COOLDOWN_MS = '50';
+
+const retry = require('../src/sync/retry');
+
+const { isRetryableError, isRetryableAirtableError, isRetryableDialpadError, getBreaker } = retry;
+
+const FAST = { minTimeout: 1, maxTimeout: 5 };
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.isAxiosError = true;
+  error.response = { status, headers };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.isAxiosError = true;
+  error.code = code;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('retry classification', () => {
+  test.each([
+    [408, true, false, true],
+    [429, true, false, true],
+    [500, true, true, true],
+    [501, true, false, false],
+    [503, true, true, true],
+    [401, false, false, false],
+    [404, false, false, false],
+    [422, false, false, false]
+  ])('HTTP %i: default %s, airtable %s, dialpad %s', (status, byDefault, byAirtable, byDialpad) => {
+    expect(isRetryableError(httpError(status))).toBe(byDefault);
+    expect(isRetryableAirtableError(httpError(status))).toBe(byAirtable);
+    expect(isRetryableDialpadError(httpError(status))).toBe(byDialpad);
+  });
+
+  test('network failures are retried, other axios errors are not', () => {
+    expect(isRetryableAirtableError(networkError('ECONNRESET'))).toBe(true);
+    expect(isRetryableDialpadError(networkError('ETIMEDOUT'))).toBe(true);
+    expect(isRetryableError(networkError('ERR_BAD_OPTION'))).toBe(false);
+    expect(isRetryableError(new Error('not from axios'))).toBe(true);
+  });
+
+  test('an explicit error.retryable wins', () => {
+    const error = httpError(503);
+    error.retryable = false;
+    expect(isRetryableAirtableError(error)).toBe(false);
+  });
+
+  test('each policy uses its own rule', async () => {
+    const airtableCall = jest.fn().mockRejectedValue(httpError(408));
+    const dialpadCall = jest.fn().mockRejectedValueOnce(httpError(408)).mockResolvedValue('ok');
+
+    await expect(retry(airtableCall, 'airtable call', { policy: 'airtable', ...FAST })).rejects.toThrow('408');
+    await expect(retry(dialpadCall, 'dialpad call', { policy: 'dialpad', ...FAST })).resolves.toBe('ok');
+
+    expect(airtableCall).toHaveBeenCalledTimes(1);
+    expect(dialpadCall).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Retry-After', () => {
+  test('is honoured up to the policy maxTimeout', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '3600' }))
+      .mockResolvedValue('ok');
+
+    const startedAt = Date.now();
+    await expect(retry(fn, 'capped', { policy: 'dialpad', ...FAST, maxTimeout: 20 })).resolves.toBe('ok');
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('accepts seconds and HTTP dates', () => {
+    expect(retry.getRetryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+    expect(retry.getRetryAfterMs(httpError(429, { 'retry-after': new Date(Date.now() + 60000).toUTCString() }))).toBeGreaterThan(50000);
+    expect(retry.getRetryAfterMs(httpError(429))).toBeNull();
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after consecutive transient failures and fails fast', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(retry(fn, 'trip', { breaker: 'trip', ...FAST, retries: 2 })).rejects.toThrow('503');
+    await expect(retry(fn, 'trip', { breaker: 'trip', ...FAST })).rejects.toMatchObject({ circuitOpen: true, status: 503 });
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(getBreaker('trip').getState()).toMatchObject({ state: 'open', trips: 1 });
+  });
+
+  test('non-retryable errors do not count against the service', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(422));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(retry(fn, 'validation', { breaker: 'validation', ...FAST })).rejects.toThrow('422');
+    }
+
+    expect(getBreaker('validation').getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  test('lets a single trial call through when half-open', async () => {
+    const failing = jest.fn().mockRejectedValue(httpError(503));
+    await expect(retry(failing, 'half-open', { breaker: 'half-open', ...FAST, retries: 2 })).rejects.toThrow('503');
+    await sleep(60);
+
+    let finishTrial;
+    const trial = jest.fn(() => new Promise((resolve) => { finishTrial = resolve; }));
+    const others = jest.fn().mockResolvedValue('ok');
+
+    const trialCall = retry(trial, 'half-open', { breaker: 'half-open', ...FAST });
+    const concurrent = await Promise.allSettled([1, 2, 3].map(() => retry(others, 'half-open', { breaker: 'half-open', ...FAST, retries: 1 })));
+
+    expect(concurrent.every(outcome => outcome.status === 'rejected' && outcome.reason.circuitOpen)).toBe(true);
+    expect(others).not.toHaveBeenCalled();
+
+    finishTrial('ok');
+    await expect(trialCall).resolves.toBe('ok');
+    await expect(retry(others, 'half-open', { breaker: 'half-open', ...FAST })).resolves.toBe('ok');
+    expect(getBreaker('half-open').getState().state).toBe('closed');
+  });
+
+  test('a failed trial reopens the circuit', async () => {
+    const failing = jest.fn().mockRejectedValue(httpError(503));
+    await expect(retry(failing, 'reopen', { breaker: 'reopen', ...FAST, retries: 2 })).rejects.toThrow('503');
+    await sleep(60);
+
+    await expect(retry(failing, 'reopen', { breaker: 'reopen', ...FAST })).rejects.toMatchObject({ circuitOpen: true });
+
+    expect(failing).toHaveBeenCalledTimes(3);
+    expect(getBreaker('reopen').getState()).toMatchObject({ state: 'open', trips: 2 });
+  });
+
+  test('a trial ending in a non-retryable error frees the slot for the next caller', async () => {
+    const failing = jest.fn().mockRejectedValue(httpError(503));
+    await expect(retry(failing, 'neutral', { breaker: 'neutral', ...FAST, retries: 2 })).rejects.toThrow('503');
+    await sleep(60);
+
+    await expect(retry(jest.fn().mockRejectedValue(httpError(404)), 'neutral', { breaker: 'neutral', ...FAST })).rejects.toThrow('404');
+    await expect(retry(jest.fn().mockResolvedValue('ok'), 'neutral', { breaker: 'neutral', ...FAST })).resolves.toBe('ok');
+  });
+});
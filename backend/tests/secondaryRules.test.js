@@ -0,0 +1,187 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'secondary-rules-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+
+const {
+  DEFAULT_RULE_NAME,
+  getDefaultRules,
+  ruleMatches,
+  trackCall,
+  buildUpdateFields
+} = require('../src/sync/secondaryRules');
+
+const STARTED_MS = new Date('2024-03-10T10:00:00Z').getTime();
+
+// A Dialpad call and the buildCallRecord() result the rules read
+function callPair(overrides = {}, builtOverrides = {}) {
+  const call = {
+    call_id: 'c1',
+    direction: 'outbound',
+    date_started: String(STARTED_MS),
+    date_connected: String(STARTED_MS + 5000),
+    date_ended: String(STARTED_MS + 95000),
+    target: { name: 'Alice', id: 42, email: 'alice@example.com', type: 'user' },
+    contact: { name: 'Jane Tan' },
+    ...overrides
+  };
+  const built = {
+    direction: call.direction,
+    duration: 90,
+    connectedTime: call.date_connected ? parseInt(call.date_connected) : null,
+    recordingId: 'rec-1',
+    externalNumber: '+6591234001',
+    ...builtOverrides
+  };
+  return [call, built];
+}
+
+const LONG_INBOUND = { name: 'longInbound', directions: ['inbound'], minDurationSeconds: 60, fields: { 'Last Inbound': 'dateStarted' } };
+
+describe('secondary rules', () => {
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  describe('ruleMatches', () => {
+    test('the default rule keeps connected outbound calls only', () => {
+      const [rule] = getDefaultRules();
+
+      expect(ruleMatches(rule, ...callPair())).toBe(true);
+      expect(ruleMatches(rule, ...callPair({ direction: 'inbound' }))).toBe(false);
+      expect(ruleMatches(rule, ...callPair({ date_connected: null }))).toBe(false);
+    });
+
+    test('an empty rule matches every call', () => {
+      expect(ruleMatches({ name: 'all', fields: {} }, ...callPair({ date_connected: null, direction: 'inbound' }))).toBe(true);
+    });
+
+    test('tells voicemails from missed calls', () => {
+      const rule = { name: 'voicemail', outcomes: ['voicemail'], fields: {} };
+
+      expect(ruleMatches(rule, ...callPair({ date_connected: null, voicemail_link: 'https://dialpad.com/vm/1' }))).toBe(true);
+      expect(ruleMatches(rule, ...callPair({ date_connected: null }))).toBe(false);
+    });
+
+    test('applies the minimum duration', () => {
+      expect(ruleMatches(LONG_INBOUND, ...callPair({ direction: 'inbound' }, { duration: 60 }))).toBe(true);
+      expect(ruleMatches(LONG_INBOUND, ...callPair({ direction: 'inbound' }, { duration: 59 }))).toBe(false);
+    });
+
+    test.each([
+      ['name', ['alice']],
+      ['ID', [42]],
+      ['email', ['ALICE@example.com']]
+    ])('matches targets by %s, ignoring case', (description, targets) => {
+      expect(ruleMatches({ name: 'alice', targets, fields: {} }, ...callPair())).toBe(true);
+    });
+
+    test('does not match other targets', () => {
+      expect(ruleMatches({ name: 'bob', targets: ['Bob'], fields: {} }, ...callPair())).toBe(false);
+    });
+
+    test('matches departments by entry point or department target', () => {
+      const rule = { name: 'sales', departments: ['Sales'], fields: {} };
+
+      expect(ruleMatches(rule, ...callPair({ entry_point_target: { name: 'Sales' } }))).toBe(true);
+      expect(ruleMatches(rule, ...callPair({ target: { name: 'Sales', type: 'department' } }))).toBe(true);
+      // A person who happens to share the department's name is not the department
+      expect(ruleMatches(rule, ...callPair({ target: { name: 'Sales', type: 'user' } }))).toBe(false);
+    });
+  });
+
+  describe('trackCall', () => {
+    const rules = [...getDefaultRules(), LONG_INBOUND];
+
+    test('records the call under every rule it matches', () => {
+      const pending = new Map();
+      const allCalls = { name: 'allCalls', fields: { 'Last Call': 'dateStarted' } };
+
+      const matched = trackCall(pending, ...callPair(), [...rules, allCalls]);
+
+      expect(matched).toEqual([DEFAULT_RULE_NAME, 'allCalls']);
+      expect(Object.keys(pending.get('+6591234001'))).toEqual([DEFAULT_RULE_NAME, 'allCalls']);
+      expect(pending.get('+6591234001')[DEFAULT_RULE_NAME]).toMatchObject({
+        dateConnected: '2024-03-10T10:00:05.000Z',
+        duration: 90,
+        recordingId: 'rec-1',
+        outcome: 'connected',
+        target: 'Alice'
+      });
+    });
+
+    test('keeps the latest call per client and rule, in any order', () => {
+      const pending = new Map();
+      const later = callPair({ call_id: 'c2', date_started: String(STARTED_MS + 3600000), date_connected: String(STARTED_MS + 3605000) }, { recordingId: 'rec-2' });
+
+      trackCall(pending, ...later, rules);
+      trackCall(pending, ...callPair(), rules);
+
+      expect(pending.get('+6591234001')[DEFAULT_RULE_NAME].recordingId).toBe('rec-2');
+    });
+
+    test('ignores calls without an external number or a matching rule', () => {
+      const pending = new Map();
+
+      expect(trackCall(pending, ...callPair({}, { externalNumber: null }), rules)).toEqual([]);
+      expect(trackCall(pending, ...callPair({ direction: 'inbound' }, { duration: 10 }), rules)).toEqual([]);
+      expect(pending.size).toBe(0);
+    });
+  });
+
+  describe('buildUpdateFields', () => {
+    const processedAt = '2024-03-10T12:00:00.000Z';
+
+    test('writes the default rule fields', () => {
+      const pending = new Map();
+      trackCall(pending, ...callPair(), getDefaultRules());
+
+      const fields = buildUpdateFields(pending.get('+6591234001'), {
+        shareLinks: new Map([['rec-1', 'https://dialpad.com/r/1']]),
+        processedAt
+      }, getDefaultRules());
+
+      expect(fields).toEqual({
+        'Dialpad Last Connected Call Date': '2024-03-10T10:00:05.000Z',
+        'Dialpad Call Length': '01:30',
+        'DP Connected Last Call Audio': 'https://dialpad.com/r/1',
+        Dialpad_Last_Processed: processedAt
+      });
+    });
+
+    test('leaves the recording field alone without a share link', () => {
+      const pending = new Map();
+      trackCall(pending, ...callPair(), getDefaultRules());
+
+      const fields = buildUpdateFields(pending.get('+6591234001'), { processedAt }, getDefaultRules());
+
+      expect(fields).not.toHaveProperty('DP Connected Last Call Audio');
+    });
+
+    test('later rules win when two write the same field', () => {
+      const rules = [
+        { name: 'first', fields: { 'Last Call': 'dateStarted', Who: 'target' } },
+        { name: 'second', fields: { 'Last Call': 'dateEnded' } }
+      ];
+      const pending = new Map();
+      trackCall(pending, ...callPair(), rules);
+
+      expect(buildUpdateFields(pending.get('+6591234001'), { processedAt }, rules)).toEqual({
+        'Last Call': '2024-03-10T10:01:35.000Z',
+        Who: 'Alice'
+      });
+    });
+
+    test('reads entries checkpointed before rules existed as the default rule', () => {
+      const legacy = { dateConnected: '2024-03-10T10:00:05.000Z', duration: 90, recordingId: null };
+
+      expect(buildUpdateFields(legacy, { processedAt }, getDefaultRules())).toMatchObject({
+        'Dialpad Last Connected Call Date': '2024-03-10T10:00:05.000Z',
+        'Dialpad Call Length': '01:30'
+      });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'secondary-targets-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable,secondary';
+process.env.DEFAULT_REGION = 'SG';
+process.env.SECONDARY_BATCH_SIZE = '10';
+process.env.APAC_AIRTABLE_PAT = 'apac-pat';
+process.env.SECONDARY_TARGETS = JSON.stringify([
+  { name: 'apac', baseId: 'appAPAC', table: 'Clients', patEnv: 'APAC_AIRTABLE_PAT' },
+  {
+    name: 'emea',
+    baseId: 'appEMEA',
+    table: 'Kunden',
+    pat: 'emea-pat',
+    phoneField: 'Telefon',
+    batchSize: '5',
+    matching: 'lookup',
+    rules: [{ name: 'lastInbound', directions: ['inbound'], fields: { 'Letzter Anruf': 'dateStarted' } }]
+  }
+]);
+
+const { config } = require('../src/sync/config');
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient, SecondaryAirtableClient } = require('../src/sync/airtable');
+const deadLetters = require('../src/sync/deadLetters');
+const store = require('../src/sync/store');
+const sync = require('../src/sync/sync');
+const SyncEngine = require('../src/sync/engine');
+
+const NOW = Date.now();
+
+// An outbound connected call for the default rule and an inbound call for emea's rule
+const CALLS = [
+  {
+    call_id: 'c1',
+    direction: 'outbound',
+    external_number: '+6591234001',
+    date_started: String(NOW - 120000),
+    date_connected: String(NOW - 115000),
+    duration: 30000
+  },
+  {
+    call_id: 'c2',
+    direction: 'inbound',
+    external_number: '+6591234002',
+    date_started: String(NOW - 60000),
+    duration: 0
+  }
+];
+
+describe('multiple secondary targets', () => {
+  let updatesByTarget;
+
+  beforeEach(() => {
+    updatesByTarget = {};
+    jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(DialpadClient.prototype, 'getCalls').mockResolvedValue({ items: CALLS, cursor: null });
+    jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+    jest.spyOn(SecondaryAirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(SecondaryAirtableClient.prototype, 'updateCallDetailsBatch').mockImplementation(async function (updates) {
+      updatesByTarget[this.target.name] = Array.from(updates.keys());
+      return { successCount: updates.size, notFound: 0, failures: [] };
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('each target takes its own settings and the SECONDARY_* values it leaves out', () => {
+    const [apac, emea] = config.secondaryTargets;
+
+    expect(apac).toMatchObject({ name: 'apac', pat: 'apac-pat', batchSize: 10, matching: 'index', phoneField: config.secondaryAirtable.phoneField, rules: null });
+    expect(emea).toMatchObject({ name: 'emea', pat: 'emea-pat', batchSize: 5, matching: 'lookup', phoneField: 'Telefon' });
+    expect(new SecondaryAirtableClient(emea).getRules().map(rule => rule.name)).toEqual(['lastInbound']);
+  });
+
+  test('updates every target with the calls its rules keep and reports each one', async () => {
+    const result = await sync();
+
+    expect(updatesByTarget).toEqual({ apac: ['+6591234001'], emea: ['+6591234002'] });
+    expect(result.sinks['secondary:apac']).toMatchObject({ toUpdate: 1, written: 1, failed: 0 });
+    expect(result.sinks['secondary:emea']).toMatchObject({ toUpdate: 1, written: 1, failed: 0 });
+    expect(result.secondaryBaseUpdates).toBe(2);
+  });
+
+  test('a failing target is dead-lettered under its name without holding up the others', async () => {
+    SecondaryAirtableClient.prototype.updateCallDetailsBatch.mockImplementation(async function (updates) {
+      if (this.target.name === 'emea') {
+        return { successCount: 0, notFound: 0, failures: [{ updates: Array.from(updates.entries()), error: new Error('Airtable unavailable') }] };
+      }
+      return { successCount: updates.size, notFound: 0, failures: [] };
+    });
+
+    const result = await sync();
+
+    expect(result.sinks['secondary:apac']).toMatchObject({ written: 1, failed: 0 });
+    expect(result.sinks['secondary:emea']).toMatchObject({ written: 0, failed: 1, deadLettered: 1 });
+    const [entry] = await deadLetters.list({ kind: 'secondary' });
+    expect(entry.payload).toMatchObject({ target: 'emea', updates: [['+6591234002', expect.any(Object)]] });
+  });
+
+  test('/api/sync/status lists each target with its last result', async () => {
+    const engine = new SyncEngine(pino({ level: 'silent' }), null);
+    await engine.run();
+
+    const status = await engine.getStatus();
+
+    expect(status.secondaryTargets).toEqual([
+      expect.objectContaining({ name: 'apac', baseId: 'appAPAC', matching: 'index', lastResult: expect.objectContaining({ written: 1 }) }),
+      expect.objectContaining({ name: 'emea', baseId: 'appEMEA', matching: 'lookup', lastResult: expect.objectContaining({ written: 1 }) })
+    ]);
+  });
+
+  test('rejects targets sharing a name', async () => {
+    const targets = config.secondaryTargets;
+    config.secondaryTargets = [...targets, { ...targets[0] }];
+
+    try {
+      await expect(sync()).rejects.toThrow('Secondary target names must be unique: apac');
+    } finally {
+      config.secondaryTargets = targets;
+    }
+  });
+});
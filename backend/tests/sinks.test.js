@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable,postgres';
+process.env.POSTGRES_URL = 'postgres://localhost/test';
+process.env.DEFAULT_REGION = 'SG';
+
+const { config } = require('../src/sync/config');
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient } = require('../src/sync/airtable');
+const postgres = require('../src/sync/postgres');
+const deadLetters = require('../src/sync/deadLetters');
+const store = require('../src/sync/store');
+const { Sink, SINK_TYPES, createSinks } = require('../src/sync/sinks');
+const sync = require('../src/sync/sync');
+
+function call(id) {
+  return {
+    call_id: `c${id}`,
+    direction: 'inbound',
+    external_number: '+6591234001',
+    date_started: String(Date.now() - 60000),
+    duration: 30000
+  };
+}
+
+// Destination kept in memory, added the way a new sink type would be
+class MemorySink extends Sink {
+  constructor() {
+    super('memory', 'memory');
+    this.callIds = [];
+  }
+
+  async writeBatch(entries) {
+    this.callIds.push(...entries.map(entry => entry.callId));
+    return { written: entries.length, failures: [] };
+  }
+}
+
+describe('sinks', () => {
+  const defaultSinks = config.sinks;
+
+  beforeEach(() => {
+    jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(DialpadClient.prototype, 'getCalls').mockResolvedValue({ items: [call(1), call(2)], cursor: null });
+    jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+    jest.spyOn(postgres, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(postgres, 'upsertCalls').mockImplementation(async entries => ({ written: entries.length, failures: [] }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    config.sinks = defaultSinks;
+    delete SINK_TYPES.memory;
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('createSinks builds the configured sinks in order', () => {
+    config.sinks = ['postgres', 'airtable'];
+
+    expect(createSinks({ airtable: new AirtableClient() }).map(sink => sink.name)).toEqual(['postgres', 'airtable']);
+  });
+
+  test('reports written and failed calls per sink and dead-letters under the sink kind', async () => {
+    postgres.upsertCalls.mockImplementation(async entries => ({
+      written: 1,
+      failures: [{ entries: entries.slice(1), error: new Error('connection reset') }]
+    }));
+
+    const result = await sync();
+
+    expect(result.sinks).toEqual({
+      airtable: { written: 2, failed: 0, deadLettered: 0 },
+      postgres: { written: 1, failed: 1, deadLettered: 1 }
+    });
+    const [entry] = await deadLetters.list();
+    expect(entry).toMatchObject({ kind: 'postgres', payload: { entries: [{ callId: 'c2' }] } });
+  });
+
+  test('a sink that throws counts its calls as failed without stopping the others', async () => {
+    postgres.upsertCalls.mockRejectedValue(new Error('database is down'));
+
+    const result = await sync();
+
+    expect(result.complete).toBe(true);
+    expect(result.sinks.airtable).toMatchObject({ written: 2, failed: 0 });
+    expect(result.sinks.postgres).toMatchObject({ written: 0, failed: 2 });
+  });
+
+  test('a new sink type is enabled from config alone', async () => {
+    const memory = new MemorySink();
+    SINK_TYPES.memory = () => [memory];
+    config.sinks = ['memory'];
+
+    const result = await sync();
+
+    expect(memory.callIds).toEqual(['c1', 'c2']);
+    expect(result.sinks).toEqual({ memory: { written: 2, failed: 0, deadLettered: 0 } });
+    expect(AirtableClient.prototype.upsertCalls).not.toHaveBeenCalled();
+  });
+
+  test('unknown sinks are rejected before anything is fetched', async () => {
+    config.sinks = ['airtable', 'bigquery'];
+
+    await expect(sync()).rejects.toThrow('SYNC_SINKS contains unknown sinks: bigquery');
+    expect(DialpadClient.prototype.getCalls).not.toHaveBeenCalled();
+  });
+});
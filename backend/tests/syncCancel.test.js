@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-cancel-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable';
+process.env.DEFAULT_REGION = 'SG';
+
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient } = require('../src/sync/airtable');
+const outboundWebhooks = require('../src/sync/outboundWebhooks');
+const state = require('../src/sync/state');
+const syncLock = require('../src/sync/lock');
+const store = require('../src/sync/store');
+const SyncEngine = require('../src/sync/engine');
+
+function call(id) {
+  return {
+    call_id: `c${id}`,
+    direction: 'inbound',
+    external_number: '+6591234001',
+    date_started: String(Date.now() - 60000),
+    duration: 30000
+  };
+}
+
+describe('cancelling a sync', () => {
+  let engine;
+  let emit;
+
+  beforeEach(() => {
+    emit = jest.fn();
+    engine = new SyncEngine(pino({ level: 'silent' }), { to: () => ({ emit }) });
+
+    jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(DialpadClient.prototype, 'getCalls').mockImplementation(async (startedAfter, startedBefore, cursor) => {
+      if (cursor) {
+        return { items: [call(2)], cursor: null };
+      }
+      // The cancel arrives while the first page is being fetched
+      engine.cancel();
+      return { items: [call(1)], cursor: 'page-2' };
+    });
+    jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+    jest.spyOn(outboundWebhooks, 'emit').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('is refused while no sync is running', () => {
+    expect(() => engine.cancel()).toThrow(expect.objectContaining({ status: 409, message: 'No sync is running' }));
+  });
+
+  test('stops after the current page, keeps its checkpoint and records the run as cancelled', async () => {
+    const result = await engine.run();
+
+    expect(result).toMatchObject({ status: 'cancelled', cancelled: true, complete: false, pagesProcessed: 1, totalCalls: 1 });
+    expect(AirtableClient.prototype.upsertCalls).toHaveBeenCalledTimes(1);
+    expect(await state.getRun('main')).toMatchObject({ cursor: 'page-2', pagesDone: 1, pagesComplete: false });
+    expect(await state.getLastSynced()).toBe(0);
+    expect(engine.syncHistory[0].status).toBe('cancelled');
+    expect(emit.mock.calls.map(([event]) => event)).toContain('sync:cancelled');
+    expect(emit.mock.calls.map(([event]) => event)).not.toContain('sync:completed');
+    expect(engine.isSyncing).toBe(false);
+  });
+
+  test('sends sync.cancelled to outbound webhooks instead of sync.completed', async () => {
+    await engine.run();
+
+    const events = outboundWebhooks.emit.mock.calls.map(([event]) => event);
+    expect(events).toContain('sync.cancelled');
+    expect(events).not.toContain('sync.completed');
+    expect(outboundWebhooks.emit).toHaveBeenCalledWith('sync.cancelled', [expect.objectContaining({ runKey: 'main', complete: false })]);
+  });
+
+  test('the next run resumes from the checkpoint', async () => {
+    await engine.run();
+    DialpadClient.prototype.getCalls.mockClear();
+
+    const result = await engine.run();
+
+    expect(DialpadClient.prototype.getCalls).toHaveBeenCalledTimes(1);
+    expect(DialpadClient.prototype.getCalls.mock.calls[0][2]).toBe('page-2');
+    expect(result).toMatchObject({ status: 'completed', resumed: true, complete: true, totalCalls: 2 });
+  });
+
+  test('a run whose lock is taken over fails without advancing its checkpoint', async () => {
+    const lockFile = path.join(STATE_DIR, 'sync.lock');
+    DialpadClient.prototype.getCalls.mockImplementation(async () => {
+      await fs.writeJson(lockFile, { token: 'newer', owner: 'cli', pid: process.ppid, hostname: os.hostname() });
+      await syncLock.heartbeat();
+      return { items: [call(1)], cursor: 'page-2' };
+    });
+
+    await expect(engine.run()).rejects.toMatchObject({ code: syncLock.LOCK_LOST });
+
+    // Still the record written before the first page
+    expect(await state.getRun('main')).toMatchObject({ cursor: null, pagesDone: 0 });
+    expect((await fs.readJson(lockFile)).token).toBe('newer');
+    expect(emit.mock.calls.map(([event]) => event)).toContain('sync:failed');
+    expect(engine.isSyncing).toBe(false);
+  });
+
+  test('a cancel for another run key leaves the running sync alone', async () => {
+    DialpadClient.prototype.getCalls.mockImplementation(async () => {
+      expect(() => engine.cancel('backfill-job-0')).toThrow('No sync is running');
+      return { items: [call(1)], cursor: null };
+    });
+
+    const result = await engine.run();
+
+    expect(result).toMatchObject({ status: 'completed', complete: true });
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-progress-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable';
+process.env.DEFAULT_REGION = 'SG';
+
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient } = require('../src/sync/airtable');
+const store = require('../src/sync/store');
+const sync = require('../src/sync/sync');
+const SyncEngine = require('../src/sync/engine');
+
+const WINDOW_START = new Date('2024-03-10T10:00:00Z').getTime();
+const HOUR_MS = 60 * 60 * 1000;
+const WINDOW = { startedAfter: WINDOW_START, startedBefore: WINDOW_START + 4 * HOUR_MS };
+
+function call(id, startedMs) {
+  return {
+    call_id: `c${id}`,
+    direction: 'inbound',
+    external_number: '+6591234001',
+    date_started: String(startedMs),
+    duration: 30000
+  };
+}
+
+describe('sync progress', () => {
+  beforeEach(() => {
+    jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(DialpadClient.prototype, 'getCalls').mockImplementation(async (startedAfter, startedBefore, cursor) => (
+      cursor
+        ? { items: [call(3, WINDOW_START + 2 * HOUR_MS)], cursor: null }
+        : { items: [call(1, WINDOW_START), call(2, WINDOW_START + HOUR_MS)], cursor: 'page-2' }
+    ));
+    jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async records => ({ upserted: records.length, failures: [] }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('reports each page, then the per-run sink writes', async () => {
+    const onProgress = jest.fn();
+
+    await sync({ window: WINDOW, runKey: 'progress-test', onProgress });
+
+    const events = onProgress.mock.calls.map(([progress]) => progress);
+    expect(events.map(({ stage, page, callsProcessed, percent }) => ({ stage, page, callsProcessed, percent }))).toEqual([
+      { stage: 'fetching', page: 0, callsProcessed: 0, percent: null },
+      { stage: 'fetching', page: 1, callsProcessed: 2, percent: 25 },
+      { stage: 'fetching', page: 2, callsProcessed: 3, percent: 100 },
+      { stage: 'finalizing', page: 2, callsProcessed: 3, percent: 100 }
+    ]);
+    expect(events[1]).toMatchObject({
+      mode: 'Backfill',
+      runKey: 'progress-test',
+      dryRun: false,
+      windowStart: '2024-03-10T10:00:00.000Z',
+      windowEnd: '2024-03-10T14:00:00.000Z',
+      matchedCalls: 0,
+      unmatchedCalls: 2,
+      secondaryUpdatesQueued: 0,
+      resumed: false
+    });
+  });
+
+  test('a failing progress callback does not stop the sync', async () => {
+    const result = await sync({ window: WINDOW, runKey: 'progress-test', onProgress: () => { throw new Error('socket closed'); } });
+
+    expect(result).toMatchObject({ complete: true, totalCalls: 3 });
+  });
+
+  test('the engine broadcasts each report as sync:progress', async () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    const engine = new SyncEngine(pino({ level: 'silent' }), io);
+
+    await engine.run({ window: WINDOW, runKey: 'progress-test' });
+
+    expect(io.to).toHaveBeenCalledWith('sync-updates');
+    const progressEvents = emit.mock.calls.filter(([event]) => event === 'sync:progress').map(([, payload]) => payload);
+    expect(progressEvents).toHaveLength(4);
+    expect(progressEvents[3]).toMatchObject({ stage: 'finalizing', callsProcessed: 3, percent: 100, timestamp: expect.any(String) });
+    expect(engine.progress).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-resume-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+process.env.DIALPAD_API_KEY = 'test-key';
+process.env.AIRTABLE_PAT = 'test-pat';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.SYNC_SINKS = 'airtable';
+process.env.DEFAULT_REGION = 'SG';
+
+const DialpadClient = require('../src/sync/dialpad');
+const { AirtableClient } = require('../src/sync/airtable');
+const state = require('../src/sync/state');
+const store = require('../src/sync/store');
+const sync = require('../src/sync/sync');
+
+function call(id) {
+  const startedMs = Date.now() - 60 * 1000;
+  return {
+    call_id: `c${id}`,
+    direction: 'inbound',
+    external_number: `+659123400${id}`,
+    date_started: String(startedMs),
+    date_connected: String(startedMs + 5000),
+    date_ended: String(startedMs + 35000),
+    duration: 30000
+  };
+}
+
+// Dialpad pages served by cursor '0', '1', ...; failAt makes one page throw
+const PAGES = [[call(1), call(2)], [call(3)], [call(4)]];
+
+describe('sync checkpoints', () => {
+  let failAt;
+  let upserted;
+
+  beforeEach(() => {
+    failAt = null;
+    upserted = [];
+
+    jest.spyOn(DialpadClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(DialpadClient.prototype, 'getCalls').mockImplementation(async (startedAfter, startedBefore, cursor) => {
+      const index = cursor ? parseInt(cursor) : 0;
+      if (index === failAt) {
+        throw new Error(`Dialpad failed on page ${index}`);
+      }
+      return { items: PAGES[index], cursor: index + 1 < PAGES.length ? String(index + 1) : null };
+    });
+    jest.spyOn(AirtableClient.prototype, 'testConnection').mockResolvedValue(true);
+    jest.spyOn(AirtableClient.prototype, 'getCustomers').mockResolvedValue([
+      { id: 'recCustomer', createdTime: '2024-01-01T00:00:00.000Z', fields: { Phone: '+6591234001' } }
+    ]);
+    jest.spyOn(AirtableClient.prototype, 'upsertCalls').mockImplementation(async (records) => {
+      upserted.push(...records);
+      return { upserted: records.length, failures: [] };
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    store.close();
+    await fs.emptyDir(STATE_DIR);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  test('a page failing after the first stops the run at a checkpoint', async () => {
+    failAt = 1;
+
+    const result = await sync();
+
+    expect(result).toMatchObject({ success: true, complete: false, pagesProcessed: 1, totalCalls: 2 });
+
+    const run = await state.getRun();
+    expect(run).toMatchObject({ mode: 'Real-time', cursor: '1', pagesDone: 1, pagesComplete: false });
+    expect(run.counts).toMatchObject({ totalCalls: 2, matchedCalls: 1 });
+    expect(await state.getLastSynced()).toBe(0);
+  });
+
+  test('the next run resumes from the checkpoint instead of starting over', async () => {
+    failAt = 1;
+    await sync();
+    const { windowStart, windowEnd, watermarkEpochS } = await state.getRun();
+    upserted = [];
+
+    failAt = null;
+    const result = await sync();
+
+    expect(result).toMatchObject({ success: true, resumed: true, complete: true, totalCalls: 4, matchedCalls: 1, pagesProcessed: 3 });
+    expect(result.windowStart).toBe(new Date(windowStart).toISOString());
+    expect(result.windowEnd).toBe(new Date(windowEnd).toISOString());
+
+    // Only the pages after the checkpoint were fetched and written again
+    expect(DialpadClient.prototype.getCalls.mock.calls.at(-2)[2]).toBe('1');
+    expect(upserted).toHaveLength(2);
+
+    // The window is done: the checkpoint is gone and the watermark moves to the first attempt's start
+    expect(await state.getRun()).toBeNull();
+    expect(await state.getLastSynced()).toBe(watermarkEpochS);
+  });
+
+  test('a first page that fails fails the run without a watermark', async () => {
+    failAt = 0;
+
+    await expect(sync()).rejects.toThrow('Dialpad failed on page 0');
+    expect(await state.getLastSynced()).toBe(0);
+  });
+
+  test('a checkpoint from another sync mode is discarded', async () => {
+    failAt = 1;
+    await sync();
+    const run = await state.getRun();
+    await state.saveRun('main', { ...run, mode: 'Historical' });
+
+    failAt = null;
+    const result = await sync();
+
+    expect(result).toMatchObject({ resumed: false, complete: true, totalCalls: 4 });
+  });
+});
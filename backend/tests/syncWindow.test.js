@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-window-test-'));
+process.env.STATE_DIR = STATE_DIR;
+process.env.LOG_LEVEL = 'silent';
+
+const { config } = require('../src/sync/config');
+const { determineSyncWindow, validateConfig } = require('../src/sync/sync');
+
+function utc(iso) {
+  return new Date(iso).getTime();
+}
+
+function iso(epochMs) {
+  return new Date(epochMs).toISOString();
+}
+
+describe('determineSyncWindow', () => {
+  const defaults = JSON.parse(JSON.stringify({ sync: config.sync, timeRange: config.timeRange }));
+
+  afterEach(() => {
+    Object.assign(config.sync, defaults.sync);
+    Object.assign(config.timeRange, defaults.timeRange);
+  });
+
+  afterAll(async () => {
+    await fs.remove(STATE_DIR);
+  });
+
+  describe('first real-time sync starts at local midnight', () => {
+    test.each([
+      ['America/New_York', '2024-03-10T12:00:00.000Z', '2024-03-10T05:00:00.000Z'],
+      ['America/New_York', '2024-11-03T12:00:00.000Z', '2024-11-03T04:00:00.000Z'],
+      ['Europe/London', '2024-03-31T12:00:00.000Z', '2024-03-31T00:00:00.000Z'],
+      ['Europe/London', '2024-10-27T12:00:00.000Z', '2024-10-26T23:00:00.000Z'],
+      ['Asia/Singapore', '2024-03-10T03:00:00.000Z', '2024-03-09T16:00:00.000Z']
+    ])('%s at %s', (timeZone, now, expectedStart) => {
+      config.sync.timezone = timeZone;
+
+      const window = determineSyncWindow(utc(now), 0);
+
+      expect(window).toMatchObject({ mode: 'Real-time', startedBefore: utc(now) });
+      expect(iso(window.startedAfter)).toBe(expectedStart);
+    });
+  });
+
+  test('later real-time syncs start at the last sync minus the grace period', () => {
+    config.sync.backfillGraceSeconds = 300;
+    const now = utc('2024-03-10T12:00:00Z');
+
+    const window = determineSyncWindow(now, utc('2024-03-10T11:00:00Z'));
+
+    expect(iso(window.startedAfter)).toBe('2024-03-10T10:55:00.000Z');
+  });
+
+  describe('a specific date covers the whole local day', () => {
+    test.each([
+      ['America/New_York', '2024-03-10', '2024-03-10T05:00:00.000Z', '2024-03-11T04:00:00.000Z'],
+      ['America/New_York', '2024-11-03', '2024-11-03T04:00:00.000Z', '2024-11-04T05:00:00.000Z'],
+      ['Europe/London', '2024-03-31', '2024-03-31T00:00:00.000Z', '2024-03-31T23:00:00.000Z'],
+      ['Europe/London', '2024-10-27', '2024-10-26T23:00:00.000Z', '2024-10-28T00:00:00.000Z'],
+      ['Asia/Singapore', '2024-03-10', '2024-03-09T16:00:00.000Z', '2024-03-10T16:00:00.000Z']
+    ])('%s on %s', (timeZone, date, expectedStart, expectedEnd) => {
+      config.sync.timezone = timeZone;
+      config.sync.specificDate = date;
+
+      const window = determineSyncWindow(utc('2025-01-01T00:00:00Z'), 0);
+
+      expect(window.mode).toBe('Specific Date');
+      expect(iso(window.startedAfter)).toBe(expectedStart);
+      expect(iso(window.startedBefore)).toBe(expectedEnd);
+    });
+  });
+
+  test('a specific date does not reach into the future', () => {
+    config.sync.timezone = 'Asia/Singapore';
+    config.sync.specificDate = '2024-03-10';
+    const now = utc('2024-03-10T04:00:00Z');
+
+    expect(determineSyncWindow(now, 0).startedBefore).toBe(now);
+  });
+
+  describe('a time range is read in its own zone', () => {
+    test.each([
+      // 01:00-03:00 spans the skipped hour: 01:00 EST to 03:00 EDT is one real hour
+      ['America/New_York', '2024-03-10', '01:00', '03:00', '2024-03-10T06:00:00.000Z', '2024-03-10T07:00:00.000Z'],
+      // 00:00-02:00 spans the repeated hour: three real hours
+      ['America/New_York', '2024-11-03', '00:00', '02:00', '2024-11-03T04:00:00.000Z', '2024-11-03T07:00:00.000Z'],
+      ['Europe/London', '2024-10-27', '00:00', '02:00', '2024-10-26T23:00:00.000Z', '2024-10-27T02:00:00.000Z'],
+      ['Asia/Singapore', '2024-03-10', '09:00', '17:00', '2024-03-10T01:00:00.000Z', '2024-03-10T09:00:00.000Z']
+    ])('%s on %s from %s to %s', (timeZone, date, start, end, expectedStart, expectedEnd) => {
+      config.timeRange.start = start;
+      config.timeRange.end = end;
+      config.timeRange.timezone = timeZone;
+      config.sync.specificDate = date;
+
+      const window = determineSyncWindow(utc('2025-01-01T00:00:00Z'), 0);
+
+      expect(window.mode).toBe('Time Range');
+      expect(iso(window.startedAfter)).toBe(expectedStart);
+      expect(iso(window.startedBefore)).toBe(expectedEnd);
+    });
+  });
+
+  test('a time range without a date uses today in its zone', () => {
+    config.timeRange.start = '09:00';
+    config.timeRange.end = '17:00';
+    config.timeRange.timezone = 'Asia/Singapore';
+
+    // 2024-03-10 01:00 UTC is already 09:00 on the 10th in Singapore
+    const window = determineSyncWindow(utc('2024-03-10T05:00:00Z'), 0);
+
+    expect(iso(window.startedAfter)).toBe('2024-03-10T01:00:00.000Z');
+    expect(iso(window.startedBefore)).toBe('2024-03-10T05:00:00.000Z');
+  });
+});
+
+describe('validateConfig', () => {
+  const defaults = {
+    dialpad: { ...config.dialpad },
+    airtable: { ...config.airtable },
+    policy: config.sync.duplicatePhonePolicy,
+    ambiguousField: config.fields.callsAmbiguousMatch
+  };
+
+  beforeEach(() => {
+    Object.assign(config.dialpad, { apiKey: 'test-key' });
+    Object.assign(config.airtable, { pat: 'test-pat', baseId: 'appTest' });
+  });
+
+  afterEach(() => {
+    Object.assign(config.dialpad, defaults.dialpad);
+    Object.assign(config.airtable, defaults.airtable);
+    config.sync.duplicatePhonePolicy = defaults.policy;
+    config.fields.callsAmbiguousMatch = defaults.ambiguousField;
+  });
+
+  test('the review duplicate policy needs the ambiguous-match field', () => {
+    config.sync.duplicatePhonePolicy = 'review';
+    config.fields.callsAmbiguousMatch = null;
+
+    expect(() => validateConfig()).toThrow('DUPLICATE_PHONE_POLICY=review needs CALLS_AMBIGUOUS_MATCH_FIELD');
+
+    config.fields.callsAmbiguousMatch = 'Ambiguous Match';
+    expect(() => validateConfig()).not.toThrow();
+  });
+
+  test('the other duplicate policies do without it', () => {
+    config.fields.callsAmbiguousMatch = null;
+
+    for (const policy of ['all', 'recent']) {
+      config.sync.duplicatePhonePolicy = policy;
+      expect(() => validateConfig()).not.toThrow();
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { zonedTimeToUtc, getStartOfDayForInstant, getStartOfDay, addDays, getTimeZoneOffset } = require('../src/sync/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function utc(iso) {
+  return new Date(iso).getTime();
+}
+
+describe('zonedTimeToUtc', () => {
+  test.each([
+    // America/New_York, spring forward on 2024-03-10 at 02:00 EST -> 03:00 EDT
+    ['America/New_York', [2024, 3, 10, 1, 30], '2024-03-10T06:30:00.000Z'],
+    ['America/New_York', [2024, 3, 10, 2, 30], '2024-03-10T07:30:00.000Z'], // Skipped, lands on 03:30 EDT
+    ['America/New_York', [2024, 3, 10, 3, 30], '2024-03-10T07:30:00.000Z'],
+    // America/New_York, fall back on 2024-11-03 at 02:00 EDT -> 01:00 EST
+    ['America/New_York', [2024, 11, 3, 0, 30], '2024-11-03T04:30:00.000Z'],
+    ['America/New_York', [2024, 11, 3, 1, 30], '2024-11-03T05:30:00.000Z'], // Repeated, earlier (EDT) instant
+    ['America/New_York', [2024, 11, 3, 2, 30], '2024-11-03T07:30:00.000Z'],
+    // Europe/London, spring forward on 2024-03-31 at 01:00 GMT -> 02:00 BST
+    ['Europe/London', [2024, 3, 31, 0, 30], '2024-03-31T00:30:00.000Z'],
+    ['Europe/London', [2024, 3, 31, 1, 30], '2024-03-31T01:30:00.000Z'], // Skipped, lands on 02:30 BST
+    ['Europe/London', [2024, 3, 31, 2, 30], '2024-03-31T01:30:00.000Z'],
+    // Europe/London, fall back on 2024-10-27 at 02:00 BST -> 01:00 GMT
+    ['Europe/London', [2024, 10, 27, 0, 30], '2024-10-26T23:30:00.000Z'],
+    ['Europe/London', [2024, 10, 27, 1, 30], '2024-10-27T00:30:00.000Z'], // Repeated, earlier (BST) instant
+    ['Europe/London', [2024, 10, 27, 2, 30], '2024-10-27T02:30:00.000Z'],
+    // Asia/Singapore, UTC+8 all year
+    ['Asia/Singapore', [2024, 3, 10, 0, 0], '2024-03-09T16:00:00.000Z'],
+    ['Asia/Singapore', [2024, 11, 3, 1, 30], '2024-11-02T17:30:00.000Z']
+  ])('%s %j', (timeZone, [year, month, day, hour, minute], expected) => {
+    expect(new Date(zonedTimeToUtc(year, month, day, hour, minute, timeZone)).toISOString()).toBe(expected);
+  });
+});
+
+describe('getStartOfDayForInstant', () => {
+  test.each([
+    ['America/New_York', '2024-03-10T12:00:00.000Z', '2024-03-10T05:00:00.000Z'],
+    ['America/New_York', '2024-03-10T04:30:00.000Z', '2024-03-09T05:00:00.000Z'], // Still 23:30 on the 9th locally
+    ['America/New_York', '2024-11-03T12:00:00.000Z', '2024-11-03T04:00:00.000Z'],
+    ['America/New_York', '2024-11-04T04:30:00.000Z', '2024-11-03T04:00:00.000Z'], // 23:30 EST on the 3rd
+    ['Europe/London', '2024-03-31T12:00:00.000Z', '2024-03-31T00:00:00.000Z'],
+    ['Europe/London', '2024-10-27T12:00:00.000Z', '2024-10-26T23:00:00.000Z'],
+    ['Europe/London', '2024-10-26T23:30:00.000Z', '2024-10-26T23:00:00.000Z'], // 00:30 BST on the 27th
+    ['Asia/Singapore', '2024-03-09T17:00:00.000Z', '2024-03-09T16:00:00.000Z'],
+    ['Asia/Singapore', '2024-03-09T15:59:59.000Z', '2024-03-08T16:00:00.000Z']
+  ])('%s at %s', (timeZone, instant, expected) => {
+    expect(new Date(getStartOfDayForInstant(utc(instant), timeZone)).toISOString()).toBe(expected);
+  });
+});
+
+describe('day lengths', () => {
+  test.each([
+    ['America/New_York', { year: 2024, month: 3, day: 10 }, 23],
+    ['America/New_York', { year: 2024, month: 11, day: 3 }, 25],
+    ['Europe/London', { year: 2024, month: 3, day: 31 }, 23],
+    ['Europe/London', { year: 2024, month: 10, day: 27 }, 25],
+    ['Asia/Singapore', { year: 2024, month: 3, day: 10 }, 24]
+  ])('%s on %j has %i hours', (timeZone, date, hours) => {
+    const length = getStartOfDay(addDays(date, 1), timeZone) - getStartOfDay(date, timeZone);
+    expect(length).toBe(hours * HOUR_MS);
+  });
+
+  test('offsets follow DST', () => {
+    expect(getTimeZoneOffset(utc('2024-01-15T12:00:00Z'), 'America/New_York')).toBe(-5 * HOUR_MS);
+    expect(getTimeZoneOffset(utc('2024-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * HOUR_MS);
+    expect(getTimeZoneOffset(utc('2024-07-15T12:00:00Z'), 'Europe/London')).toBe(HOUR_MS);
+    expect(getTimeZoneOffset(utc('2024-07-15T12:00:00Z'), 'Asia/Singapore')).toBe(8 * HOUR_MS);
+  });
+});
@@ -124,6 +124,42 @@ class ApiClient {
         });
     }
 
+    // Outbound webhook endpoints
+    getWebhookSubscriptions() {
+        return this.request(API_ENDPOINTS.WEBHOOK_SUBSCRIPTIONS);
+    }
+
+    createWebhookSubscription(subscription) {
+        return this.request(API_ENDPOINTS.WEBHOOK_SUBSCRIPTIONS, {
+            method: 'POST',
+            body: JSON.stringify(subscription)
+        });
+    }
+
+    updateWebhookSubscription(id, changes) {
+        return this.request(`${API_ENDPOINTS.WEBHOOK_SUBSCRIPTIONS}/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    deleteWebhookSubscription(id) {
+        return this.request(`${API_ENDPOINTS.WEBHOOK_SUBSCRIPTIONS}/${id}`, { method: 'DELETE' });
+    }
+
+    testWebhookSubscription(id) {
+        return this.request(`${API_ENDPOINTS.WEBHOOK_SUBSCRIPTIONS}/${id}/test`, { method: 'POST' });
+    }
+
+    getWebhookDeliveries(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`${API_ENDPOINTS.WEBHOOK_DELIVERIES}?${queryString}`);
+    }
+
+    redeliverWebhook(id) {
+        return this.request(`${API_ENDPOINTS.WEBHOOK_DELIVERIES}/${id}/redeliver`, { method: 'POST' });
+    }
+
     // Health endpoints
     getHealth() {
         return this.request(API_ENDPOINTS.HEALTH);
@@ -96,55 +96,67 @@ class App {
     }
 
     setupWebSocket() {
-        if (!CONFIG.ENABLE_WEBSOCKET) return;
+        // The Socket.IO client script comes from the CDN in index.html
+        if (!CONFIG.ENABLE_WEBSOCKET || typeof io === 'undefined') return;
 
         try {
-            // Create WebSocket connection (Socket.IO would be loaded separately)
-            // For now, we'll use a simple WebSocket connection
-            this.socket = new WebSocket(CONFIG.WS_URL);
+            // Socket.IO reconnects by itself after a dropped connection
+            this.socket = io(CONFIG.WS_URL, { transports: ['websocket'] });
 
-            this.socket.onopen = () => {
+            this.socket.on('connect', () => {
                 console.log('WebSocket connected');
+                this.socket.emit('subscribe:sync');
                 this.updateSyncIndicator('connected');
-            };
-
-            this.socket.onmessage = (event) => {
-                const data = JSON.parse(event.data);
-                this.handleWebSocketMessage(data);
-            };
+            });
 
-            this.socket.onclose = () => {
+            this.socket.on('disconnect', () => {
                 console.log('WebSocket disconnected');
                 this.updateSyncIndicator('disconnected');
-                // Attempt reconnection after 5 seconds
-                setTimeout(() => this.setupWebSocket(), 5000);
-            };
+            });
 
-            this.socket.onerror = (error) => {
+            this.socket.on('connect_error', (error) => {
                 console.error('WebSocket error:', error);
-            };
+            });
+
+            ['sync:started', 'sync:progress', 'sync:completed', 'sync:cancelled', 'sync:failed'].forEach(event => {
+                this.socket.on(event, (data) => this.handleWebSocketMessage(event, data));
+            });
         } catch (error) {
             console.error('Failed to setup WebSocket:', error);
         }
     }
 
-    handleWebSocketMessage(data) {
-        switch (data.type) {
+    handleWebSocketMessage(event, data) {
+        switch (event) {
             case 'sync:started':
                 this.updateSyncIndicator('syncing');
                 utils.showToast('Sync started', 'info');
                 break;
+            case 'sync:progress':
+                if (window.syncPage) {
+                    window.syncPage.updateProgress(data);
+                }
+                break;
             case 'sync:completed':
                 this.updateSyncIndicator('idle');
                 utils.showToast(`Sync completed: ${data.totalCalls} calls processed`, 'success');
                 // Refresh current page data
                 this.loadPageData(this.currentPage);
                 break;
+            case 'sync:cancelled':
+                this.updateSyncIndicator('idle');
+                utils.showToast(`Sync cancelled after ${data.pagesProcessed} pages`, 'warning');
+                break;
             case 'sync:failed':
                 this.updateSyncIndicator('error');
                 utils.showToast(`Sync failed: ${data.error}`, 'error');
                 break;
         }
+        
+        // The run is over; drop its progress bar
+        if (['sync:completed', 'sync:cancelled', 'sync:failed'].includes(event) && window.syncPage) {
+            window.syncPage.updateProgress(null);
+        }
     }
 
     updateSyncIndicator(status) {
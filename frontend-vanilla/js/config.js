@@ -37,6 +37,10 @@ const API_ENDPOINTS = {
     CONFIG: '/api/config',
     CONFIG_TEST: '/api/config/test-connection',
     
+    // Outbound webhooks
+    WEBHOOK_SUBSCRIPTIONS: '/api/webhooks/subscriptions',
+    WEBHOOK_DELIVERIES: '/api/webhooks/deliveries',
+    
     // Health
     HEALTH: '/api/health',
     HEALTH_DETAILED: '/api/health/detailed'
@@ -2,6 +2,7 @@
 class SettingsPage {
     constructor() {
         this.config = null;
+        this.webhookSubscriptions = [];
         this.setupEventListeners();
     }
 
@@ -21,6 +22,22 @@ class SettingsPage {
                 await this.testConnection('airtable');
             });
         }
+
+        // Add webhook subscription
+        const addWebhookBtn = document.getElementById('addWebhookBtn');
+        if (addWebhookBtn) {
+            addWebhookBtn.addEventListener('click', async () => {
+                await this.createWebhookSubscription();
+            });
+        }
+
+        // Delivery log status filter
+        const webhookStatusFilter = document.getElementById('webhookStatusFilter');
+        if (webhookStatusFilter) {
+            webhookStatusFilter.addEventListener('change', async () => {
+                await this.loadWebhookDeliveries();
+            });
+        }
     }
 
     async load() {
@@ -30,6 +47,8 @@ class SettingsPage {
             this.config = await api.getConfig();
             this.updateConfigDisplay();
             
+            await this.loadWebhooks();
+            
         } catch (error) {
             console.error('Failed to load configuration:', error);
             utils.showToast('Failed to load configuration', 'error');
@@ -100,6 +119,210 @@ class SettingsPage {
         }
     }
 
+    async loadWebhooks() {
+        try {
+            const response = await api.getWebhookSubscriptions();
+            this.webhookSubscriptions = response.data || [];
+            this.renderWebhookSubscriptions();
+            await this.loadWebhookDeliveries();
+        } catch (error) {
+            console.error('Failed to load webhooks:', error);
+            utils.showToast('Failed to load webhooks', 'error');
+        }
+    }
+
+    async loadWebhookDeliveries() {
+        const status = document.getElementById('webhookStatusFilter')?.value;
+        const params = { limit: 50 };
+        if (status) {
+            params.status = status;
+        }
+
+        try {
+            const response = await api.getWebhookDeliveries(params);
+            this.renderWebhookDeliveries(response.data || []);
+        } catch (error) {
+            console.error('Failed to load webhook deliveries:', error);
+            utils.showToast('Failed to load webhook deliveries', 'error');
+        }
+    }
+
+    renderWebhookSubscriptions() {
+        const tbody = document.getElementById('webhookSubscriptionsBody');
+        if (!tbody) return;
+
+        if (this.webhookSubscriptions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" style="text-align: center; padding: 40px;">
+                        ${utils.createEmptyState('No webhook subscriptions yet', 'webhook')}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.webhookSubscriptions.map(subscription => `
+            <tr>
+                <td>
+                    <strong>${subscription.url}</strong>
+                    ${subscription.description ? `<br><small>${subscription.description}</small>` : ''}
+                </td>
+                <td>${subscription.events.map(event => `<span class="badge badge-primary">${event}</span>`).join(' ')}</td>
+                <td><code>${subscription.secretHint}</code></td>
+                <td>
+                    <span class="badge badge-${subscription.active ? 'success' : 'secondary'}">
+                        ${subscription.active ? 'Active' : 'Disabled'}
+                    </span>
+                </td>
+                <td>
+                    <button class="btn-icon" onclick="settingsPage.testWebhookSubscription('${subscription.id}')" title="Send Test Event">
+                        <span class="material-icons">send</span>
+                    </button>
+                    <button class="btn-icon" onclick="settingsPage.toggleWebhookSubscription('${subscription.id}')"
+                            title="${subscription.active ? 'Disable' : 'Enable'}">
+                        <span class="material-icons">${subscription.active ? 'pause' : 'play_arrow'}</span>
+                    </button>
+                    <button class="btn-icon" onclick="settingsPage.deleteWebhookSubscription('${subscription.id}')" title="Delete">
+                        <span class="material-icons">delete</span>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderWebhookDeliveries(deliveries) {
+        const tbody = document.getElementById('webhookDeliveriesBody');
+        if (!tbody) return;
+
+        if (deliveries.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 40px;">
+                        ${utils.createEmptyState('No webhook deliveries found', 'history')}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const statusBadges = {
+            delivered: 'success',
+            pending: 'secondary',
+            retrying: 'warning',
+            failed: 'danger'
+        };
+        const urls = Object.fromEntries(this.webhookSubscriptions.map(s => [s.id, s.url]));
+
+        tbody.innerHTML = deliveries.map(delivery => `
+            <tr>
+                <td>${utils.formatDate(delivery.createdAt)}</td>
+                <td>${delivery.event}</td>
+                <td>${urls[delivery.subscriptionId] || '<em>Deleted</em>'}</td>
+                <td>
+                    <span class="badge badge-${statusBadges[delivery.status]}">${delivery.status}</span>
+                    ${delivery.status === 'retrying' && delivery.nextAttemptAt ? `<br><small>Next: ${utils.formatDate(delivery.nextAttemptAt)}</small>` : ''}
+                </td>
+                <td>${delivery.attempts}</td>
+                <td>
+                    ${delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '-'}
+                    ${delivery.error ? `<br><small>${delivery.error}</small>` : ''}
+                </td>
+                <td>
+                    ${['failed', 'retrying'].includes(delivery.status) ? `
+                        <button class="btn-icon" onclick="settingsPage.redeliverWebhook('${delivery.id}')" title="Redeliver">
+                            <span class="material-icons">replay</span>
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async createWebhookSubscription() {
+        const urlInput = document.getElementById('webhookUrl');
+        const events = Array.from(document.querySelectorAll('#webhookEvents input:checked')).map(input => input.value);
+
+        if (!urlInput.value || events.length === 0) {
+            utils.showToast('Enter a URL and choose at least one event', 'warning');
+            return;
+        }
+
+        try {
+            const subscription = await api.createWebhookSubscription({ url: urlInput.value, events });
+            urlInput.value = '';
+
+            // The secret is only returned once
+            const resultDiv = document.getElementById('webhookSecretResult');
+            resultDiv.className = 'test-result show success';
+            resultDiv.innerHTML = `
+                <span class="material-icons" style="color: #4caf50;">key</span>
+                Signing secret for ${subscription.url} (copy it now, it is not shown again):
+                <br><code>${subscription.secret}</code>
+            `;
+
+            utils.showToast('Webhook subscription created', 'success');
+            await this.loadWebhooks();
+        } catch (error) {
+            utils.showToast('Failed to create webhook subscription', 'error');
+        }
+    }
+
+    async toggleWebhookSubscription(id) {
+        const subscription = this.webhookSubscriptions.find(s => s.id === id);
+        if (!subscription) return;
+
+        try {
+            await api.updateWebhookSubscription(id, { active: !subscription.active });
+            await this.loadWebhooks();
+        } catch (error) {
+            utils.showToast('Failed to update webhook subscription', 'error');
+        }
+    }
+
+    deleteWebhookSubscription(id) {
+        const subscription = this.webhookSubscriptions.find(s => s.id === id);
+        if (!subscription) return;
+
+        utils.showModal(
+            'Delete Webhook Subscription',
+            `<p>Stop sending events to <strong>${subscription.url}</strong>?</p>`,
+            async () => {
+                try {
+                    await api.deleteWebhookSubscription(id);
+                    utils.showToast('Webhook subscription deleted', 'success');
+                    await this.loadWebhooks();
+                } catch (error) {
+                    utils.showToast('Failed to delete webhook subscription', 'error');
+                }
+            }
+        );
+    }
+
+    async testWebhookSubscription(id) {
+        try {
+            const delivery = await api.testWebhookSubscription(id);
+            if (delivery.status === 'delivered') {
+                utils.showToast(`Test event delivered (HTTP ${delivery.responseStatus})`, 'success');
+            } else {
+                utils.showToast(`Test event failed: ${delivery.error}`, 'error');
+            }
+            await this.loadWebhookDeliveries();
+        } catch (error) {
+            utils.showToast('Failed to send test event', 'error');
+        }
+    }
+
+    async redeliverWebhook(id) {
+        try {
+            const delivery = await api.redeliverWebhook(id);
+            utils.showToast(`Delivery ${delivery.status}`, delivery.status === 'delivered' ? 'success' : 'warning');
+            await this.loadWebhookDeliveries();
+        } catch (error) {
+            utils.showToast('Failed to redeliver webhook', 'error');
+        }
+    }
+
     async testConnection(service) {
         const resultDiv = document.getElementById(`${service}TestResult`);
         const button = document.getElementById(`test${service.charAt(0).toUpperCase() + service.slice(1)}Btn`);
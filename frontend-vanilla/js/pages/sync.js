@@ -88,6 +88,8 @@ class SyncPage {
             triggerBtn.disabled = false;
         }
         
+        this.updateProgress(data.isSyncing ? data.progress : null);
+        
         // Update sync info
         if (data.lastSync) {
             const lastSync = data.lastSync;
@@ -121,6 +123,35 @@ class SyncPage {
         }
     }
 
+    // Live progress bar from sync:progress events (and /api/sync/status while a sync runs)
+    updateProgress(progress) {
+        const container = document.getElementById('syncProgress');
+        if (!container) return;
+        
+        if (!progress) {
+            container.classList.remove('show');
+            container.innerHTML = '';
+            return;
+        }
+        
+        const known = progress.percent !== null && progress.percent !== undefined;
+        const stageText = progress.stage === 'finalizing'
+            ? 'Writing per-run updates (secondary bases)...'
+            : `Page ${progress.page}${known ? ` • ${progress.percent}%` : ''}`;
+        
+        container.classList.add('show');
+        container.innerHTML = `
+            <div class="progress-bar ${known ? '' : 'indeterminate'}">
+                <div class="progress-bar-fill" style="${known ? `width: ${progress.percent}%` : ''}"></div>
+            </div>
+            <div class="progress-details">
+                <span><strong>${progress.dryRun ? 'Dry run' : progress.mode}</strong> • ${stageText}</span>
+                <span>${progress.callsProcessed} calls • ${progress.matchedCalls} matched • ${progress.secondaryUpdatesQueued} secondary updates queued</span>
+                <span>Window: ${utils.formatDate(progress.windowStart)} – ${utils.formatDate(progress.windowEnd)}</span>
+            </div>
+        `;
+    }
+
     updateSyncHistory(data) {
         const historyList = document.getElementById('syncHistoryList');
         
@@ -0,0 +1,51 @@
+import { useEffect, useState } from 'react';
+import { io } from 'socket.io-client';
+
+const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:3001';
+
+// Events that end a run; the server sends the run's result with each
+const RUN_ENDED_EVENTS = ['sync:completed', 'sync:cancelled', 'sync:failed'];
+
+/**
+ * Live sync state from the backend's Socket.IO 'sync-updates' room.
+ * syncStatus is null until the first event, so pages fall back to polling
+ * /api/sync/status; after that it holds { isSyncing, progress, lastSync },
+ * where progress is the latest sync:progress payload of the running sync.
+ */
+export function useWebSocket() {
+  const [connected, setConnected] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(null);
+
+  useEffect(() => {
+    const socket = io(WS_URL, { transports: ['websocket'] });
+
+    socket.on('connect', () => {
+      setConnected(true);
+      socket.emit('subscribe:sync');
+    });
+
+    socket.on('disconnect', () => {
+      setConnected(false);
+    });
+
+    socket.on('sync:started', () => {
+      setSyncStatus(status => ({ ...status, isSyncing: true, progress: null }));
+    });
+
+    socket.on('sync:progress', (progress) => {
+      setSyncStatus(status => ({ ...status, isSyncing: true, progress }));
+    });
+
+    RUN_ENDED_EVENTS.forEach(event => {
+      socket.on(event, (result) => {
+        setSyncStatus(status => ({ ...status, isSyncing: false, progress: null, lastSync: result }));
+      });
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, []);
+
+  return { syncStatus, connected };
+}
@@ -19,6 +19,11 @@ import {
   IconButton,
   Chip,
   CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Switch,
+  Tooltip,
 } from '@mui/material';
 import {
   Save as SaveIcon,
@@ -27,15 +32,31 @@ import {
   VisibilityOff as VisibilityOffIcon,
   CheckCircle as CheckCircleIcon,
   Error as ErrorIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Send as SendIcon,
+  Replay as ReplayIcon,
 } from '@mui/icons-material';
 import { useForm } from 'react-hook-form';
 import api from '../services/api';
 import { useSnackbar } from 'notistack';
 
+const WEBHOOK_EVENTS = ['call.synced', 'call.matched', 'sync.completed', 'sync.cancelled', 'sync.failed'];
+
+const DELIVERY_STATUS_COLORS = {
+  delivered: 'success',
+  pending: 'default',
+  retrying: 'warning',
+  failed: 'error',
+};
+
 function Settings() {
   const { enqueueSnackbar } = useSnackbar();
   const [showApiKeys, setShowApiKeys] = useState(false);
   const [testResults, setTestResults] = useState({});
+  const [webhookUrl, setWebhookUrl] = useState('');
+  const [webhookEvents, setWebhookEvents] = useState(WEBHOOK_EVENTS);
+  const [newSecret, setNewSecret] = useState(null);
 
   const { data: config, isLoading, refetch } = useQuery('config', api.getConfig);
 
@@ -64,6 +85,85 @@ function Settings() {
     },
   });
 
+  const { data: webhookSubscriptions, refetch: refetchSubscriptions } = useQuery(
+    'webhookSubscriptions',
+    api.getWebhookSubscriptions
+  );
+
+  const { data: webhookDeliveries, refetch: refetchDeliveries } = useQuery(
+    'webhookDeliveries',
+    () => api.getWebhookDeliveries({ limit: 25 }),
+    { refetchInterval: 30000 } // Refresh every 30 seconds
+  );
+
+  const createWebhookMutation = useMutation(api.createWebhookSubscription, {
+    onSuccess: (subscription) => {
+      enqueueSnackbar('Webhook subscription created', { variant: 'success' });
+      setNewSecret(subscription.secret);
+      setWebhookUrl('');
+      refetchSubscriptions();
+    },
+    onError: (error) => {
+      enqueueSnackbar(error.response?.data?.error?.message || 'Failed to create webhook subscription', { variant: 'error' });
+    },
+  });
+
+  const updateWebhookMutation = useMutation(
+    ({ id, changes }) => api.updateWebhookSubscription(id, changes),
+    {
+      onSuccess: () => refetchSubscriptions(),
+      onError: () => {
+        enqueueSnackbar('Failed to update webhook subscription', { variant: 'error' });
+      },
+    }
+  );
+
+  const deleteWebhookMutation = useMutation(api.deleteWebhookSubscription, {
+    onSuccess: () => {
+      enqueueSnackbar('Webhook subscription deleted', { variant: 'success' });
+      refetchSubscriptions();
+    },
+    onError: () => {
+      enqueueSnackbar('Failed to delete webhook subscription', { variant: 'error' });
+    },
+  });
+
+  const testWebhookMutation = useMutation(api.testWebhookSubscription, {
+    onSuccess: (delivery) => {
+      enqueueSnackbar(`Test webhook ${delivery.status === 'delivered' ? 'delivered' : 'failed'}`, {
+        variant: delivery.status === 'delivered' ? 'success' : 'error',
+      });
+      refetchDeliveries();
+    },
+    onError: () => {
+      enqueueSnackbar('Failed to send test webhook', { variant: 'error' });
+    },
+  });
+
+  const redeliverMutation = useMutation(api.redeliverWebhook, {
+    onSuccess: () => {
+      enqueueSnackbar('Delivery queued again', { variant: 'success' });
+      refetchDeliveries();
+    },
+    onError: () => {
+      enqueueSnackbar('Failed to redeliver webhook', { variant: 'error' });
+    },
+  });
+
+  const toggleWebhookEvent = (event) => {
+    setWebhookEvents(prev =>
+      prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]
+    );
+  };
+
+  const handleCreateWebhook = () => {
+    createWebhookMutation.mutate({ url: webhookUrl, events: webhookEvents });
+  };
+
+  const subscriptionUrls = Object.fromEntries(
+    (webhookSubscriptions?.data || []).map(subscription => [subscription.id, subscription.url])
+  );
+
   const handleTestConnection = (service) => {
     testConnectionMutation.mutate(service);
   };
@@ -331,6 +431,159 @@ function Settings() {
             </CardContent>
           </Card>
         </Grid>
+
+        {/* Outbound Webhooks */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Outbound Webhooks
+              </Typography>
+
+              <Grid container spacing={2} alignItems="center">
+                <Grid item xs={12} md={5}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Endpoint URL"
+                    placeholder="https://example.com/hooks/calls"
+                    value={webhookUrl}
+                    onChange={(e) => setWebhookUrl(e.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={12} md={5}>
+                  {WEBHOOK_EVENTS.map(event => (
+                    <Chip
+                      key={event}
+                      label={event}
+                      size="small"
+                      sx={{ mr: 1, mb: 1 }}
+                      color={webhookEvents.includes(event) ? 'primary' : 'default'}
+                      variant={webhookEvents.includes(event) ? 'filled' : 'outlined'}
+                      onClick={() => toggleWebhookEvent(event)}
+                    />
+                  ))}
+                </Grid>
+                <Grid item xs={12} md={2}>
+                  <Button
+                    fullWidth
+                    variant="contained"
+                    startIcon={<AddIcon />}
+                    onClick={handleCreateWebhook}
+                    disabled={!webhookUrl || webhookEvents.length === 0 || createWebhookMutation.isLoading}
+                  >
+                    Add
+                  </Button>
+                </Grid>
+              </Grid>
+
+              {newSecret && (
+                <Alert severity="warning" sx={{ mt: 2 }} onClose={() => setNewSecret(null)}>
+                  Signing secret (shown only once): <code>{newSecret}</code>
+                </Alert>
+              )}
+
+              <List dense>
+                {webhookSubscriptions?.data?.map(subscription => (
+                  <ListItem
+                    key={subscription.id}
+                    divider
+                    secondaryAction={
+                      <Box>
+                        <Tooltip title={subscription.active ? 'Disable' : 'Enable'}>
+                          <Switch
+                            size="small"
+                            checked={subscription.active}
+                            onChange={() => updateWebhookMutation.mutate({
+                              id: subscription.id,
+                              changes: { active: !subscription.active },
+                            })}
+                          />
+                        </Tooltip>
+                        <Tooltip title="Send test event">
+                          <IconButton
+                            size="small"
+                            onClick={() => testWebhookMutation.mutate(subscription.id)}
+                            disabled={testWebhookMutation.isLoading}
+                          >
+                            <SendIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton
+                            size="small"
+                            onClick={() => deleteWebhookMutation.mutate(subscription.id)}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </Box>
+                    }
+                  >
+                    <ListItemText
+                      primary={subscription.url}
+                      secondary={`${subscription.events.join(', ')} · secret ${subscription.secretHint}`}
+                    />
+                  </ListItem>
+                ))}
+                {webhookSubscriptions?.data?.length === 0 && (
+                  <ListItem>
+                    <ListItemText secondary="No webhook subscriptions" />
+                  </ListItem>
+                )}
+              </List>
+
+              <Divider sx={{ my: 3 }} />
+
+              <Typography variant="h6" gutterBottom>
+                Delivery Log
+              </Typography>
+
+              <List dense>
+                {webhookDeliveries?.data?.map(delivery => (
+                  <ListItem
+                    key={delivery.id}
+                    divider
+                    secondaryAction={
+                      ['failed', 'retrying'].includes(delivery.status) && (
+                        <Tooltip title="Redeliver">
+                          <IconButton
+                            size="small"
+                            onClick={() => redeliverMutation.mutate(delivery.id)}
+                            disabled={redeliverMutation.isLoading}
+                          >
+                            <ReplayIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )
+                    }
+                  >
+                    <Chip
+                      label={delivery.status}
+                      size="small"
+                      color={DELIVERY_STATUS_COLORS[delivery.status]}
+                      sx={{ mr: 2, minWidth: 80 }}
+                    />
+                    <ListItemText
+                      primary={`${delivery.event} → ${subscriptionUrls[delivery.subscriptionId] || delivery.subscriptionId}`}
+                      secondary={[
+                        new Date(delivery.createdAt).toLocaleString(),
+                        `${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`,
+                        delivery.responseStatus && `HTTP ${delivery.responseStatus}`,
+                        delivery.error,
+                      ].filter(Boolean).join(' · ')}
+                    />
+                  </ListItem>
+                ))}
+                {webhookDeliveries?.data?.length === 0 && (
+                  <ListItem>
+                    <ListItemText secondary="No deliveries yet" />
+                  </ListItem>
+                )}
+              </List>
+            </CardContent>
+          </Card>
+        </Grid>
       </Grid>
     </Box>
   );
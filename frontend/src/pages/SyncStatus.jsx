@@ -82,6 +82,8 @@ function SyncStatus() {
 
   const isSyncing = syncStatus?.isSyncing || data?.isSyncing;
   const lastSync = syncStatus?.lastSync || data?.lastSync;
+  // Latest sync:progress event, or the status snapshot until the first one arrives
+  const progress = isSyncing ? (syncStatus?.progress || data?.progress) : null;
   const state = data?.state;
 
   return (
@@ -117,6 +119,28 @@ function SyncStatus() {
                 />
               </Box>
 
+              {progress && (
+                <Box mb={2}>
+                  <LinearProgress
+                    variant={progress.percent != null ? 'determinate' : 'indeterminate'}
+                    value={progress.percent ?? 0}
+                    sx={{ height: 8, borderRadius: 4, mb: 1 }}
+                  />
+                  <Typography variant="body2">
+                    {progress.dryRun ? 'Dry run' : progress.mode} •{' '}
+                    {progress.stage === 'finalizing'
+                      ? 'Writing per-run updates (secondary bases)...'
+                      : `Page ${progress.page}${progress.percent != null ? ` • ${progress.percent}%` : ''}`}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {progress.callsProcessed} calls • {progress.matchedCalls} matched • {progress.secondaryUpdatesQueued} secondary updates queued
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Window: {dayjs(progress.windowStart).format('MMM D, h:mm A')} – {dayjs(progress.windowEnd).format('MMM D, h:mm A')}
+                  </Typography>
+                </Box>
+              )}
+
               {lastSync && (
                 <Box>
                   <Typography variant="body2" color="text.secondary" gutterBottom>